@@ -0,0 +1,192 @@
+/**
+ * Change Detector Module
+ * Implements the on_change publish policy: remembers what was last published per device
+ * so a device is only published again when its payload meaningfully changed, or when
+ * the heartbeat interval has passed since its last publication
+ */
+
+const { config } = require('./config');
+const { getDeviceKey } = require('./utils');
+
+// Device key -> { hex, rssi, room, values, publishedAt, lastSeen }
+const publishedStates = new Map();
+let lastPrunedAt = 0;
+
+/**
+ * Checks whether devices are only published when they changed (MQTT_PUBLISH_POLICY=on_change)
+ * @returns {boolean} True if the on_change publish policy is enabled
+ */
+function isEnabled() {
+    return Boolean(config.mqtt.changePolicy && config.mqtt.publishPolicy === 'on_change');
+}
+
+/**
+ * Gets the values decoded by payload decoders, which are namespaced as a plain object
+ * per decoder (e.g. payload.ruuvi). Frame counters in MQTT_PUBLISH_IGNORED_FIELDS are
+ * left out, as they change with every advertisement.
+ * @param {Object} payload - Device JSON payload
+ * @returns {Object} `<namespace>.<field>` -> value
+ */
+function getDecodedValues(payload) {
+    const ignoredFields = config.mqtt.changePolicy.ignoredFields;
+    const values = {};
+
+    for (const [namespace, fields] of Object.entries(payload)) {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            continue;
+        }
+
+        for (const [field, value] of Object.entries(fields)) {
+            if (!ignoredFields.includes(field) && (value === null || typeof value !== 'object')) {
+                values[`${namespace}.${field}`] = value;
+            }
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Gets the RSSI compared against the deadband; the smoothed RSSI is preferred when available
+ * @param {Object} payload - Device JSON payload
+ * @returns {number|undefined} RSSI in dBm
+ */
+function getRssi(payload) {
+    return typeof payload.rssi_smoothed === 'number' ? payload.rssi_smoothed : payload.rssi;
+}
+
+/**
+ * Checks whether a decoded value changed by more than MQTT_PUBLISH_VALUE_THRESHOLD.
+ * Values that aren't numbers (e.g. booleans) change when they differ.
+ * @param {*} previous - Last published value
+ * @param {*} current - Current value
+ * @returns {boolean} True if the value changed
+ */
+function hasValueChanged(previous, current) {
+    if (typeof previous === 'number' && typeof current === 'number') {
+        return Math.abs(current - previous) > config.mqtt.changePolicy.valueThreshold;
+    }
+    return previous !== current;
+}
+
+/**
+ * Gets why a device has to be published
+ * @param {Object} payload - Device JSON payload
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {string|null} Reason for publishing the device, or null if it didn't meaningfully change
+ */
+function getChangeReason(payload, now = Date.now()) {
+    const published = publishedStates.get(getDeviceKey(payload));
+    if (!published) {
+        return 'first seen';
+    }
+
+    published.lastSeen = now;
+    const { rssiDeadband, heartbeatSeconds } = config.mqtt.changePolicy;
+
+    // Beacons can interleave frames (e.g. Eddystone TLM with UID/URL), so a field missing
+    // from the current payload is not a change
+    const values = getDecodedValues(payload);
+    const fields = Object.keys(values);
+    const changedField = fields.find(field => hasValueChanged(published.values[field], values[field]));
+    if (changedField) {
+        return `${changedField} changed`;
+    }
+
+    // Decoded advertisements usually carry a frame counter, so their raw data is only
+    // compared when no decoder matched
+    if (fields.length === 0 && payload.advertisement_data_hex !== published.hex) {
+        return 'advertisement changed';
+    }
+
+    const rssi = getRssi(payload);
+    if (typeof rssi === 'number' && typeof published.rssi === 'number' && Math.abs(rssi - published.rssi) > rssiDeadband) {
+        return 'rssi changed';
+    }
+
+    if (payload.room !== published.room) {
+        return 'room changed';
+    }
+
+    if (heartbeatSeconds > 0 && now - published.publishedAt >= heartbeatSeconds * 1000) {
+        return 'heartbeat';
+    }
+
+    return null;
+}
+
+/**
+ * Records the payload published for a device, as the reference for later changes.
+ * Called once the broker acknowledged the publish, so a change that was only queued
+ * or failed is selected again.
+ * @param {Object} payload - Device JSON payload
+ * @param {number} now - Current timestamp in milliseconds
+ */
+function recordPublished(payload, now = Date.now()) {
+    const deviceKey = getDeviceKey(payload);
+    const previous = publishedStates.get(deviceKey);
+
+    publishedStates.set(deviceKey, {
+        hex: payload.advertisement_data_hex,
+        rssi: getRssi(payload),
+        room: payload.room,
+        values: { ...(previous && previous.values), ...getDecodedValues(payload) },
+        publishedAt: now,
+        lastSeen: now
+    });
+}
+
+/**
+ * Selects the payloads of devices that changed (or are due for a heartbeat). They are
+ * recorded by recordPublished() once published. All payloads are selected when the
+ * on_change policy is disabled.
+ * @param {Array<Object>} payloads - Device JSON payloads
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Array<Object>} Payloads to publish
+ */
+function selectChangedPayloads(payloads, now = Date.now()) {
+    if (!isEnabled()) {
+        return payloads;
+    }
+
+    pruneStates(now);
+
+    return payloads.filter(payload => getChangeReason(payload, now) !== null);
+}
+
+/**
+ * Forgets devices that have not been seen for the device cache retention period
+ * (checked at most once per period), so random MAC addresses don't accumulate
+ * @param {number} now - Current timestamp in milliseconds
+ */
+function pruneStates(now) {
+    const maxAgeMs = config.mqtt.deviceCacheRetentionSeconds * 1000;
+    if (now - lastPrunedAt < maxAgeMs) {
+        return;
+    }
+
+    lastPrunedAt = now;
+    for (const [deviceKey, published] of publishedStates.entries()) {
+        if (now - published.lastSeen > maxAgeMs) {
+            publishedStates.delete(deviceKey);
+        }
+    }
+}
+
+/**
+ * Forgets all published device states
+ * Primarily used for testing
+ */
+function reset() {
+    publishedStates.clear();
+    lastPrunedAt = 0;
+}
+
+module.exports = {
+    isEnabled,
+    getDecodedValues,
+    getChangeReason,
+    recordPublished,
+    selectChangedPayloads,
+    reset
+};
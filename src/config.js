@@ -10,6 +10,8 @@ if (process.env.NODE_ENV !== 'test') {
     require('dotenv').config();
 }
 
+const topicTemplate = require('./topic-template');
+
 /**
  * Safely parses the MQTT_PUBLISH_INTERVAL_SECONDS environment variable.
  * @returns {number} The parsed interval in seconds, or 0 if invalid or not set.
@@ -33,6 +35,217 @@ function parsePublishInterval() {
     return parsedValue;
 }
 
+/**
+ * Device publish policies: 'always' publishes every device on every publish,
+ * 'on_change' only devices whose payload meaningfully changed
+ */
+const PUBLISH_POLICIES = ['always', 'on_change'];
+
+/**
+ * Parses the MQTT_PUBLISH_POLICY environment variable.
+ * @returns {string} One of PUBLISH_POLICIES, 'always' if not set or invalid.
+ */
+function parsePublishPolicy() {
+    const envVar = (process.env.MQTT_PUBLISH_POLICY || '').trim().toLowerCase();
+    return PUBLISH_POLICIES.includes(envVar) ? envVar : 'always';
+}
+
+/**
+ * Parses a non-negative number environment variable of the on_change publish policy.
+ * @param {string} envVarName - Name of the environment variable
+ * @param {number} defaultValue - Value used if the variable is not set or invalid
+ * @returns {number} The parsed value (0 is allowed).
+ */
+function parseChangePolicyNumber(envVarName, defaultValue) {
+    const parsedValue = parseFloat(process.env[envVarName]);
+    return isNaN(parsedValue) || parsedValue < 0 ? defaultValue : parsedValue;
+}
+
+/**
+ * Parses the MQTT_PUBLISH_IGNORED_FIELDS environment variable.
+ * @returns {Array<string>} Decoded fields that don't count as a change (comma-separated in the variable), frame counters by default.
+ */
+function parsePublishIgnoredFields() {
+    const envVar = process.env.MQTT_PUBLISH_IGNORED_FIELDS;
+    if (envVar === undefined) {
+        return ['measurement_sequence', 'frame_counter', 'packet_id', 'counter', 'adv_count', 'uptime_seconds'];
+    }
+    return envVar
+        .split(',')
+        .map(field => field.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parses the MQTT_QUEUE_MAX_SIZE environment variable.
+ * @returns {number} Maximum number of messages queued while disconnected (0 disables the queue), 1000 if invalid or not set.
+ */
+function parseQueueMaxSize() {
+    const parsedValue = parseInt(process.env.MQTT_QUEUE_MAX_SIZE, 10);
+    return isNaN(parsedValue) || parsedValue < 0 ? 1000 : parsedValue;
+}
+
+/**
+ * Parses the MQTT_RECONNECT_JITTER environment variable.
+ * @returns {number} Fraction of each reconnect delay that is randomized (0-1), 0.3 if invalid or not set.
+ */
+function parseReconnectJitter() {
+    const parsedValue = parseFloat(process.env.MQTT_RECONNECT_JITTER);
+    return isNaN(parsedValue) || parsedValue < 0 || parsedValue > 1 ? 0.3 : parsedValue;
+}
+
+/**
+ * Topic template environment variables with their defaults and allowed placeholders
+ */
+const TOPIC_TEMPLATES = {
+    MQTT_DEVICE_TOPIC_TEMPLATE: {
+        defaultTemplate: topicTemplate.DEFAULT_DEVICE_TOPIC_TEMPLATE,
+        placeholders: topicTemplate.DEVICE_TOPIC_PLACEHOLDERS,
+        requiredPlaceholders: topicTemplate.DEVICE_IDENTITY_PLACEHOLDERS
+    },
+    MQTT_GATEWAY_TOPIC_TEMPLATE: {
+        defaultTemplate: topicTemplate.DEFAULT_GATEWAY_TOPIC_TEMPLATE,
+        placeholders: topicTemplate.GATEWAY_TOPIC_PLACEHOLDERS,
+        requiredPlaceholders: []
+    }
+};
+
+/**
+ * Parses a topic template environment variable.
+ * @param {string} envVarName - MQTT_DEVICE_TOPIC_TEMPLATE or MQTT_GATEWAY_TOPIC_TEMPLATE
+ * @returns {string} The template, or the default template if not set.
+ * @throws {Error} If the template is invalid, so messages are never published to a topic that wasn't configured
+ */
+function parseTopicTemplate(envVarName) {
+    const template = (process.env[envVarName] || '').trim();
+    const { defaultTemplate, placeholders, requiredPlaceholders } = TOPIC_TEMPLATES[envVarName];
+    if (!template) {
+        return defaultTemplate;
+    }
+
+    const errors = topicTemplate.validateTopicTemplate(template, placeholders, requiredPlaceholders);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${envVarName}: ${errors.join('; ')}`);
+    }
+    return template;
+}
+
+/**
+ * Parses the MQTT_EXPLODED_QOS environment variable.
+ * @returns {number} QoS of per-field messages (0-2), MQTT_QOS if invalid or not set.
+ */
+function parseExplodedQos() {
+    const parsedValue = parseInt(process.env.MQTT_EXPLODED_QOS, 10);
+    return [0, 1, 2].includes(parsedValue) ? parsedValue : (parseInt(process.env.MQTT_QOS) || 1);
+}
+
+/**
+ * Parses the MQTT_PROTOCOL_VERSION environment variable.
+ * @returns {number} 5 for MQTT 5, otherwise 4 (MQTT 3.1.1, the default).
+ */
+function parseProtocolVersion() {
+    const envVar = (process.env.MQTT_PROTOCOL_VERSION || '').trim();
+    return envVar === '5' || envVar === '5.0' ? 5 : 4;
+}
+
+/**
+ * Parses the MQTT_TLS_REJECT_UNAUTHORIZED environment variable.
+ * @returns {boolean} Whether the broker certificate must be valid; defaults to true when a CA file is configured and false otherwise (self-signed brokers).
+ */
+function parseTlsRejectUnauthorized() {
+    const envVar = (process.env.MQTT_TLS_REJECT_UNAUTHORIZED || '').trim().toLowerCase();
+    if (envVar === 'true' || envVar === 'false') {
+        return envVar === 'true';
+    }
+    return Boolean(process.env.MQTT_TLS_CA_FILE);
+}
+
+/**
+ * Parses the MQTT_TLS_ALPN environment variable.
+ * @returns {Array<string>} ALPN protocol names (comma-separated in the variable), empty if not set.
+ */
+function parseTlsAlpnProtocols() {
+    return (process.env.MQTT_TLS_ALPN || '')
+        .split(',')
+        .map(protocol => protocol.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parses a comma-separated list of MAC addresses or MAC prefixes (e.g. an OUI).
+ * @param {string} envVarName - FILTER_MAC_ALLOW or FILTER_MAC_DENY
+ * @returns {Array<string>} Prefixes without separators in lowercase; invalid entries are skipped.
+ */
+function parseMacPrefixList(envVarName) {
+    return (process.env[envVarName] || '')
+        .split(',')
+        .map(entry => entry.trim().replace(/[:-]/g, '').toLowerCase())
+        .filter(entry => /^[0-9a-f]{1,12}$/.test(entry));
+}
+
+/**
+ * Parses a comma-separated list of integers, decimal or hexadecimal (0x004C).
+ * @param {string} envVarName - FILTER_ADV_TYPES or FILTER_COMPANY_IDS
+ * @returns {Array<number>} The parsed integers; invalid entries are skipped.
+ */
+function parseIntegerList(envVarName) {
+    return (process.env[envVarName] || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => /^(0x[0-9a-f]+|\d+)$/i.test(entry))
+        .map(entry => Number(entry));
+}
+
+/**
+ * Gets the entries of a comma-separated list variable that are invalid.
+ * @param {string} envVarName - Name of the environment variable
+ * @param {Function} isValid - Returns true for a valid entry
+ * @returns {Array<string>} Invalid entries, used for configuration warnings.
+ */
+function getInvalidListEntries(envVarName, isValid) {
+    return (process.env[envVarName] || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry && !isValid(entry));
+}
+
+/**
+ * Parses the FILTER_MIN_RSSI environment variable.
+ * @returns {number|null} Minimum RSSI in dBm, or null if not set or invalid.
+ */
+function parseFilterMinRssi() {
+    const parsedValue = parseInt(process.env.FILTER_MIN_RSSI, 10);
+    return isNaN(parsedValue) ? null : parsedValue;
+}
+
+/**
+ * Home Assistant entity types supported for device presence
+ */
+const PRESENCE_ENTITY_TYPES = ['device_tracker', 'binary_sensor'];
+
+/**
+ * Parses the HA_PRESENCE_ENTITY environment variable.
+ * @returns {string|null} 'device_tracker' or 'binary_sensor', or null if presence entities are disabled or the value is invalid.
+ */
+function parsePresenceEntity() {
+    const envVar = (process.env.HA_PRESENCE_ENTITY || '').trim().toLowerCase();
+    return PRESENCE_ENTITY_TYPES.includes(envVar) ? envVar : null;
+}
+
+/**
+ * RSSI smoothing methods ('none' disables smoothing and distance estimation)
+ */
+const RSSI_SMOOTHING_METHODS = ['none', 'moving_average', 'exponential', 'kalman'];
+
+/**
+ * Parses the RSSI_SMOOTHING environment variable.
+ * @returns {string} One of RSSI_SMOOTHING_METHODS, 'none' if not set or invalid.
+ */
+function parseRssiSmoothingMethod() {
+    const envVar = (process.env.RSSI_SMOOTHING || '').trim().toLowerCase();
+    return RSSI_SMOOTHING_METHODS.includes(envVar) ? envVar : 'none';
+}
+
 /**
  * Configuration object with all required parameters
  */
@@ -51,8 +264,43 @@ const config = {
         topicPrefix: process.env.MQTT_TOPIC_PREFIX || '/blegateways/aprilbrother/',
         qos: parseInt(process.env.MQTT_QOS) || 1,
         retain: process.env.MQTT_RETAIN === 'true' || false,
+        protocolVersion: parseProtocolVersion(),
+        deviceTopicTemplate: parseTopicTemplate('MQTT_DEVICE_TOPIC_TEMPLATE'),
+        gatewayTopicTemplate: parseTopicTemplate('MQTT_GATEWAY_TOPIC_TEMPLATE'),
         publishIntervalSeconds: parsePublishInterval(),
+        publishPolicy: parsePublishPolicy(),
+        publishGroups: parsePublishGroups(),
+        changePolicy: {
+            rssiDeadband: parseChangePolicyNumber('MQTT_PUBLISH_RSSI_DEADBAND', 5),
+            valueThreshold: parseChangePolicyNumber('MQTT_PUBLISH_VALUE_THRESHOLD', 0),
+            heartbeatSeconds: parseChangePolicyNumber('MQTT_PUBLISH_HEARTBEAT_SECONDS', 300),
+            ignoredFields: parsePublishIgnoredFields(),
+        },
         deviceCacheRetentionSeconds: parseInt(process.env.MQTT_DEVICE_CACHE_RETENTION_SECONDS) || 300,
+        queue: {
+            maxSize: parseQueueMaxSize(),
+            dropPolicy: (process.env.MQTT_QUEUE_DROP_POLICY || 'drop_oldest').trim().toLowerCase(),
+            persistPath: process.env.MQTT_QUEUE_PERSIST_PATH || '',
+        },
+        reconnect: {
+            initialDelayMs: parseInt(process.env.MQTT_RECONNECT_INITIAL_DELAY_MS) || 1000,
+            maxDelayMs: parseInt(process.env.MQTT_RECONNECT_MAX_DELAY_MS) || 30000,
+            jitter: parseReconnectJitter(),
+        },
+        exploded: {
+            enabled: process.env.MQTT_EXPLODED_TOPICS === 'true',
+            qos: parseExplodedQos(),
+            retain: process.env.MQTT_EXPLODED_RETAIN === 'true',
+        },
+        tls: {
+            caFile: process.env.MQTT_TLS_CA_FILE || '',
+            certFile: process.env.MQTT_TLS_CERT_FILE || '',
+            keyFile: process.env.MQTT_TLS_KEY_FILE || '',
+            keyPassphrase: process.env.MQTT_TLS_KEY_PASSPHRASE || '',
+            servername: process.env.MQTT_TLS_SERVERNAME || '',
+            alpnProtocols: parseTlsAlpnProtocols(),
+            rejectUnauthorized: parseTlsRejectUnauthorized(),
+        },
     },
 
     // Logging Configuration
@@ -60,20 +308,60 @@ const config = {
         level: process.env.LOG_LEVEL || 'info',
     },
 
+    // Payload Decoder Configuration
+    decoders: {
+        directory: process.env.DECODERS_DIR || '',
+    },
+
     // Home Assistant Integration Configuration
     homeAssistant: {
         enabled: process.env.HA_ENABLED === 'true' || false,
         discoveryTopicPrefix: process.env.HA_DISCOVERY_TOPIC_PREFIX || 'homeassistant',
         devices: parseHomeAssistantDevices(),
-        gatewayName: process.env.HA_GATEWAY_NAME || 'April Brother BLE Gateway'
+        gatewayName: process.env.HA_GATEWAY_NAME || 'April Brother BLE Gateway',
+        gateways: parseHomeAssistantGateways(),
+        presenceEntity: parsePresenceEntity(),
+        smoothedRssiSensor: process.env.HA_SMOOTHED_RSSI_SENSOR === 'true',
+        distanceSensor: process.env.HA_DISTANCE_SENSOR === 'true'
+    },
+
+    // Device Filter Configuration (devices that are not published)
+    deviceFilter: {
+        macAllow: parseMacPrefixList('FILTER_MAC_ALLOW'),
+        macDeny: parseMacPrefixList('FILTER_MAC_DENY'),
+        configuredOnly: process.env.FILTER_CONFIGURED_ONLY === 'true',
+        minRssi: parseFilterMinRssi(),
+        advTypes: parseIntegerList('FILTER_ADV_TYPES'),
+        companyIds: parseIntegerList('FILTER_COMPANY_IDS'),
+    },
+
+    // Room Presence Configuration (nearest gateway per device)
+    roomPresence: {
+        gateways: parseRoomGateways(),
+        windowSeconds: parseInt(process.env.ROOM_PRESENCE_WINDOW_SECONDS) || 30,
+        hysteresisDb: parseFloat(process.env.ROOM_PRESENCE_HYSTERESIS_DB) || 5,
+    },
+
+    // RSSI Smoothing and Distance Estimation Configuration
+    rssiSmoothing: {
+        method: parseRssiSmoothingMethod(),
+        windowSize: parseInt(process.env.RSSI_SMOOTHING_WINDOW) || 5,
+        alpha: parseFloat(process.env.RSSI_SMOOTHING_ALPHA) || 0.3,
+        kalmanProcessNoise: parseFloat(process.env.RSSI_KALMAN_PROCESS_NOISE) || 0.01,
+        kalmanMeasurementNoise: parseFloat(process.env.RSSI_KALMAN_MEASUREMENT_NOISE) || 4,
+        referencePower: parseInt(process.env.RSSI_REFERENCE_POWER) || -59,
+        pathLossExponent: parseFloat(process.env.RSSI_PATH_LOSS_EXPONENT) || 2,
     },
 };
 
 /**
  * Parse Home Assistant BLE device environment variables
  * Format: HA_BLE_DEVICE_1=123b6a1b85ef,Car Token
+ * iBeacon format: HA_BLE_DEVICE_2=ibeacon:<uuid>:<major>:<minor>,Car Token
+ * Optional BTHome bindkey: HA_BLE_DEVICE_1_BINDKEY=231d39c1d7cc1ab1aee224cd096db932
+ * Optional Identity Resolving Key (phones): HA_BLE_DEVICE_1_IRK=ec0234a357c8ad05341010a60a397d9b
  * 
- * @returns {Map<string, {name: string}>} Map of devices with MAC (no colons) as key and name as value
+ * @returns {Map<string, {name: string}>} Map of devices with MAC (no colons) or iBeacon key as key
  */
 function parseHomeAssistantDevices() {
     const deviceMap = new Map();
@@ -101,11 +389,48 @@ function parseHomeAssistantDevices() {
                 throw new Error(`Invalid format for ${deviceVar}: ${deviceEnvVar}. Expected format: "MAC,Name"`);
             }
             
+            const { normalizeMac, parseIBeaconIdentity, createIBeaconDeviceKey } = require('./utils');
+
+            // iBeacon devices are matched by UUID/major/minor instead of MAC
+            if (mac.toLowerCase().startsWith('ibeacon:')) {
+                const ibeacon = parseIBeaconIdentity(mac);
+                const publish = parsePublishSettings(deviceVar);
+                deviceMap.set(createIBeaconDeviceKey(ibeacon), publish ? { name, ibeacon, publish } : { name, ibeacon });
+                continue;
+            }
+            
             // Use utility function for consistent MAC address normalization
-            const { normalizeMac } = require('./utils');
             const normalizedMac = normalizeMac(mac);
             
-            deviceMap.set(normalizedMac, { name });
+            const deviceInfo = { name };
+
+            // Optional BTHome encryption key: HA_BLE_DEVICE_X_BINDKEY=<32 hex characters>
+            const bindkey = (process.env[`${deviceVar}_BINDKEY`] || '').trim();
+            if (bindkey) {
+                if (!/^[0-9a-fA-F]{32}$/.test(bindkey)) {
+                    throw new Error(`Invalid ${deviceVar}_BINDKEY: expected 32 hex characters`);
+                }
+                deviceInfo.bindkey = bindkey.toLowerCase();
+            }
+
+            // Optional Identity Resolving Key: HA_BLE_DEVICE_X_IRK=<32 hex characters or base64>
+            const irk = (process.env[`${deviceVar}_IRK`] || '').trim();
+            if (irk) {
+                const { parseIrk } = require('./private-address');
+                try {
+                    deviceInfo.irk = parseIrk(irk).toString('hex');
+                } catch (error) {
+                    throw new Error(`Invalid ${deviceVar}_IRK: ${error.message}`);
+                }
+            }
+
+            // Optional publish settings: HA_BLE_DEVICE_X_INTERVAL, _RETENTION and _IMMEDIATE
+            const publish = parsePublishSettings(deviceVar);
+            if (publish) {
+                deviceInfo.publish = publish;
+            }
+            
+            deviceMap.set(normalizedMac, deviceInfo);
             
         } catch (error) {
             try {
@@ -125,6 +450,158 @@ function parseHomeAssistantDevices() {
     return deviceMap;
 }
 
+/**
+ * Parse numbered "MAC,Name" environment variables (e.g. ROOM_GATEWAY_1=aabbccddeeff,Living Room)
+ * 
+ * @param {string} prefix - Variable name prefix, followed by any number (non-sequential numbers are allowed)
+ * @param {string} nameLabel - Label for the name part used in error messages
+ * @returns {Map<string, string>} Map of MAC (no colons, lowercase) to name
+ */
+function parseMacNameVariables(prefix, nameLabel) {
+    const macMap = new Map();
+
+    const varPattern = new RegExp(`^${prefix}(\\d+)$`);
+    const macVars = Object.keys(process.env)
+        .filter(key => varPattern.test(key))
+        .sort((a, b) => parseInt(a.match(varPattern)[1]) - parseInt(b.match(varPattern)[1]));
+
+    for (const macVar of macVars) {
+        try {
+            const macEnvVar = process.env[macVar];
+            const [mac, name] = macEnvVar.split(',').map(part => part.trim());
+
+            if (!mac || !name) {
+                throw new Error(`Invalid format for ${macVar}: ${macEnvVar}. Expected format: "MAC,${nameLabel}"`);
+            }
+
+            const { normalizeMac } = require('./utils');
+            macMap.set(normalizeMac(mac), name);
+        } catch (error) {
+            try {
+                // Lazy load logger to avoid circular dependency
+                const logger = require('./logger');
+                if (logger.error) {
+                    logger.error(`Error parsing ${macVar}: ${error.message}`);
+                } else {
+                    console.error(`Error parsing ${macVar}: ${error.message}`);
+                }
+            } catch (loggerError) {
+                console.error(`Error parsing ${macVar}: ${error.message}`);
+            }
+        }
+    }
+
+    return macMap;
+}
+
+/**
+ * Parse room presence gateway environment variables
+ * Format: ROOM_GATEWAY_1=aabbccddeeff,Living Room
+ * 
+ * @returns {Map<string, string>} Map of gateway MAC (no colons, lowercase) to room name
+ */
+function parseRoomGateways() {
+    return parseMacNameVariables('ROOM_GATEWAY_', 'Room');
+}
+
+/**
+ * Parse Home Assistant gateway name environment variables
+ * Format: HA_GATEWAY_1=aabbccddeeff,Hallway Gateway
+ * 
+ * @returns {Map<string, string>} Map of gateway MAC (no colons, lowercase) to friendly name
+ */
+function parseHomeAssistantGateways() {
+    return parseMacNameVariables('HA_GATEWAY_', 'Name');
+}
+
+/**
+ * Parse the publish settings of a configured device or publish group
+ * Format: <VAR>_INTERVAL=<seconds> (0 publishes immediately), <VAR>_RETENTION=<seconds>, <VAR>_IMMEDIATE=true|false
+ * 
+ * @param {string} varName - Variable the settings belong to (e.g. HA_BLE_DEVICE_1 or PUBLISH_GROUP_1)
+ * @returns {{intervalSeconds?: number, retentionSeconds?: number, immediate?: boolean}|null} The settings that are set, or null if none is set
+ * @throws {Error} If a setting is invalid
+ */
+function parsePublishSettings(varName) {
+    const settings = {};
+
+    const interval = (process.env[`${varName}_INTERVAL`] || '').trim();
+    if (interval) {
+        if (!/^\d+$/.test(interval)) {
+            throw new Error(`Invalid ${varName}_INTERVAL: expected a number of seconds`);
+        }
+        settings.intervalSeconds = parseInt(interval, 10);
+    }
+
+    const retention = (process.env[`${varName}_RETENTION`] || '').trim();
+    if (retention) {
+        if (!/^\d+$/.test(retention) || parseInt(retention, 10) === 0) {
+            throw new Error(`Invalid ${varName}_RETENTION: expected a positive number of seconds`);
+        }
+        settings.retentionSeconds = parseInt(retention, 10);
+    }
+
+    const immediate = (process.env[`${varName}_IMMEDIATE`] || '').trim().toLowerCase();
+    if (immediate) {
+        if (immediate !== 'true' && immediate !== 'false') {
+            throw new Error(`Invalid ${varName}_IMMEDIATE: expected true or false`);
+        }
+        settings.immediate = immediate === 'true';
+    }
+
+    return Object.keys(settings).length > 0 ? settings : null;
+}
+
+/**
+ * Parse publish group environment variables
+ * Format: PUBLISH_GROUP_1=mac:c0ffee (MAC prefix) or PUBLISH_GROUP_1=decoder:ruuvi (decoder name),
+ * with the group's settings in PUBLISH_GROUP_1_INTERVAL, _RETENTION and _IMMEDIATE
+ * 
+ * @returns {Array<{name: string, macPrefix?: string, decoder?: string}>} Groups in number order, named group_<number>
+ */
+function parsePublishGroups() {
+    const groups = [];
+
+    const groupVarPattern = /^PUBLISH_GROUP_(\d+)$/;
+    const groupVars = Object.keys(process.env)
+        .filter(key => groupVarPattern.test(key))
+        .sort((a, b) => parseInt(a.match(groupVarPattern)[1]) - parseInt(b.match(groupVarPattern)[1]));
+
+    for (const groupVar of groupVars) {
+        try {
+            const groupEnvVar = process.env[groupVar].trim();
+            const separatorIndex = groupEnvVar.indexOf(':');
+            const type = groupEnvVar.slice(0, separatorIndex).trim().toLowerCase();
+            const value = groupEnvVar.slice(separatorIndex + 1).trim();
+
+            const group = { name: `group_${groupVar.match(groupVarPattern)[1]}` };
+            if (type === 'mac' && /^[0-9a-f]{1,12}$/i.test(value.replace(/[:-]/g, ''))) {
+                group.macPrefix = value.replace(/[:-]/g, '').toLowerCase();
+            } else if (type === 'decoder' && value) {
+                group.decoder = value;
+            } else {
+                throw new Error(`Invalid format for ${groupVar}: ${groupEnvVar}. Expected format: "mac:<MAC prefix>" or "decoder:<decoder name>"`);
+            }
+
+            groups.push({ ...group, ...parsePublishSettings(groupVar) });
+        } catch (error) {
+            try {
+                // Lazy load logger to avoid circular dependency
+                const logger = require('./logger');
+                if (logger.error) {
+                    logger.error(`Error parsing ${groupVar}: ${error.message}`);
+                } else {
+                    console.error(`Error parsing ${groupVar}: ${error.message}`);
+                }
+            } catch (loggerError) {
+                console.error(`Error parsing ${groupVar}: ${error.message}`);
+            }
+        }
+    }
+
+    return groups;
+}
+
 /**
  * Validate configuration and log warnings for missing required values
  */
@@ -143,6 +620,71 @@ function validateConfig() {
         if (config.homeAssistant.devices.size === 0) {
             warnings.push('HA_ENABLED is true but no HA_BLE_DEVICE_X variables were found');
         }
+
+        if (process.env.HA_PRESENCE_ENTITY && !config.homeAssistant.presenceEntity) {
+            warnings.push(`Invalid HA_PRESENCE_ENTITY: ${process.env.HA_PRESENCE_ENTITY}. Expected one of: ${PRESENCE_ENTITY_TYPES.join(', ')}`);
+        }
+
+        if ((config.homeAssistant.smoothedRssiSensor || config.homeAssistant.distanceSensor) && config.rssiSmoothing.method === 'none') {
+            warnings.push('HA_SMOOTHED_RSSI_SENSOR or HA_DISTANCE_SENSOR is true but RSSI_SMOOTHING is not set');
+        }
+    }
+
+    if (process.env.MQTT_PROTOCOL_VERSION && config.mqtt.protocolVersion === 4 && !['4', '3.1.1'].includes(process.env.MQTT_PROTOCOL_VERSION.trim())) {
+        warnings.push(`Invalid MQTT_PROTOCOL_VERSION: ${process.env.MQTT_PROTOCOL_VERSION}. Expected one of: 3.1.1, 5`);
+    }
+
+    if (Boolean(config.mqtt.tls.certFile) !== Boolean(config.mqtt.tls.keyFile)) {
+        warnings.push('MQTT_TLS_CERT_FILE and MQTT_TLS_KEY_FILE must be set together for client certificate authentication');
+    }
+
+    // A device that reports less often than the retention may expire from the cache between two publishes
+    const publishSettings = [
+        ...config.mqtt.publishGroups.map(group => ({ name: group.name, settings: group })),
+        ...Array.from(config.homeAssistant.devices.entries())
+            .filter(([, device]) => device.publish)
+            .map(([deviceKey, device]) => ({ name: `device ${deviceKey}`, settings: device.publish }))
+    ];
+    for (const { name, settings } of publishSettings) {
+        const intervalSeconds = settings.intervalSeconds !== undefined ? settings.intervalSeconds : config.mqtt.publishIntervalSeconds;
+        const retentionSeconds = settings.retentionSeconds !== undefined ? settings.retentionSeconds : config.mqtt.deviceCacheRetentionSeconds;
+        if (intervalSeconds > retentionSeconds) {
+            warnings.push(`Publish interval of ${name} (${intervalSeconds}s) is longer than its cache retention (${retentionSeconds}s), so devices that report less often than every ${retentionSeconds}s may be missed`);
+        }
+    }
+
+    if (process.env.MQTT_PUBLISH_POLICY && !PUBLISH_POLICIES.includes(process.env.MQTT_PUBLISH_POLICY.trim().toLowerCase())) {
+        warnings.push(`Invalid MQTT_PUBLISH_POLICY: ${process.env.MQTT_PUBLISH_POLICY}. Expected one of: ${PUBLISH_POLICIES.join(', ')}`);
+    }
+
+    for (const envVarName of ['FILTER_MAC_ALLOW', 'FILTER_MAC_DENY']) {
+        const invalidEntries = getInvalidListEntries(envVarName, entry => /^[0-9a-f]{1,12}$/i.test(entry.replace(/[:-]/g, '')));
+        if (invalidEntries.length > 0) {
+            warnings.push(`Invalid ${envVarName} entries ignored: ${invalidEntries.join(', ')}. Expected MAC addresses or MAC prefixes`);
+        }
+    }
+
+    for (const envVarName of ['FILTER_ADV_TYPES', 'FILTER_COMPANY_IDS']) {
+        const invalidEntries = getInvalidListEntries(envVarName, entry => /^(0x[0-9a-f]+|\d+)$/i.test(entry));
+        if (invalidEntries.length > 0) {
+            warnings.push(`Invalid ${envVarName} entries ignored: ${invalidEntries.join(', ')}. Expected decimal or hexadecimal (0x) numbers`);
+        }
+    }
+
+    if (process.env.FILTER_MIN_RSSI && config.deviceFilter.minRssi === null) {
+        warnings.push(`Invalid FILTER_MIN_RSSI: ${process.env.FILTER_MIN_RSSI}. Expected a number in dBm, e.g. -85`);
+    }
+
+    if (config.deviceFilter.configuredOnly && config.homeAssistant.devices.size === 0) {
+        warnings.push('FILTER_CONFIGURED_ONLY is true but no HA_BLE_DEVICE_X variables were found, so no devices are published');
+    }
+
+    if (!['drop_oldest', 'drop_newest'].includes(config.mqtt.queue.dropPolicy)) {
+        warnings.push(`Invalid MQTT_QUEUE_DROP_POLICY: ${process.env.MQTT_QUEUE_DROP_POLICY}. Expected one of: drop_oldest, drop_newest`);
+    }
+
+    if (process.env.RSSI_SMOOTHING && config.rssiSmoothing.method === 'none' && process.env.RSSI_SMOOTHING.trim().toLowerCase() !== 'none') {
+        warnings.push(`Invalid RSSI_SMOOTHING: ${process.env.RSSI_SMOOTHING}. Expected one of: ${RSSI_SMOOTHING_METHODS.join(', ')}`);
     }
 
     return warnings;
@@ -168,13 +710,61 @@ function logConfigStatus() {
         log.info(`  Server Port: ${config.server.port}`);
         log.info(`  MQTT Broker: ${config.mqtt.brokerUrl}`);
         log.info(`  MQTT Topic Prefix: ${config.mqtt.topicPrefix}`);
+        log.info(`  MQTT Protocol: ${config.mqtt.protocolVersion === 5 ? '5' : '3.1.1'}`);
+        log.info(`  MQTT Topics: ${config.mqtt.deviceTopicTemplate} (devices), ${config.mqtt.gatewayTopicTemplate} (gateways)`);
+        config.mqtt.publishGroups.forEach(group => {
+            const match = group.macPrefix ? `MAC prefix ${group.macPrefix}` : `decoder ${group.decoder}`;
+            log.info(`  MQTT Publish Group ${group.name}: ${match}, interval ${group.intervalSeconds !== undefined ? `${group.intervalSeconds}s` : 'default'}`);
+        });
+        if (config.mqtt.publishPolicy === 'on_change') {
+            const { rssiDeadband, valueThreshold, heartbeatSeconds } = config.mqtt.changePolicy;
+            log.info(`  MQTT Publish Policy: on_change, RSSI deadband ${rssiDeadband} dB, value threshold ${valueThreshold}, heartbeat ${heartbeatSeconds ? `${heartbeatSeconds}s` : 'disabled'}`);
+        }
+        if (config.mqtt.exploded.enabled) {
+            log.info(`  MQTT Per-Field Topics: QoS ${config.mqtt.exploded.qos}, ${config.mqtt.exploded.retain ? 'retained' : 'not retained'}`);
+        }
+        if (config.mqtt.queue.maxSize > 0) {
+            log.info(`  MQTT Publish Queue: ${config.mqtt.queue.maxSize} messages, ${config.mqtt.queue.dropPolicy}, ${config.mqtt.queue.persistPath || 'in memory'}`);
+        } else {
+            log.info('  MQTT Publish Queue: Disabled');
+        }
+        if (config.mqtt.tls.caFile || config.mqtt.tls.certFile) {
+            log.info(`  MQTT TLS: CA ${config.mqtt.tls.caFile || 'system'}, client certificate ${config.mqtt.tls.certFile || 'none'}, verification ${config.mqtt.tls.rejectUnauthorized ? 'strict' : 'disabled'}`);
+        }
         log.info(`  Log Level: ${config.logging.level}`);
+
+        const filter = config.deviceFilter;
+        const filterRules = [
+            filter.macAllow.length > 0 && `allow ${filter.macAllow.join(', ')}`,
+            filter.macDeny.length > 0 && `deny ${filter.macDeny.join(', ')}`,
+            filter.configuredOnly && 'configured devices only',
+            filter.minRssi !== null && `RSSI >= ${filter.minRssi} dBm`,
+            filter.advTypes.length > 0 && `advertising types ${filter.advTypes.join(', ')}`,
+            filter.companyIds.length > 0 && `company IDs ${filter.companyIds.map(id => `0x${id.toString(16).padStart(4, '0')}`).join(', ')}`
+        ].filter(Boolean);
+        if (filterRules.length > 0) {
+            log.info(`Device Filter: ${filterRules.join('; ')}`);
+        }
+
+        if (config.roomPresence.gateways.size > 0) {
+            log.info(`Room Presence: ${config.roomPresence.gateways.size} gateways, ${config.roomPresence.windowSeconds}s window, ${config.roomPresence.hysteresisDb} dB hysteresis`);
+        }
+
+        if (config.rssiSmoothing.method !== 'none') {
+            log.info(`RSSI Smoothing: ${config.rssiSmoothing.method}, reference power ${config.rssiSmoothing.referencePower} dBm, path loss exponent ${config.rssiSmoothing.pathLossExponent}`);
+        }
     
         // Home Assistant configuration logging
         if (config.homeAssistant.enabled) {
             log.info('Home Assistant Integration:');
             log.info(`  Discovery Topic Prefix: ${config.homeAssistant.discoveryTopicPrefix}`);
             log.info(`  Gateway Name: ${config.homeAssistant.gatewayName}`);
+            config.homeAssistant.gateways.forEach((name, mac) => {
+                log.info(`    - ${name} (${mac})`);
+            });
+            log.info(`  Presence Entity: ${config.homeAssistant.presenceEntity || 'Disabled'}`);
+            log.info(`  Smoothed RSSI Sensor: ${config.homeAssistant.smoothedRssiSensor ? 'Enabled' : 'Disabled'}`);
+            log.info(`  Distance Sensor: ${config.homeAssistant.distanceSensor ? 'Enabled' : 'Disabled'}`);
             log.info(`  Configured BLE Devices: ${config.homeAssistant.devices.size}`);
             
             if (config.homeAssistant.devices.size > 0) {
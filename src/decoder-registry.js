@@ -0,0 +1,266 @@
+/**
+ * Decoder Registry Module
+ * Keeps the payload decoders applied to parsed BLE devices and selects them by
+ * what they declare to match on (company ID, service UUID, MAC prefix or a predicate)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Decoders shipped with the proxy, in the order they are applied
+ */
+const BUILTIN_DECODERS = [
+    require('./decoders/ibeacon'),
+    require('./decoders/eddystone'),
+    require('./decoders/ruuvi'),
+    require('./decoders/atc'),
+    require('./decoders/bthome')
+];
+
+/**
+ * Payload fields set by the parser and the rest of the pipeline. Decoders must not
+ * return them, as they identify, route and filter the device (key, topic, RSSI rules).
+ */
+const RESERVED_FIELDS = [
+    'mac_address',
+    'address_type',
+    'rssi',
+    'advertising_type_code',
+    'advertising_type_description',
+    'advertisement_data_hex',
+    'ad_structures',
+    'flags',
+    'local_name',
+    'tx_power',
+    'service_uuids',
+    'service_data',
+    'manufacturer_data',
+    'parse_warnings',
+    'decoder',
+    'device_id',
+    'normalized_mac',
+    'timestamp',
+    'last_seen_timestamp',
+    'gateway_mac',
+    'gateway_ip',
+    'room',
+    'nearest_gateway_mac',
+    'rssi_smoothed',
+    'distance_m'
+];
+
+// Registered decoders in application order
+let decoders = [...BUILTIN_DECODERS];
+
+/**
+ * Normalize a single value or list of values to an array
+ * @param {*} value - Value or array of values
+ * @returns {Array} Array of values
+ */
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate a decoder definition
+ * @param {Object} decoder - Decoder definition
+ * @throws {Error} If the decoder is invalid
+ */
+function validateDecoder(decoder) {
+    if (!decoder || typeof decoder !== 'object') {
+        throw new Error('Decoder must be an object');
+    }
+
+    if (!decoder.name || typeof decoder.name !== 'string') {
+        throw new Error('Decoder must have a non-empty name');
+    }
+
+    if (typeof decoder.decode !== 'function') {
+        throw new Error(`Decoder ${decoder.name} must have a decode function`);
+    }
+
+    if (decoder.match !== undefined && (decoder.match === null || typeof decoder.match !== 'object')) {
+        throw new Error(`Decoder ${decoder.name} match must be an object`);
+    }
+
+    if (decoder.match && decoder.match.predicate !== undefined && typeof decoder.match.predicate !== 'function') {
+        throw new Error(`Decoder ${decoder.name} match.predicate must be a function`);
+    }
+}
+
+/**
+ * Register a decoder. A decoder with the same name as an existing one replaces it,
+ * which allows site-specific decoders to override the built-in ones.
+ * 
+ * Decoder definition:
+ * - name: unique decoder name, reported in the device payload as `decoder`
+ * - match: optional criteria; every criterion given must match (values may be arrays)
+ *   - companyId: manufacturer specific data company ID (e.g. 0x0499)
+ *   - serviceUuid: service data UUID (e.g. 'FEAA')
+ *   - macPrefix: MAC address prefix (e.g. 'A4:C1:38')
+ *   - predicate: function(parsedDevice) returning true when the decoder applies
+ * - decode: function(parsedDevice) returning fields to merge into the device, or null;
+ *   RESERVED_FIELDS are ignored
+ * 
+ * @param {Object} decoder - Decoder definition
+ */
+function registerDecoder(decoder) {
+    validateDecoder(decoder);
+
+    const existingIndex = decoders.findIndex(entry => entry.name === decoder.name);
+    if (existingIndex !== -1) {
+        logger.warn(`Replacing registered decoder: ${decoder.name}`);
+        decoders[existingIndex] = decoder;
+    } else {
+        decoders.push(decoder);
+    }
+}
+
+/**
+ * Check whether a decoder's match criteria apply to a parsed device
+ * @param {Object} decoder - Decoder definition
+ * @param {Object} parsedDevice - Parsed device including decoded AD fields
+ * @returns {boolean} True if the decoder should be applied
+ */
+function matchesDevice(decoder, parsedDevice) {
+    const match = decoder.match;
+    if (!match) {
+        return true;
+    }
+
+    if (match.companyId !== undefined) {
+        const companyIds = toArray(match.companyId);
+        const hasCompanyId = (parsedDevice.manufacturer_data || []).some(entry => companyIds.includes(entry.company_id));
+        if (!hasCompanyId) {
+            return false;
+        }
+    }
+
+    if (match.serviceUuid !== undefined) {
+        const serviceUuids = toArray(match.serviceUuid).map(uuid => String(uuid).toUpperCase());
+        const hasServiceUuid = (parsedDevice.service_data || []).some(entry => serviceUuids.includes(entry.uuid));
+        if (!hasServiceUuid) {
+            return false;
+        }
+    }
+
+    if (match.macPrefix !== undefined) {
+        const mac = (parsedDevice.mac_address || '').replace(/:/g, '').toLowerCase();
+        const prefixes = toArray(match.macPrefix).map(prefix => String(prefix).replace(/[:-]/g, '').toLowerCase());
+        if (!prefixes.some(prefix => mac.startsWith(prefix))) {
+            return false;
+        }
+    }
+
+    if (match.predicate && !match.predicate(parsedDevice)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Apply all matching decoders to a parsed device. Exceptions thrown by a decoder
+ * are turned into warnings so they only affect that decoder for that device, as are
+ * reserved fields returned by a decoder, which are left out.
+ * @param {Object} parsedDevice - Parsed device including decoded AD fields
+ * @returns {{fields: Object, decoder: string|null, warnings: Array<string>}} Merged decoder fields,
+ *          the name of the first decoder that produced fields and any warnings
+ */
+function decodeDevice(parsedDevice) {
+    const result = {
+        fields: {},
+        decoder: null,
+        warnings: []
+    };
+
+    for (const decoder of decoders) {
+        try {
+            if (!matchesDevice(decoder, parsedDevice)) {
+                continue;
+            }
+
+            const decodedFields = decoder.decode(parsedDevice);
+            if (decodedFields && typeof decodedFields === 'object') {
+                for (const [field, value] of Object.entries(decodedFields)) {
+                    if (RESERVED_FIELDS.includes(field)) {
+                        result.warnings.push(`${decoder.name} decoder returned reserved field ${field}, ignored`);
+                    } else {
+                        result.fields[field] = value;
+                    }
+                }
+                result.decoder = result.decoder || decoder.name;
+            }
+        } catch (error) {
+            result.warnings.push(`${decoder.name} decoder failed: ${error.message}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Load additional decoders from a directory. Every .js file must export a decoder
+ * definition or an array of them. Files that fail to load are logged and skipped.
+ * @param {string} directory - Directory containing decoder modules
+ * @returns {Array<string>} Names of the decoders that were registered
+ */
+function loadDecodersFromDirectory(directory) {
+    const loaded = [];
+    const resolvedDirectory = path.resolve(directory);
+
+    let files;
+    try {
+        files = fs.readdirSync(resolvedDirectory)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+    } catch (error) {
+        logger.error(`Failed to read decoders directory ${resolvedDirectory}: ${error.message}`);
+        return loaded;
+    }
+
+    for (const file of files) {
+        const filePath = path.join(resolvedDirectory, file);
+        try {
+            for (const decoder of toArray(require(filePath))) {
+                registerDecoder(decoder);
+                loaded.push(decoder.name);
+            }
+        } catch (error) {
+            logger.error(`Failed to load decoder from ${filePath}: ${error.message}`);
+        }
+    }
+
+    logger.info(`Loaded ${loaded.length} custom decoders from ${resolvedDirectory}`, { decoders: loaded });
+
+    return loaded;
+}
+
+/**
+ * Get the names of the registered decoders in application order
+ * @returns {Array<string>} Decoder names
+ */
+function getDecoderNames() {
+    return decoders.map(decoder => decoder.name);
+}
+
+/**
+ * Restore the built-in decoders only
+ * Primarily used for testing
+ */
+function resetDecoders() {
+    decoders = [...BUILTIN_DECODERS];
+}
+
+module.exports = {
+    registerDecoder,
+    matchesDevice,
+    decodeDevice,
+    loadDecodersFromDirectory,
+    getDecoderNames,
+    resetDecoders,
+    BUILTIN_DECODERS,
+    RESERVED_FIELDS
+};
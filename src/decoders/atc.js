@@ -0,0 +1,85 @@
+/**
+ * ATC/pvvx Thermometer Decoder
+ * Decodes the custom firmware advertising formats for Xiaomi LYWSD03MMC thermometers
+ * carried in 0x181A (Environmental Sensing) service data
+ */
+
+const ATC_SERVICE_UUID = '181A';
+
+/**
+ * Format six MAC bytes as XX:XX:XX:XX:XX:XX
+ * @param {Buffer} macBuffer - MAC address bytes (MSB first)
+ * @returns {string} Formatted MAC address
+ */
+function formatMacBytes(macBuffer) {
+    return Array.from(macBuffer)
+        .map(byte => byte.toString(16).padStart(2, '0').toUpperCase())
+        .join(':');
+}
+
+/**
+ * Decode the original ATC1441 format (13 bytes, big-endian)
+ * @param {Buffer} data - Service data after the UUID
+ * @returns {Object} Decoded sensor values
+ */
+function decodeAtc1441(data) {
+    return {
+        format: 'atc1441',
+        mac: formatMacBytes(data.slice(0, 6)),
+        temperature: data.readInt16BE(6) / 10,
+        humidity: data.readUInt8(8),
+        battery: data.readUInt8(9),
+        battery_voltage: data.readUInt16BE(10) / 1000,
+        frame_counter: data.readUInt8(12)
+    };
+}
+
+/**
+ * Decode the pvvx custom format (15 bytes, little-endian)
+ * @param {Buffer} data - Service data after the UUID
+ * @returns {Object} Decoded sensor values
+ */
+function decodePvvx(data) {
+    return {
+        format: 'pvvx',
+        mac: formatMacBytes(Buffer.from(data.slice(0, 6)).reverse()),
+        temperature: data.readInt16LE(6) / 100,
+        humidity: data.readUInt16LE(8) / 100,
+        battery_voltage: data.readUInt16LE(10) / 1000,
+        battery: data.readUInt8(12),
+        frame_counter: data.readUInt8(13),
+        flags: data.readUInt8(14)
+    };
+}
+
+/**
+ * Decode ATC1441 or pvvx thermometer data from the service data of a parsed device
+ * @param {Object} parsedDevice - Device parsed by device-parser (with service_data)
+ * @returns {Object|null} Fields to merge into the device ({ atc }) or null if not an ATC thermometer
+ */
+function decode(parsedDevice) {
+    const serviceData = (parsedDevice.service_data || []).find(entry => entry.uuid === ATC_SERVICE_UUID);
+
+    if (!serviceData) {
+        return null;
+    }
+
+    const data = Buffer.from(serviceData.data_hex, 'hex');
+
+    switch (data.length) {
+        case 13:
+            return { atc: decodeAtc1441(data) };
+        case 15:
+            return { atc: decodePvvx(data) };
+        default:
+            // Encrypted pvvx and other 0x181A formats are not supported
+            throw new Error(`Unsupported 0x181A service data length ${data.length}`);
+    }
+}
+
+module.exports = {
+    name: 'atc',
+    match: { serviceUuid: ATC_SERVICE_UUID },
+    decode,
+    ATC_SERVICE_UUID
+};
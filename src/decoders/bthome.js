@@ -0,0 +1,287 @@
+/**
+ * BTHome Decoder
+ * Decodes BTHome v2 service data (0xFCD2), including AES-CCM encrypted frames
+ * when a bindkey is configured for the device
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { normalizeMac } = require('../utils');
+
+// BTHome 16-bit service UUID
+const BTHOME_SERVICE_UUID = 'FCD2';
+
+/**
+ * BTHome v2 object IDs: field name, size in bytes, signedness and scaling factor.
+ * Binary sensors are decoded as booleans.
+ */
+const OBJECT_TYPES = {
+    0x00: { name: 'packet_id', size: 1 },
+    0x01: { name: 'battery', size: 1 },
+    0x02: { name: 'temperature', size: 2, signed: true, factor: 0.01 },
+    0x03: { name: 'humidity', size: 2, factor: 0.01 },
+    0x04: { name: 'pressure', size: 3, factor: 0.01 },
+    0x05: { name: 'illuminance', size: 3, factor: 0.01 },
+    0x06: { name: 'mass_kg', size: 2, factor: 0.01 },
+    0x07: { name: 'mass_lb', size: 2, factor: 0.01 },
+    0x08: { name: 'dewpoint', size: 2, signed: true, factor: 0.01 },
+    0x09: { name: 'count', size: 1 },
+    0x0A: { name: 'energy', size: 3, factor: 0.001 },
+    0x0B: { name: 'power', size: 3, factor: 0.01 },
+    0x0C: { name: 'voltage', size: 2, factor: 0.001 },
+    0x0D: { name: 'pm2_5', size: 2 },
+    0x0E: { name: 'pm10', size: 2 },
+    0x0F: { name: 'generic_boolean', size: 1, binary: true },
+    0x10: { name: 'power_on', size: 1, binary: true },
+    0x11: { name: 'opening', size: 1, binary: true },
+    0x12: { name: 'co2', size: 2 },
+    0x13: { name: 'tvoc', size: 2 },
+    0x14: { name: 'moisture', size: 2, factor: 0.01 },
+    0x15: { name: 'battery_low', size: 1, binary: true },
+    0x16: { name: 'battery_charging', size: 1, binary: true },
+    0x17: { name: 'carbon_monoxide', size: 1, binary: true },
+    0x18: { name: 'cold', size: 1, binary: true },
+    0x19: { name: 'connectivity', size: 1, binary: true },
+    0x1A: { name: 'door', size: 1, binary: true },
+    0x1B: { name: 'garage_door', size: 1, binary: true },
+    0x1C: { name: 'gas_detected', size: 1, binary: true },
+    0x1D: { name: 'heat', size: 1, binary: true },
+    0x1E: { name: 'light', size: 1, binary: true },
+    0x1F: { name: 'lock', size: 1, binary: true },
+    0x20: { name: 'moisture_detected', size: 1, binary: true },
+    0x21: { name: 'motion', size: 1, binary: true },
+    0x22: { name: 'moving', size: 1, binary: true },
+    0x23: { name: 'occupancy', size: 1, binary: true },
+    0x24: { name: 'plug', size: 1, binary: true },
+    0x25: { name: 'presence', size: 1, binary: true },
+    0x26: { name: 'problem', size: 1, binary: true },
+    0x27: { name: 'running', size: 1, binary: true },
+    0x28: { name: 'safety', size: 1, binary: true },
+    0x29: { name: 'smoke', size: 1, binary: true },
+    0x2A: { name: 'sound', size: 1, binary: true },
+    0x2B: { name: 'tamper', size: 1, binary: true },
+    0x2C: { name: 'vibration', size: 1, binary: true },
+    0x2D: { name: 'window', size: 1, binary: true },
+    0x2E: { name: 'humidity', size: 1 },
+    0x2F: { name: 'moisture', size: 1 },
+    0x3A: { name: 'button', size: 1, event: true },
+    0x3C: { name: 'dimmer', size: 2, event: true },
+    0x3D: { name: 'count', size: 2 },
+    0x3E: { name: 'count', size: 4 },
+    0x3F: { name: 'rotation', size: 2, signed: true, factor: 0.1 },
+    0x40: { name: 'distance_mm', size: 2 },
+    0x41: { name: 'distance_m', size: 2, factor: 0.1 },
+    0x42: { name: 'duration', size: 3, factor: 0.001 },
+    0x43: { name: 'current', size: 2, factor: 0.001 },
+    0x44: { name: 'speed', size: 2, factor: 0.01 },
+    0x45: { name: 'temperature', size: 2, signed: true, factor: 0.1 },
+    0x46: { name: 'uv_index', size: 1, factor: 0.1 },
+    0x47: { name: 'volume', size: 2, factor: 0.1 },
+    0x48: { name: 'volume_ml', size: 2 },
+    0x49: { name: 'volume_flow_rate', size: 2, factor: 0.001 },
+    0x4A: { name: 'voltage', size: 2, factor: 0.1 },
+    0x4B: { name: 'gas', size: 3, factor: 0.001 },
+    0x4C: { name: 'gas', size: 4, factor: 0.001 },
+    0x4D: { name: 'energy', size: 4, factor: 0.001 },
+    0x4E: { name: 'volume', size: 4, factor: 0.001 },
+    0x4F: { name: 'water', size: 4, factor: 0.001 },
+    0x50: { name: 'timestamp', size: 4 },
+    0x51: { name: 'acceleration', size: 2, factor: 0.001 },
+    0x52: { name: 'gyroscope', size: 2, factor: 0.001 },
+    0x57: { name: 'temperature', size: 1, signed: true },
+    0x58: { name: 'temperature', size: 1, signed: true, factor: 0.35 },
+    0x59: { name: 'count', size: 1, signed: true },
+    0x5A: { name: 'count', size: 2, signed: true },
+    0x5B: { name: 'count', size: 4, signed: true },
+    0x5C: { name: 'power', size: 4, signed: true, factor: 0.01 },
+    0x5D: { name: 'current', size: 2, signed: true, factor: 0.001 },
+    0x5E: { name: 'direction', size: 2, factor: 0.01 },
+    0x5F: { name: 'precipitation', size: 2, factor: 0.1 },
+    0x60: { name: 'channel', size: 1 }
+};
+
+// Variable length objects: the first byte after the object ID holds the length
+const TEXT_OBJECT_ID = 0x53;
+const RAW_OBJECT_ID = 0x54;
+
+const BUTTON_EVENTS = {
+    0x00: null,
+    0x01: 'press',
+    0x02: 'double_press',
+    0x03: 'triple_press',
+    0x04: 'long_press',
+    0x05: 'long_double_press',
+    0x06: 'long_triple_press',
+    0x80: 'hold_press'
+};
+
+/**
+ * Read a little-endian integer of 1-4 bytes
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Start offset
+ * @param {number} size - Size in bytes
+ * @param {boolean} signed - Whether the value is signed
+ * @returns {number} Integer value
+ */
+function readIntLE(buffer, offset, size, signed) {
+    return signed ? buffer.readIntLE(offset, size) : buffer.readUIntLE(offset, size);
+}
+
+/**
+ * Scale a raw value and strip floating point noise
+ * @param {number} value - Raw integer value
+ * @param {number} factor - Scaling factor
+ * @returns {number} Scaled value
+ */
+function scale(value, factor) {
+    if (!factor) {
+        return value;
+    }
+    const decimals = Math.max(0, Math.ceil(-Math.log10(factor)) + 1);
+    return Number((value * factor).toFixed(decimals));
+}
+
+/**
+ * Decode the BTHome object list into named fields. Repeated objects get a numeric suffix
+ * (temperature, temperature_2, ...).
+ * @param {Buffer} objects - Unencrypted object data
+ * @returns {Object} Decoded fields
+ */
+function decodeObjects(objects) {
+    const fields = {};
+    const addField = (name, value) => {
+        let key = name;
+        for (let index = 2; fields[key] !== undefined; index++) {
+            key = `${name}_${index}`;
+        }
+        fields[key] = value;
+    };
+
+    let offset = 0;
+    while (offset < objects.length) {
+        const objectId = objects.readUInt8(offset);
+        offset++;
+
+        if (objectId === TEXT_OBJECT_ID || objectId === RAW_OBJECT_ID) {
+            const length = objects.readUInt8(offset);
+            const value = objects.slice(offset + 1, offset + 1 + length);
+            if (value.length !== length) {
+                throw new Error(`Truncated BTHome object 0x${objectId.toString(16)}`);
+            }
+            addField(objectId === TEXT_OBJECT_ID ? 'text' : 'raw', objectId === TEXT_OBJECT_ID ? value.toString('utf8') : value.toString('hex').toUpperCase());
+            offset += 1 + length;
+            continue;
+        }
+
+        const objectType = OBJECT_TYPES[objectId];
+        if (!objectType) {
+            // Without the size of the object the rest of the data cannot be decoded
+            throw new Error(`Unknown BTHome object ID 0x${objectId.toString(16).padStart(2, '0')}`);
+        }
+
+        if (offset + objectType.size > objects.length) {
+            throw new Error(`Truncated BTHome object ${objectType.name}`);
+        }
+
+        const rawValue = readIntLE(objects, offset, objectType.size, objectType.signed);
+        offset += objectType.size;
+
+        if (objectType.binary) {
+            addField(objectType.name, rawValue === 1);
+        } else if (objectType.name === 'button') {
+            addField(objectType.name, BUTTON_EVENTS[rawValue] !== undefined ? BUTTON_EVENTS[rawValue] : rawValue);
+        } else {
+            addField(objectType.name, scale(rawValue, objectType.factor));
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Decrypt an encrypted BTHome v2 payload with AES-128-CCM
+ * @param {Buffer} payload - Service data after the UUID (device info byte first)
+ * @param {string} macAddress - Device MAC address (XX:XX:XX:XX:XX:XX)
+ * @param {string} bindkey - 32 hex character encryption key
+ * @returns {{objects: Buffer, counter: number}} Decrypted object data and replay counter
+ */
+function decryptPayload(payload, macAddress, bindkey) {
+    // Device info (1) + at least one object byte + counter (4) + MIC (4)
+    if (payload.length < 10) {
+        throw new Error(`Encrypted BTHome payload too short (${payload.length} bytes)`);
+    }
+
+    const ciphertext = payload.slice(1, payload.length - 8);
+    const counter = payload.slice(payload.length - 8, payload.length - 4);
+    const mic = payload.slice(payload.length - 4);
+
+    const nonce = Buffer.concat([
+        Buffer.from(normalizeMac(macAddress), 'hex'),
+        Buffer.from([0xD2, 0xFC]),
+        payload.slice(0, 1),
+        counter
+    ]);
+
+    const decipher = crypto.createDecipheriv('aes-128-ccm', Buffer.from(bindkey, 'hex'), nonce, { authTagLength: 4 });
+    decipher.setAuthTag(mic);
+    const objects = decipher.update(ciphertext);
+
+    try {
+        decipher.final();
+    } catch (error) {
+        throw new Error('BTHome decryption failed: wrong bindkey or corrupted data');
+    }
+
+    return { objects, counter: counter.readUInt32LE(0) };
+}
+
+/**
+ * Decode BTHome v2 service data of a parsed device
+ * @param {Object} parsedDevice - Device parsed by device-parser (with service_data)
+ * @returns {Object|null} Fields to merge into the device ({ bthome }) or null if not BTHome
+ */
+function decode(parsedDevice) {
+    const serviceData = (parsedDevice.service_data || []).find(entry => entry.uuid === BTHOME_SERVICE_UUID);
+
+    if (!serviceData || serviceData.data_hex.length === 0) {
+        return null;
+    }
+
+    const payload = Buffer.from(serviceData.data_hex, 'hex');
+    const deviceInfo = payload.readUInt8(0);
+    const version = deviceInfo >> 5;
+    const encrypted = (deviceInfo & 0x01) === 1;
+
+    if (version !== 2) {
+        throw new Error(`Unsupported BTHome version ${version}`);
+    }
+
+    const bthome = {
+        version,
+        encrypted,
+        trigger_based: (deviceInfo & 0x04) === 0x04
+    };
+
+    if (!encrypted) {
+        return { bthome: { ...bthome, ...decodeObjects(payload.slice(1)) } };
+    }
+
+    const deviceConfig = config.homeAssistant.devices.get(normalizeMac(parsedDevice.mac_address));
+    if (!deviceConfig || !deviceConfig.bindkey) {
+        // Publish what is known; the readings stay encrypted without a bindkey
+        return { bthome };
+    }
+
+    const { objects, counter } = decryptPayload(payload, parsedDevice.mac_address, deviceConfig.bindkey);
+
+    return { bthome: { ...bthome, counter, ...decodeObjects(objects) } };
+}
+
+module.exports = {
+    name: 'bthome',
+    match: { serviceUuid: BTHOME_SERVICE_UUID },
+    decode,
+    decodeObjects,
+    BTHOME_SERVICE_UUID,
+    OBJECT_TYPES
+};
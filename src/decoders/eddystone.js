@@ -0,0 +1,165 @@
+/**
+ * Eddystone Decoder
+ * Decodes Eddystone UID, URL and TLM frames carried in 0xFEAA service data
+ */
+
+// Eddystone 16-bit service UUID
+const EDDYSTONE_SERVICE_UUID = 'FEAA';
+
+const FRAME_TYPES = {
+    0x00: 'uid',
+    0x10: 'url',
+    0x20: 'tlm',
+    0x30: 'eid'
+};
+
+/**
+ * URL scheme prefixes (first byte of a URL frame)
+ */
+const URL_SCHEMES = [
+    'http://www.',
+    'https://www.',
+    'http://',
+    'https://'
+];
+
+/**
+ * URL expansion codes (bytes 0x00-0x0D in the encoded URL)
+ */
+const URL_EXPANSIONS = [
+    '.com/', '.org/', '.edu/', '.net/', '.info/', '.biz/', '.gov/',
+    '.com', '.org', '.edu', '.net', '.info', '.biz', '.gov'
+];
+
+/**
+ * Decode an Eddystone-UID frame
+ * @param {Buffer} frame - Service data starting at the frame type byte
+ * @returns {Object} Decoded UID fields
+ */
+function decodeUid(frame) {
+    if (frame.length < 18) {
+        throw new Error(`Eddystone UID frame too short (${frame.length} bytes, expected 18)`);
+    }
+
+    return {
+        frame_type: 'uid',
+        tx_power: frame.readInt8(1),
+        namespace: frame.slice(2, 12).toString('hex').toUpperCase(),
+        instance: frame.slice(12, 18).toString('hex').toUpperCase()
+    };
+}
+
+/**
+ * Decode an Eddystone-URL frame, expanding the scheme and expansion codes
+ * @param {Buffer} frame - Service data starting at the frame type byte
+ * @returns {Object} Decoded URL fields
+ */
+function decodeUrl(frame) {
+    if (frame.length < 3) {
+        throw new Error(`Eddystone URL frame too short (${frame.length} bytes, expected at least 3)`);
+    }
+
+    const scheme = URL_SCHEMES[frame.readUInt8(2)];
+    if (scheme === undefined) {
+        throw new Error(`Unknown Eddystone URL scheme prefix 0x${frame.readUInt8(2).toString(16)}`);
+    }
+
+    let url = scheme;
+    for (const byte of frame.slice(3)) {
+        if (byte < URL_EXPANSIONS.length) {
+            url += URL_EXPANSIONS[byte];
+        } else if (byte > 0x20 && byte < 0x7F) {
+            url += String.fromCharCode(byte);
+        } else {
+            throw new Error(`Invalid character 0x${byte.toString(16)} in Eddystone URL`);
+        }
+    }
+
+    return {
+        frame_type: 'url',
+        tx_power: frame.readInt8(1),
+        url
+    };
+}
+
+/**
+ * Decode an Eddystone-TLM frame. Unsupported values (0 mV battery, 0x8000 temperature) become null.
+ * @param {Buffer} frame - Service data starting at the frame type byte
+ * @returns {Object} Decoded telemetry fields
+ */
+function decodeTlm(frame) {
+    if (frame.length < 2) {
+        throw new Error(`Eddystone TLM frame too short (${frame.length} bytes)`);
+    }
+
+    const version = frame.readUInt8(1);
+
+    // Version 1 is encrypted TLM (eTLM), which requires the beacon's identity key
+    if (version !== 0) {
+        return {
+            frame_type: 'tlm',
+            version,
+            encrypted: true
+        };
+    }
+
+    if (frame.length < 14) {
+        throw new Error(`Eddystone TLM frame too short (${frame.length} bytes, expected 14)`);
+    }
+
+    const batteryMillivolts = frame.readUInt16BE(2);
+    const rawTemperature = frame.readUInt16BE(4);
+
+    return {
+        frame_type: 'tlm',
+        version,
+        battery_voltage: batteryMillivolts === 0 ? null : batteryMillivolts / 1000,
+        // Signed 8.8 fixed point degrees Celsius
+        temperature: rawTemperature === 0x8000 ? null : frame.readInt16BE(4) / 256,
+        adv_count: frame.readUInt32BE(6),
+        // Uptime is counted in 0.1 second steps
+        uptime_seconds: frame.readUInt32BE(10) / 10
+    };
+}
+
+/**
+ * Decode an Eddystone frame from the service data of a parsed device
+ * @param {Object} parsedDevice - Device parsed by device-parser (with service_data)
+ * @returns {Object|null} Fields to merge into the device ({ eddystone }) or null if not Eddystone
+ */
+function decode(parsedDevice) {
+    const serviceData = (parsedDevice.service_data || []).find(entry => entry.uuid === EDDYSTONE_SERVICE_UUID);
+
+    if (!serviceData || serviceData.data_hex.length === 0) {
+        return null;
+    }
+
+    const frame = Buffer.from(serviceData.data_hex, 'hex');
+    const frameType = FRAME_TYPES[frame.readUInt8(0)];
+
+    switch (frameType) {
+        case 'uid':
+            return { eddystone: decodeUid(frame) };
+        case 'url':
+            return { eddystone: decodeUrl(frame) };
+        case 'tlm':
+            return { eddystone: decodeTlm(frame) };
+        case 'eid':
+            return {
+                eddystone: {
+                    frame_type: 'eid',
+                    tx_power: frame.length > 1 ? frame.readInt8(1) : null,
+                    ephemeral_id: frame.slice(2, 10).toString('hex').toUpperCase()
+                }
+            };
+        default:
+            throw new Error(`Unknown Eddystone frame type 0x${frame.readUInt8(0).toString(16)}`);
+    }
+}
+
+module.exports = {
+    name: 'eddystone',
+    match: { serviceUuid: EDDYSTONE_SERVICE_UUID },
+    decode,
+    EDDYSTONE_SERVICE_UUID
+};
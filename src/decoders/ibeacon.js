@@ -0,0 +1,58 @@
+/**
+ * iBeacon Decoder
+ * Decodes Apple iBeacon frames carried in manufacturer specific data
+ */
+
+// Apple Inc. Bluetooth SIG company identifier
+const APPLE_COMPANY_ID = 0x004C;
+
+// iBeacon type (0x02) and remaining length (0x15 = 21 bytes)
+const IBEACON_PREFIX = '0215';
+
+/**
+ * Format 16 UUID bytes (as transmitted, MSB first) in the canonical 8-4-4-4-12 form
+ * @param {Buffer} uuidBuffer - 16 byte proximity UUID
+ * @returns {string} Uppercase UUID string
+ */
+function formatProximityUuid(uuidBuffer) {
+    const hex = uuidBuffer.toString('hex').toUpperCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Decode an iBeacon frame from the manufacturer data of a parsed device
+ * @param {Object} parsedDevice - Device parsed by device-parser (with manufacturer_data)
+ * @returns {Object|null} Fields to merge into the device ({ ibeacon }) or null if not an iBeacon
+ */
+function decode(parsedDevice) {
+    const appleData = (parsedDevice.manufacturer_data || []).find(entry =>
+        entry.company_id === APPLE_COMPANY_ID && entry.data_hex.startsWith(IBEACON_PREFIX)
+    );
+
+    if (!appleData) {
+        return null;
+    }
+
+    const data = Buffer.from(appleData.data_hex, 'hex');
+
+    // Prefix (2) + UUID (16) + major (2) + minor (2) + measured power (1)
+    if (data.length < 23) {
+        throw new Error(`iBeacon frame too short (${data.length} bytes, expected 23)`);
+    }
+
+    return {
+        ibeacon: {
+            uuid: formatProximityUuid(data.slice(2, 18)),
+            major: data.readUInt16BE(18),
+            minor: data.readUInt16BE(20),
+            measured_power: data.readInt8(22)
+        }
+    };
+}
+
+module.exports = {
+    name: 'ibeacon',
+    match: { companyId: APPLE_COMPANY_ID },
+    decode,
+    APPLE_COMPANY_ID
+};
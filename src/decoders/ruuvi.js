@@ -0,0 +1,95 @@
+/**
+ * RuuviTag Decoder
+ * Decodes RuuviTag data format 5 (RAWv2) manufacturer data
+ */
+
+// Ruuvi Innovations Ltd. Bluetooth SIG company identifier
+const RUUVI_COMPANY_ID = 0x0499;
+
+const DATA_FORMAT_RAWV2 = 0x05;
+
+/**
+ * Round a scaled sensor value to remove floating point noise
+ * @param {number} value - Value to round
+ * @param {number} decimals - Number of decimals to keep
+ * @returns {number} Rounded value
+ */
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Decode a RAWv2 payload. Sentinel values marking "not available" become null.
+ * @param {Buffer} data - Manufacturer data after the company ID, starting at the format byte
+ * @returns {Object} Decoded sensor values
+ */
+function decodeRawV2(data) {
+    if (data.length < 24) {
+        throw new Error(`Ruuvi RAWv2 payload too short (${data.length} bytes, expected 24)`);
+    }
+
+    const rawTemperature = data.readInt16BE(1);
+    const rawHumidity = data.readUInt16BE(3);
+    const rawPressure = data.readUInt16BE(5);
+    const rawAcceleration = [data.readInt16BE(7), data.readInt16BE(9), data.readInt16BE(11)];
+    const powerInfo = data.readUInt16BE(13);
+    const rawBattery = powerInfo >> 5;
+    const rawTxPower = powerInfo & 0x1F;
+    const movementCounter = data.readUInt8(15);
+    const measurementSequence = data.readUInt16BE(16);
+    const macHex = data.slice(18, 24).toString('hex').toUpperCase();
+
+    // Signed 16-bit sentinel for temperature and acceleration
+    const INVALID_INT16 = -0x8000;
+    const acceleration = rawAcceleration.map(value => value === INVALID_INT16 ? null : round(value / 1000, 3));
+
+    return {
+        data_format: DATA_FORMAT_RAWV2,
+        // 0.005 degree Celsius steps
+        temperature: rawTemperature === INVALID_INT16 ? null : round(rawTemperature * 0.005, 3),
+        // 0.0025 % steps
+        humidity: rawHumidity === 0xFFFF ? null : round(rawHumidity * 0.0025, 4),
+        // Pascal with a 50000 Pa offset, published in hPa
+        pressure: rawPressure === 0xFFFF ? null : round((rawPressure + 50000) / 100, 2),
+        acceleration_x: acceleration[0],
+        acceleration_y: acceleration[1],
+        acceleration_z: acceleration[2],
+        // Millivolts above 1600 mV, published in V
+        battery_voltage: rawBattery === 0x7FF ? null : round((rawBattery + 1600) / 1000, 3),
+        // 2 dBm steps from -40 dBm
+        tx_power: rawTxPower === 0x1F ? null : rawTxPower * 2 - 40,
+        movement_counter: movementCounter === 0xFF ? null : movementCounter,
+        measurement_sequence: measurementSequence === 0xFFFF ? null : measurementSequence,
+        mac: macHex === 'FFFFFFFFFFFF' ? null : macHex.match(/.{2}/g).join(':')
+    };
+}
+
+/**
+ * Decode RuuviTag sensor data from the manufacturer data of a parsed device
+ * @param {Object} parsedDevice - Device parsed by device-parser (with manufacturer_data)
+ * @returns {Object|null} Fields to merge into the device ({ ruuvi }) or null if not a RAWv2 RuuviTag
+ */
+function decode(parsedDevice) {
+    const ruuviData = (parsedDevice.manufacturer_data || []).find(entry => entry.company_id === RUUVI_COMPANY_ID);
+
+    if (!ruuviData || ruuviData.data_hex.length === 0) {
+        return null;
+    }
+
+    const data = Buffer.from(ruuviData.data_hex, 'hex');
+
+    // Other formats (e.g. 3 = RAWv1, 0xC5 = cut-down RAWv2) are not decoded
+    if (data.readUInt8(0) !== DATA_FORMAT_RAWV2) {
+        return null;
+    }
+
+    return { ruuvi: decodeRawV2(data) };
+}
+
+module.exports = {
+    name: 'ruuvi',
+    match: { companyId: RUUVI_COMPANY_ID },
+    decode,
+    RUUVI_COMPANY_ID
+};
@@ -0,0 +1,145 @@
+/**
+ * Device Filter Module
+ * Drops parsed devices excluded by the FILTER_* rules (e.g. phones, TVs and neighbours'
+ * devices) before they are transformed, cached and published, and counts the dropped
+ * devices per rule for diagnostics
+ */
+
+const { config } = require('./config');
+const { findConfiguredDevice } = require('./device-identity');
+
+/**
+ * Filter rules in the order they are checked; a device is dropped by the first rule it fails
+ */
+const FILTER_RULES = ['mac_deny', 'mac_allow', 'configured_only', 'min_rssi', 'adv_type', 'company_id'];
+
+// Rule -> number of devices dropped by it
+const droppedCounts = new Map(FILTER_RULES.map(rule => [rule, 0]));
+let passedCount = 0;
+
+/**
+ * Gets the filter configuration; all rules are disabled if it is missing
+ * @returns {Object} FILTER_* configuration
+ */
+function getFilterConfig() {
+    return config.deviceFilter || {};
+}
+
+/**
+ * Checks whether any filter rule is configured
+ * @returns {boolean} True if devices can be dropped
+ */
+function isEnabled() {
+    const filterConfig = getFilterConfig();
+    return Boolean(
+        (filterConfig.macAllow && filterConfig.macAllow.length > 0) ||
+        (filterConfig.macDeny && filterConfig.macDeny.length > 0) ||
+        filterConfig.configuredOnly ||
+        (filterConfig.minRssi !== null && filterConfig.minRssi !== undefined) ||
+        (filterConfig.advTypes && filterConfig.advTypes.length > 0) ||
+        (filterConfig.companyIds && filterConfig.companyIds.length > 0)
+    );
+}
+
+/**
+ * Checks whether a MAC address starts with one of the listed MAC addresses or prefixes
+ * @param {string} mac - MAC address in any format
+ * @param {Array<string>} prefixes - MAC addresses or prefixes without separators, lowercase
+ * @returns {boolean} True if the MAC address matches an entry
+ */
+function matchesMacList(mac, prefixes) {
+    const normalizedMac = (mac || '').replace(/[:-]/g, '').toLowerCase();
+    return prefixes.some(prefix => normalizedMac.startsWith(prefix));
+}
+
+/**
+ * Gets the rule that drops a device
+ * @param {Object} device - Parsed device from device-parser
+ * @returns {string|null} Name of the first rule the device fails, or null if it is kept
+ */
+function getDropReason(device) {
+    const filterConfig = getFilterConfig();
+
+    if (filterConfig.macDeny && filterConfig.macDeny.length > 0 && matchesMacList(device.mac_address, filterConfig.macDeny)) {
+        return 'mac_deny';
+    }
+
+    if (filterConfig.macAllow && filterConfig.macAllow.length > 0 && !matchesMacList(device.mac_address, filterConfig.macAllow)) {
+        return 'mac_allow';
+    }
+
+    // Configured devices are matched by MAC or by iBeacon identity
+    if (filterConfig.configuredOnly && !findConfiguredDevice(device)) {
+        return 'configured_only';
+    }
+
+    if (typeof filterConfig.minRssi === 'number' && device.rssi < filterConfig.minRssi) {
+        return 'min_rssi';
+    }
+
+    if (filterConfig.advTypes && filterConfig.advTypes.length > 0 && !filterConfig.advTypes.includes(device.advertising_type_code)) {
+        return 'adv_type';
+    }
+
+    if (filterConfig.companyIds && filterConfig.companyIds.length > 0) {
+        const hasCompanyId = (device.manufacturer_data || []).some(entry => filterConfig.companyIds.includes(entry.company_id));
+        if (!hasCompanyId) {
+            return 'company_id';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Drops the devices excluded by the filter rules and counts them per rule
+ * @param {Array<Object>} devices - Parsed devices from device-parser
+ * @returns {Array<Object>} Devices to publish
+ */
+function filterDevices(devices) {
+    if (!isEnabled()) {
+        return devices;
+    }
+
+    return devices.filter(device => {
+        const dropReason = getDropReason(device);
+        if (dropReason) {
+            droppedCounts.set(dropReason, droppedCounts.get(dropReason) + 1);
+            return false;
+        }
+        passedCount++;
+        return true;
+    });
+}
+
+/**
+ * Gets the filter counters, reported by GET /health
+ * @returns {{enabled: boolean, passed: number, dropped: Object}} Devices passed and dropped per rule since startup
+ */
+function getMetrics() {
+    return {
+        enabled: isEnabled(),
+        passed: passedCount,
+        dropped: Object.fromEntries(droppedCounts)
+    };
+}
+
+/**
+ * Resets the filter counters
+ * Primarily used for testing
+ */
+function reset() {
+    for (const rule of FILTER_RULES) {
+        droppedCounts.set(rule, 0);
+    }
+    passedCount = 0;
+}
+
+module.exports = {
+    FILTER_RULES,
+    isEnabled,
+    getDropReason,
+    filterDevices,
+    getMetrics,
+    reset
+};
@@ -0,0 +1,126 @@
+/**
+ * Device Identity Module
+ * Resolves which configured Home Assistant device a device payload belongs to
+ */
+
+const { config } = require('./config');
+const logger = require('./logger');
+const { normalizeMac, createIBeaconDeviceKey } = require('./utils');
+const privateAddress = require('./private-address');
+
+/**
+ * Maximum number of resolved private addresses remembered; phones rotate their
+ * address every few minutes, so older entries are dropped
+ */
+const MAX_RESOLVED_ADDRESSES = 1000;
+
+// Resolvable private address (normalized) -> configured device key, or null if no IRK resolves it
+const resolvedAddresses = new Map();
+
+/**
+ * Find the configured device whose Identity Resolving Key generated a resolvable private address
+ * @param {string} normalizedMac - MAC address without colons
+ * @param {Map<string, Object>} devices - Configured devices
+ * @returns {string|null} Key of the matching device, or null
+ */
+function resolvePrivateAddress(normalizedMac, devices) {
+    if (resolvedAddresses.has(normalizedMac)) {
+        const deviceKey = resolvedAddresses.get(normalizedMac);
+        if (deviceKey === null || devices.has(deviceKey)) {
+            return deviceKey;
+        }
+    }
+
+    let resolvedKey = null;
+    for (const [deviceKey, device] of devices.entries()) {
+        if (device.irk && privateAddress.resolvesToIrk(normalizedMac, Buffer.from(device.irk, 'hex'))) {
+            resolvedKey = deviceKey;
+            break;
+        }
+    }
+
+    if (resolvedAddresses.size >= MAX_RESOLVED_ADDRESSES) {
+        // Maps iterate in insertion order, so this drops the oldest address
+        resolvedAddresses.delete(resolvedAddresses.keys().next().value);
+    }
+    resolvedAddresses.set(normalizedMac, resolvedKey);
+
+    return resolvedKey;
+}
+
+/**
+ * Find the configured device matching a device payload.
+ * Devices are matched by MAC address first, then by iBeacon UUID/major/minor,
+ * then by resolving a resolvable private address with the devices' IRKs.
+ * @param {Object} devicePayload - Device JSON payload
+ * @param {Map<string, Object>} devices - Configured devices (defaults to config.homeAssistant.devices)
+ * @returns {{key: string, device: Object, resolvedAddress: boolean}|null} Matching device key and config
+ *          (resolvedAddress is true when an IRK resolved the address), or null
+ */
+function findConfiguredDevice(devicePayload, devices = config.homeAssistant.devices) {
+    if (!devicePayload || !devicePayload.mac_address || !devices) {
+        return null;
+    }
+
+    const normalizedMac = normalizeMac(devicePayload.mac_address);
+    if (devices.has(normalizedMac)) {
+        return { key: normalizedMac, device: devices.get(normalizedMac), resolvedAddress: false };
+    }
+
+    if (devicePayload.ibeacon) {
+        const ibeaconKey = createIBeaconDeviceKey(devicePayload.ibeacon);
+        if (devices.has(ibeaconKey)) {
+            return { key: ibeaconKey, device: devices.get(ibeaconKey), resolvedAddress: false };
+        }
+    }
+
+    if (privateAddress.mayBeResolvable(normalizedMac)) {
+        const resolvedKey = resolvePrivateAddress(normalizedMac, devices);
+        if (resolvedKey) {
+            return { key: resolvedKey, device: devices.get(resolvedKey), resolvedAddress: true };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Set device_id on payloads that match a configured device by something other
+ * than their MAC address, so they are cached and published under the configured key.
+ * Addresses resolved with an IRK are marked as resolvable private addresses.
+ * @param {Array<Object>} devicePayloads - Device JSON payloads (modified in place)
+ * @param {Map<string, Object>} devices - Configured devices (defaults to config.homeAssistant.devices)
+ * @returns {Array<Object>} The same payloads
+ */
+function applyDeviceIdentities(devicePayloads, devices = config.homeAssistant.devices) {
+    for (const payload of devicePayloads) {
+        const match = findConfiguredDevice(payload, devices);
+        if (match && match.key !== normalizeMac(payload.mac_address)) {
+            payload.device_id = match.key;
+            if (match.resolvedAddress) {
+                payload.address_type = privateAddress.ADDRESS_TYPES.RESOLVABLE_PRIVATE;
+            }
+            logger.debug('Resolved device identity', {
+                mac: payload.mac_address,
+                deviceId: match.key,
+                name: match.device.name
+            });
+        }
+    }
+
+    return devicePayloads;
+}
+
+/**
+ * Forget all resolved private addresses
+ * Primarily used for testing
+ */
+function resetResolvedAddresses() {
+    resolvedAddresses.clear();
+}
+
+module.exports = {
+    findConfiguredDevice,
+    applyDeviceIdentities,
+    resetResolvedAddresses
+};
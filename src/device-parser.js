@@ -4,6 +4,8 @@
  */
 
 const logger = require('./logger');
+const decoderRegistry = require('./decoder-registry');
+const { classifyAddress } = require('./private-address');
 
 /**
  * Advertising type code descriptions as per FR-003.3 and FRD Section 4.2.3
@@ -16,6 +18,197 @@ const ADVERTISING_TYPE_DESCRIPTIONS = {
     4: 'Scan Response'
 };
 
+/**
+ * AD structure type names as per the Bluetooth Core Specification Supplement, Part A
+ */
+const AD_TYPE_NAMES = {
+    0x01: 'Flags',
+    0x02: 'Incomplete List of 16-bit Service UUIDs',
+    0x03: 'Complete List of 16-bit Service UUIDs',
+    0x04: 'Incomplete List of 32-bit Service UUIDs',
+    0x05: 'Complete List of 32-bit Service UUIDs',
+    0x06: 'Incomplete List of 128-bit Service UUIDs',
+    0x07: 'Complete List of 128-bit Service UUIDs',
+    0x08: 'Shortened Local Name',
+    0x09: 'Complete Local Name',
+    0x0A: 'Tx Power Level',
+    0x16: 'Service Data - 16-bit UUID',
+    0x20: 'Service Data - 32-bit UUID',
+    0x21: 'Service Data - 128-bit UUID',
+    0xFF: 'Manufacturer Specific Data'
+};
+
+/**
+ * Format a little-endian UUID buffer as an uppercase hex string (MSB first).
+ * 16-bit and 32-bit UUIDs are returned as plain hex ("FEAA"), 128-bit UUIDs
+ * in the canonical 8-4-4-4-12 form.
+ * @param {Buffer} uuidBuffer - UUID bytes as transmitted over the air (little-endian)
+ * @returns {string} Formatted UUID
+ */
+function formatUuid(uuidBuffer) {
+    const hex = Buffer.from(uuidBuffer).reverse().toString('hex').toUpperCase();
+
+    if (hex.length !== 32) {
+        return hex;
+    }
+
+    return [
+        hex.slice(0, 8),
+        hex.slice(8, 12),
+        hex.slice(12, 16),
+        hex.slice(16, 20),
+        hex.slice(20)
+    ].join('-');
+}
+
+/**
+ * Split a UUID list AD structure into formatted UUIDs
+ * @param {Buffer} value - AD structure value
+ * @param {number} uuidSize - Size of each UUID in bytes (2, 4 or 16)
+ * @param {Array<string>} warnings - Warning collector
+ * @returns {Array<string>} Formatted UUIDs
+ */
+function parseUuidList(value, uuidSize, warnings) {
+    const uuids = [];
+
+    if (value.length % uuidSize !== 0) {
+        warnings.push(`Service UUID list length ${value.length} is not a multiple of ${uuidSize} bytes`);
+    }
+
+    for (let offset = 0; offset + uuidSize <= value.length; offset += uuidSize) {
+        uuids.push(formatUuid(value.slice(offset, offset + uuidSize)));
+    }
+
+    return uuids;
+}
+
+/**
+ * Parse raw advertisement data into its length/type/value AD structures.
+ * Malformed or truncated structures are reported as warnings; everything that
+ * could be decoded before the problem is still returned.
+ * @param {Buffer} advertisementData - Advertisement data (bytes 9+ of a device record)
+ * @returns {Object} Decoded AD structures, the fields derived from them and any warnings
+ */
+function parseAdvertisementData(advertisementData) {
+    const result = {
+        structures: [],
+        fields: {},
+        warnings: []
+    };
+
+    let offset = 0;
+    while (offset < advertisementData.length) {
+        const length = advertisementData.readUInt8(offset);
+
+        // A zero length marks the end of the significant part; the remainder is padding
+        if (length === 0) {
+            break;
+        }
+
+        if (offset + 1 + length > advertisementData.length) {
+            result.warnings.push(`Truncated AD structure at offset ${offset}: length ${length} exceeds remaining ${advertisementData.length - offset - 1} bytes`);
+            break;
+        }
+
+        const type = advertisementData.readUInt8(offset + 1);
+        const value = advertisementData.slice(offset + 2, offset + 1 + length);
+
+        result.structures.push({
+            type: type,
+            type_name: AD_TYPE_NAMES[type] || `Unknown AD type (0x${type.toString(16).padStart(2, '0').toUpperCase()})`,
+            length: length,
+            value_hex: value.toString('hex').toUpperCase()
+        });
+
+        decodeAdStructure(type, value, result.fields, result.warnings);
+
+        offset += 1 + length;
+    }
+
+    return result;
+}
+
+/**
+ * Decode the value of a single AD structure into named fields
+ * @param {number} type - AD type
+ * @param {Buffer} value - AD structure value (without length and type bytes)
+ * @param {Object} fields - Field collector
+ * @param {Array<string>} warnings - Warning collector
+ */
+function decodeAdStructure(type, value, fields, warnings) {
+    switch (type) {
+        case 0x01:
+            if (value.length < 1) {
+                warnings.push('Flags AD structure has no value');
+                return;
+            }
+            fields.flags = value.readUInt8(0);
+            break;
+
+        case 0x02:
+        case 0x03:
+        case 0x04:
+        case 0x05:
+        case 0x06:
+        case 0x07: {
+            const uuidSize = type <= 0x03 ? 2 : (type <= 0x05 ? 4 : 16);
+            fields.service_uuids = (fields.service_uuids || []).concat(parseUuidList(value, uuidSize, warnings));
+            break;
+        }
+
+        case 0x08:
+            // A complete local name always takes precedence over a shortened one
+            if (fields.local_name === undefined) {
+                fields.local_name = value.toString('utf8');
+            }
+            break;
+
+        case 0x09:
+            fields.local_name = value.toString('utf8');
+            break;
+
+        case 0x0A:
+            if (value.length < 1) {
+                warnings.push('Tx Power Level AD structure has no value');
+                return;
+            }
+            fields.tx_power = value.readInt8(0);
+            break;
+
+        case 0x16:
+        case 0x20:
+        case 0x21: {
+            const uuidSize = type === 0x16 ? 2 : (type === 0x20 ? 4 : 16);
+            if (value.length < uuidSize) {
+                warnings.push(`Service Data AD structure too short for a ${uuidSize * 8}-bit UUID (${value.length} bytes)`);
+                return;
+            }
+            fields.service_data = fields.service_data || [];
+            fields.service_data.push({
+                uuid: formatUuid(value.slice(0, uuidSize)),
+                data_hex: value.slice(uuidSize).toString('hex').toUpperCase()
+            });
+            break;
+        }
+
+        case 0xFF:
+            if (value.length < 2) {
+                warnings.push(`Manufacturer Specific Data AD structure too short for a company ID (${value.length} bytes)`);
+                return;
+            }
+            fields.manufacturer_data = fields.manufacturer_data || [];
+            fields.manufacturer_data.push({
+                company_id: value.readUInt16LE(0),
+                data_hex: value.slice(2).toString('hex').toUpperCase()
+            });
+            break;
+
+        default:
+            // Unknown or unsupported AD types are kept as raw structures only
+            break;
+    }
+}
+
 /**
  * Parse a single BLE device from raw advertising data
  * @param {Buffer} deviceData - Raw advertising data buffer
@@ -64,15 +257,38 @@ function parseDevice(deviceData, deviceIndex = 0) {
             advertising_type_code: advertisingTypeCode,
             advertising_type_description: advertisingTypeDescription,
             mac_address: macAddress,
+            address_type: classifyAddress(macAddress),
             rssi: rssi,
             advertisement_data_hex: advertisementDataHex
         };
 
+        // Split the advertisement into AD structures; malformed data only produces warnings
+        const advertisement = parseAdvertisementData(advertisementDataBuffer);
+        parsedDevice.ad_structures = advertisement.structures;
+        Object.assign(parsedDevice, advertisement.fields);
+
+        // Apply the registered payload decoders; a failing decoder only adds a warning
+        const decoded = decoderRegistry.decodeDevice(parsedDevice);
+        Object.assign(parsedDevice, decoded.fields);
+        if (decoded.decoder) {
+            parsedDevice.decoder = decoded.decoder;
+        }
+        advertisement.warnings.push(...decoded.warnings);
+
+        if (advertisement.warnings.length > 0) {
+            parsedDevice.parse_warnings = advertisement.warnings;
+            logger.warn(`Malformed advertisement data for device ${deviceIndex}`, {
+                mac: macAddress,
+                warnings: advertisement.warnings
+            });
+        }
+
         logger.debug(`Successfully parsed device ${deviceIndex}`, {
             mac: macAddress,
             rssi: rssi,
             advertisingType: advertisingTypeCode,
-            dataLength: advertisementDataBuffer.length
+            dataLength: advertisementDataBuffer.length,
+            adStructures: advertisement.structures.length
         });
 
         return parsedDevice;
@@ -103,7 +319,8 @@ function parseDevices(devicesArray) {
         errors: [],
         totalCount: devicesArray.length,
         successCount: 0,
-        errorCount: 0
+        errorCount: 0,
+        decoderCounts: {}
     };
 
     devicesArray.forEach((deviceData, index) => {
@@ -111,6 +328,10 @@ function parseDevices(devicesArray) {
             const parsedDevice = parseDevice(deviceData, index);
             results.devices.push(parsedDevice);
             results.successCount++;
+
+            if (parsedDevice.decoder) {
+                results.decoderCounts[parsedDevice.decoder] = (results.decoderCounts[parsedDevice.decoder] || 0) + 1;
+            }
         } catch (error) {
             const errorInfo = {
                 index: index,
@@ -128,7 +349,8 @@ function parseDevices(devicesArray) {
     logger.info(`Device parsing completed`, {
         total: results.totalCount,
         successful: results.successCount,
-        errors: results.errorCount
+        errors: results.errorCount,
+        decoders: results.decoderCounts
     });
 
     return results;
@@ -271,7 +493,10 @@ function getDeviceStatistics(parsedDevices) {
 module.exports = {
     parseDevice,
     parseDevices,
+    parseAdvertisementData,
+    formatUuid,
     validateParsedDevice,
     getDeviceStatistics,
-    ADVERTISING_TYPE_DESCRIPTIONS
+    ADVERTISING_TYPE_DESCRIPTIONS,
+    AD_TYPE_NAMES
 };
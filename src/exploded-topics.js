@@ -0,0 +1,116 @@
+/**
+ * Exploded Topics Module
+ * Splits device payloads into one plain-text MQTT message per scalar field, for
+ * consumers that can't parse JSON, and remembers the last value published per field
+ * so only changed fields are published again
+ */
+
+const { config } = require('./config');
+
+// Field topic -> { value, lastSeen }
+const publishedValues = new Map();
+let lastPrunedAt = 0;
+
+/**
+ * Checks whether per-field topics are published (MQTT_EXPLODED_TOPICS=true)
+ * @returns {boolean} True if exploded topics are enabled
+ */
+function isEnabled() {
+    return Boolean(config.mqtt.exploded && config.mqtt.exploded.enabled);
+}
+
+/**
+ * Flattens a payload into its scalar fields. Nested objects (decoder namespaces) become
+ * nested topic levels; arrays and null values are skipped.
+ * @param {Object} payload - Device JSON payload
+ * @param {Array<string>} path - Topic levels of the enclosing objects
+ * @returns {Array<{field: string, value: string}>} Field paths (e.g. `ruuvi/temperature`) and values
+ */
+function flattenPayload(payload, path = []) {
+    const fields = [];
+
+    for (const [key, value] of Object.entries(payload)) {
+        if (value === null || value === undefined || Array.isArray(value)) {
+            continue;
+        }
+
+        // Field names become topic levels, so they must not add levels or wildcards
+        const fieldPath = [...path, key.replace(/[/+#]/g, '_')];
+
+        if (typeof value === 'object') {
+            fields.push(...flattenPayload(value, fieldPath));
+        } else {
+            fields.push({ field: fieldPath.join('/'), value: String(value) });
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Gets the field topics of a payload whose value differs from the last published one
+ * @param {string} stateTopic - Device state topic the field topics are nested under
+ * @param {Object} payload - Device JSON payload
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Array<{topic: string, value: string}>} Field topics to publish
+ */
+function getChangedFields(stateTopic, payload, now = Date.now()) {
+    pruneValues(now);
+
+    return flattenPayload(payload)
+        .map(({ field, value }) => ({ topic: `${stateTopic}/${field}`, value }))
+        .filter(({ topic, value }) => {
+            const published = publishedValues.get(topic);
+            if (published && published.value === value) {
+                published.lastSeen = now;
+                return false;
+            }
+            return true;
+        });
+}
+
+/**
+ * Records the value published to a field topic
+ * @param {string} topic - Field topic
+ * @param {string} value - Published value
+ * @param {number} now - Current timestamp in milliseconds
+ */
+function recordPublished(topic, value, now = Date.now()) {
+    publishedValues.set(topic, { value, lastSeen: now });
+}
+
+/**
+ * Forgets the values of devices that have not been seen for the device cache retention
+ * period (checked at most once per period), so random MAC addresses don't accumulate
+ * @param {number} now - Current timestamp in milliseconds
+ */
+function pruneValues(now) {
+    const maxAgeMs = config.mqtt.deviceCacheRetentionSeconds * 1000;
+    if (now - lastPrunedAt < maxAgeMs) {
+        return;
+    }
+
+    lastPrunedAt = now;
+    for (const [topic, published] of publishedValues.entries()) {
+        if (now - published.lastSeen > maxAgeMs) {
+            publishedValues.delete(topic);
+        }
+    }
+}
+
+/**
+ * Forgets all published values
+ * Primarily used for testing
+ */
+function reset() {
+    publishedValues.clear();
+    lastPrunedAt = 0;
+}
+
+module.exports = {
+    isEnabled,
+    flattenPayload,
+    getChangedFields,
+    recordPublished,
+    reset
+};
@@ -5,12 +5,103 @@
 
 const logger = require('./logger');
 const config = require('./config').config;
-const { formatMac, slugify } = require('./utils');
+const { formatMac, normalizeMac } = require('./utils');
+const { findConfiguredDevice } = require('./device-identity');
+const topicTemplate = require('./topic-template');
+const publishPolicy = require('./publish-policy');
+const changeDetector = require('./change-detector');
 
 // Set of device MACs for which we have already published discovery messages
 const publishedDevices = new Set();
-// Flag to track if gateway discovery messages have been published
-let gatewayDiscoveryPublished = false;
+// Set of "<device key>:<namespace>.<field>" entries for which decoded sensor discovery was published
+const publishedDecodedSensors = new Set();
+// Set of gateway MACs for which we have already published discovery messages ('' for a gateway without MAC)
+const publishedGateways = new Set();
+// Device key -> latest payload of a configured device, for state topics that depend on the message
+const latestPayloads = new Map();
+// Device key -> state topic the device's entities were announced with
+const announcedStateTopics = new Map();
+// Device key -> expire_after the device's entities were announced with
+const announcedExpireAfter = new Map();
+
+// How long to collect retained discovery configs when looking for stale entities
+const DISCOVERY_CLEANUP_WINDOW_MS = 10000;
+
+// Time allowed on top of a device's publish interval for its state message to arrive
+const EXPIRE_AFTER_MARGIN_SECONDS = 60;
+
+/**
+ * Gets the topic the proxy publishes its availability to (`online` / `offline`),
+ * so entities become unavailable when the proxy is gone
+ * 
+ * @returns {string} Availability topic
+ */
+function getAvailabilityTopic() {
+    return `${topicTemplate.getTopicPrefix(config.mqtt.topicPrefix)}status`;
+}
+
+/**
+ * Gets the state topic of a configured device, rendered from the same template
+ * (MQTT_DEVICE_TOPIC_TEMPLATE) the device state is published with. Placeholders
+ * that depend on the message use the device's latest payload.
+ * 
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @returns {string} Device state topic
+ */
+function getDeviceStateTopic(macWithoutColons) {
+    const device = config.homeAssistant.devices.get(macWithoutColons);
+
+    return topicTemplate.constructDeviceTopic(
+        config.mqtt.deviceTopicTemplate || topicTemplate.DEFAULT_DEVICE_TOPIC_TEMPLATE,
+        macWithoutColons,
+        latestPayloads.get(macWithoutColons) || {},
+        config.mqtt.topicPrefix,
+        device && device.name
+    );
+}
+
+/**
+ * Gets how many seconds Home Assistant keeps the state of a device's RSSI, Last Seen,
+ * Smoothed RSSI and Distance sensors after its last message: the longer of the publish
+ * interval and the cache retention of the device's publish policy (and, with the
+ * on_change publish policy, the heartbeat), plus a margin. The device's latest payload
+ * decides the policy once it has reported (publish groups may match its decoder).
+ * 
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @returns {number|undefined} expire_after in seconds, or undefined if an unchanged device
+ *          is never published again (on_change without heartbeat), so its state never expires
+ */
+function getExpireAfter(macWithoutColons) {
+    const payload = latestPayloads.get(macWithoutColons) || {
+        device_id: macWithoutColons,
+        mac_address: /^[0-9a-f]{12}$/.test(macWithoutColons) ? macWithoutColons : undefined
+    };
+    const { intervalSeconds, retentionSeconds } = publishPolicy.getPolicy(payload);
+    let expireAfter = Math.max(intervalSeconds, retentionSeconds);
+
+    if (changeDetector.isEnabled()) {
+        const { heartbeatSeconds } = config.mqtt.changePolicy;
+        if (!heartbeatSeconds) {
+            return undefined;
+        }
+        expireAfter = Math.max(expireAfter, heartbeatSeconds);
+    }
+
+    return expireAfter + EXPIRE_AFTER_MARGIN_SECONDS;
+}
+
+/**
+ * Gets the discovery config topic of an entity. Topics are keyed by the entity's
+ * unique ID (derived from the device MAC or key), so renaming a device updates its
+ * entities in place instead of duplicating them.
+ * 
+ * @param {string} component - Home Assistant component (e.g. 'sensor', 'binary_sensor')
+ * @param {Object} entityConfig - Entity config payload with unique_id
+ * @returns {string} Discovery config topic
+ */
+function getDiscoveryTopic(component, entityConfig) {
+    return `${config.homeAssistant.discoveryTopicPrefix}/${component}/${entityConfig.unique_id}/config`;
+}
 
 /**
  * Creates the common device object for Home Assistant discovery
@@ -41,11 +132,12 @@ function createRssiSensorConfig(macWithoutColons, macWithColons, friendlyName, d
     return {
         name: `${friendlyName} RSSI`,
         unique_id: `ble_token_${macWithoutColons}_rssi`,
-        state_topic: `${config.mqtt.topicPrefix}state/${macWithoutColons}`,
+        state_topic: getDeviceStateTopic(macWithoutColons),
+        availability_topic: getAvailabilityTopic(),
         value_template: "{{ value_json.rssi | default(0) }}",
         unit_of_measurement: "dBm",
         device_class: "signal_strength",
-        expire_after: 300,
+        expire_after: getExpireAfter(macWithoutColons),
         device: deviceObject
     };
 }
@@ -63,26 +155,317 @@ function createLastSeenSensorConfig(macWithoutColons, macWithColons, friendlyNam
     return {
         name: `${friendlyName} Last Seen`,
         unique_id: `ble_token_${macWithoutColons}_last_seen`,
-        state_topic: `${config.mqtt.topicPrefix}state/${macWithoutColons}`,
+        state_topic: getDeviceStateTopic(macWithoutColons),
+        availability_topic: getAvailabilityTopic(),
         value_template: "{{ value_json.last_seen_timestamp }}",
         device_class: "timestamp",
-        expire_after: 300,
+        expire_after: getExpireAfter(macWithoutColons),
         device: deviceObject
     };
 }
 
 /**
- * Creates the common device object for the BLE Gateway
+ * Creates the Room sensor config payload for Home Assistant
  * 
- * @returns {Object} Device object for Home Assistant
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @param {string} friendlyName - Friendly name for the device
+ * @param {Object} deviceObject - Common device object
+ * @returns {Object} Room sensor config payload
+ */
+function createRoomSensorConfig(macWithoutColons, friendlyName, deviceObject) {
+    return {
+        name: `${friendlyName} Room`,
+        unique_id: `ble_token_${macWithoutColons}_room`,
+        state_topic: getDeviceStateTopic(macWithoutColons),
+        availability_topic: getAvailabilityTopic(),
+        value_template: "{{ value_json.room if value_json.room is defined else this.state }}",
+        icon: "mdi:home-map-marker",
+        device: deviceObject
+    };
+}
+
+/**
+ * Creates the Smoothed RSSI sensor config payload for Home Assistant
+ * 
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @param {string} friendlyName - Friendly name for the device
+ * @param {Object} deviceObject - Common device object
+ * @returns {Object} Smoothed RSSI sensor config payload
  */
-function createGatewayDeviceObject() {
+function createSmoothedRssiSensorConfig(macWithoutColons, friendlyName, deviceObject) {
+    return {
+        name: `${friendlyName} Smoothed RSSI`,
+        unique_id: `ble_token_${macWithoutColons}_rssi_smoothed`,
+        state_topic: getDeviceStateTopic(macWithoutColons),
+        availability_topic: getAvailabilityTopic(),
+        value_template: "{{ value_json.rssi_smoothed if value_json.rssi_smoothed is defined else this.state }}",
+        unit_of_measurement: "dBm",
+        device_class: "signal_strength",
+        state_class: "measurement",
+        expire_after: getExpireAfter(macWithoutColons),
+        device: deviceObject
+    };
+}
+
+/**
+ * Creates the Distance sensor config payload for Home Assistant
+ * 
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @param {string} friendlyName - Friendly name for the device
+ * @param {Object} deviceObject - Common device object
+ * @returns {Object} Distance sensor config payload
+ */
+function createDistanceSensorConfig(macWithoutColons, friendlyName, deviceObject) {
+    return {
+        name: `${friendlyName} Distance`,
+        unique_id: `ble_token_${macWithoutColons}_distance`,
+        state_topic: getDeviceStateTopic(macWithoutColons),
+        availability_topic: getAvailabilityTopic(),
+        value_template: "{{ value_json.distance_m if value_json.distance_m is defined else this.state }}",
+        unit_of_measurement: "m",
+        device_class: "distance",
+        state_class: "measurement",
+        expire_after: getExpireAfter(macWithoutColons),
+        device: deviceObject
+    };
+}
+
+/**
+ * Creates the presence entity config payload for Home Assistant.
+ * The state is published by the scheduled publisher as `home` / `not_home`
+ * when the device enters or expires from its device cache.
+ * 
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @param {string} friendlyName - Friendly name for the device
+ * @param {string} entityType - 'device_tracker' or 'binary_sensor'
+ * @param {Object} deviceObject - Common device object
+ * @returns {Object} Presence entity config payload
+ */
+function createPresenceConfig(macWithoutColons, friendlyName, entityType, deviceObject) {
+    const presenceConfig = {
+        unique_id: `ble_token_${macWithoutColons}_presence`,
+        state_topic: topicTemplate.constructPresenceTopic(macWithoutColons, config.mqtt.topicPrefix),
+        availability_topic: getAvailabilityTopic(),
+        device: deviceObject
+    };
+
+    if (entityType === 'binary_sensor') {
+        return {
+            name: `${friendlyName} Presence`,
+            ...presenceConfig,
+            device_class: 'presence',
+            payload_on: 'home',
+            payload_off: 'not_home'
+        };
+    }
+
     return {
-        identifiers: [`ble_gateway`],
-        name: config.homeAssistant.gatewayName,
+        name: friendlyName,
+        ...presenceConfig,
+        payload_home: 'home',
+        payload_not_home: 'not_home',
+        source_type: 'bluetooth_le'
+    };
+}
+
+/**
+ * Decoded payload fields exposed as Home Assistant sensors, keyed by field name.
+ * Fields are looked up by name regardless of the decoder namespace they appear in
+ * (e.g. `ruuvi.temperature`, `atc.temperature`, `bthome.temperature`).
+ */
+const DECODED_SENSORS = {
+    temperature: { name: 'Temperature', deviceClass: 'temperature', unit: '°C', stateClass: 'measurement' },
+    dewpoint: { name: 'Dew Point', deviceClass: 'temperature', unit: '°C', stateClass: 'measurement' },
+    humidity: { name: 'Humidity', deviceClass: 'humidity', unit: '%', stateClass: 'measurement' },
+    pressure: { name: 'Pressure', deviceClass: 'atmospheric_pressure', unit: 'hPa', stateClass: 'measurement' },
+    battery: { name: 'Battery', deviceClass: 'battery', unit: '%', stateClass: 'measurement' },
+    battery_voltage: { name: 'Battery Voltage', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement' },
+    voltage: { name: 'Voltage', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement' },
+    current: { name: 'Current', deviceClass: 'current', unit: 'A', stateClass: 'measurement' },
+    power: { name: 'Power', deviceClass: 'power', unit: 'W', stateClass: 'measurement' },
+    energy: { name: 'Energy', deviceClass: 'energy', unit: 'kWh', stateClass: 'total_increasing' },
+    illuminance: { name: 'Illuminance', deviceClass: 'illuminance', unit: 'lx', stateClass: 'measurement' },
+    moisture: { name: 'Moisture', deviceClass: 'moisture', unit: '%', stateClass: 'measurement' },
+    co2: { name: 'CO2', deviceClass: 'carbon_dioxide', unit: 'ppm', stateClass: 'measurement' },
+    tvoc: { name: 'TVOC', deviceClass: 'volatile_organic_compounds', unit: 'µg/m³', stateClass: 'measurement' },
+    pm2_5: { name: 'PM2.5', deviceClass: 'pm25', unit: 'µg/m³', stateClass: 'measurement' },
+    pm10: { name: 'PM10', deviceClass: 'pm10', unit: 'µg/m³', stateClass: 'measurement' },
+    mass_kg: { name: 'Mass', deviceClass: 'weight', unit: 'kg', stateClass: 'measurement' },
+    mass_lb: { name: 'Mass', deviceClass: 'weight', unit: 'lb', stateClass: 'measurement' },
+    distance_mm: { name: 'Distance', deviceClass: 'distance', unit: 'mm', stateClass: 'measurement' },
+    distance_m: { name: 'Distance', deviceClass: 'distance', unit: 'm', stateClass: 'measurement' },
+    duration: { name: 'Duration', deviceClass: 'duration', unit: 's', stateClass: 'measurement' },
+    speed: { name: 'Speed', deviceClass: 'speed', unit: 'm/s', stateClass: 'measurement' },
+    volume: { name: 'Volume', deviceClass: 'volume', unit: 'L', stateClass: 'total' },
+    volume_ml: { name: 'Volume', deviceClass: 'volume', unit: 'mL', stateClass: 'total' },
+    volume_flow_rate: { name: 'Flow Rate', deviceClass: 'volume_flow_rate', unit: 'm³/h', stateClass: 'measurement' },
+    water: { name: 'Water', deviceClass: 'water', unit: 'L', stateClass: 'total_increasing' },
+    gas: { name: 'Gas', deviceClass: 'gas', unit: 'm³', stateClass: 'total_increasing' },
+    precipitation: { name: 'Precipitation', deviceClass: 'precipitation', unit: 'mm', stateClass: 'total_increasing' },
+    uv_index: { name: 'UV Index', deviceClass: null, unit: null, stateClass: 'measurement' },
+    rotation: { name: 'Rotation', deviceClass: null, unit: '°', stateClass: 'measurement' },
+    direction: { name: 'Direction', deviceClass: null, unit: '°', stateClass: 'measurement' },
+    acceleration: { name: 'Acceleration', deviceClass: null, unit: 'm/s²', stateClass: 'measurement' },
+    acceleration_x: { name: 'Acceleration X', deviceClass: null, unit: 'g', stateClass: 'measurement' },
+    acceleration_y: { name: 'Acceleration Y', deviceClass: null, unit: 'g', stateClass: 'measurement' },
+    acceleration_z: { name: 'Acceleration Z', deviceClass: null, unit: 'g', stateClass: 'measurement' },
+    gyroscope: { name: 'Gyroscope', deviceClass: null, unit: '°/s', stateClass: 'measurement' },
+    count: { name: 'Count', deviceClass: null, unit: null, stateClass: 'measurement' },
+    movement_counter: { name: 'Movement Counter', deviceClass: null, unit: null, stateClass: 'total_increasing' },
+    adv_count: { name: 'Advertisement Count', deviceClass: null, unit: null, stateClass: 'total_increasing' },
+    uptime_seconds: { name: 'Uptime', deviceClass: 'duration', unit: 's', stateClass: 'total_increasing' }
+};
+
+/**
+ * Decoded boolean fields exposed as Home Assistant binary sensors, keyed by field name
+ */
+const DECODED_BINARY_SENSORS = {
+    generic_boolean: { name: 'Generic Boolean', deviceClass: null },
+    power_on: { name: 'Power', deviceClass: 'power' },
+    opening: { name: 'Opening', deviceClass: 'opening' },
+    battery_low: { name: 'Battery Low', deviceClass: 'battery' },
+    battery_charging: { name: 'Battery Charging', deviceClass: 'battery_charging' },
+    carbon_monoxide: { name: 'Carbon Monoxide', deviceClass: 'carbon_monoxide' },
+    cold: { name: 'Cold', deviceClass: 'cold' },
+    connectivity: { name: 'Connectivity', deviceClass: 'connectivity' },
+    door: { name: 'Door', deviceClass: 'door' },
+    garage_door: { name: 'Garage Door', deviceClass: 'garage_door' },
+    gas_detected: { name: 'Gas', deviceClass: 'gas' },
+    heat: { name: 'Heat', deviceClass: 'heat' },
+    light: { name: 'Light', deviceClass: 'light' },
+    lock: { name: 'Lock', deviceClass: 'lock' },
+    moisture_detected: { name: 'Moisture Detected', deviceClass: 'moisture' },
+    motion: { name: 'Motion', deviceClass: 'motion' },
+    moving: { name: 'Moving', deviceClass: 'moving' },
+    occupancy: { name: 'Occupancy', deviceClass: 'occupancy' },
+    plug: { name: 'Plug', deviceClass: 'plug' },
+    presence: { name: 'Presence', deviceClass: 'presence' },
+    problem: { name: 'Problem', deviceClass: 'problem' },
+    running: { name: 'Running', deviceClass: 'running' },
+    safety: { name: 'Safety', deviceClass: 'safety' },
+    smoke: { name: 'Smoke', deviceClass: 'smoke' },
+    sound: { name: 'Sound', deviceClass: 'sound' },
+    tamper: { name: 'Tamper', deviceClass: 'tamper' },
+    vibration: { name: 'Vibration', deviceClass: 'vibration' },
+    window: { name: 'Window', deviceClass: 'window' }
+};
+
+/**
+ * Looks up the sensor definition for a decoded field.
+ * Repeated BTHome objects are numbered (`temperature_2`) and share the base field's definition.
+ * 
+ * @param {string} field - Field name within the decoder namespace
+ * @param {*} value - Current field value
+ * @returns {{component: string, sensor: Object, name: string}|null} Entity definition or null if not exposed
+ */
+function findDecodedSensor(field, value) {
+    const repeatMatch = field.match(/^(.+)_(\d+)$/);
+    const candidates = [{ baseField: field, suffix: '' }];
+    if (repeatMatch) {
+        candidates.push({ baseField: repeatMatch[1], suffix: ` ${repeatMatch[2]}` });
+    }
+
+    for (const { baseField, suffix } of candidates) {
+        if (typeof value === 'number' && DECODED_SENSORS[baseField]) {
+            const sensor = DECODED_SENSORS[baseField];
+            return { component: 'sensor', sensor, name: `${sensor.name}${suffix}` };
+        }
+
+        if (typeof value === 'boolean' && DECODED_BINARY_SENSORS[baseField]) {
+            const sensor = DECODED_BINARY_SENSORS[baseField];
+            return { component: 'binary_sensor', sensor, name: `${sensor.name}${suffix}` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Creates a sensor config payload for a value decoded from the advertisement.
+ * Beacons can interleave frames (e.g. Eddystone TLM with UID/URL), so the template
+ * keeps the previous state when the current payload does not carry the field.
+ * 
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @param {string} friendlyName - Friendly name for the device
+ * @param {string} namespace - Decoder namespace in the payload (e.g. `ruuvi`)
+ * @param {string} field - Field name within the namespace
+ * @param {*} value - Current field value, used to pick a sensor or binary sensor
+ * @param {Object} deviceObject - Common device object
+ * @returns {{component: string, config: Object}|null} Component and config payload, or null if the field is not exposed
+ */
+function createDecodedSensorConfig(macWithoutColons, friendlyName, namespace, field, value, deviceObject) {
+    const definition = findDecodedSensor(field, value);
+    if (!definition) {
+        return null;
+    }
+
+    const { component, sensor, name } = definition;
+    const valuePath = `value_json.${namespace}.${field}`;
+    const isPresent = `value_json.${namespace} is defined and ${valuePath} is defined and ${valuePath} is not none`;
+
+    const sensorConfig = {
+        name: `${friendlyName} ${name}`,
+        unique_id: `ble_token_${macWithoutColons}_${namespace}_${field}`,
+        state_topic: getDeviceStateTopic(macWithoutColons),
+        availability_topic: getAvailabilityTopic(),
+        device: deviceObject
+    };
+
+    if (component === 'binary_sensor') {
+        sensorConfig.value_template = `{{ ('on' if ${valuePath} else 'off') if ${isPresent} else this.state }}`;
+        sensorConfig.payload_on = 'on';
+        sensorConfig.payload_off = 'off';
+    } else {
+        sensorConfig.value_template = `{{ ${valuePath} if ${isPresent} else this.state }}`;
+        sensorConfig.state_class = sensor.stateClass;
+
+        if (sensor.unit) {
+            sensorConfig.unit_of_measurement = sensor.unit;
+        }
+    }
+
+    if (sensor.deviceClass) {
+        sensorConfig.device_class = sensor.deviceClass;
+    }
+
+    return { component, config: sensorConfig };
+}
+
+/**
+ * Gets the friendly name of a gateway, from HA_GATEWAY_X if configured
+ * 
+ * @param {string} [gatewayMac] - Gateway MAC address without colons
+ * @returns {string} Gateway friendly name
+ */
+function getGatewayName(gatewayMac) {
+    const gateways = config.homeAssistant.gateways;
+    if (gatewayMac && gateways && gateways.has(gatewayMac)) {
+        return gateways.get(gatewayMac);
+    }
+
+    return config.homeAssistant.gatewayName;
+}
+
+/**
+ * Creates the common device object for a BLE Gateway.
+ * Gateways are identified by their MAC so multiple gateways appear as separate devices.
+ * 
+ * @param {string} [gatewayMac] - Gateway MAC address without colons; omitted for a gateway without MAC
+ * @returns {Object} Device object for Home Assistant
+ */
+function createGatewayDeviceObject(gatewayMac) {
+    const deviceObject = {
+        identifiers: [gatewayMac ? `ble_gateway_${gatewayMac}` : `ble_gateway`],
+        name: getGatewayName(gatewayMac),
         model: "April Brother BLE Gateway v4",
         manufacturer: "April Brother"
     };
+
+    if (gatewayMac) {
+        deviceObject.connections = [["mac", formatMac(gatewayMac)]];
+    }
+
+    return deviceObject;
 }
 
 /**
@@ -93,13 +476,22 @@ function createGatewayDeviceObject() {
  * @param {string} valueTemplate - Template for extracting the value from the payload
  * @param {string} deviceClass - Optional device class for the sensor
  * @param {Object} deviceObject - Common device object
+ * @param {string} [gatewayMac] - Gateway MAC address without colons; omitted for a gateway without MAC
  * @returns {Object} Sensor config payload
  */
-function createGatewaySensorConfig(sensorType, displayName, valueTemplate, deviceClass, deviceObject) {
+function createGatewaySensorConfig(sensorType, displayName, valueTemplate, deviceClass, deviceObject, gatewayMac) {
+    const gatewayId = gatewayMac ? `ble_gateway_${gatewayMac}` : 'ble_gateway';
+    const stateTopic = topicTemplate.constructGatewayTopic(
+        config.mqtt.gatewayTopicTemplate || topicTemplate.DEFAULT_GATEWAY_TOPIC_TEMPLATE,
+        gatewayMac,
+        config.mqtt.topicPrefix
+    );
+
     const sensorConfig = {
         name: `${displayName}`,
-        unique_id: `ble_gateway_${sensorType}`,
-        state_topic: `${config.mqtt.topicPrefix}gateway/state`,
+        unique_id: `${gatewayId}_${sensorType}`,
+        state_topic: stateTopic,
+        availability_topic: getAvailabilityTopic(),
         value_template: valueTemplate,
         device: deviceObject
     };
@@ -115,8 +507,8 @@ function createGatewaySensorConfig(sensorType, displayName, valueTemplate, devic
  * Publishes discovery messages for a single device
  * 
  * @param {Object} mqttClient - MQTT client instance
- * @param {string} macWithoutColons - MAC address without colons
- * @param {Object} deviceInfo - Device information object with name property
+ * @param {string} macWithoutColons - MAC address without colons (or iBeacon device key)
+ * @param {Object} deviceInfo - Device information object with name property (and ibeacon identity, if any)
  * @returns {Promise<boolean>} True if messages were published, false if already published
  */
 async function publishDeviceDiscovery(mqttClient, macWithoutColons, deviceInfo) {
@@ -127,8 +519,10 @@ async function publishDeviceDiscovery(mqttClient, macWithoutColons, deviceInfo)
 
     try {
         const friendlyName = deviceInfo.name;
-        const macWithColons = formatMac(macWithoutColons);
-        const deviceSlug = slugify(friendlyName);
+        // iBeacon devices are keyed by identity and have no fixed MAC address
+        const macWithColons = deviceInfo.ibeacon
+            ? `iBeacon ${deviceInfo.ibeacon.uuid} ${deviceInfo.ibeacon.major}/${deviceInfo.ibeacon.minor}`
+            : formatMac(macWithoutColons);
         
         // Create common device object
         const deviceObject = createDeviceObject(macWithoutColons, friendlyName);
@@ -137,21 +531,53 @@ async function publishDeviceDiscovery(mqttClient, macWithoutColons, deviceInfo)
         const rssiConfig = createRssiSensorConfig(macWithoutColons, macWithColons, friendlyName, deviceObject);
         const lastSeenConfig = createLastSeenSensorConfig(macWithoutColons, macWithColons, friendlyName, deviceObject);
         
-        // Discovery topic prefixes
-        const discoveryPrefix = config.homeAssistant.discoveryTopicPrefix;
-        
         // Publish RSSI sensor config
-        const rssiTopic = `${discoveryPrefix}/sensor/${deviceSlug}_rssi/config`;
+        const rssiTopic = getDiscoveryTopic('sensor', rssiConfig);
         await mqttClient.publish(rssiTopic, JSON.stringify(rssiConfig), { retain: true });
         logger.info(`Published Home Assistant discovery for RSSI sensor: ${friendlyName} (${macWithColons})`);
         
         // Publish Last Seen sensor config
-        const lastSeenTopic = `${discoveryPrefix}/sensor/${deviceSlug}_last_seen/config`;
+        const lastSeenTopic = getDiscoveryTopic('sensor', lastSeenConfig);
         await mqttClient.publish(lastSeenTopic, JSON.stringify(lastSeenConfig), { retain: true });
         logger.info(`Published Home Assistant discovery for Last Seen sensor: ${friendlyName} (${macWithColons})`);
         
+        // Publish Room sensor config if room presence is configured
+        if (config.roomPresence && config.roomPresence.gateways.size > 0) {
+            const roomConfig = createRoomSensorConfig(macWithoutColons, friendlyName, deviceObject);
+            const roomTopic = getDiscoveryTopic('sensor', roomConfig);
+            await mqttClient.publish(roomTopic, JSON.stringify(roomConfig), { retain: true });
+            logger.info(`Published Home Assistant discovery for Room sensor: ${friendlyName} (${macWithColons})`);
+        }
+        
+        // Publish Smoothed RSSI and Distance sensor configs if enabled (requires RSSI_SMOOTHING)
+        const rssiSmoothingEnabled = Boolean(config.rssiSmoothing && config.rssiSmoothing.method !== 'none');
+        if (rssiSmoothingEnabled && config.homeAssistant.smoothedRssiSensor) {
+            const smoothedRssiConfig = createSmoothedRssiSensorConfig(macWithoutColons, friendlyName, deviceObject);
+            const smoothedRssiTopic = getDiscoveryTopic('sensor', smoothedRssiConfig);
+            await mqttClient.publish(smoothedRssiTopic, JSON.stringify(smoothedRssiConfig), { retain: true });
+            logger.info(`Published Home Assistant discovery for Smoothed RSSI sensor: ${friendlyName} (${macWithColons})`);
+        }
+        
+        if (rssiSmoothingEnabled && config.homeAssistant.distanceSensor) {
+            const distanceConfig = createDistanceSensorConfig(macWithoutColons, friendlyName, deviceObject);
+            const distanceTopic = getDiscoveryTopic('sensor', distanceConfig);
+            await mqttClient.publish(distanceTopic, JSON.stringify(distanceConfig), { retain: true });
+            logger.info(`Published Home Assistant discovery for Distance sensor: ${friendlyName} (${macWithColons})`);
+        }
+        
+        // Publish presence entity config if enabled
+        const presenceEntity = config.homeAssistant.presenceEntity;
+        if (presenceEntity) {
+            const presenceConfig = createPresenceConfig(macWithoutColons, friendlyName, presenceEntity, deviceObject);
+            const presenceTopic = getDiscoveryTopic(presenceEntity, presenceConfig);
+            await mqttClient.publish(presenceTopic, JSON.stringify(presenceConfig), { retain: true });
+            logger.info(`Published Home Assistant discovery for presence ${presenceEntity}: ${friendlyName} (${macWithColons})`);
+        }
+        
         // Mark as published
         publishedDevices.add(macWithoutColons);
+        announcedStateTopics.set(macWithoutColons, getDeviceStateTopic(macWithoutColons));
+        announcedExpireAfter.set(macWithoutColons, getExpireAfter(macWithoutColons));
         
         return true;
     } catch (error) {
@@ -161,23 +587,145 @@ async function publishDeviceDiscovery(mqttClient, macWithoutColons, deviceInfo)
 }
 
 /**
- * Publishes discovery messages for the gateway
+ * Publishes discovery messages for the decoded values of a single device payload
+ * that have not been announced yet
+ * 
+ * @param {Object} mqttClient - MQTT client instance
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @param {Object} deviceInfo - Device information object with name property
+ * @param {Object} payload - Device JSON payload
+ * @returns {Promise<number>} Number of new sensor entities published
+ */
+async function publishDecodedFieldsDiscovery(mqttClient, macWithoutColons, deviceInfo, payload) {
+    const friendlyName = deviceInfo.name;
+    const deviceObject = createDeviceObject(macWithoutColons, friendlyName);
+    let publishedCount = 0;
+
+    // Decoder output is namespaced as a plain object per decoder (e.g. payload.ruuvi)
+    for (const [namespace, fields] of Object.entries(payload)) {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            continue;
+        }
+
+        for (const [field, value] of Object.entries(fields)) {
+            const publishedKey = `${macWithoutColons}:${namespace}.${field}`;
+            if (value === null || value === undefined || publishedDecodedSensors.has(publishedKey)) {
+                continue;
+            }
+
+            const entity = createDecodedSensorConfig(macWithoutColons, friendlyName, namespace, field, value, deviceObject);
+            if (!entity) {
+                continue;
+            }
+
+            try {
+                const topic = getDiscoveryTopic(entity.component, entity.config);
+                await mqttClient.publish(topic, JSON.stringify(entity.config), { retain: true });
+                logger.info(`Published Home Assistant discovery for decoded sensor: ${entity.config.name}`);
+
+                publishedDecodedSensors.add(publishedKey);
+                publishedCount++;
+            } catch (error) {
+                logger.error(`Error publishing decoded sensor discovery for device ${macWithoutColons}: ${error.message}`);
+            }
+        }
+    }
+
+    return publishedCount;
+}
+
+/**
+ * Publishes discovery messages for sensors decoded from device payloads.
+ * Each sensor is only created once a configured device has actually sent a value for it.
+ * 
+ * @param {Object} mqttClient - MQTT client instance
+ * @param {Array<Object>} devicePayloads - Device JSON payloads about to be published
+ * @returns {Promise<number>} Number of new sensor entities published
+ */
+async function publishDecodedSensorDiscovery(mqttClient, devicePayloads) {
+    if (!config.homeAssistant.enabled || !Array.isArray(devicePayloads)) {
+        return 0;
+    }
+
+    let publishedCount = 0;
+
+    for (const payload of devicePayloads) {
+        const match = findConfiguredDevice(payload, config.homeAssistant.devices);
+        if (match) {
+            await updateDeviceDiscovery(mqttClient, match.key, match.device, payload);
+            publishedCount += await publishDecodedFieldsDiscovery(mqttClient, match.key, match.device, payload);
+        }
+    }
+
+    return publishedCount;
+}
+
+/**
+ * Records the latest payload of a configured device. Its entities are announced again
+ * when their config changed: the state topic, if the device topic template depends on
+ * the message (e.g. {gateway_mac}), or expire_after, if the payload matched a publish
+ * group the device wasn't known to belong to (e.g. by its decoder).
+ * 
+ * @param {Object} mqttClient - MQTT client instance
+ * @param {string} macWithoutColons - MAC address without colons (or configured device key)
+ * @param {Object} deviceInfo - Device information object with name property
+ * @param {Object} payload - Device JSON payload
+ * @returns {Promise<boolean>} True if discovery was published again
+ */
+async function updateDeviceDiscovery(mqttClient, macWithoutColons, deviceInfo, payload) {
+    latestPayloads.set(macWithoutColons, payload);
+
+    if (!publishedDevices.has(macWithoutColons)) {
+        return false;
+    }
+
+    const template = config.mqtt.deviceTopicTemplate || topicTemplate.DEFAULT_DEVICE_TOPIC_TEMPLATE;
+    const stateTopic = getDeviceStateTopic(macWithoutColons);
+    const expireAfter = getExpireAfter(macWithoutColons);
+    const stateTopicChanged = topicTemplate.usesMessagePlaceholders(template) &&
+        announcedStateTopics.get(macWithoutColons) !== stateTopic;
+    if (!stateTopicChanged && announcedExpireAfter.get(macWithoutColons) === expireAfter) {
+        return false;
+    }
+
+    publishedDevices.delete(macWithoutColons);
+
+    if (stateTopicChanged) {
+        logger.info(`State topic of ${deviceInfo.name} changed to ${stateTopic}, re-publishing Home Assistant discovery`);
+
+        // Decoded sensors are announced again as their values arrive
+        for (const publishedKey of publishedDecodedSensors) {
+            if (publishedKey.startsWith(`${macWithoutColons}:`)) {
+                publishedDecodedSensors.delete(publishedKey);
+            }
+        }
+    } else {
+        logger.info(`Publish policy of ${deviceInfo.name} changed, re-publishing Home Assistant discovery with expire_after ${expireAfter}s`);
+    }
+
+    return publishDeviceDiscovery(mqttClient, macWithoutColons, deviceInfo);
+}
+
+/**
+ * Publishes discovery messages for a gateway
  * 
  * @param {Object} mqttClient - MQTT client instance
+ * @param {string} [gatewayMac] - Gateway MAC address (any format); omitted for a gateway without MAC
  * @returns {Promise<boolean>} True if messages were published, false if already published
  */
-async function publishGatewayDiscovery(mqttClient) {
-    // Skip if gateway discovery was already published
-    if (gatewayDiscoveryPublished) {
+async function publishGatewayDiscovery(mqttClient, gatewayMac) {
+    const normalizedGatewayMac = gatewayMac ? normalizeMac(gatewayMac) : '';
+
+    // Skip if discovery for this gateway was already published
+    if (publishedGateways.has(normalizedGatewayMac)) {
         return false;
     }
 
     try {
-        const gatewayName = config.homeAssistant.gatewayName;
-        const gatewaySlug = slugify(gatewayName);
+        const gatewayName = getGatewayName(normalizedGatewayMac);
         
         // Create common device object
-        const deviceObject = createGatewayDeviceObject();
+        const deviceObject = createGatewayDeviceObject(normalizedGatewayMac);
         
         // Create sensor configurations
         const sensors = [
@@ -219,9 +767,6 @@ async function publishGatewayDiscovery(mqttClient) {
             }
         ];
         
-        // Discovery topic prefix
-        const discoveryPrefix = config.homeAssistant.discoveryTopicPrefix;
-        
         // Publish sensor configs
         for (const sensor of sensors) {
             const sensorConfig = createGatewaySensorConfig(
@@ -229,20 +774,21 @@ async function publishGatewayDiscovery(mqttClient) {
                 sensor.name,
                 sensor.template,
                 sensor.deviceClass,
-                deviceObject
+                deviceObject,
+                normalizedGatewayMac
             );
             
-            const topic = `${discoveryPrefix}/sensor/${gatewaySlug}_${sensor.type}/config`;
+            const topic = getDiscoveryTopic('sensor', sensorConfig);
             await mqttClient.publish(topic, JSON.stringify(sensorConfig), { retain: true });
             logger.info(`Published Home Assistant discovery for gateway sensor: ${sensor.name}`);
         }
         
         // Mark as published
-        gatewayDiscoveryPublished = true;
+        publishedGateways.add(normalizedGatewayMac);
         
         return true;
     } catch (error) {
-        logger.error(`Error publishing Home Assistant discovery for gateway: ${error.message}`);
+        logger.error(`Error publishing Home Assistant discovery for gateway ${normalizedGatewayMac || '(no MAC)'}: ${error.message}`);
         throw error; // Re-throw the error after logging it
     }
 }
@@ -283,35 +829,210 @@ async function publishDiscoveryMessages(mqttClient) {
         logger.info(`Published Home Assistant discovery messages for ${publishedCount} new BLE devices.`);
     }
     
-    // Publish gateway discovery messages
-    logger.info('Publishing Home Assistant discovery messages for gateway...');
-    const gatewayPublished = await publishGatewayDiscovery(mqttClient);
-    if (gatewayPublished) {
-        publishedCount++;
-        logger.info('Published Home Assistant discovery messages for gateway.');
+    // Publish discovery messages for gateways named in HA_GATEWAY_X; other gateways
+    // are announced when they first report (see publishGatewayDiscovery)
+    const gateways = config.homeAssistant.gateways || new Map();
+    for (const gatewayMac of gateways.keys()) {
+        logger.info(`Publishing Home Assistant discovery messages for gateway ${gatewayMac}...`);
+        const gatewayPublished = await publishGatewayDiscovery(mqttClient, gatewayMac);
+        if (gatewayPublished) {
+            publishedCount++;
+            logger.info(`Published Home Assistant discovery messages for gateway ${gatewayMac}.`);
+        }
     }
     
     return publishedCount;
 }
 
+/**
+ * Gets Home Assistant's birth/last will topic under the configured discovery prefix
+ * 
+ * @returns {string} Home Assistant status topic
+ */
+function getHomeAssistantStatusTopic() {
+    return `${config.homeAssistant.discoveryTopicPrefix}/status`;
+}
+
+/**
+ * Publishes discovery messages for the gateways and all configured devices again,
+ * e.g. after Home Assistant restarted or the broker may have lost its retained messages.
+ * Decoded sensors and unnamed gateways are announced again when they next report.
+ * 
+ * @param {Object} mqttClient - MQTT client instance
+ * @returns {Promise<number>} Number of devices published
+ */
+async function republishDiscoveryMessages(mqttClient) {
+    resetPublishedDevices();
+    return publishDiscoveryMessages(mqttClient);
+}
+
+/**
+ * Handles a message on Home Assistant's status topic, re-publishing discovery
+ * when Home Assistant comes online
+ * 
+ * @param {Object} mqttClient - MQTT client instance
+ * @param {string} status - Message payload ('online' or 'offline')
+ * @returns {Promise<number>} Number of devices published
+ */
+async function handleHomeAssistantStatus(mqttClient, status) {
+    if (String(status).trim() !== 'online') {
+        logger.info(`Home Assistant status: ${status}`);
+        return 0;
+    }
+
+    logger.info('Home Assistant came online, re-publishing discovery messages...');
+    return republishDiscoveryMessages(mqttClient);
+}
+
+/**
+ * Checks whether a retained discovery config was published by this proxy instance: it
+ * references this instance's availability topic, or (for configs published by older
+ * versions without availability) a state topic below its MQTT_TOPIC_PREFIX. Other proxy
+ * instances sharing the broker use their own topic prefix, so their entities are kept.
+ * 
+ * @param {Object} discoveryConfig - Retained config payload
+ * @returns {boolean} True if this instance owns the config
+ */
+function isOwnDiscoveryConfig(discoveryConfig) {
+    if (discoveryConfig.availability_topic !== undefined) {
+        return discoveryConfig.availability_topic === getAvailabilityTopic();
+    }
+
+    const topicPrefix = topicTemplate.getTopicPrefix(config.mqtt.topicPrefix);
+    return Boolean(topicPrefix) &&
+        typeof discoveryConfig.state_topic === 'string' &&
+        discoveryConfig.state_topic.startsWith(topicPrefix);
+}
+
+/**
+ * Checks whether a retained discovery config belongs to this proxy but no longer matches
+ * the configuration: a device that is not in HA_BLE_DEVICE_X any more, or a topic keyed
+ * by friendly name (as published by older versions) rather than by unique ID
+ * 
+ * @param {string} topic - Discovery config topic
+ * @param {string} message - Retained config payload
+ * @returns {boolean} True if the config should be removed
+ */
+function isStaleDiscoveryConfig(topic, message) {
+    if (!message) {
+        return false; // Already removed
+    }
+
+    let discoveryConfig;
+    try {
+        discoveryConfig = JSON.parse(message);
+    } catch (error) {
+        return false;
+    }
+
+    const uniqueId = discoveryConfig && discoveryConfig.unique_id;
+    if (typeof uniqueId !== 'string') {
+        return false;
+    }
+
+    const isDeviceEntity = uniqueId.startsWith('ble_token_');
+    const isGatewayEntity = uniqueId.startsWith('ble_gateway_');
+    if (!isDeviceEntity && !isGatewayEntity) {
+        return false; // Not published by this proxy
+    }
+
+    if (!isOwnDiscoveryConfig(discoveryConfig)) {
+        return false; // Published by another proxy instance on the same broker
+    }
+
+    const topicParts = topic.split('/');
+    if (topicParts[topicParts.length - 2] !== uniqueId) {
+        return true;
+    }
+
+    if (isDeviceEntity) {
+        const deviceKeys = Array.from(config.homeAssistant.devices.keys());
+        return !deviceKeys.some(deviceKey => uniqueId.startsWith(`ble_token_${deviceKey}_`));
+    }
+
+    return false;
+}
+
+/**
+ * Removes retained discovery configs of devices that are no longer configured or were
+ * published under their friendly name. Subscribes to the discovery topics for a short
+ * window to receive the retained configs, clears stale ones with an empty retained
+ * payload, and re-publishes discovery afterwards so entities that shared a unique ID
+ * with a removed config are created again.
+ * 
+ * @param {Object} mqttClient - MQTT client instance
+ * @param {number} windowMs - How long to collect retained configs
+ * @returns {Promise<number>} Number of stale configs removed
+ */
+async function cleanupStaleDiscovery(mqttClient, windowMs = DISCOVERY_CLEANUP_WINDOW_MS) {
+    const discoveryTopicFilter = `${config.homeAssistant.discoveryTopicPrefix}/+/+/config`;
+    const removedTopics = new Set();
+
+    mqttClient.subscribe(discoveryTopicFilter, (message, topic) => {
+        if (removedTopics.has(topic) || !isStaleDiscoveryConfig(topic, message)) {
+            return;
+        }
+
+        removedTopics.add(topic);
+        logger.info(`Removing stale Home Assistant discovery config: ${topic}`);
+        mqttClient.publish(topic, '', { retain: true }).catch(error => {
+            logger.error(`Error removing stale Home Assistant discovery config ${topic}: ${error.message}`);
+        });
+    });
+
+    await new Promise(resolve => setTimeout(resolve, windowMs));
+    mqttClient.unsubscribe(discoveryTopicFilter);
+
+    if (removedTopics.size > 0) {
+        logger.info(`Removed ${removedTopics.size} stale Home Assistant discovery configs`);
+        await republishDiscoveryMessages(mqttClient);
+    }
+
+    return removedTopics.size;
+}
+
 /**
  * Resets the set of published devices and gateway discovery status
  * Primarily used for testing
  */
 function resetPublishedDevices() {
     publishedDevices.clear();
-    gatewayDiscoveryPublished = false;
+    publishedDecodedSensors.clear();
+    publishedGateways.clear();
+    announcedStateTopics.clear();
+    announcedExpireAfter.clear();
+    latestPayloads.clear();
 }
 
 module.exports = {
     publishDiscoveryMessages,
     publishDeviceDiscovery,
     publishGatewayDiscovery,
+    publishDecodedFieldsDiscovery,
+    publishDecodedSensorDiscovery,
+    republishDiscoveryMessages,
+    handleHomeAssistantStatus,
+    cleanupStaleDiscovery,
+    getHomeAssistantStatusTopic,
     resetPublishedDevices,
     // Export for testing
+    getDeviceStateTopic,
+    getExpireAfter,
+    isStaleDiscoveryConfig,
+    getDiscoveryTopic,
+    getAvailabilityTopic,
     createDeviceObject,
     createRssiSensorConfig,
     createLastSeenSensorConfig,
+    createRoomSensorConfig,
+    createSmoothedRssiSensorConfig,
+    createDistanceSensorConfig,
+    createPresenceConfig,
+    getGatewayName,
     createGatewayDeviceObject,
-    createGatewaySensorConfig
+    createGatewaySensorConfig,
+    createDecodedSensorConfig,
+    findDecodedSensor,
+    DECODED_SENSORS,
+    DECODED_BINARY_SENSORS
 };
@@ -4,12 +4,17 @@
  */
 
 const express = require('express');
-const msgpack = require('msgpack5')();
 const { config } = require('./config');
 const logger = require('./logger');
+const payloadDecoder = require('./payload-decoder');
 const gatewayParser = require('./gateway-parser');
 const deviceParser = require('./device-parser');
+const decoderRegistry = require('./decoder-registry');
 const jsonTransformer = require('./json-transformer');
+const deviceIdentity = require('./device-identity');
+const deviceFilter = require('./device-filter');
+const roomPresence = require('./room-presence');
+const rssiSmoother = require('./rssi-smoother');
 const mqttClient = require('./mqtt-client');
 const haDiscovery = require('./ha-discovery');
 const ScheduledPublisher = require('./scheduled-publisher');
@@ -53,11 +58,22 @@ async function publishDeviceData(payloads, gatewayMetadata, gatewayInfo = null)
             payloadCount: payloads.length,
             firstDeviceMac: payloads[0]?.mac_address,
             gatewayInfo: gatewayMetadata ? {
-                mac: gatewayMetadata.mac,
-                ip: gatewayMetadata.ip
+                mac: gatewayMetadata.gateway_mac,
+                ip: gatewayMetadata.gateway_ip
             } : undefined
         });
 
+        // Create Home Assistant sensors for decoded values before their first state arrives
+        if (config.homeAssistant.enabled) {
+            try {
+                await haDiscovery.publishDecodedSensorDiscovery(mqttClient, payloads);
+            } catch (haError) {
+                logger.error('Failed to publish Home Assistant discovery for decoded sensors', {
+                    error: haError.message
+                });
+            }
+        }
+
         const mqttResults = await mqttClient.publishMultipleDeviceData(payloads);
 
         if (mqttResults.errorCount > 0) {
@@ -69,7 +85,13 @@ async function publishDeviceData(payloads, gatewayMetadata, gatewayInfo = null)
             });
         }
 
-        if (mqttResults.successCount === 0 && mqttResults.totalCount > 0) {
+        if (mqttResults.queuedCount > 0) {
+            logger.warn(`MQTT broker unavailable, queued data for ${mqttResults.queuedCount} devices until it reconnects.`, {
+                queueDepth: mqttClient.getQueueMetrics().depth
+            });
+        }
+
+        if (mqttResults.successCount === 0 && mqttResults.queuedCount === 0 && mqttResults.totalCount > 0) {
             logger.error('All MQTT publications failed', {
                 totalPayloads: mqttResults.totalCount,
                 errors: mqttResults.errors
@@ -97,7 +119,7 @@ async function publishDeviceData(payloads, gatewayMetadata, gatewayInfo = null)
  * including firmware version, IP address, MAC address, and message sequence ID.
  * This is essential for monitoring gateway health and connectivity.
  * 
- * MQTT TOPIC: Uses gateway-specific topic for status updates
+ * MQTT TOPIC: Uses a per-gateway topic (keyed by gateway MAC) for status updates
  * FREQUENCY: Called on every successful request processing
  * PURPOSE: Enables monitoring systems to track gateway uptime and health
  * 
@@ -114,6 +136,18 @@ async function publishGatewayStatus(gatewayInfo) {
             }
         });
         
+        // Announce each gateway to Home Assistant the first time it reports
+        if (config.homeAssistant.enabled) {
+            try {
+                await haDiscovery.publishGatewayDiscovery(mqttClient, gatewayInfo.mac);
+            } catch (haError) {
+                logger.error('Failed to publish Home Assistant discovery for gateway', {
+                    error: haError.message,
+                    gatewayMac: gatewayInfo.mac
+                });
+            }
+        }
+
         await mqttClient.publishGatewayData(gatewayInfo);
         logger.debug('Gateway status published to MQTT successfully');
         
@@ -125,10 +159,11 @@ async function publishGatewayStatus(gatewayInfo) {
     }
 }
 
-// Middleware to parse raw request bodies for MessagePack format
+// Middleware to parse raw request bodies for MessagePack and JSON formats
 // 
 // IMPORTANT: The BLE gateway hardware doesn't send proper Content-Type headers,
 // so we use a custom type function that accepts all requests regardless of headers.
+// The format is detected by payload-decoder.js instead.
 // This is necessary because express.raw() normally requires a specific content type.
 // 
 // SECURITY NOTE: This middleware only applies to the /tokendata route, not globally.
@@ -141,14 +176,15 @@ app.use('/tokendata', express.raw({
 /**
  * POST /tokendata - Main endpoint for receiving BLE gateway data
  * 
- * PROTOCOL: Always expects MessagePack format (hardware doesn't send Content-Type headers)
+ * PROTOCOL: MessagePack or JSON, detected from the Content-Type header when it names
+ *           one of them, otherwise from the first byte (hardware doesn't send proper headers)
  * AUTHENTICATION: None (designed for local network deployment)
  * RATE LIMITING: None (handled by MQTT publishing intervals instead)
  * 
  * PROCESSING PIPELINE:
  * This endpoint processes incoming BLE device data from the gateway through several stages:
  * 1. Request validation and logging - Validate payload exists and log request details
- * 2. MessagePack decoding - Convert binary data to JavaScript objects  
+ * 2. Payload decoding - Convert MessagePack or JSON data to JavaScript objects
  * 3. Gateway data parsing and validation - Extract and validate gateway metadata
  * 4. BLE device data parsing - Parse raw advertising data from each device
  * 5. JSON transformation - Convert to standardized format with gateway metadata
@@ -176,7 +212,7 @@ app.post('/tokendata', async (req, res) => {
         const sourceIP = req.ip || req.connection.remoteAddress;
         
         // Debug: Log raw request details for troubleshooting
-        // This helps diagnose issues with request format, size, MessagePack parsing
+        // This helps diagnose issues with request format, size, payload decoding
         // and identify potential gateway configuration or network problems
         logger.debug('Raw request debug info', {
             hasBody: !!req.body,
@@ -189,7 +225,7 @@ app.post('/tokendata', async (req, res) => {
         });
         
         // Log incoming request for audit trail and monitoring
-        logger.logRequest('POST', '/tokendata', 'MessagePack (assumed)', sourceIP, req.body?.length || 0);
+        logger.logRequest('POST', '/tokendata', req.get('Content-Type') || 'not set', sourceIP, req.body?.length || 0);
         
         // Validate that request contains actual data
         // Empty requests are invalid and should be rejected early
@@ -205,20 +241,23 @@ app.post('/tokendata', async (req, res) => {
             });
         }
         
-        logger.debug(`Processing ${req.body.length} bytes of MessagePack data`);
-        
         // =================================================================
-        // SECTION 2: MESSAGEPACK DECODING
+        // SECTION 2: PAYLOAD DECODING
         // =================================================================
-        // Gateway sends data in MessagePack format for efficiency over JSON
+        // Gateway sends data in MessagePack format by default for efficiency over JSON
         // MessagePack is a binary serialization format that's faster and smaller
-        // than JSON, which is important for embedded devices with limited bandwidth
+        // than JSON, which is important for embedded devices with limited bandwidth.
+        // Gateways configured for JSON upload (and test rigs) send devices as hex strings,
+        // which payload-decoder.js converts to the same Buffers MessagePack contains
+        const uploadFormat = payloadDecoder.detectFormat(req.get('Content-Type'), req.body);
+        logger.debug(`Processing ${req.body.length} bytes of ${uploadFormat} data`);
+        
         let decodedData;
         
         try {
-            logger.debug('Decoding MessagePack data...');
-            decodedData = msgpack.decode(req.body);
-            logger.debug('MessagePack data decoded successfully');
+            logger.debug(`Decoding ${uploadFormat} data...`);
+            decodedData = payloadDecoder.decodePayload(req.body, uploadFormat);
+            logger.debug(`${uploadFormat} data decoded successfully`);
             
             // Log decoded data structure for verification (without full content for large payloads)
             // This helps understand the gateway's data format and debug structural issues
@@ -245,13 +284,13 @@ app.post('/tokendata', async (req, res) => {
             logger.debug('Gateway info', gatewayInfo);
             
         } catch (decodeError) {
-            // MessagePack decoding failed - invalid data format
-            logger.logProcessingError('MessagePack decoding', decodeError, { 
+            // Decoding failed - invalid data format
+            logger.logProcessingError(`${uploadFormat} decoding`, decodeError, { 
                 sourceIP, 
                 bodyLength: req.body.length 
             });
             return res.status(400).json({
-                error: 'Invalid MessagePack format',
+                error: `Invalid ${uploadFormat} format`,
                 details: decodeError.message
             });
         }
@@ -327,13 +366,15 @@ app.post('/tokendata', async (req, res) => {
             logger.info('Device parsing completed', {
                 totalDevices: deviceParsingResult.totalCount,
                 successfulDevices: deviceParsingResult.successCount,
-                failedDevices: deviceParsingResult.errorCount
+                failedDevices: deviceParsingResult.errorCount,
+                decoders: deviceParsingResult.decoderCounts
             });
         } else {
             logger.debug('Device parsing completed', {
                 totalDevices: deviceParsingResult.totalCount,
                 successfulDevices: deviceParsingResult.successCount,
-                failedDevices: deviceParsingResult.errorCount
+                failedDevices: deviceParsingResult.errorCount,
+                decoders: deviceParsingResult.decoderCounts
             });
         }
 
@@ -344,6 +385,18 @@ app.post('/tokendata', async (req, res) => {
             const deviceStats = deviceParser.getDeviceStatistics(deviceParsingResult.devices);
             logger.debug('Device statistics', deviceStats);
         }
+
+        // =================================================================
+        // SECTION 4B: DEVICE FILTERING
+        // =================================================================
+        // Drop devices excluded by the FILTER_* rules (MAC allow/deny lists, minimum RSSI,
+        // advertising types, company IDs, configured devices only) using device-filter.js
+        // Dropped devices are never transformed, cached or published; they are counted
+        // per rule and reported by GET /health
+        const filteredDevices = deviceFilter.filterDevices(deviceParsingResult.devices);
+        if (filteredDevices.length < deviceParsingResult.devices.length) {
+            logger.debug(`Device filter dropped ${deviceParsingResult.devices.length - filteredDevices.length} of ${deviceParsingResult.devices.length} devices`);
+        }
         
         // =================================================================
         // SECTION 5: JSON TRANSFORMATION
@@ -351,15 +404,15 @@ app.post('/tokendata', async (req, res) => {
         // Transform parsed device data into standardized JSON payloads using json-transformer.js
         // Adds gateway metadata (MAC, IP) and timestamps to each device record
         // Creates Home Assistant compatible format when HA discovery is enabled
-        if (deviceParsingResult.successCount > 0) {
+        if (filteredDevices.length > 0) {
             const gatewayMetadata = gatewayParser.getGatewayMetadata(parsedData.gatewayInfo);
             const transformOptions = {
-                gatewayMac: gatewayMetadata.mac,
-                gatewayIp: gatewayMetadata.ip
+                gatewayMac: gatewayMetadata.gateway_mac,
+                gatewayIp: gatewayMetadata.gateway_ip
             };
             
             const jsonTransformResult = jsonTransformer.transformDevicesToJson(
-                deviceParsingResult.devices, 
+                filteredDevices, 
                 transformOptions
             );
             
@@ -417,6 +470,16 @@ app.post('/tokendata', async (req, res) => {
             // - Presence of new tracked Home Assistant devices (triggers immediate publish)
             // - Device state caching to ensure all devices are included in scheduled publishes
             const transformedPayloads = jsonTransformResult.payloads;
+
+            // Resolve configured devices that are matched by identity rather than MAC (e.g. iBeacon)
+            deviceIdentity.applyDeviceIdentities(transformedPayloads);
+
+            // Assign each device to the room of its nearest gateway when multiple gateways are configured
+            roomPresence.applyRoomPresence(transformedPayloads);
+
+            // Add the smoothed RSSI and estimated distance when RSSI_SMOOTHING is set
+            rssiSmoother.applyRssiSmoothing(transformedPayloads);
+
             if (transformedPayloads.length > 0) {
                 const gatewayMetadata = gatewayParser.getGatewayMetadata(parsedData.gatewayInfo);
 
@@ -452,7 +515,7 @@ app.post('/tokendata', async (req, res) => {
             // =================================================================
             // SECTION 6B: NO DEVICES TO TRANSFORM - GATEWAY ONLY PROCESSING
             // =================================================================
-            // Handle case where no devices were successfully parsed but gateway data exists
+            // Handle case where no devices were successfully parsed (or all were filtered) but gateway data exists
             // Still need to publish gateway status information for health monitoring
             // This can happen when all devices fail parsing due to corrupt data
             logger.info('No devices to transform - skipping JSON transformation');
@@ -523,7 +586,12 @@ app.get('/health', (req, res) => {
     res.status(200).json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
-        version: require('../package.json').version 
+        version: require('../package.json').version,
+        mqtt: {
+            connected: mqttClient.isConnected(),
+            publishQueue: mqttClient.getQueueMetrics()
+        },
+        deviceFilter: deviceFilter.getMetrics()
     });
 });
 
@@ -554,58 +622,128 @@ app.use((req, res) => {
     });
 });
 
+/**
+ * Publishes the Home Assistant presence state of a configured device.
+ * Called by the scheduled publisher when a tracked device enters or expires from its cache.
+ * 
+ * @param {string} deviceKey Configured device key (normalized MAC or iBeacon key)
+ * @param {boolean} isHome True if the device is currently seen by the gateway
+ */
+async function publishPresenceState(deviceKey, isHome) {
+    await mqttClient.publishPresenceState(deviceKey, isHome);
+}
+
+/**
+ * Publishes all Home Assistant discovery messages again.
+ * Called after every MQTT connect and reconnect, as the broker may have lost its retained messages.
+ */
+async function republishHomeAssistantDiscovery() {
+    try {
+        logger.info('MQTT connected. Publishing Home Assistant discovery messages...');
+        const publishedCount = await haDiscovery.republishDiscoveryMessages(mqttClient);
+        logger.info(`Published Home Assistant discovery messages for ${publishedCount} devices`);
+    } catch (haError) {
+        logger.error('Failed to publish Home Assistant discovery messages', {
+            error: haError.message
+        });
+    }
+}
+
+/**
+ * Handles Home Assistant's birth and last will messages, re-publishing
+ * discovery when Home Assistant comes online after a restart
+ * 
+ * @param {string} status Message payload ('online' or 'offline')
+ */
+async function handleHomeAssistantStatus(status) {
+    try {
+        await haDiscovery.handleHomeAssistantStatus(mqttClient, status);
+    } catch (haError) {
+        logger.error('Failed to re-publish Home Assistant discovery messages', {
+            error: haError.message
+        });
+    }
+}
+
 // Store timer reference for cleanup
 let discoveryTimer = null;
 
+// Whether stale discovery configs were already cleaned up (done once, on the first connect)
+let staleDiscoveryCleanupStarted = false;
+
+/**
+ * Removes entities of devices that were unconfigured or renamed while the proxy was down.
+ * Runs on the first connect only, which may come from the reconnect supervisor when the
+ * broker was unreachable at startup.
+ */
+async function cleanupStaleDiscovery() {
+    if (staleDiscoveryCleanupStarted) {
+        return;
+    }
+    staleDiscoveryCleanupStarted = true;
+
+    try {
+        await haDiscovery.cleanupStaleDiscovery(mqttClient);
+    } catch (haError) {
+        logger.error('Failed to clean up stale Home Assistant discovery messages', {
+            error: haError.message
+        });
+    }
+}
+
 // Initialize MQTT client connection
 async function initializeApplication() {
+    // Publish Home Assistant discovery messages on every (re)connect and when Home Assistant restarts
+    if (config.homeAssistant.enabled) {
+        mqttClient.onConnect(republishHomeAssistantDiscovery);
+        mqttClient.onConnect(cleanupStaleDiscovery);
+        mqttClient.subscribe(haDiscovery.getHomeAssistantStatusTopic(), handleHomeAssistantStatus);
+    }
+
     try {
         logger.info('Initializing MQTT client connection...');
         await mqttClient.initializeMqttClient();
         logger.info('MQTT client connected successfully');
-        
-        // Publish Home Assistant discovery messages if enabled
-        if (config.homeAssistant.enabled) {
-            logger.info('Home Assistant integration is enabled. Publishing discovery messages...');
+    } catch (error) {
+        // The reconnect supervisor keeps retrying; the timers and the scheduled
+        // publisher below work the same until the broker becomes reachable
+        logger.error('Failed to initialize MQTT client', {
+            error: error.message,
+            brokerUrl: config.mqtt.brokerUrl
+        });
+        logger.warn('Application will continue without MQTT connectivity');
+        if (config.mqtt.queue.maxSize > 0) {
+            logger.warn('MQTT messages will be queued until connection is established');
+        } else {
+            logger.warn('MQTT publishing will fail until connection is established');
+        }
+    }
+
+    if (config.homeAssistant.enabled) {
+        logger.info('Home Assistant integration is enabled.');
+
+        // Set up periodic discovery message publishing (every minute)
+        // This ensures any newly configured devices get discovery messages
+        discoveryTimer = setInterval(async () => {
             try {
+                logger.info('Publishing periodic Home Assistant discovery messages...');
                 const publishedCount = await haDiscovery.publishDiscoveryMessages(mqttClient);
                 logger.info(`Published Home Assistant discovery messages for ${publishedCount} devices`);
             } catch (haError) {
-                logger.error('Failed to publish Home Assistant discovery messages', {
+                logger.error('Failed to publish periodic Home Assistant discovery messages', {
                     error: haError.message
                 });
             }
-            
-            // Set up periodic discovery message publishing (every minute)
-            // This ensures any newly configured devices get discovery messages
-            discoveryTimer = setInterval(async () => {
-                try {
-                    logger.info('Publishing periodic Home Assistant discovery messages...');
-                    const publishedCount = await haDiscovery.publishDiscoveryMessages(mqttClient);
-                    logger.info(`Published Home Assistant discovery messages for ${publishedCount} devices`);
-                } catch (haError) {
-                    logger.error('Failed to publish periodic Home Assistant discovery messages', {
-                        error: haError.message
-                    });
-                }
-            }, 60000); // 60 seconds
-        } else {
-            logger.info('Home Assistant integration is disabled');
-        }
+        }, 60000); // 60 seconds
+    } else {
+        logger.info('Home Assistant integration is disabled');
+    }
 
-        // Initialize the scheduled publisher
-        scheduledPublisher = new ScheduledPublisher(mqttClient, publishDeviceData, publishGatewayStatus);
+    // Initialize the scheduled publisher
+    scheduledPublisher = new ScheduledPublisher(mqttClient, publishDeviceData, publishGatewayStatus, publishPresenceState);
 
-        // Start scheduled publishing if enabled
-        scheduledPublisher.initialize();
-    } catch (error) {
-        logger.error('Failed to initialize MQTT client', {
-            error: error.message,
-            brokerUrl: config.mqtt.brokerUrl
-        });
-        logger.warn('Application will continue without MQTT connectivity');
-        logger.warn('MQTT publishing will fail until connection is established');
-    }
+    // Start scheduled publishing if enabled
+    scheduledPublisher.initialize();
 }
 
 // Shutdown function to clean up resources
@@ -624,6 +762,7 @@ async function shutdown() {
         scheduledPublisher.shutdown();
         scheduledPublisher = null;
     }
+    staleDiscoveryCleanupStarted = false;
     
     // Disconnect MQTT client
     try {
@@ -636,6 +775,11 @@ async function shutdown() {
     logger.info('Application shutdown complete');
 }
 
+// Load site-specific payload decoders before any device data is parsed
+if (config.decoders && config.decoders.directory) {
+    decoderRegistry.loadDecodersFromDirectory(config.decoders.directory);
+}
+
 // Start the HTTP server
 app.listen(config.server.port, config.server.host, async () => {
     logger.logStartup(config.server.port, config.server.host);
@@ -51,6 +51,15 @@ function transformDeviceToJson(parsedDevice, options = {}) {
             last_seen_timestamp: lastSeenTimestamp
         };
 
+        // Carry through the fields decoded from the AD structures (ad_structures, local_name,
+        // manufacturer_data, ...), the decoder name and any fields added by registered payload
+        // decoders (decoder-registry already dropped decoder fields that would replace core fields)
+        for (const [field, value] of Object.entries(parsedDevice)) {
+            if (jsonPayload[field] === undefined && value !== undefined) {
+                jsonPayload[field] = value;
+            }
+        }
+
         // Add optional gateway fields if available
         if (options.gatewayMac && typeof options.gatewayMac === 'string') {
             jsonPayload.gateway_mac = options.gatewayMac;
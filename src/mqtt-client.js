@@ -6,7 +6,13 @@
 const mqtt = require('mqtt');
 const { config } = require('./config');
 const logger = require('./logger');
-const { normalizeMac } = require('./utils');
+const PublishQueue = require('./publish-queue');
+const tlsOptions = require('./tls-options');
+const topicTemplate = require('./topic-template');
+const explodedTopics = require('./exploded-topics');
+const publishPolicy = require('./publish-policy');
+const changeDetector = require('./change-detector');
+const { normalizeMac, normalizeDeviceKey, getDeviceKey } = require('./utils');
 
 // MQTT client instance
 let mqttClient = null;
@@ -14,17 +20,59 @@ let connectionAttempts = 0;
 let reconnectTimer = null;
 let isConnecting = false;
 
+// Reconnect supervisor state
+let supervisorActive = false;
+let nextReconnectAt = null;
+let nextReconnectDelayMs = null;
+let lastError = null;
+let lastConnectedAt = null;
+let lastDisconnectedAt = null;
+
+// Topic filter -> message handler; subscriptions are renewed on every (re)connect
+const subscriptions = new Map();
+// Callbacks invoked after every successful (re)connect
+const connectListeners = [];
+
+// Gateway MAC (normalized) -> firmware version, reported as a user property with MQTT 5
+const gatewayFirmwareVersions = new Map();
+
+// Stops watching the TLS certificate files for changes
+let stopCertificateWatch = null;
+
+// Messages held while the broker is unreachable, replayed in order on (re)connect
+let publishQueue = createPublishQueue();
+let isReplaying = false;
+
 // Connection options and state
 const CONNECTION_OPTIONS = {
     connectTimeout: 10000,    // 10 seconds
-    reconnectPeriod: 5000,    // 5 seconds
+    reconnectPeriod: 0,       // Reconnects are scheduled by the reconnect supervisor
     keepalive: 60,            // 60 seconds
-    clean: true,              // Clean session
-    rejectUnauthorized: false // For self-signed certificates
+    clean: true               // Clean session
 };
 
-const MAX_RECONNECT_ATTEMPTS = 10;
-const RECONNECT_BACKOFF_MAX = 30000; // 30 seconds max backoff
+// Device presence state payloads (match Home Assistant's device_tracker defaults)
+const PRESENCE_HOME = 'home';
+const PRESENCE_NOT_HOME = 'not_home';
+
+// MQTT protocol versions (4 is MQTT 3.1.1)
+const PROTOCOL_VERSION_3_1_1 = 4;
+const PROTOCOL_VERSION_5 = 5;
+
+// Content type of JSON state messages (MQTT 5)
+const JSON_CONTENT_TYPE = 'application/json';
+
+// Proxy availability payloads (match Home Assistant's availability defaults)
+const AVAILABILITY_ONLINE = 'online';
+const AVAILABILITY_OFFLINE = 'offline';
+
+/**
+ * Creates the outbound publish queue from the MQTT_QUEUE_* configuration
+ * @returns {PublishQueue} Publish queue
+ */
+function createPublishQueue() {
+    return new PublishQueue(config.mqtt.queue || { maxSize: 0 });
+}
 
 /**
  * Initialize MQTT client connection
@@ -44,6 +92,7 @@ function initializeMqttClient() {
             }
 
             isConnecting = true;
+            supervisorActive = true;
             connectionAttempts++;
 
             logger.info('Initializing MQTT client connection', {
@@ -55,9 +104,23 @@ function initializeMqttClient() {
             // Prepare connection options
             const clientOptions = {
                 ...CONNECTION_OPTIONS,
+                ...tlsOptions.loadTlsOptions(getTlsConfig()),
+                protocolVersion: isMqtt5() ? PROTOCOL_VERSION_5 : PROTOCOL_VERSION_3_1_1,
                 clientId: `ble-gateway-${process.pid}-${Date.now()}`, // Unique client ID
+                // Last Will: the broker marks the proxy offline if the connection drops unexpectedly
+                will: {
+                    topic: constructAvailabilityTopic(),
+                    payload: AVAILABILITY_OFFLINE,
+                    qos: config.mqtt.qos,
+                    retain: true
+                }
             };
 
+            // Replace repeating topics with topic aliases, up to the maximum the broker allows
+            if (isMqtt5()) {
+                clientOptions.autoAssignTopicAlias = true;
+            }
+
             // Add authentication if provided
             if (config.mqtt.username) {
                 clientOptions.username = config.mqtt.username;
@@ -68,6 +131,7 @@ function initializeMqttClient() {
 
             // Create MQTT client
             mqttClient = mqtt.connect(config.mqtt.brokerUrl, clientOptions);
+            watchCertificateFiles();
 
             // Set up event handlers
             setupEventHandlers(resolve, reject);
@@ -83,16 +147,143 @@ function initializeMqttClient() {
     });
 }
 
+/**
+ * Checks whether MQTT 5 is used (MQTT_PROTOCOL_VERSION=5)
+ * @returns {boolean} True for MQTT 5, false for MQTT 3.1.1
+ */
+function isMqtt5() {
+    return config.mqtt.protocolVersion === PROTOCOL_VERSION_5;
+}
+
+/**
+ * Builds MQTT 5 user properties from the values that are set
+ * @param {Object} values - Property name -> value
+ * @returns {Object} User properties with string values
+ */
+function createUserProperties(values) {
+    const userProperties = {};
+
+    for (const [name, value] of Object.entries(values)) {
+        if (value !== undefined && value !== null && value !== '') {
+            userProperties[name] = String(value);
+        }
+    }
+
+    return userProperties;
+}
+
+/**
+ * Builds the MQTT 5 properties of a device state message: it expires after the cache
+ * retention period of the device's publish policy and names the reporting gateway, its
+ * firmware and the decoder
+ * @param {Object} jsonPayload - Device JSON payload
+ * @returns {Object|undefined} Publish properties, or undefined with MQTT 3.1.1
+ */
+function createDeviceProperties(jsonPayload) {
+    if (!isMqtt5()) {
+        return undefined;
+    }
+
+    const gatewayMac = jsonPayload.gateway_mac ? normalizeMac(jsonPayload.gateway_mac) : null;
+
+    return {
+        messageExpiryInterval: publishPolicy.getPolicy(jsonPayload).retentionSeconds,
+        contentType: JSON_CONTENT_TYPE,
+        userProperties: createUserProperties({
+            gateway_mac: gatewayMac,
+            decoder: jsonPayload.decoder,
+            firmware_version: gatewayMac ? gatewayFirmwareVersions.get(gatewayMac) : null
+        })
+    };
+}
+
+/**
+ * Builds the MQTT 5 properties of a gateway status message
+ * @param {Object} gatewayData - Gateway data object
+ * @returns {Object|undefined} Publish properties, or undefined with MQTT 3.1.1
+ */
+function createGatewayProperties(gatewayData) {
+    if (!isMqtt5()) {
+        return undefined;
+    }
+
+    return {
+        contentType: JSON_CONTENT_TYPE,
+        userProperties: createUserProperties({
+            gateway_mac: gatewayData.mac ? normalizeMac(gatewayData.mac) : null,
+            firmware_version: gatewayData.version
+        })
+    };
+}
+
+/**
+ * Gets the MQTT_TLS_* configuration
+ * @returns {Object} TLS configuration (empty if not configured)
+ */
+function getTlsConfig() {
+    return config.mqtt.tls || {};
+}
+
+/**
+ * Starts watching the configured TLS certificate files, so renewed certificates
+ * are picked up without restarting the proxy
+ */
+function watchCertificateFiles() {
+    if (stopCertificateWatch || tlsOptions.getCertificateFiles(getTlsConfig()).length === 0) {
+        return;
+    }
+
+    stopCertificateWatch = tlsOptions.watchCertificateFiles(getTlsConfig(), reloadTlsOptions);
+}
+
+/**
+ * Re-reads the TLS certificate files. The new certificates are used from the next
+ * connection on; an established connection stays up, as its session was already
+ * authenticated. If the files can't be read, the previous certificates are kept.
+ */
+function reloadTlsOptions() {
+    try {
+        const options = tlsOptions.loadTlsOptions(getTlsConfig());
+        if (mqttClient) {
+            // mqtt.js builds each (re)connection from the client's options
+            Object.assign(mqttClient.options, options);
+        }
+        logger.info('Reloaded MQTT TLS certificates');
+    } catch (error) {
+        logger.error('Failed to reload MQTT TLS certificates', { error: error.message });
+    }
+}
+
+/**
+ * Stops watching the TLS certificate files
+ */
+function stopWatchingCertificateFiles() {
+    if (stopCertificateWatch) {
+        stopCertificateWatch();
+        stopCertificateWatch = null;
+    }
+}
+
 /**
  * Set up MQTT client event handlers
  * @param {Function} resolve - Promise resolve function
  * @param {Function} reject - Promise reject function
  */
 function setupEventHandlers(resolve, reject) {
+    // A client replaced by reconnect() may still emit events (e.g. `close` once it has
+    // ended); they are ignored, as the module state belongs to the new client
+    const client = mqttClient;
+    const onClientEvent = (event, handler) => client.on(event, (...args) => {
+        if (client === mqttClient) {
+            handler(...args);
+        }
+    });
+
     // Connection successful
-    mqttClient.on('connect', () => {
+    onClientEvent('connect', () => {
         isConnecting = false;
         connectionAttempts = 0; // Reset on successful connection
+        lastConnectedAt = new Date().toISOString();
         
         logger.logMqttConnection('connected', {
             brokerUrl: config.mqtt.brokerUrl,
@@ -100,11 +291,40 @@ function setupEventHandlers(resolve, reject) {
         });
         
         resolve(true);
+
+        // Birth message, then anything queued while the broker was unreachable
+        publishAvailability(AVAILABILITY_ONLINE);
+        replayQueuedMessages();
+
+        // The session is clean, so subscriptions must be renewed after every reconnect
+        for (const topic of subscriptions.keys()) {
+            subscribeTopic(topic);
+        }
+        notifyConnectListeners();
+    });
+
+    // Message on a subscribed topic
+    onClientEvent('message', (topic, payload) => {
+        for (const [topicFilter, handler] of subscriptions.entries()) {
+            if (!topicMatchesFilter(topicFilter, topic)) {
+                continue;
+            }
+
+            try {
+                handler(payload.toString(), topic);
+            } catch (error) {
+                logger.error('MQTT message handler failed', {
+                    error: error.message,
+                    topic: topic
+                });
+            }
+        }
     });
 
     // Connection error
-    mqttClient.on('error', (error) => {
+    onClientEvent('error', (error) => {
         isConnecting = false;
+        lastError = error.message;
         
         logger.logMqttConnection('error', {
             error: error.message,
@@ -118,45 +338,205 @@ function setupEventHandlers(resolve, reject) {
         }
     });
 
-    // Connection closed
-    mqttClient.on('close', () => {
+    // Connection closed (or a connection attempt failed)
+    onClientEvent('close', () => {
+        isConnecting = false;
+        lastDisconnectedAt = new Date().toISOString();
+
         logger.logMqttConnection('disconnected', {
             brokerUrl: config.mqtt.brokerUrl,
-            willReconnect: connectionAttempts < MAX_RECONNECT_ATTEMPTS
+            willReconnect: supervisorActive
         });
+
+        scheduleReconnect();
     });
 
     // Reconnection attempt
-    mqttClient.on('reconnect', () => {
+    onClientEvent('reconnect', () => {
         connectionAttempts++;
         
         logger.logMqttConnection('reconnecting', {
-            attempt: connectionAttempts,
-            maxAttempts: MAX_RECONNECT_ATTEMPTS
+            attempt: connectionAttempts
         });
-
-        // Stop reconnecting after max attempts
-        if (connectionAttempts > MAX_RECONNECT_ATTEMPTS) {
-            logger.error('Max MQTT reconnection attempts reached, stopping', {
-                attempts: connectionAttempts,
-                maxAttempts: MAX_RECONNECT_ATTEMPTS
-            });
-            mqttClient.end(true); // Force close
-        }
     });
 
     // Connection offline
-    mqttClient.on('offline', () => {
+    onClientEvent('offline', () => {
         logger.logMqttConnection('offline', {
             brokerUrl: config.mqtt.brokerUrl
         });
     });
 }
 
+/**
+ * Subscribes the connected client to a topic
+ * @param {string} topic - MQTT topic
+ */
+function subscribeTopic(topic) {
+    mqttClient.subscribe(topic, { qos: config.mqtt.qos }, (error) => {
+        if (error) {
+            logger.error('MQTT subscribe failed', {
+                error: error.message,
+                topic: topic
+            });
+        } else {
+            logger.debug('Subscribed to MQTT topic', { topic: topic });
+        }
+    });
+}
+
+/**
+ * Checks whether a topic matches a subscription topic filter
+ * (`+` matches one level, a trailing `#` matches any number of levels)
+ * @param {string} topicFilter - Subscription topic filter
+ * @param {string} topic - Topic of a received message
+ * @returns {boolean} True if the topic matches
+ */
+function topicMatchesFilter(topicFilter, topic) {
+    const filterLevels = topicFilter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') {
+            return true;
+        }
+
+        if (i >= topicLevels.length || (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])) {
+            return false;
+        }
+    }
+
+    return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * Invokes the connect listeners; failures are logged so one listener never affects another
+ */
+function notifyConnectListeners() {
+    for (const listener of connectListeners) {
+        Promise.resolve()
+            .then(() => listener())
+            .catch(error => {
+                logger.error('MQTT connect listener failed', { error: error.message });
+            });
+    }
+}
+
+/**
+ * Subscribes to a topic and handles its messages. The subscription is kept
+ * across reconnects; if not connected yet, it is made on the next connect.
+ * @param {string} topic - MQTT topic filter (may contain + and # wildcards)
+ * @param {Function} handler - Called with (message string, topic) for each message
+ */
+function subscribe(topic, handler) {
+    if (!topic || typeof topic !== 'string') {
+        throw new Error('Invalid topic: must be a non-empty string');
+    }
+
+    if (typeof handler !== 'function') {
+        throw new Error('Invalid handler: must be a function');
+    }
+
+    subscriptions.set(topic, handler);
+
+    if (isConnected()) {
+        subscribeTopic(topic);
+    }
+}
+
+/**
+ * Removes a subscription made with subscribe()
+ * @param {string} topic - MQTT topic filter
+ */
+function unsubscribe(topic) {
+    if (!subscriptions.delete(topic) || !isConnected()) {
+        return;
+    }
+
+    mqttClient.unsubscribe(topic, (error) => {
+        if (error) {
+            logger.error('MQTT unsubscribe failed', {
+                error: error.message,
+                topic: topic
+            });
+        }
+    });
+}
+
+/**
+ * Registers a callback invoked after every successful connect and reconnect
+ * @param {Function} listener - Callback (may return a promise)
+ */
+function onConnect(listener) {
+    if (typeof listener !== 'function') {
+        throw new Error('Invalid listener: must be a function');
+    }
+
+    connectListeners.push(listener);
+}
+
+/**
+ * Calculates the delay before the next reconnect attempt: exponential backoff from
+ * MQTT_RECONNECT_INITIAL_DELAY_MS up to MQTT_RECONNECT_MAX_DELAY_MS, reduced by a random
+ * fraction of up to MQTT_RECONNECT_JITTER so many clients don't reconnect in lockstep
+ * @param {number} failedAttempts - Number of consecutive failed connection attempts
+ * @param {number} random - Random number between 0 and 1
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectDelay(failedAttempts, random = Math.random()) {
+    const { initialDelayMs, maxDelayMs, jitter } = config.mqtt.reconnect;
+    const exponent = Math.max(0, failedAttempts - 1);
+    const backoff = Math.min(maxDelayMs, initialDelayMs * Math.pow(2, exponent));
+
+    return Math.round(backoff * (1 - jitter * random));
+}
+
+/**
+ * Schedules the next reconnect attempt after the connection closed, unless the
+ * client was disconnected on purpose. Retries continue until a connection succeeds.
+ */
+function scheduleReconnect() {
+    if (!supervisorActive || !mqttClient || reconnectTimer) {
+        return;
+    }
+
+    nextReconnectDelayMs = getReconnectDelay(connectionAttempts);
+    nextReconnectAt = new Date(Date.now() + nextReconnectDelayMs).toISOString();
+
+    logger.info(`Reconnecting to MQTT broker in ${nextReconnectDelayMs} ms`, {
+        brokerUrl: config.mqtt.brokerUrl,
+        failedAttempts: connectionAttempts
+    });
+
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        nextReconnectAt = null;
+        nextReconnectDelayMs = null;
+
+        if (supervisorActive && mqttClient) {
+            mqttClient.reconnect();
+        }
+    }, nextReconnectDelayMs);
+}
+
+/**
+ * Stops the reconnect supervisor and cancels any scheduled reconnect attempt
+ */
+function stopReconnectSupervisor() {
+    supervisorActive = false;
+
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+    nextReconnectAt = null;
+    nextReconnectDelayMs = null;
+}
+
 /**
  * Publish a JSON payload to MQTT broker
  * @param {Object} jsonPayload - JSON payload to publish
- * @returns {Promise<boolean>} Promise that resolves to publish success status
+ * @returns {Promise<boolean>} Promise that resolves to true when published, or false when queued until the broker reconnects
  */
 function publishDeviceData(jsonPayload) {
     return new Promise((resolve, reject) => {
@@ -170,16 +550,17 @@ function publishDeviceData(jsonPayload) {
                 throw new Error('Invalid JSON payload: missing mac_address');
             }
 
-            // Check MQTT client connection
-            if (!mqttClient || !mqttClient.connected) {
-                throw new Error('MQTT client not connected');
-            }
-
-            // Construct topic - now uses the new 'state/' topic format
-            const topic = constructTopic(jsonPayload.mac_address);
+            // Construct topic from MQTT_DEVICE_TOPIC_TEMPLATE (default: 'state/<mac>')
+            // Payloads resolved to a configured device (e.g. iBeacon) use its key instead of the MAC
+            const topic = constructTopic(getDeviceKey(jsonPayload), jsonPayload);
             
             // Convert payload to JSON string
             const message = JSON.stringify(jsonPayload);
+
+            // Also publish changed fields to their own topics for consumers that can't parse JSON
+            if (explodedTopics.isEnabled()) {
+                publishExplodedFields(topic, jsonPayload);
+            }
             
             // Publish options
             // BREAKING CHANGE: Always use retain: false for state messages
@@ -189,6 +570,16 @@ function publishDeviceData(jsonPayload) {
                 retain: false // State messages must not be retained for Home Assistant compatibility
             };
 
+            const properties = createDeviceProperties(jsonPayload);
+            if (properties) {
+                publishOptions.properties = properties;
+            }
+
+            // Hold the message while the broker is unreachable
+            if (shouldQueue()) {
+                return resolve(queueMessage(topic, message, publishOptions));
+            }
+
             logger.debug('Publishing device data to MQTT', {
                 topic: topic,
                 deviceMac: jsonPayload.mac_address,
@@ -212,6 +603,11 @@ function publishDeviceData(jsonPayload) {
                         deviceMac: jsonPayload.mac_address,
                         messageSize: message.length
                     });
+
+                    // The on_change policy compares later payloads with what was actually published
+                    if (changeDetector.isEnabled()) {
+                        changeDetector.recordPublished(jsonPayload);
+                    }
                     resolve(true);
                 }
             });
@@ -226,6 +622,39 @@ function publishDeviceData(jsonPayload) {
     });
 }
 
+/**
+ * Publishes each changed scalar field of a device payload as plain text to
+ * <state topic>/<field>, with the MQTT_EXPLODED_QOS and MQTT_EXPLODED_RETAIN settings.
+ * Failures are logged and don't affect the JSON state message.
+ * Fields are not queued while the broker is unreachable, so they don't take the place of
+ * JSON state messages in the publish queue; as they are only recorded once published,
+ * they are published with the device's next message after the broker reconnects.
+ * @param {string} stateTopic - Device state topic
+ * @param {Object} jsonPayload - Device JSON payload
+ */
+function publishExplodedFields(stateTopic, jsonPayload) {
+    if (shouldQueue()) {
+        return;
+    }
+
+    const { qos, retain } = config.mqtt.exploded;
+
+    for (const { topic, value } of explodedTopics.getChangedFields(stateTopic, jsonPayload)) {
+        publish(topic, value, { qos, retain })
+            .then(published => {
+                if (published) {
+                    explodedTopics.recordPublished(topic, value);
+                }
+            })
+            .catch(error => {
+                logger.debug('Failed to publish device field', {
+                    error: error.message,
+                    topic: topic
+                });
+            });
+    }
+}
+
 /**
  * Publish multiple JSON payloads to MQTT broker
  * @param {Array} jsonPayloads - Array of JSON payloads to publish
@@ -247,11 +676,12 @@ function publishMultipleDeviceData(jsonPayloads) {
             errors: [],
             totalCount: jsonPayloads.length,
             successCount: 0,
-            errorCount: 0
+            errorCount: 0,
+            queuedCount: 0
         };
 
-        // Check MQTT connection before proceeding
-        if (!mqttClient || !mqttClient.connected) {
+        // Check MQTT connection before proceeding (unless payloads can be queued until it reconnects)
+        if (!isConnected() && !publishQueue.isEnabled()) {
             const error = 'MQTT client not connected';
             logger.error('Cannot publish payloads: MQTT not connected');
             
@@ -273,9 +703,13 @@ function publishMultipleDeviceData(jsonPayloads) {
             const payload = jsonPayloads[i];
             
             try {
-                await publishDeviceData(payload);
-                results.payloads.push(payload);
-                results.successCount++;
+                const published = await publishDeviceData(payload);
+                if (published) {
+                    results.payloads.push(payload);
+                    results.successCount++;
+                } else {
+                    results.queuedCount++;
+                }
             } catch (error) {
                 const errorInfo = {
                     payloadIndex: i,
@@ -292,6 +726,7 @@ function publishMultipleDeviceData(jsonPayloads) {
         logger.debug('MQTT publishing completed', {
             totalPayloads: results.totalCount,
             successfulPublications: results.successCount,
+            queuedPublications: results.queuedCount,
             failedPublications: results.errorCount
         });
 
@@ -302,7 +737,7 @@ function publishMultipleDeviceData(jsonPayloads) {
 /**
  * Publish gateway status data to MQTT broker
  * @param {Object} gatewayData - Gateway data object containing v, mid, time, ip, mac, etc.
- * @returns {Promise<boolean>} Promise that resolves to publish success status
+ * @returns {Promise<boolean>} Promise that resolves to true when published, or false when queued until the broker reconnects
  */
 function publishGatewayData(gatewayData) {
     return new Promise((resolve, reject) => {
@@ -312,19 +747,19 @@ function publishGatewayData(gatewayData) {
                 throw new Error('Invalid gateway data: must be an object');
             }
 
-            // Check MQTT client connection
-            if (!mqttClient || !mqttClient.connected) {
-                throw new Error('MQTT client not connected');
-            }
-
             // Add current timestamp
             const gatewayPayload = {
                 ...gatewayData,
                 processed_timestamp: new Date().toISOString()
             };
 
-            // Construct gateway topic
-            const topic = constructGatewayTopic();
+            // Construct gateway topic keyed by the gateway MAC
+            const topic = constructGatewayTopic(gatewayData.mac);
+
+            // Remember the firmware so device messages relayed by this gateway can report it
+            if (gatewayData.mac && gatewayData.version) {
+                gatewayFirmwareVersions.set(normalizeMac(gatewayData.mac), gatewayData.version);
+            }
             
             // Convert payload to JSON string
             const message = JSON.stringify(gatewayPayload);
@@ -334,6 +769,16 @@ function publishGatewayData(gatewayData) {
                 qos: config.mqtt.qos,
                 retain: false // Never retain gateway state messages
             };
+
+            const properties = createGatewayProperties(gatewayData);
+            if (properties) {
+                publishOptions.properties = properties;
+            }
+
+            // Hold the message while the broker is unreachable
+            if (shouldQueue()) {
+                return resolve(queueMessage(topic, message, publishOptions));
+            }
             
             logger.debug('Publishing gateway data to MQTT', {
                 topic: topic,
@@ -370,21 +815,35 @@ function publishGatewayData(gatewayData) {
     });
 }
 
+/**
+ * Publish the retained presence state of a configured device
+ * @param {string} deviceKey - Device key (normalized MAC or configured device key)
+ * @param {boolean} isHome - True if the device is currently seen by the gateway
+ * @returns {Promise<boolean>} Promise that resolves to publish success status
+ */
+function publishPresenceState(deviceKey, isHome) {
+    const topic = constructPresenceTopic(deviceKey);
+    const state = isHome ? PRESENCE_HOME : PRESENCE_NOT_HOME;
+
+    logger.debug('Publishing device presence to MQTT', {
+        topic: topic,
+        state: state
+    });
+
+    // Retain presence so Home Assistant restores it after a restart
+    return publish(topic, state, { retain: true });
+}
+
 /**
  * Generic publish method for MQTT messages
  * @param {string} topic - MQTT topic to publish to
  * @param {string} message - Message payload (should be JSON string)
  * @param {Object} options - Publish options (qos, retain, etc.)
- * @returns {Promise<boolean>} Promise that resolves to publish success status
+ * @returns {Promise<boolean>} Promise that resolves to true when published, or false when queued until the broker reconnects
  */
 function publish(topic, message, options = {}) {
     return new Promise((resolve, reject) => {
         try {
-            // Check MQTT client connection
-            if (!mqttClient || !mqttClient.connected) {
-                throw new Error('MQTT client not connected');
-            }
-
             // Validate inputs
             if (!topic || typeof topic !== 'string') {
                 throw new Error('Invalid topic: must be a non-empty string');
@@ -401,6 +860,11 @@ function publish(topic, message, options = {}) {
                 ...options
             };
 
+            // Hold the message while the broker is unreachable
+            if (shouldQueue()) {
+                return resolve(queueMessage(topic, message, publishOptions));
+            }
+
             logger.debug('Publishing message to MQTT', {
                 topic: topic,
                 messageSize: message.length,
@@ -437,33 +901,207 @@ function publish(topic, message, options = {}) {
 }
 
 /**
- * Construct MQTT topic for device according to Home Assistant integration spec
+ * Checks whether a message must go through the publish queue: while disconnected, and
+ * while queued messages remain so newer messages never overtake them
+ * @returns {boolean} True if the message should be queued
+ */
+function shouldQueue() {
+    return !isConnected() || isReplaying || publishQueue.size() > 0;
+}
+
+/**
+ * Adds a message to the publish queue
+ * @param {string} topic - MQTT topic
+ * @param {string} message - Message payload
+ * @param {Object} publishOptions - Publish options (qos, retain)
+ * @returns {boolean} Always false, as the message has not been published yet
+ * @throws {Error} If the queue is disabled or full
+ */
+function queueMessage(topic, message, publishOptions) {
+    if (!publishQueue.isEnabled()) {
+        throw new Error('MQTT client not connected');
+    }
+
+    if (!publishQueue.enqueue(topic, message, publishOptions)) {
+        throw new Error('MQTT publish queue is full');
+    }
+
+    logger.debug('Queued MQTT message until the broker reconnects', {
+        topic: topic,
+        queueDepth: publishQueue.size()
+    });
+
+    // Connected but with older messages still queued, e.g. after a replay was interrupted
+    if (isConnected()) {
+        replayQueuedMessages();
+    }
+
+    return false;
+}
+
+/**
+ * Publishes a message with the underlying MQTT client
+ * @param {string} topic - MQTT topic
+ * @param {string} message - Message payload
+ * @param {Object} publishOptions - Publish options (qos, retain)
+ * @returns {Promise<void>} Promise that resolves once the message is published
+ */
+function sendMessage(topic, message, publishOptions) {
+    return new Promise((resolve, reject) => {
+        mqttClient.publish(topic, message, publishOptions, (error) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Gets the publish options of a queued message, reducing its MQTT 5 message expiry
+ * interval by the time it spent in the queue
+ * @param {{options: Object, queuedAt: string}} entry - Queued message
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object|null} Publish options, or null if the message has expired
+ */
+function getReplayOptions(entry, now = Date.now()) {
+    const properties = entry.options && entry.options.properties;
+    if (!properties || !properties.messageExpiryInterval) {
+        return entry.options;
+    }
+
+    const queuedSeconds = Math.floor((now - Date.parse(entry.queuedAt)) / 1000);
+    const remainingSeconds = properties.messageExpiryInterval - Math.max(0, queuedSeconds);
+    if (remainingSeconds <= 0) {
+        return null;
+    }
+
+    return {
+        ...entry.options,
+        properties: { ...properties, messageExpiryInterval: remainingSeconds }
+    };
+}
+
+/**
+ * Publishes queued messages in order until the queue is empty or the connection drops
+ * @returns {Promise<number>} Number of messages replayed
+ */
+async function replayQueuedMessages() {
+    if (isReplaying || publishQueue.size() === 0) {
+        return 0;
+    }
+
+    isReplaying = true;
+    let replayedCount = 0;
+    logger.info(`Replaying ${publishQueue.size()} queued MQTT messages`);
+
+    try {
+        while (isConnected() && publishQueue.size() > 0) {
+            const entry = publishQueue.shift();
+            const publishOptions = getReplayOptions(entry);
+
+            if (!publishOptions) {
+                publishQueue.recordExpired();
+                logger.debug('Dropped expired queued MQTT message', { topic: entry.topic });
+                continue;
+            }
+
+            try {
+                await sendMessage(entry.topic, entry.message, publishOptions);
+            } catch (error) {
+                // Still connected: the broker rejected the message (or the packet was invalid)
+                if (!publishQueue.requeue(entry, isConnected())) {
+                    logger.error(`Discarded queued MQTT message after ${entry.attempts} failed replays`, {
+                        error: error.message,
+                        topic: entry.topic
+                    });
+                    continue;
+                }
+
+                logger.warn('Replay of queued MQTT messages interrupted', {
+                    error: error.message,
+                    topic: entry.topic,
+                    remaining: publishQueue.size()
+                });
+                break;
+            }
+
+            publishQueue.recordReplayed();
+            replayedCount++;
+        }
+    } finally {
+        isReplaying = false;
+        publishQueue.flush();
+    }
+
+    logger.info(`Replayed ${replayedCount} queued MQTT messages`, {
+        remaining: publishQueue.size()
+    });
+
+    return replayedCount;
+}
+
+/**
+ * Publishes the retained availability state of the proxy, bypassing the publish queue
+ * @param {string} state - AVAILABILITY_ONLINE or AVAILABILITY_OFFLINE
+ * @returns {Promise<boolean>} Promise that resolves to publish success status (failures are logged)
+ */
+async function publishAvailability(state) {
+    const topic = constructAvailabilityTopic();
+
+    try {
+        await sendMessage(topic, state, { qos: config.mqtt.qos, retain: true });
+        logger.debug('Published proxy availability to MQTT', { topic: topic, state: state });
+        return true;
+    } catch (error) {
+        logger.warn('Failed to publish proxy availability', {
+            error: error.message,
+            topic: topic,
+            state: state
+        });
+        return false;
+    }
+}
+
+/**
+ * Get the publish queue depth and counters
+ * @returns {Object} Publish queue metrics
+ */
+function getQueueMetrics() {
+    return publishQueue.getMetrics();
+}
+
+/**
+ * Construct MQTT topic for device from MQTT_DEVICE_TOPIC_TEMPLATE
+ * (default: <MQTT_TOPIC_PREFIX>state/<DEVICE_MAC_ADDRESS_NO_COLONS_LOWERCASE>)
  * @param {string} deviceMacAddress - Device MAC address (with or without colons, will be normalized to lowercase no colons)
+ *                                    or a configured device key such as an iBeacon key
+ * @param {Object} jsonPayload - Device JSON payload, for templates using {gateway_mac}, {adv_type} or {decoder}
  * @returns {string} Complete MQTT topic
  */
-function constructTopic(deviceMacAddress) {
+function constructTopic(deviceMacAddress, jsonPayload = {}) {
     if (!deviceMacAddress || typeof deviceMacAddress !== 'string') {
         throw new Error('Invalid MAC address for topic construction');
     }
 
     try {
-        // Use the consistent normalizeMac function to ensure lowercase format
-        const macWithoutColons = normalizeMac(deviceMacAddress);
-
-        // Ensure topic prefix ends with a separator if it doesn't already
-        let topicPrefix = config.mqtt.topicPrefix;
-        if (topicPrefix && !topicPrefix.endsWith('/')) {
-            topicPrefix += '/';
-        }
+        // Use the consistent normalizeDeviceKey function to ensure lowercase format
+        const macWithoutColons = normalizeDeviceKey(deviceMacAddress);
 
-        // BREAKING CHANGE: Construct topic: <MQTT_TOPIC_PREFIX>state/<DEVICE_MAC_ADDRESS_NO_COLONS_LOWERCASE>
-        // This replaces the previous format: <MQTT_TOPIC_PREFIX>state/<DEVICE_MAC_ADDRESS_WITH_COLONS>
-        const topic = `${topicPrefix}state/${macWithoutColons}`;
+        const devices = config.homeAssistant && config.homeAssistant.devices;
+        const device = devices && devices.get(macWithoutColons);
+        const topic = topicTemplate.constructDeviceTopic(
+            config.mqtt.deviceTopicTemplate || topicTemplate.DEFAULT_DEVICE_TOPIC_TEMPLATE,
+            macWithoutColons,
+            jsonPayload,
+            config.mqtt.topicPrefix,
+            device && device.name
+        );
         
         logger.debug('Constructed MQTT topic', {
             originalMac: deviceMacAddress,
             normalizedMac: macWithoutColons,
-            topicPrefix: topicPrefix,
             fullTopic: topic
         });
 
@@ -474,21 +1112,49 @@ function constructTopic(deviceMacAddress) {
 }
 
 /**
- * Construct MQTT topic for gateway status messages
- * @returns {string} Complete MQTT topic for gateway
+ * Construct MQTT topic for device presence state
+ * @param {string} deviceKey - Device MAC address or configured device key
+ * @returns {string} Complete MQTT topic: <MQTT_TOPIC_PREFIX>presence/<DEVICE_KEY>
  */
-function constructGatewayTopic() {
+function constructPresenceTopic(deviceKey) {
+    if (!deviceKey || typeof deviceKey !== 'string') {
+        throw new Error('Invalid device key for presence topic construction');
+    }
+
+    // Shared with the Home Assistant presence entities, which subscribe to this topic
+    return topicTemplate.constructPresenceTopic(deviceKey, config.mqtt.topicPrefix);
+}
+
+/**
+ * Construct MQTT topic for the availability of the proxy (birth and Last Will messages)
+ * @returns {string} Complete MQTT topic: <MQTT_TOPIC_PREFIX>status
+ */
+function constructAvailabilityTopic() {
     // Ensure topic prefix ends with a separator if it doesn't already
     let topicPrefix = config.mqtt.topicPrefix;
     if (topicPrefix && !topicPrefix.endsWith('/')) {
         topicPrefix += '/';
     }
 
-    // Construct topic: <MQTT_TOPIC_PREFIX>gateway/state
-    const topic = `${topicPrefix}gateway/state`;
+    return `${topicPrefix}status`;
+}
+
+/**
+ * Construct MQTT topic for gateway status messages
+ * @param {string} [gatewayMac] - Gateway MAC address; without it the single-gateway topic is used
+ * @returns {string} Complete MQTT topic for gateway
+ */
+function constructGatewayTopic(gatewayMac) {
+    // Construct topic from MQTT_GATEWAY_TOPIC_TEMPLATE, by default <MQTT_TOPIC_PREFIX>gateway/<GATEWAY_MAC_NO_COLONS_LOWERCASE>/state
+    // so multiple gateways don't overwrite each other, or <MQTT_TOPIC_PREFIX>gateway/state without a MAC
+    const topic = topicTemplate.constructGatewayTopic(
+        config.mqtt.gatewayTopicTemplate || topicTemplate.DEFAULT_GATEWAY_TOPIC_TEMPLATE,
+        gatewayMac ? normalizeMac(gatewayMac) : null,
+        config.mqtt.topicPrefix
+    );
     
     logger.debug('Constructed gateway MQTT topic', {
-        topicPrefix: topicPrefix,
+        gatewayMac: gatewayMac,
         fullTopic: topic
     });
 
@@ -513,9 +1179,19 @@ function getConnectionStatus() {
         connecting: isConnecting,
         reconnecting: mqttClient?.reconnecting || false,
         connectionAttempts: connectionAttempts,
+        reconnect: {
+            active: supervisorActive,
+            scheduled: Boolean(reconnectTimer),
+            nextAttemptAt: nextReconnectAt,
+            nextDelayMs: nextReconnectDelayMs,
+            lastError: lastError,
+            lastConnectedAt: lastConnectedAt,
+            lastDisconnectedAt: lastDisconnectedAt
+        },
         clientId: mqttClient?.options?.clientId || null,
         brokerUrl: config.mqtt.brokerUrl,
-        topicPrefix: config.mqtt.topicPrefix
+        topicPrefix: config.mqtt.topicPrefix,
+        publishQueue: getQueueMetrics()
     };
 }
 
@@ -525,6 +1201,13 @@ function getConnectionStatus() {
  */
 function disconnect() {
     return new Promise((resolve) => {
+        // Never reconnect after a deliberate disconnect
+        stopReconnectSupervisor();
+        stopWatchingCertificateFiles();
+
+        // Write messages still queued to disk before the process exits
+        publishQueue.flush();
+
         if (!mqttClient) {
             logger.debug('MQTT client not initialized, nothing to disconnect');
             return resolve();
@@ -537,6 +1220,12 @@ function disconnect() {
 
         logger.info('Disconnecting MQTT client...');
 
+        // A graceful disconnect doesn't trigger the Last Will, so mark the proxy offline
+        // explicitly; end() waits for in-flight messages before closing
+        if (mqttClient.connected) {
+            publishAvailability(AVAILABILITY_OFFLINE);
+        }
+
         mqttClient.end(false, {}, () => {
             logger.logMqttConnection('disconnected', {
                 brokerUrl: config.mqtt.brokerUrl,
@@ -558,6 +1247,7 @@ function reconnect() {
     logger.info('Force reconnecting MQTT client...');
     
     // Disconnect first if connected
+    stopReconnectSupervisor();
     if (mqttClient) {
         mqttClient.end(true); // Force close
         mqttClient = null;
@@ -574,10 +1264,21 @@ function reconnect() {
  * @private
  */
 function _resetState() {
+    stopReconnectSupervisor();
+    stopWatchingCertificateFiles();
     mqttClient = null;
     connectionAttempts = 0;
-    reconnectTimer = null;
     isConnecting = false;
+    lastError = null;
+    lastConnectedAt = null;
+    lastDisconnectedAt = null;
+    publishQueue.flush();
+    publishQueue = createPublishQueue();
+    isReplaying = false;
+    subscriptions.clear();
+    connectListeners.length = 0;
+    gatewayFirmwareVersions.clear();
+    explodedTopics.reset();
 }
 
 module.exports = {
@@ -585,11 +1286,27 @@ module.exports = {
     publishDeviceData,
     publishMultipleDeviceData,
     publishGatewayData,
+    publishPresenceState,
     publish,
+    subscribe,
+    unsubscribe,
+    onConnect,
+    replayQueuedMessages,
+    getQueueMetrics,
     constructTopic,
+    constructPresenceTopic,
     constructGatewayTopic,
+    constructAvailabilityTopic,
+    PRESENCE_HOME,
+    PRESENCE_NOT_HOME,
+    AVAILABILITY_ONLINE,
+    AVAILABILITY_OFFLINE,
     isConnected,
     getConnectionStatus,
+    getReconnectDelay,
+    getReplayOptions,
+    topicMatchesFilter,
+    reloadTlsOptions,
     disconnect,
     reconnect,
     _resetState
@@ -0,0 +1,83 @@
+/**
+ * Payload Decoder Module
+ * Decodes gateway uploads sent as MessagePack or JSON into the same gateway data
+ * structure, with each device as the raw advertising data Buffer parsed by device-parser
+ */
+
+const msgpack = require('msgpack5')();
+
+/**
+ * Upload formats of the April Brother gateway, named as they appear in logs and errors
+ */
+const UPLOAD_FORMATS = {
+    MSGPACK: 'MessagePack',
+    JSON: 'JSON'
+};
+
+// Leading whitespace allowed before a JSON object: space, tab, line feed and carriage return
+const JSON_WHITESPACE = [0x20, 0x09, 0x0a, 0x0d];
+
+/**
+ * Detects the format of a gateway upload. A Content-Type naming JSON or MessagePack is
+ * trusted; otherwise (the gateway doesn't always send one) the first byte decides: gateway
+ * data is an object, which starts with `{` in JSON and with a map byte in MessagePack.
+ * @param {string|undefined} contentType - Content-Type header of the request
+ * @param {Buffer} body - Raw request body
+ * @returns {string} One of UPLOAD_FORMATS
+ */
+function detectFormat(contentType, body) {
+    const mediaType = (contentType || '').toLowerCase();
+
+    if (/[/+]json\b/.test(mediaType)) {
+        return UPLOAD_FORMATS.JSON;
+    }
+
+    if (mediaType.includes('msgpack')) {
+        return UPLOAD_FORMATS.MSGPACK;
+    }
+
+    const firstByte = body.find(byte => !JSON_WHITESPACE.includes(byte));
+    return firstByte === 0x7b ? UPLOAD_FORMATS.JSON : UPLOAD_FORMATS.MSGPACK;
+}
+
+/**
+ * Converts the devices of a JSON upload, sent as hex strings, to the Buffers a
+ * MessagePack upload contains. Entries that aren't hex strings are kept as they are,
+ * so device-parser reports them like any other invalid device.
+ * @param {Array} devices - Devices of the JSON upload
+ * @returns {Array} Devices with hex strings converted to Buffers
+ */
+function convertJsonDevices(devices) {
+    return devices.map(device => {
+        if (typeof device === 'string' && /^([0-9a-f]{2})+$/i.test(device)) {
+            return Buffer.from(device, 'hex');
+        }
+        return device;
+    });
+}
+
+/**
+ * Decodes a gateway upload
+ * @param {Buffer} body - Raw request body
+ * @param {string} format - Upload format from detectFormat()
+ * @returns {Object} Decoded gateway data
+ * @throws {Error} If the body is not valid in the given format
+ */
+function decodePayload(body, format) {
+    if (format === UPLOAD_FORMATS.MSGPACK) {
+        return msgpack.decode(body);
+    }
+
+    const data = JSON.parse(body.toString('utf8'));
+    if (data && Array.isArray(data.devices)) {
+        data.devices = convertJsonDevices(data.devices);
+    }
+
+    return data;
+}
+
+module.exports = {
+    UPLOAD_FORMATS,
+    detectFormat,
+    decodePayload
+};
@@ -0,0 +1,109 @@
+/**
+ * Private Address Module
+ * Classifies BLE device addresses and resolves resolvable private addresses (RPAs),
+ * which phones and wearables rotate every few minutes, with Identity Resolving Keys (IRKs)
+ */
+
+const crypto = require('crypto');
+const { normalizeMac } = require('./utils');
+
+/**
+ * Address types published as `address_type`. The gateway doesn't report whether an
+ * address is public or random, so only what the address itself proves is claimed.
+ */
+const ADDRESS_TYPES = {
+    PUBLIC: 'public',
+    RESOLVABLE_PRIVATE: 'resolvable_private',
+    RANDOM_STATIC_OR_PUBLIC: 'random_static_or_public',
+    PRIVATE_OR_PUBLIC: 'private_or_public'
+};
+
+/**
+ * Gets the two most significant bits of an address, which define the type of a random
+ * address (Bluetooth Core Specification Vol 6, Part B, 1.3.2)
+ * @param {string} mac - MAC address in any format
+ * @returns {number} 0b00 to 0b11
+ */
+function getTopBits(mac) {
+    return parseInt(normalizeMac(mac).slice(0, 2), 16) >> 6;
+}
+
+/**
+ * Classifies a device address from its two most significant bits. `10` is never used by
+ * random addresses, so it identifies a public address; any other value may also be a
+ * public address. An address is only known to be resolvable private once an IRK
+ * resolves it, so this never returns RESOLVABLE_PRIVATE.
+ * @param {string} mac - MAC address in any format
+ * @returns {string} PUBLIC, RANDOM_STATIC_OR_PUBLIC or PRIVATE_OR_PUBLIC
+ */
+function classifyAddress(mac) {
+    switch (getTopBits(mac)) {
+        case 0b10:
+            return ADDRESS_TYPES.PUBLIC;
+        case 0b11:
+            return ADDRESS_TYPES.RANDOM_STATIC_OR_PUBLIC;
+        default:
+            return ADDRESS_TYPES.PRIVATE_OR_PUBLIC;
+    }
+}
+
+/**
+ * Checks whether an address has the form of a resolvable private address (top bits `01`),
+ * so resolving it with the configured IRKs is worth trying
+ * @param {string} mac - MAC address in any format
+ * @returns {boolean} True if the address may be resolvable
+ */
+function mayBeResolvable(mac) {
+    return getTopBits(mac) === 0b01;
+}
+
+/**
+ * Parses an Identity Resolving Key
+ * @param {string} value - 32 hex characters (most significant byte first), or base64 as exported
+ *                         from the Apple keychain (least significant byte first)
+ * @returns {Buffer} 16 byte key, most significant byte first
+ * @throws {Error} If the key is invalid
+ */
+function parseIrk(value) {
+    const irk = (value || '').trim().replace(/^irk:/i, '');
+
+    if (/^[0-9a-f]{32}$/i.test(irk)) {
+        return Buffer.from(irk, 'hex');
+    }
+
+    if (/^[A-Za-z0-9+/]{22}==$/.test(irk)) {
+        return Buffer.from(irk, 'base64').reverse();
+    }
+
+    throw new Error('expected 32 hex characters or a base64 key');
+}
+
+/**
+ * Checks whether a resolvable private address was generated with an IRK: the lower
+ * 24 bits (hash) must equal ah(IRK, prand), the AES-128 encryption of the upper 24 bits
+ * (prand) padded to 128 bits, truncated to 24 bits
+ * @param {string} mac - MAC address in any format
+ * @param {Buffer} irk - 16 byte Identity Resolving Key
+ * @returns {boolean} True if the address resolves to the key
+ */
+function resolvesToIrk(mac, irk) {
+    if (!mayBeResolvable(mac)) {
+        return false;
+    }
+
+    const address = Buffer.from(normalizeMac(mac), 'hex');
+
+    const cipher = crypto.createCipheriv('aes-128-ecb', irk, null);
+    cipher.setAutoPadding(false);
+    const encrypted = cipher.update(Buffer.concat([Buffer.alloc(13), address.subarray(0, 3)]));
+
+    return encrypted.subarray(13).equals(address.subarray(3));
+}
+
+module.exports = {
+    ADDRESS_TYPES,
+    classifyAddress,
+    mayBeResolvable,
+    parseIrk,
+    resolvesToIrk
+};
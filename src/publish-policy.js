@@ -0,0 +1,132 @@
+/**
+ * Publish Policy Module
+ * Resolves how each device is published: its publish interval, cache retention and
+ * whether its arrival triggers an immediate publish. Settings come from the configured
+ * device (HA_BLE_DEVICE_X_*), else from the first matching group (PUBLISH_GROUP_X),
+ * else from MQTT_PUBLISH_INTERVAL_SECONDS and MQTT_DEVICE_CACHE_RETENTION_SECONDS.
+ */
+
+const { config } = require('./config');
+const { getDeviceKey } = require('./utils');
+
+const DEFAULT_POLICY_NAME = 'default';
+
+/**
+ * Gets the policy of devices without own settings
+ * @returns {{name: string, intervalSeconds: number, retentionSeconds: number, immediate: boolean|null}} Default policy.
+ *          `immediate: null` publishes immediately when a configured device arrives.
+ */
+function getDefaultPolicy() {
+    return {
+        name: DEFAULT_POLICY_NAME,
+        intervalSeconds: config.mqtt.publishIntervalSeconds || 0,
+        retentionSeconds: config.mqtt.deviceCacheRetentionSeconds || 300,
+        immediate: null
+    };
+}
+
+/**
+ * Creates a policy from publish settings; settings that are not set fall back to the default policy
+ * @param {string} name - Policy name, used to schedule its publishes and in log messages
+ * @param {Object} settings - Publish settings ({intervalSeconds, retentionSeconds, immediate})
+ * @returns {Object} Policy
+ */
+function createPolicy(name, settings) {
+    const policy = getDefaultPolicy();
+    policy.name = name;
+
+    for (const setting of ['intervalSeconds', 'retentionSeconds', 'immediate']) {
+        if (settings[setting] !== undefined) {
+            policy[setting] = settings[setting];
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * Checks whether a device belongs to a publish group
+ * @param {Object} group - Publish group ({macPrefix} or {decoder})
+ * @param {Object} payload - Device JSON payload
+ * @returns {boolean} True if the device matches the group
+ */
+function matchesGroup(group, payload) {
+    if (group.macPrefix) {
+        const mac = (payload.mac_address || '').replace(/:/g, '').toLowerCase();
+        return mac.startsWith(group.macPrefix);
+    }
+
+    return Boolean(group.decoder) && payload.decoder === group.decoder;
+}
+
+/**
+ * Gets the publish policy of a device
+ * @param {Object} payload - Device JSON payload
+ * @returns {Object} Policy of the configured device, its first matching group or the default policy
+ */
+function getPolicy(payload) {
+    const deviceKey = getDeviceKey(payload);
+    const device = config.homeAssistant.devices.get(deviceKey);
+    if (device && device.publish) {
+        return createPolicy(`device_${deviceKey}`, device.publish);
+    }
+
+    const group = (config.mqtt.publishGroups || []).find(publishGroup => matchesGroup(publishGroup, payload));
+    if (group) {
+        return createPolicy(group.name, group);
+    }
+
+    return getDefaultPolicy();
+}
+
+/**
+ * Gets all publish policies: the default policy, one per group and one per device with own settings
+ * @returns {Array<Object>} Policies
+ */
+function getPolicies() {
+    const policies = [getDefaultPolicy()];
+
+    for (const group of config.mqtt.publishGroups || []) {
+        policies.push(createPolicy(group.name, group));
+    }
+
+    for (const [deviceKey, device] of config.homeAssistant.devices.entries()) {
+        if (device.publish) {
+            policies.push(createPolicy(`device_${deviceKey}`, device.publish));
+        }
+    }
+
+    return policies;
+}
+
+/**
+ * Gets a publish policy by name
+ * @param {string} name - Policy name
+ * @returns {Object|null} Policy, or null if no such policy is configured
+ */
+function getPolicyByName(name) {
+    return getPolicies().find(policy => policy.name === name) || null;
+}
+
+/**
+ * Checks whether a device arriving (new to the cache or returning after expiry)
+ * triggers an immediate publish of its policy's devices
+ * @param {Object} policy - Publish policy of the device
+ * @param {string} deviceKey - Device key
+ * @returns {boolean} True if the device's arrival is published immediately
+ */
+function shouldPublishOnArrival(policy, deviceKey) {
+    if (policy.immediate === null) {
+        return config.homeAssistant.devices.has(deviceKey);
+    }
+    return policy.immediate;
+}
+
+module.exports = {
+    DEFAULT_POLICY_NAME,
+    getDefaultPolicy,
+    getPolicy,
+    getPolicies,
+    getPolicyByName,
+    shouldPublishOnArrival
+};
@@ -0,0 +1,272 @@
+/**
+ * Publish Queue Module
+ * Bounded outbound queue that holds MQTT messages while the broker is unreachable,
+ * keeping only the latest message per topic, with optional on-disk persistence
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * What to do with a message for a new topic when the queue is full
+ */
+const DROP_POLICIES = ['drop_oldest', 'drop_newest'];
+
+/**
+ * How long changes are collected before the queue is written to disk, so a
+ * burst of queued or replayed messages costs one write instead of one per message
+ */
+const SAVE_DELAY_MS = 5000;
+
+/**
+ * How often the broker may reject a replayed message before it is discarded, so a
+ * message the broker always rejects doesn't block the messages queued behind it
+ */
+const MAX_REPLAY_ATTEMPTS = 3;
+
+class PublishQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {number} options.maxSize - Maximum number of queued messages (0 disables the queue)
+     * @param {string} options.dropPolicy - 'drop_oldest' evicts the oldest message, 'drop_newest' rejects the new one
+     * @param {string} options.persistPath - File the queue is saved to and restored from ('' keeps it in memory only)
+     * @param {number} options.saveDelayMs - Delay before changes are written to persistPath
+     */
+    constructor({ maxSize = 1000, dropPolicy = 'drop_oldest', persistPath = '', saveDelayMs = SAVE_DELAY_MS } = {}) {
+        this.maxSize = maxSize;
+        this.dropPolicy = DROP_POLICIES.includes(dropPolicy) ? dropPolicy : 'drop_oldest';
+        this.persistPath = persistPath;
+        this.saveDelayMs = saveDelayMs;
+
+        // Pending write of the queue to persistPath, null when the file is up to date
+        this.saveTimer = null;
+
+        // Topic -> { topic, message, options, queuedAt }; Map iteration order is the replay order
+        this.messages = new Map();
+
+        this.metrics = {
+            enqueued: 0,
+            coalesced: 0,
+            dropped: 0,
+            expired: 0,
+            failed: 0,
+            replayed: 0
+        };
+
+        this.load();
+    }
+
+    /**
+     * Checks whether messages are queued while disconnected
+     * @returns {boolean} True if the queue is enabled
+     */
+    isEnabled() {
+        return this.maxSize > 0;
+    }
+
+    /**
+     * Gets the number of queued messages
+     * @returns {number} Queue depth
+     */
+    size() {
+        return this.messages.size;
+    }
+
+    /**
+     * Adds a message to the end of the queue. A queued message for the same topic is
+     * replaced, so only the latest state per topic is replayed.
+     * @param {string} topic - MQTT topic
+     * @param {string} message - Message payload
+     * @param {Object} options - Publish options (qos, retain)
+     * @returns {boolean} True if the message was queued, false if it was dropped
+     */
+    enqueue(topic, message, options = {}) {
+        if (!this.isEnabled()) {
+            return false;
+        }
+
+        if (this.messages.has(topic)) {
+            this.messages.delete(topic);
+            this.metrics.coalesced++;
+        } else if (this.messages.size >= this.maxSize) {
+            if (this.dropPolicy === 'drop_newest') {
+                this.metrics.dropped++;
+                logger.warn('MQTT publish queue is full, dropping new message', { topic, queueDepth: this.messages.size });
+                return false;
+            }
+
+            const oldestTopic = this.messages.keys().next().value;
+            this.messages.delete(oldestTopic);
+            this.metrics.dropped++;
+            logger.warn('MQTT publish queue is full, dropping oldest message', { topic: oldestTopic, queueDepth: this.messages.size });
+        }
+
+        this.messages.set(topic, { topic, message, options, queuedAt: new Date().toISOString() });
+        this.metrics.enqueued++;
+        this.scheduleSave();
+
+        return true;
+    }
+
+    /**
+     * Removes and returns the oldest queued message
+     * @returns {{topic: string, message: string, options: Object, queuedAt: string}|null} Message or null if the queue is empty
+     */
+    shift() {
+        const first = this.messages.values().next();
+        if (first.done) {
+            return null;
+        }
+
+        this.messages.delete(first.value.topic);
+        this.scheduleSave();
+
+        return first.value;
+    }
+
+    /**
+     * Puts a message that failed to replay back at the front of the queue, unless a newer
+     * message for its topic has been queued in the meantime or it failed MAX_REPLAY_ATTEMPTS times
+     * @param {{topic: string, message: string, options: Object, queuedAt: string, attempts: number}} entry - Message returned by shift()
+     * @param {boolean} [rejected=true] - Whether the broker rejected the message; a replay interrupted
+     *        by a lost connection doesn't count as a failed attempt
+     * @returns {boolean} False if the message was discarded after failing too often
+     */
+    requeue(entry, rejected = true) {
+        if (rejected) {
+            entry.attempts = (entry.attempts || 0) + 1;
+            if (entry.attempts >= MAX_REPLAY_ATTEMPTS) {
+                this.metrics.failed++;
+                return false;
+            }
+        }
+
+        if (this.messages.has(entry.topic)) {
+            return true;
+        }
+
+        this.messages = new Map([[entry.topic, entry], ...this.messages]);
+        this.scheduleSave();
+
+        return true;
+    }
+
+    /**
+     * Counts a message as replayed after it was published
+     */
+    recordReplayed() {
+        this.metrics.replayed++;
+    }
+
+    /**
+     * Counts a message that was discarded because its MQTT 5 expiry interval elapsed while queued
+     */
+    recordExpired() {
+        this.metrics.expired++;
+    }
+
+    /**
+     * Removes all queued messages
+     */
+    clear() {
+        this.messages.clear();
+        this.scheduleSave();
+    }
+
+    /**
+     * Gets queue depth and counters
+     * @returns {Object} Queue metrics
+     */
+    getMetrics() {
+        return {
+            enabled: this.isEnabled(),
+            depth: this.messages.size,
+            maxSize: this.maxSize,
+            dropPolicy: this.dropPolicy,
+            persistent: Boolean(this.persistPath),
+            ...this.metrics
+        };
+    }
+
+    /**
+     * Restores queued messages saved by a previous run
+     */
+    load() {
+        if (!this.persistPath || !fs.existsSync(this.persistPath)) {
+            return;
+        }
+
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+            for (const entry of entries.slice(-this.maxSize)) {
+                if (entry && typeof entry.topic === 'string' && typeof entry.message === 'string') {
+                    this.messages.set(entry.topic, entry);
+                }
+            }
+
+            if (this.messages.size > 0) {
+                logger.info(`Restored ${this.messages.size} queued MQTT messages from ${this.persistPath}`);
+            }
+        } catch (error) {
+            logger.error(`Failed to restore MQTT publish queue from ${this.persistPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Schedules a write of the queue to disk when persistence is enabled;
+     * changes until then are written together
+     */
+    scheduleSave() {
+        if (!this.persistPath || this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelayMs);
+
+        // A pending write must not keep the process alive; shutdown flushes it
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Writes pending changes to disk immediately, e.g. after a replay or on shutdown
+     */
+    flush() {
+        if (!this.saveTimer) {
+            return;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.save();
+    }
+
+    /**
+     * Writes the queue to disk when persistence is enabled
+     */
+    save() {
+        if (!this.persistPath) {
+            return;
+        }
+
+        try {
+            // Write to a temporary file first so a crash never leaves a truncated queue behind
+            const tempPath = `${this.persistPath}.tmp`;
+            fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(Array.from(this.messages.values())));
+            fs.renameSync(tempPath, this.persistPath);
+        } catch (error) {
+            logger.error(`Failed to save MQTT publish queue to ${this.persistPath}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = PublishQueue;
+module.exports.DROP_POLICIES = DROP_POLICIES;
+module.exports.SAVE_DELAY_MS = SAVE_DELAY_MS;
+module.exports.MAX_REPLAY_ATTEMPTS = MAX_REPLAY_ATTEMPTS;
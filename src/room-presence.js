@@ -0,0 +1,200 @@
+/**
+ * Room Presence Module
+ * Determines the nearest gateway (and its room) for each device from the RSSI
+ * reported by every gateway that heard the device within a time window
+ */
+
+const { config } = require('./config');
+const logger = require('./logger');
+const { normalizeMac, getDeviceKey } = require('./utils');
+
+// Device key -> Map(gateway MAC -> Array<{ rssi, timestamp }>)
+const observations = new Map();
+// Device key -> { gatewayMac, room }
+const currentRooms = new Map();
+
+/**
+ * Checks whether room presence is enabled (at least one ROOM_GATEWAY_X configured)
+ * @returns {boolean} True if room presence is enabled
+ */
+function isEnabled() {
+    return Boolean(config.roomPresence && config.roomPresence.gateways.size > 0);
+}
+
+/**
+ * Gets the room name for a gateway. Gateways without a configured room are
+ * still considered, using their MAC address as the room name.
+ * @param {string} gatewayMac - Normalized gateway MAC address
+ * @returns {string} Room name
+ */
+function getRoomName(gatewayMac) {
+    return config.roomPresence.gateways.get(gatewayMac) || gatewayMac;
+}
+
+/**
+ * Calculates the smoothed RSSI of a gateway's samples (mean over the window)
+ * @param {Array<{rssi: number}>} samples - RSSI samples within the window
+ * @returns {number} Smoothed RSSI in dBm
+ */
+function getSmoothedRssi(samples) {
+    const total = samples.reduce((sum, sample) => sum + sample.rssi, 0);
+    return total / samples.length;
+}
+
+/**
+ * Removes samples older than the window, and devices without any remaining samples
+ * @param {number} now - Current timestamp in milliseconds
+ */
+function pruneObservations(now) {
+    const windowStart = now - config.roomPresence.windowSeconds * 1000;
+
+    for (const [deviceKey, gateways] of observations.entries()) {
+        for (const [gatewayMac, samples] of gateways.entries()) {
+            const recentSamples = samples.filter(sample => sample.timestamp >= windowStart);
+            if (recentSamples.length > 0) {
+                gateways.set(gatewayMac, recentSamples);
+            } else {
+                gateways.delete(gatewayMac);
+            }
+        }
+
+        if (gateways.size === 0) {
+            observations.delete(deviceKey);
+            currentRooms.delete(deviceKey);
+        }
+    }
+}
+
+/**
+ * Records an RSSI sample for a device as heard by a gateway
+ * @param {string} deviceKey - Device key (normalized MAC or configured device key)
+ * @param {string} gatewayMac - Normalized gateway MAC address
+ * @param {number} rssi - RSSI in dBm
+ * @param {number} timestamp - Sample timestamp in milliseconds
+ */
+function recordObservation(deviceKey, gatewayMac, rssi, timestamp) {
+    if (!observations.has(deviceKey)) {
+        observations.set(deviceKey, new Map());
+    }
+
+    const gateways = observations.get(deviceKey);
+    if (!gateways.has(gatewayMac)) {
+        gateways.set(gatewayMac, []);
+    }
+
+    gateways.get(gatewayMac).push({ rssi, timestamp });
+}
+
+/**
+ * Determines the nearest gateway for a device from its recorded samples.
+ * The current gateway is only replaced when another gateway's smoothed RSSI
+ * is stronger by at least the configured hysteresis, to avoid flapping.
+ * @param {string} deviceKey - Device key
+ * @returns {{gatewayMac: string, room: string, rssi: number}|null} Nearest gateway or null if the device has no samples
+ */
+function determineNearestGateway(deviceKey) {
+    const gateways = observations.get(deviceKey);
+    if (!gateways || gateways.size === 0) {
+        return null;
+    }
+
+    const smoothedRssi = new Map();
+    for (const [gatewayMac, samples] of gateways.entries()) {
+        smoothedRssi.set(gatewayMac, getSmoothedRssi(samples));
+    }
+
+    let strongestGateway = null;
+    for (const [gatewayMac, rssi] of smoothedRssi.entries()) {
+        if (strongestGateway === null || rssi > smoothedRssi.get(strongestGateway)) {
+            strongestGateway = gatewayMac;
+        }
+    }
+
+    let nearestGateway = strongestGateway;
+    const current = currentRooms.get(deviceKey);
+    if (current && smoothedRssi.has(current.gatewayMac) && current.gatewayMac !== strongestGateway) {
+        const improvement = smoothedRssi.get(strongestGateway) - smoothedRssi.get(current.gatewayMac);
+        if (improvement < config.roomPresence.hysteresisDb) {
+            nearestGateway = current.gatewayMac;
+        }
+    }
+
+    const room = getRoomName(nearestGateway);
+    if (!current || current.gatewayMac !== nearestGateway) {
+        logger.debug(`Device ${deviceKey} moved to room ${room}`, {
+            previousRoom: current ? current.room : null,
+            gatewayMac: nearestGateway,
+            rssi: smoothedRssi.get(nearestGateway)
+        });
+    }
+    currentRooms.set(deviceKey, { gatewayMac: nearestGateway, room });
+
+    return {
+        gatewayMac: nearestGateway,
+        room,
+        rssi: smoothedRssi.get(nearestGateway)
+    };
+}
+
+/**
+ * Records the RSSI of each payload for its reporting gateway and adds the device's
+ * current room (`room`) and nearest gateway (`nearest_gateway_mac`) to the payload
+ * @param {Array<Object>} devicePayloads - Device JSON payloads with gateway_mac (modified in place)
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Array<Object>} The same payloads
+ */
+function applyRoomPresence(devicePayloads, now = Date.now()) {
+    if (!isEnabled()) {
+        return devicePayloads;
+    }
+
+    pruneObservations(now);
+
+    for (const payload of devicePayloads) {
+        if (!payload.gateway_mac || typeof payload.rssi !== 'number') {
+            continue;
+        }
+
+        try {
+            const deviceKey = getDeviceKey(payload);
+            recordObservation(deviceKey, normalizeMac(payload.gateway_mac), payload.rssi, now);
+
+            const nearest = determineNearestGateway(deviceKey);
+            payload.room = nearest.room;
+            payload.nearest_gateway_mac = nearest.gatewayMac;
+        } catch (error) {
+            logger.warn(`Failed to determine room for device ${payload.mac_address}: ${error.message}`);
+        }
+    }
+
+    return devicePayloads;
+}
+
+/**
+ * Gets the current room of a device
+ * @param {string} deviceKey - Device key
+ * @returns {string|null} Room name or null if unknown
+ */
+function getCurrentRoom(deviceKey) {
+    const current = currentRooms.get(deviceKey);
+    return current ? current.room : null;
+}
+
+/**
+ * Clears all observations and room assignments
+ * Primarily used for testing
+ */
+function reset() {
+    observations.clear();
+    currentRooms.clear();
+}
+
+module.exports = {
+    isEnabled,
+    applyRoomPresence,
+    recordObservation,
+    determineNearestGateway,
+    getSmoothedRssi,
+    getCurrentRoom,
+    reset
+};
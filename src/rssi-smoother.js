@@ -0,0 +1,201 @@
+/**
+ * RSSI Smoother Module
+ * Smooths the RSSI of each device (per reporting gateway) across requests with a
+ * moving average, exponential or Kalman filter, and estimates the device's distance
+ * from the smoothed RSSI with the log-distance path loss model
+ */
+
+const { config } = require('./config');
+const logger = require('./logger');
+const { normalizeMac, getDeviceKey } = require('./utils');
+
+/**
+ * Difference in dB between the TX power at 0 m advertised in the AD TX Power Level
+ * and the expected RSSI at 1 m
+ */
+const TX_POWER_1M_OFFSET_DB = 41;
+
+// Filter key -> { state, lastSeen }
+const filters = new Map();
+
+/**
+ * Checks whether RSSI smoothing is enabled (RSSI_SMOOTHING set to a method)
+ * @returns {boolean} True if RSSI smoothing is enabled
+ */
+function isEnabled() {
+    return Boolean(config.rssiSmoothing && config.rssiSmoothing.method !== 'none');
+}
+
+/**
+ * Creates the initial filter state from the first RSSI sample
+ * @param {string} method - Smoothing method
+ * @param {number} rssi - RSSI in dBm
+ * @returns {Object} Filter state
+ */
+function createFilterState(method, rssi) {
+    switch (method) {
+        case 'moving_average':
+            return { samples: [rssi], value: rssi };
+        case 'kalman':
+            return { value: rssi, covariance: config.rssiSmoothing.kalmanMeasurementNoise };
+        default:
+            return { value: rssi };
+    }
+}
+
+/**
+ * Updates a filter state with a new RSSI sample
+ * @param {string} method - Smoothing method
+ * @param {Object} state - Filter state (modified in place)
+ * @param {number} rssi - RSSI in dBm
+ * @returns {number} Smoothed RSSI in dBm
+ */
+function updateFilterState(method, state, rssi) {
+    const settings = config.rssiSmoothing;
+
+    switch (method) {
+        case 'moving_average': {
+            state.samples.push(rssi);
+            if (state.samples.length > settings.windowSize) {
+                state.samples.splice(0, state.samples.length - settings.windowSize);
+            }
+            state.value = state.samples.reduce((sum, sample) => sum + sample, 0) / state.samples.length;
+            break;
+        }
+        case 'exponential':
+            state.value = settings.alpha * rssi + (1 - settings.alpha) * state.value;
+            break;
+        case 'kalman': {
+            // One-dimensional Kalman filter with a constant signal model
+            const predictedCovariance = state.covariance + settings.kalmanProcessNoise;
+            const gain = predictedCovariance / (predictedCovariance + settings.kalmanMeasurementNoise);
+            state.value = state.value + gain * (rssi - state.value);
+            state.covariance = (1 - gain) * predictedCovariance;
+            break;
+        }
+        default:
+            state.value = rssi;
+    }
+
+    return state.value;
+}
+
+/**
+ * Smooths an RSSI sample with the configured method. A filter that has not been
+ * updated for the device cache retention period starts over from the new sample.
+ * @param {string} filterKey - Key of the filter (device key and gateway MAC)
+ * @param {number} rssi - RSSI in dBm
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number} Smoothed RSSI in dBm
+ */
+function smoothRssi(filterKey, rssi, now = Date.now()) {
+    const method = config.rssiSmoothing.method;
+    const maxAgeMs = config.mqtt.deviceCacheRetentionSeconds * 1000;
+    const filter = filters.get(filterKey);
+
+    if (!filter || now - filter.lastSeen > maxAgeMs) {
+        filters.set(filterKey, { state: createFilterState(method, rssi), lastSeen: now });
+        return rssi;
+    }
+
+    filter.lastSeen = now;
+    return updateFilterState(method, filter.state, rssi);
+}
+
+/**
+ * Gets the expected RSSI at 1 m for a device: the iBeacon measured power, the AD
+ * TX power level (calibrated at 0 m) or the configured reference power
+ * @param {Object} payload - Device JSON payload
+ * @returns {number} Reference power at 1 m in dBm
+ */
+function getReferencePower(payload) {
+    if (payload.ibeacon && typeof payload.ibeacon.measured_power === 'number') {
+        return payload.ibeacon.measured_power;
+    }
+
+    if (typeof payload.tx_power === 'number') {
+        return payload.tx_power - TX_POWER_1M_OFFSET_DB;
+    }
+
+    return config.rssiSmoothing.referencePower;
+}
+
+/**
+ * Estimates the distance to a device with the log-distance path loss model
+ * @param {number} rssi - (Smoothed) RSSI in dBm
+ * @param {number} referencePower - Expected RSSI at 1 m in dBm
+ * @param {number} pathLossExponent - Path loss exponent (2 in free space)
+ * @returns {number} Estimated distance in metres
+ */
+function estimateDistance(rssi, referencePower, pathLossExponent) {
+    return Math.pow(10, (referencePower - rssi) / (10 * pathLossExponent));
+}
+
+/**
+ * Removes filters that have not been updated for the device cache retention period
+ * @param {number} now - Current timestamp in milliseconds
+ */
+function pruneFilters(now) {
+    const maxAgeMs = config.mqtt.deviceCacheRetentionSeconds * 1000;
+
+    for (const [filterKey, filter] of filters.entries()) {
+        if (now - filter.lastSeen > maxAgeMs) {
+            filters.delete(filterKey);
+        }
+    }
+}
+
+/**
+ * Adds the smoothed RSSI (`rssi_smoothed`, dBm) and the estimated distance
+ * (`distance_m`, metres) to each payload
+ * @param {Array<Object>} devicePayloads - Device JSON payloads (modified in place)
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Array<Object>} The same payloads
+ */
+function applyRssiSmoothing(devicePayloads, now = Date.now()) {
+    if (!isEnabled()) {
+        return devicePayloads;
+    }
+
+    pruneFilters(now);
+
+    for (const payload of devicePayloads) {
+        if (typeof payload.rssi !== 'number') {
+            continue;
+        }
+
+        try {
+            // Each gateway hears the device at a different strength, so smooth them separately
+            const deviceKey = getDeviceKey(payload);
+            const filterKey = payload.gateway_mac ? `${deviceKey}@${normalizeMac(payload.gateway_mac)}` : deviceKey;
+
+            const smoothedRssi = smoothRssi(filterKey, payload.rssi, now);
+            const distance = estimateDistance(smoothedRssi, getReferencePower(payload), config.rssiSmoothing.pathLossExponent);
+
+            payload.rssi_smoothed = Math.round(smoothedRssi * 10) / 10;
+            payload.distance_m = Math.round(distance * 100) / 100;
+        } catch (error) {
+            logger.warn(`Failed to smooth RSSI for device ${payload.mac_address}: ${error.message}`);
+        }
+    }
+
+    return devicePayloads;
+}
+
+/**
+ * Clears all filter state
+ * Primarily used for testing
+ */
+function reset() {
+    filters.clear();
+}
+
+module.exports = {
+    isEnabled,
+    applyRssiSmoothing,
+    smoothRssi,
+    getReferencePower,
+    estimateDistance,
+    reset,
+    TX_POWER_1M_OFFSET_DB
+};
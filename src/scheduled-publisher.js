@@ -5,21 +5,27 @@
 
 const logger = require('./logger');
 const { config } = require('./config');
-const { normalizeMac } = require('./utils');
+const { getDeviceKey, normalizeMac } = require('./utils');
+const changeDetector = require('./change-detector');
+const publishPolicy = require('./publish-policy');
+
+// How often expired devices are swept from the cache when presence tracking is enabled
+const PRESENCE_SWEEP_INTERVAL_MS = 10000;
 
 class ScheduledPublisher {
-    constructor(mqttClient, publishDeviceDataCallback, publishGatewayStatusCallback) {
+    constructor(mqttClient, publishDeviceDataCallback, publishGatewayStatusCallback, presenceChangeCallback = null) {
         this.mqttClient = mqttClient;
         this.publishDeviceDataCallback = publishDeviceDataCallback;
         this.publishGatewayStatusCallback = publishGatewayStatusCallback;
+        this.presenceChangeCallback = presenceChangeCallback;
         
         // State management
-        this.deviceCache = new Map(); // MAC -> { data: device_payload, ttl: timestamp }
-        this.publishTimeout = null;
-        this.lastGatewayMetadata = null;
-        this.lastGatewayInfo = null;
+        this.deviceCache = new Map(); // Device key (normalized MAC) -> { data: device_payload, ttl: timestamp, policy: policy name }
+        this.publishTimeouts = new Map(); // Publish policy name -> scheduled publish timer
+        this.presenceSweepInterval = null;
+        this.gateways = new Map(); // Gateway key (normalized MAC, '' if unknown) -> { metadata, info }
         
-        // Configuration for device absence detection and cache management
+        // Configuration for device absence detection and cache management (devices without own publish policy)
         this.deviceCacheRetentionMs = (config.mqtt.deviceCacheRetentionSeconds || 300) * 1000;
         
         // Bind methods to maintain context
@@ -27,47 +33,111 @@ class ScheduledPublisher {
         this.scheduleNextPublish = this.scheduleNextPublish.bind(this);
         this.performScheduledPublish = this.performScheduledPublish.bind(this);
         this.cleanupExpiredDevices = this.cleanupExpiredDevices.bind(this);
+        this.sweepExpiredDevices = this.sweepExpiredDevices.bind(this);
     }
 
     /**
-     * Handles incoming device data from gateway
-     * @param {Array<Object>} devicePayloads - Array of device JSON payloads
+     * Checks whether Home Assistant presence entities are driven by the device cache
+     * @returns {boolean} True if presence tracking is enabled
+     */
+    isPresenceTrackingEnabled() {
+        return Boolean(config.homeAssistant.enabled && config.homeAssistant.presenceEntity && this.presenceChangeCallback);
+    }
+
+    /**
+     * Notifies the presence callback about tracked devices arriving or leaving.
+     * Failures are logged so they never interrupt publishing or cache cleanup.
+     * @param {Array<string>} deviceKeys - Keys of configured devices whose presence changed
+     * @param {boolean} isHome - True if the devices arrived, false if they expired
+     * @returns {Promise<void>}
+     */
+    async notifyPresenceChange(deviceKeys, isHome) {
+        if (!this.isPresenceTrackingEnabled()) {
+            return;
+        }
+
+        for (const deviceKey of deviceKeys) {
+            try {
+                await this.presenceChangeCallback(deviceKey, isHome);
+                logger.info(`Tracked device ${deviceKey} is now ${isHome ? 'home' : 'not home'}`);
+            } catch (error) {
+                logger.error(`Failed to publish presence for device ${deviceKey}`, {
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Gets the key a gateway is tracked under
+     * @param {Object} gatewayInfo - Gateway info
+     * @returns {string} Normalized gateway MAC, or '' if the gateway did not report a valid MAC
+     */
+    getGatewayKey(gatewayInfo) {
+        try {
+            return normalizeMac(gatewayInfo.mac);
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Remembers the latest metadata and info of the gateway that sent data
      * @param {Object} gatewayMetadata - Gateway metadata for logging
      * @param {Object} gatewayInfo - Gateway info for publishing
-     * @returns {Promise<boolean>} True if immediate publish was triggered, false otherwise
      */
-    async handleIncomingData(devicePayloads, gatewayMetadata, gatewayInfo) {
-        if (config.mqtt.publishIntervalSeconds === 0) {
-            // Interval publishing is disabled, publish immediately
-            logger.debug('Publish interval is disabled. Publishing immediately.');
-            await this.publishDeviceDataCallback(devicePayloads, gatewayMetadata, gatewayInfo);
-            return true;
+    updateGatewayInfo(gatewayMetadata, gatewayInfo) {
+        if (!gatewayInfo) {
+            return;
         }
 
-        const now = Date.now();
+        this.gateways.set(this.getGatewayKey(gatewayInfo), {
+            metadata: gatewayMetadata,
+            info: gatewayInfo
+        });
+    }
 
-        // Update device cache with latest data and TTL for each device
+    /**
+     * Checks whether a device is new to the cache
+     * @param {string} deviceKey - Device key
+     * @param {number} now - Current timestamp
+     * @returns {boolean} True if the device is not cached or its cache entry expired
+     */
+    isNewToCache(deviceKey, now) {
+        const existingEntry = this.deviceCache.get(deviceKey);
+        return !existingEntry || existingEntry.ttl < now; // Consider expired devices as "new"
+    }
+
+    /**
+     * Updates the device cache with the latest payloads
+     * @param {Array<Object>} devicePayloads - Array of device JSON payloads
+     * @param {number} now - Current timestamp
+     * @returns {Array<string>} Keys of configured devices that are new to the cache (or returning after expiry)
+     */
+    updateDeviceCache(devicePayloads, now) {
         const currentMacs = new Set();
         const newTrackedDevices = []; // Track new HA devices being added to cache
         
         for (const payload of devicePayloads) {
-            const normalizedMac = normalizeMac(payload.mac_address);
-            const ttl = now + this.deviceCacheRetentionMs;
+            // Configured iBeacons are keyed by their identity rather than their MAC
+            const normalizedMac = getDeviceKey(payload);
+            const policy = publishPolicy.getPolicy(payload);
+            const ttl = now + policy.retentionSeconds * 1000;
             
-            const existingEntry = this.deviceCache.get(normalizedMac);
-            const isNewToCache = !existingEntry || existingEntry.ttl < now; // Consider expired devices as "new"
+            const isNewToCache = this.isNewToCache(normalizedMac, now);
             
             // Update or add device to cache
             this.deviceCache.set(normalizedMac, {
                 data: payload,
-                ttl: ttl
+                ttl: ttl,
+                policy: policy.name
             });
             currentMacs.add(normalizedMac);
             
             // Check if this is a new HA device being added to cache (or returning after expiry)
             if (isNewToCache && config.homeAssistant.devices.has(normalizedMac)) {
                 newTrackedDevices.push(normalizedMac);
-                logger.debug(`New tracked device ${normalizedMac} added to cache - will trigger immediate publish`);
+                logger.debug(`New tracked device ${normalizedMac} added to cache`);
             }
         }
 
@@ -77,26 +147,110 @@ class ScheduledPublisher {
             newMacsInPayload: currentMacs.size
         });
 
-        // Cache gateway information
-        this.lastGatewayMetadata = gatewayMetadata;
-        this.lastGatewayInfo = gatewayInfo;
+        return newTrackedDevices;
+    }
+
+    /**
+     * Gets the policies whose devices are published immediately because one of their
+     * devices arrived (new to the cache or returning after expiry)
+     * @param {Array<Object>} devicePayloads - Array of device JSON payloads with a publish interval
+     * @param {number} now - Current timestamp
+     * @returns {Map<string, Array<string>>} Policy name -> keys of the arriving devices
+     */
+    getArrivalPolicies(devicePayloads, now) {
+        const arrivalPolicies = new Map();
+
+        for (const payload of devicePayloads) {
+            const deviceKey = getDeviceKey(payload);
+            const policy = publishPolicy.getPolicy(payload);
+            if (!this.isNewToCache(deviceKey, now) || !publishPolicy.shouldPublishOnArrival(policy, deviceKey)) {
+                continue;
+            }
+
+            if (!arrivalPolicies.has(policy.name)) {
+                arrivalPolicies.set(policy.name, []);
+            }
+            arrivalPolicies.get(policy.name).push(deviceKey);
+        }
+
+        return arrivalPolicies;
+    }
+
+    /**
+     * Handles incoming device data from gateway. Devices whose publish policy has no
+     * interval are published immediately; the others are cached for the scheduled
+     * publish of their policy. Gateway status follows the default policy.
+     * @param {Array<Object>} devicePayloads - Array of device JSON payloads
+     * @param {Object} gatewayMetadata - Gateway metadata for logging
+     * @param {Object} gatewayInfo - Gateway info for publishing
+     * @returns {Promise<boolean>} True if immediate publish was triggered, false otherwise
+     */
+    async handleIncomingData(devicePayloads, gatewayMetadata, gatewayInfo) {
+        const now = Date.now();
+        const publishesImmediately = publishPolicy.getDefaultPolicy().intervalSeconds === 0;
+        const scheduledPayloads = devicePayloads.filter(payload => publishPolicy.getPolicy(payload).intervalSeconds > 0);
+        const immediatePayloads = scheduledPayloads.length === 0 ? devicePayloads : devicePayloads.filter(payload => !scheduledPayloads.includes(payload));
+
+        // Checked before the cache is updated, as arriving devices are no longer new afterwards
+        const arrivalPolicies = this.getArrivalPolicies(scheduledPayloads, now);
+
+        // Presence tracking still needs the cache to know when immediately published devices arrive and expire
+        const cachedPayloads = this.isPresenceTrackingEnabled() ? devicePayloads : scheduledPayloads;
+        const newTrackedDevices = this.updateDeviceCache(cachedPayloads, now);
+        await this.notifyPresenceChange(newTrackedDevices, true);
+
+        let published = false;
+
+        if (publishesImmediately || immediatePayloads.length > 0) {
+            // Publish immediately (only changed devices with the on_change policy)
+            const changedPayloads = this.selectPayloadsToPublish(immediatePayloads, 'Immediate publish');
+            logger.debug('Publish interval is disabled. Publishing immediately.');
+            await this.publishDeviceDataCallback(changedPayloads, gatewayMetadata, publishesImmediately ? gatewayInfo : null);
+            published = true;
+        }
+
+        if (!publishesImmediately) {
+            // Cache gateway information per gateway for the scheduled publish
+            this.updateGatewayInfo(gatewayMetadata, gatewayInfo);
+        }
 
-        // Check for new tracked devices being added to cache
-        if (newTrackedDevices.length > 0) {
+        for (const [policyName, arrivedDevices] of arrivalPolicies.entries()) {
             logger.info('New tracked BLE devices detected, triggering immediate publication.', { 
-                newMacs: newTrackedDevices 
+                newMacs: arrivedDevices,
+                publishPolicy: policyName
             });
             
-            // Publish immediately with all cached device data
-            await this.publishCachedDevices(gatewayMetadata, gatewayInfo, 'Immediate publish due to new tracked devices');
+            // Publish immediately with all cached device data of the policy
+            await this.publishCachedDevices('Immediate publish due to new tracked devices', policyName);
             
-            // Reset the scheduled publish timer
-            this.scheduleNextPublish();
-            return true;
-        } else {
+            // Reset the scheduled publish timer of the policy
+            this.scheduleNextPublish(policyName);
+            published = true;
+        }
+
+        if (!published) {
             logger.debug('No new tracked devices detected. Caching data and waiting for next scheduled publish.');
-            return false;
         }
+
+        return published;
+    }
+
+    /**
+     * Selects the device payloads to publish according to MQTT_PUBLISH_POLICY
+     * @param {Array<Object>} devicePayloads - Array of device JSON payloads
+     * @param {string} triggerReason - Reason for publishing (for logging)
+     * @returns {Array<Object>} All payloads, or only those of changed devices with the on_change policy
+     */
+    selectPayloadsToPublish(devicePayloads, triggerReason) {
+        const changedPayloads = changeDetector.selectChangedPayloads(devicePayloads);
+
+        if (changedPayloads.length < devicePayloads.length) {
+            logger.debug(`${triggerReason}: Skipping ${devicePayloads.length - changedPayloads.length} unchanged devices.`, {
+                publishPolicy: config.mqtt.publishPolicy
+            });
+        }
+
+        return changedPayloads;
     }
 
     /**
@@ -116,6 +270,12 @@ class ScheduledPublisher {
         for (const normalizedMac of expiredDevices) {
             this.deviceCache.delete(normalizedMac);
         }
+
+        // Tracked devices whose cache entry expired are no longer home
+        const expiredTrackedDevices = expiredDevices.filter(normalizedMac => config.homeAssistant.devices.has(normalizedMac));
+        if (expiredTrackedDevices.length > 0) {
+            this.notifyPresenceChange(expiredTrackedDevices, false);
+        }
         
         return {
             expiredCount: expiredDevices.length,
@@ -125,31 +285,46 @@ class ScheduledPublisher {
     }
 
     /**
-     * Sets a timer for the next scheduled publication
+     * Removes expired devices from the cache between publications so presence
+     * changes are detected even when no data or scheduled publish arrives
+     */
+    sweepExpiredDevices() {
+        const cleanupStats = this.cleanupExpiredDevices(Date.now());
+        if (cleanupStats.expiredCount > 0) {
+            logger.debug(`Presence sweep removed ${cleanupStats.expiredCount} expired devices from cache.`, {
+                expiredMacs: cleanupStats.expiredMacs
+            });
+        }
+    }
+
+    /**
+     * Sets a timer for the next scheduled publication of a publish policy
+     * @param {string} policyName - Publish policy name
      */
-    scheduleNextPublish() {
+    scheduleNextPublish(policyName = publishPolicy.DEFAULT_POLICY_NAME) {
         // Clear any existing timer to ensure we don't have multiple running
-        if (this.publishTimeout) {
-            clearTimeout(this.publishTimeout);
+        if (this.publishTimeouts.has(policyName)) {
+            clearTimeout(this.publishTimeouts.get(policyName));
+            this.publishTimeouts.delete(policyName);
         }
 
-        const interval = config.mqtt.publishIntervalSeconds * 1000;
-        if (interval === 0) {
+        const policy = publishPolicy.getPolicyByName(policyName);
+        if (!policy || policy.intervalSeconds === 0) {
             return; // Do not schedule if the interval is zero
         }
 
-        this.publishTimeout = setTimeout(this.performScheduledPublish, interval);
-        logger.debug(`Next scheduled publish in ${config.mqtt.publishIntervalSeconds} seconds.`);
+        this.publishTimeouts.set(policyName, setTimeout(() => this.performScheduledPublish(policyName), policy.intervalSeconds * 1000));
+        logger.debug(`Next scheduled publish of ${policyName} devices in ${policy.intervalSeconds} seconds.`);
     }
 
     /**
-     * Publishes all cached device data
-     * @param {Object} gatewayMetadata - Gateway metadata for logging
-     * @param {Object} gatewayInfo - Gateway info for publishing
+     * Publishes the cached device data of a publish policy. The default policy's publish
+     * is followed by the status of every known gateway.
      * @param {string} triggerReason - Reason for publishing (for logging)
+     * @param {string} policyName - Publish policy name
      * @returns {Promise<void>}
      */
-    async publishCachedDevices(gatewayMetadata, gatewayInfo, triggerReason) {
+    async publishCachedDevices(triggerReason, policyName = publishPolicy.DEFAULT_POLICY_NAME) {
         const now = Date.now();
         
         // Clean up expired devices before publishing
@@ -162,47 +337,73 @@ class ScheduledPublisher {
             });
         }
 
-        if (this.deviceCache.size === 0) {
+        const policyEntries = Array.from(this.deviceCache.values()).filter(entry => entry.policy === policyName);
+
+        if (policyEntries.length === 0) {
             logger.debug(`${triggerReason}: No device data in cache to publish.`);
+        } else {
+            // Get all cached device data of the policy (only changed devices with the on_change policy)
+            const allDevicePayloads = this.selectPayloadsToPublish(
+                policyEntries.map(entry => entry.data),
+                triggerReason
+            );
+            
+            if (allDevicePayloads.length === 0) {
+                logger.debug(`${triggerReason}: No cached devices changed since they were last published.`);
+            } else {
+                logger.info(`${triggerReason}: Publishing ${allDevicePayloads.length} cached devices from ${this.deviceCache.size} cache entries.`);
+                
+                // Devices may have been heard by several gateways, so gateway status is published separately below
+                await this.publishDeviceDataCallback(allDevicePayloads, null, null);
+                
+                logger.info(`${triggerReason}: Completed publishing ${allDevicePayloads.length} devices.`);
+            }
+        }
+
+        if (policyName !== publishPolicy.DEFAULT_POLICY_NAME) {
             return;
         }
 
-        // Get all cached device data
-        const allDevicePayloads = Array.from(this.deviceCache.values()).map(entry => entry.data);
-        
-        logger.info(`${triggerReason}: Publishing ${allDevicePayloads.length} cached devices from ${this.deviceCache.size} cache entries.`);
-        
-        // Publish the devices
-        await this.publishDeviceDataCallback(allDevicePayloads, gatewayMetadata, gatewayInfo);
-        
-        logger.info(`${triggerReason}: Completed publishing ${allDevicePayloads.length} devices.`);
+        for (const gateway of this.gateways.values()) {
+            await this.publishGatewayStatusCallback(gateway.info);
+        }
     }
 
     /**
-     * Performs the scheduled publication
+     * Performs the scheduled publication of a publish policy
+     * @param {string} policyName - Publish policy name
      */
-    async performScheduledPublish() {
-        logger.info(`Scheduled publish triggered after ${config.mqtt.publishIntervalSeconds} seconds.`);
+    async performScheduledPublish(policyName = publishPolicy.DEFAULT_POLICY_NAME) {
+        const policy = publishPolicy.getPolicyByName(policyName);
+        logger.info(`Scheduled publish of ${policyName} devices triggered after ${policy ? policy.intervalSeconds : 0} seconds.`);
         
-        // Publish all cached device data (method handles cleanup and empty cache case)
-        await this.publishCachedDevices(this.lastGatewayMetadata, this.lastGatewayInfo, 'Scheduled publish');
-        
-        // If no devices were published, still publish gateway status if available
-        if (this.deviceCache.size === 0 && this.lastGatewayInfo) {
-            await this.publishGatewayStatusCallback(this.lastGatewayInfo);
-        }
+        // Publish the cached device data of the policy (method handles cleanup and empty cache case)
+        await this.publishCachedDevices(`Scheduled publish (${policyName})`, policyName);
 
         // Schedule the next run
-        this.scheduleNextPublish();
+        this.scheduleNextPublish(policyName);
     }
 
     /**
-     * Initializes scheduled publishing if interval is configured
+     * Initializes scheduled publishing for every publish policy with an interval
      */
     initialize() {
-        if (config.mqtt.publishIntervalSeconds > 0) {
-            logger.info(`Initializing scheduled MQTT publishing every ${config.mqtt.publishIntervalSeconds} seconds.`);
-            this.scheduleNextPublish();
+        for (const policy of publishPolicy.getPolicies()) {
+            if (policy.intervalSeconds > 0) {
+                logger.info(`Initializing scheduled MQTT publishing of ${policy.name} devices every ${policy.intervalSeconds} seconds.`);
+                this.scheduleNextPublish(policy.name);
+            }
+        }
+
+        if (this.isPresenceTrackingEnabled()) {
+            logger.info(`Initializing presence tracking with a ${this.deviceCacheRetentionMs / 1000} second retention.`);
+
+            // Tracked devices start as away until they are seen
+            const absentDevices = Array.from(config.homeAssistant.devices.keys())
+                .filter(deviceKey => !this.deviceCache.has(deviceKey));
+            this.notifyPresenceChange(absentDevices, false);
+
+            this.presenceSweepInterval = setInterval(this.sweepExpiredDevices, PRESENCE_SWEEP_INTERVAL_MS);
         }
     }
 
@@ -210,16 +411,24 @@ class ScheduledPublisher {
      * Shuts down the scheduled publisher, clearing timers
      */
     shutdown() {
-        if (this.publishTimeout) {
-            clearTimeout(this.publishTimeout);
-            this.publishTimeout = null;
-            logger.info('Cleared scheduled publish timer');
+        if (this.publishTimeouts.size > 0) {
+            for (const publishTimeout of this.publishTimeouts.values()) {
+                clearTimeout(publishTimeout);
+            }
+            this.publishTimeouts.clear();
+            logger.info('Cleared scheduled publish timers');
+        }
+
+        if (this.presenceSweepInterval) {
+            clearInterval(this.presenceSweepInterval);
+            this.presenceSweepInterval = null;
+            logger.info('Cleared presence sweep timer');
         }
         
         // Clear state
         this.deviceCache.clear();
-        this.lastGatewayMetadata = null;
-        this.lastGatewayInfo = null;
+        this.gateways.clear();
+        changeDetector.reset();
     }
 
     /**
@@ -229,8 +438,11 @@ class ScheduledPublisher {
     getState() {
         return {
             deviceCacheSize: this.deviceCache.size,
-            hasScheduledPublish: this.publishTimeout !== null,
+            hasScheduledPublish: this.publishTimeouts.size > 0,
+            scheduledPolicies: Array.from(this.publishTimeouts.keys()),
+            hasPresenceSweep: this.presenceSweepInterval !== null,
             deviceMacs: Array.from(this.deviceCache.keys()),
+            gatewayMacs: Array.from(this.gateways.keys()),
             deviceCacheRetentionMs: this.deviceCacheRetentionMs
         };
     }
@@ -240,8 +452,8 @@ class ScheduledPublisher {
      */
     clearCache() {
         this.deviceCache.clear();
-        this.lastGatewayMetadata = null;
-        this.lastGatewayInfo = null;
+        this.gateways.clear();
+        changeDetector.reset();
     }
 }
 
@@ -0,0 +1,114 @@
+/**
+ * TLS Options Module
+ * Builds the TLS options of the MQTT connection (CA bundle, client certificate and key,
+ * SNI, ALPN, certificate verification) and watches the certificate files for changes
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+
+/**
+ * How often the certificate files are checked for changes. Polling (rather than
+ * fs.watch) also detects files that are replaced, e.g. by a renewed secret mount.
+ */
+const CERTIFICATE_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Gets the certificate files configured for the connection
+ * @param {Object} tlsConfig - MQTT_TLS_* configuration
+ * @returns {Array<string>} Paths of the configured CA, certificate and key files
+ */
+function getCertificateFiles(tlsConfig) {
+    return [tlsConfig.caFile, tlsConfig.certFile, tlsConfig.keyFile].filter(Boolean);
+}
+
+/**
+ * Reads a certificate file
+ * @param {string} filePath - Path of the PEM file
+ * @param {string} description - What the file contains, for the error message
+ * @returns {Buffer} File contents
+ */
+function readCertificateFile(filePath, description) {
+    try {
+        return fs.readFileSync(filePath);
+    } catch (error) {
+        throw new Error(`Failed to read MQTT TLS ${description} ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Builds the TLS connection options from the configuration, reading the certificate
+ * files from disk. Options that are not configured are left out so the defaults of
+ * Node.js apply (e.g. the system CA store).
+ * @param {Object} tlsConfig - MQTT_TLS_* configuration
+ * @returns {Object} Options for tls.connect()
+ */
+function loadTlsOptions(tlsConfig) {
+    const options = {
+        rejectUnauthorized: tlsConfig.rejectUnauthorized === true
+    };
+
+    if (tlsConfig.caFile) {
+        options.ca = readCertificateFile(tlsConfig.caFile, 'CA file');
+    }
+
+    if (tlsConfig.certFile) {
+        options.cert = readCertificateFile(tlsConfig.certFile, 'certificate file');
+    }
+
+    if (tlsConfig.keyFile) {
+        options.key = readCertificateFile(tlsConfig.keyFile, 'key file');
+    }
+
+    if (tlsConfig.keyPassphrase) {
+        options.passphrase = tlsConfig.keyPassphrase;
+    }
+
+    if (tlsConfig.servername) {
+        options.servername = tlsConfig.servername;
+    }
+
+    if (tlsConfig.alpnProtocols && tlsConfig.alpnProtocols.length > 0) {
+        options.ALPNProtocols = tlsConfig.alpnProtocols;
+    }
+
+    return options;
+}
+
+/**
+ * Watches the certificate files and calls onChange when one of them is modified
+ * @param {Object} tlsConfig - MQTT_TLS_* configuration
+ * @param {Function} onChange - Called with the path of the changed file
+ * @returns {Function} Stops watching the files
+ */
+function watchCertificateFiles(tlsConfig, onChange) {
+    const files = getCertificateFiles(tlsConfig);
+
+    const listeners = files.map(filePath => {
+        const listener = (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+                return;
+            }
+
+            logger.info(`MQTT TLS certificate file changed: ${filePath}`);
+            onChange(filePath);
+        };
+
+        // Not persistent, so watching never keeps the process alive
+        fs.watchFile(filePath, { interval: CERTIFICATE_POLL_INTERVAL_MS, persistent: false }, listener);
+        return { filePath, listener };
+    });
+
+    return () => {
+        for (const { filePath, listener } of listeners) {
+            fs.unwatchFile(filePath, listener);
+        }
+    };
+}
+
+module.exports = {
+    getCertificateFiles,
+    loadTlsOptions,
+    watchCertificateFiles,
+    CERTIFICATE_POLL_INTERVAL_MS
+};
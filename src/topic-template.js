@@ -0,0 +1,203 @@
+/**
+ * Topic Template Module
+ * Builds device and gateway state topics from templates with {placeholder} levels,
+ * so published topics can fit an existing topic hierarchy
+ */
+
+const { formatMac, normalizeDeviceKey, slugify } = require('./utils');
+
+/**
+ * Default templates, matching the topics published before templates were configurable
+ */
+const DEFAULT_DEVICE_TOPIC_TEMPLATE = '{prefix}state/{mac}';
+const DEFAULT_GATEWAY_TOPIC_TEMPLATE = '{prefix}gateway/{gateway_mac}/state';
+
+/**
+ * Placeholders available in device and gateway topic templates
+ */
+const DEVICE_TOPIC_PLACEHOLDERS = ['prefix', 'mac', 'mac_colon', 'name', 'gateway_mac', 'adv_type', 'decoder'];
+const GATEWAY_TOPIC_PLACEHOLDERS = ['prefix', 'gateway_mac'];
+
+/**
+ * Placeholders that identify a device; a device template needs one so devices don't share a topic
+ */
+const DEVICE_IDENTITY_PLACEHOLDERS = ['mac', 'mac_colon', 'name'];
+
+/**
+ * Placeholders whose value comes from each message rather than from the device itself
+ */
+const MESSAGE_PLACEHOLDERS = ['gateway_mac', 'adv_type', 'decoder'];
+
+/**
+ * Value of a placeholder that is not known for a message (e.g. no decoder matched)
+ */
+const UNKNOWN_VALUE = 'unknown';
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+/**
+ * Gets the placeholders used in a template
+ * @param {string} template - Topic template
+ * @returns {Array<string>} Placeholder names
+ */
+function getPlaceholders(template) {
+    return Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+/**
+ * Validates a topic template
+ * @param {string} template - Topic template
+ * @param {Array<string>} allowedPlaceholders - Placeholders the template may use
+ * @param {Array<string>} requiredPlaceholders - The template must use at least one of these (if any)
+ * @returns {Array<string>} Validation errors (empty if the template is valid)
+ */
+function validateTopicTemplate(template, allowedPlaceholders, requiredPlaceholders = []) {
+    if (!template || typeof template !== 'string') {
+        return ['template must be a non-empty string'];
+    }
+
+    const errors = [];
+    const placeholders = getPlaceholders(template);
+
+    if (/[+#]/.test(template)) {
+        errors.push('MQTT wildcards (+, #) are not allowed');
+    }
+
+    for (const placeholder of placeholders) {
+        if (!allowedPlaceholders.includes(placeholder)) {
+            errors.push(`unknown placeholder {${placeholder}}, expected one of: ${allowedPlaceholders.map(name => `{${name}}`).join(', ')}`);
+        }
+    }
+
+    if (/[{}]/.test(template.replace(PLACEHOLDER_PATTERN, ''))) {
+        errors.push('unbalanced braces');
+    }
+
+    // {prefix} ends with a separator, so it can only start the topic
+    if (placeholders.includes('prefix') && !template.startsWith('{prefix}')) {
+        errors.push('{prefix} must be at the start of the template');
+    }
+
+    const levels = template.replace(/^\{prefix\}/, '').split('/');
+    if (levels.some(level => level === '')) {
+        errors.push('empty topic levels are not allowed');
+    }
+
+    if (requiredPlaceholders.length > 0 && !requiredPlaceholders.some(placeholder => placeholders.includes(placeholder))) {
+        errors.push(`template must contain one of: ${requiredPlaceholders.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Checks whether a device topic template uses values from each message, so the
+ * topic of a device can change between messages
+ * @param {string} template - Device topic template
+ * @returns {boolean} True if the template uses {gateway_mac}, {adv_type} or {decoder}
+ */
+function usesMessagePlaceholders(template) {
+    return getPlaceholders(template).some(placeholder => MESSAGE_PLACEHOLDERS.includes(placeholder));
+}
+
+/**
+ * Makes a placeholder value safe to use as a topic level
+ * @param {*} value - Placeholder value
+ * @returns {string} Topic level
+ */
+function toTopicLevel(value) {
+    if (value === undefined || value === null || value === '') {
+        return UNKNOWN_VALUE;
+    }
+
+    return String(value).replace(/[/+#]/g, '_');
+}
+
+/**
+ * Replaces the placeholders of a template
+ * @param {string} template - Topic template
+ * @param {Object} values - Placeholder name -> value
+ * @returns {string} Topic
+ */
+function renderTopicTemplate(template, values) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, placeholder) => {
+        // The prefix may span several levels
+        return placeholder === 'prefix' ? values.prefix : toTopicLevel(values[placeholder]);
+    });
+}
+
+/**
+ * Ensures the topic prefix ends with a separator
+ * @param {string} topicPrefix - MQTT_TOPIC_PREFIX
+ * @returns {string} Topic prefix
+ */
+function getTopicPrefix(topicPrefix) {
+    return topicPrefix && !topicPrefix.endsWith('/') ? `${topicPrefix}/` : (topicPrefix || '');
+}
+
+/**
+ * Builds the state topic of a device
+ * @param {string} template - Device topic template
+ * @param {string} deviceKey - Device MAC address (any format) or configured device key
+ * @param {Object} payload - Device JSON payload, for {gateway_mac}, {adv_type} and {decoder}
+ * @param {string} topicPrefix - MQTT_TOPIC_PREFIX
+ * @param {string} [friendlyName] - Configured friendly name, for {name}
+ * @returns {string} Device state topic
+ */
+function constructDeviceTopic(template, deviceKey, payload, topicPrefix, friendlyName) {
+    const key = normalizeDeviceKey(deviceKey);
+    const isMac = /^[0-9a-f]{12}$/.test(key);
+
+    return renderTopicTemplate(template, {
+        prefix: getTopicPrefix(topicPrefix),
+        mac: key,
+        mac_colon: isMac ? formatMac(key) : key,
+        name: slugify(friendlyName) || key,
+        gateway_mac: payload.gateway_mac ? payload.gateway_mac.replace(/:/g, '').toLowerCase() : null,
+        adv_type: payload.advertising_type_code,
+        decoder: payload.decoder
+    });
+}
+
+/**
+ * Builds the state topic of a gateway
+ * @param {string} template - Gateway topic template
+ * @param {string} [gatewayMac] - Gateway MAC address without colons
+ * @param {string} topicPrefix - MQTT_TOPIC_PREFIX
+ * @returns {string} Gateway state topic
+ */
+function constructGatewayTopic(template, gatewayMac, topicPrefix) {
+    const prefix = getTopicPrefix(topicPrefix);
+
+    // Gateways without MAC keep their original topic
+    if (!gatewayMac && template === DEFAULT_GATEWAY_TOPIC_TEMPLATE) {
+        return `${prefix}gateway/state`;
+    }
+
+    return renderTopicTemplate(template, { prefix, gateway_mac: gatewayMac });
+}
+
+/**
+ * Builds the presence topic of a device, which carries `home` / `not_home`
+ * @param {string} deviceKey - Device MAC address or configured device key
+ * @param {string} topicPrefix - MQTT_TOPIC_PREFIX
+ * @returns {string} Presence topic: <MQTT_TOPIC_PREFIX>presence/<DEVICE_KEY>
+ */
+function constructPresenceTopic(deviceKey, topicPrefix) {
+    return `${getTopicPrefix(topicPrefix)}presence/${normalizeDeviceKey(deviceKey)}`;
+}
+
+module.exports = {
+    DEFAULT_DEVICE_TOPIC_TEMPLATE,
+    DEFAULT_GATEWAY_TOPIC_TEMPLATE,
+    DEVICE_TOPIC_PLACEHOLDERS,
+    GATEWAY_TOPIC_PLACEHOLDERS,
+    DEVICE_IDENTITY_PLACEHOLDERS,
+    validateTopicTemplate,
+    usesMessagePlaceholders,
+    renderTopicTemplate,
+    getTopicPrefix,
+    constructDeviceTopic,
+    constructGatewayTopic,
+    constructPresenceTopic
+};
@@ -69,6 +69,96 @@ function addNormalizedMac(devicePayload) {
     };
 }
 
+/**
+ * Returns the key a device payload is cached and published under.
+ * This is the configured device key when one was resolved (device_id),
+ * otherwise the normalized MAC address.
+ * Example: { mac_address: "12:3B:6A:1B:85:EF" } -> "123b6a1b85ef"
+ * 
+ * @param {Object} devicePayload - Device payload object containing mac_address field
+ * @returns {string} Device key
+ * @throws {Error} If the payload has neither a device_id nor a valid mac_address
+ */
+function getDeviceKey(devicePayload) {
+    if (devicePayload && devicePayload.device_id) {
+        return devicePayload.device_id;
+    }
+    if (!devicePayload || !devicePayload.mac_address) {
+        throw new Error('Device payload must contain mac_address field');
+    }
+    return normalizeMac(devicePayload.mac_address);
+}
+
+/**
+ * Normalizes a device key. MAC addresses are normalized with normalizeMac,
+ * other configured keys (e.g. "ibeacon_<uuid>_<major>_<minor>") are returned unchanged.
+ * 
+ * @param {string} deviceKey - MAC address or configured device key
+ * @returns {string} Normalized device key
+ * @throws {Error} If the key is neither a MAC address nor a valid device key
+ */
+function normalizeDeviceKey(deviceKey) {
+    if (!deviceKey || typeof deviceKey !== 'string') {
+        throw new Error('Device key must be a non-empty string');
+    }
+
+    try {
+        return normalizeMac(deviceKey);
+    } catch (error) {
+        if (/^[a-z0-9_]+$/.test(deviceKey)) {
+            return deviceKey;
+        }
+        throw new Error(`Invalid device key: ${deviceKey}. Expected a MAC address or a lowercase key.`);
+    }
+}
+
+/**
+ * Parses an iBeacon identity in the form "ibeacon:<uuid>:<major>:<minor>"
+ * Example: "ibeacon:E2C56DB5-DFFB-48D2-B060-D0F5A71096E0:1:2"
+ * 
+ * @param {string} identity - iBeacon identity string
+ * @returns {{uuid: string, major: number, minor: number}} Parsed identity with canonical uppercase UUID
+ * @throws {Error} If the identity format is invalid
+ */
+function parseIBeaconIdentity(identity) {
+    if (!identity || typeof identity !== 'string') {
+        throw new Error('iBeacon identity must be a non-empty string');
+    }
+
+    const parts = identity.trim().split(':');
+    if (parts.length !== 4 || parts[0].toLowerCase() !== 'ibeacon') {
+        throw new Error(`Invalid iBeacon identity: ${identity}. Expected format: "ibeacon:<uuid>:<major>:<minor>"`);
+    }
+
+    const uuidHex = parts[1].replace(/-/g, '').toUpperCase();
+    if (!/^[0-9A-F]{32}$/.test(uuidHex)) {
+        throw new Error(`Invalid iBeacon UUID: ${parts[1]}. Expected 32 hex characters.`);
+    }
+
+    const [major, minor] = [parts[2], parts[3]].map(value => {
+        const number = Number(value);
+        if (!/^\d+$/.test(value) || number > 0xFFFF) {
+            throw new Error(`Invalid iBeacon major/minor: ${value}. Expected an integer between 0 and 65535.`);
+        }
+        return number;
+    });
+
+    const uuid = `${uuidHex.slice(0, 8)}-${uuidHex.slice(8, 12)}-${uuidHex.slice(12, 16)}-${uuidHex.slice(16, 20)}-${uuidHex.slice(20)}`;
+
+    return { uuid, major, minor };
+}
+
+/**
+ * Creates the device key for an iBeacon identity
+ * Example: { uuid: "E2C56DB5-...", major: 1, minor: 2 } -> "ibeacon_e2c56db5..._1_2"
+ * 
+ * @param {{uuid: string, major: number, minor: number}} ibeacon - iBeacon identity
+ * @returns {string} Device key
+ */
+function createIBeaconDeviceKey(ibeacon) {
+    return `ibeacon_${ibeacon.uuid.replace(/-/g, '').toLowerCase()}_${ibeacon.major}_${ibeacon.minor}`;
+}
+
 /**
  * Converts a string into a URL-friendly slug
  * Example: "Car Token #1" -> "car_token_1"
@@ -99,5 +189,9 @@ module.exports = {
     formatMac,
     normalizeMac,
     slugify,
-    addNormalizedMac
+    addNormalizedMac,
+    getDeviceKey,
+    normalizeDeviceKey,
+    parseIBeaconIdentity,
+    createIBeaconDeviceKey
 };
@@ -0,0 +1,53 @@
+/**
+ * Tests for the ATC/pvvx Thermometer Decoder
+ */
+
+const { expect } = require('chai');
+
+const atcDecoder = require('../src/decoders/atc');
+
+describe('ATC/pvvx Thermometer Decoder', () => {
+    function deviceWithServiceData(dataHex) {
+        return { service_data: [{ uuid: '181A', data_hex: dataHex }] };
+    }
+
+    describe('decode()', () => {
+        it('should decode the ATC1441 format', () => {
+            const result = atcDecoder.decode(deviceWithServiceData('A4C138AABBCC' + '00E1' + '2D' + '55' + '0B7C' + '17'));
+
+            expect(result.atc).to.deep.equal({
+                format: 'atc1441',
+                mac: 'A4:C1:38:AA:BB:CC',
+                temperature: 22.5,
+                humidity: 45,
+                battery: 85,
+                battery_voltage: 2.94,
+                frame_counter: 23
+            });
+        });
+
+        it('should decode the pvvx custom format', () => {
+            const result = atcDecoder.decode(deviceWithServiceData('CCBBAA38C1A4' + '3CF6' + 'F011' + '7C0B' + '55' + '17' + '04'));
+
+            expect(result.atc).to.deep.equal({
+                format: 'pvvx',
+                mac: 'A4:C1:38:AA:BB:CC',
+                temperature: -25,
+                humidity: 45.92,
+                battery_voltage: 2.94,
+                battery: 85,
+                frame_counter: 23,
+                flags: 4
+            });
+        });
+
+        it('should throw for unsupported service data lengths', () => {
+            expect(() => atcDecoder.decode(deviceWithServiceData('A4C138AABB'))).to.throw('Unsupported 0x181A service data length 5');
+        });
+
+        it('should ignore devices without 0x181A service data', () => {
+            expect(atcDecoder.decode({ service_data: [{ uuid: 'FEAA', data_hex: '00' }] })).to.be.null;
+            expect(atcDecoder.decode({})).to.be.null;
+        });
+    });
+});
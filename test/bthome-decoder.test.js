@@ -0,0 +1,116 @@
+/**
+ * Tests for the BTHome Decoder
+ * Tests decoding of plain and encrypted BTHome v2 service data
+ */
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+
+const bthomeDecoder = require('../src/decoders/bthome');
+const { config } = require('../src/config');
+
+describe('BTHome Decoder', () => {
+    const MAC = '54:48:E6:8F:80:A5';
+    const BINDKEY = '231d39c1d7cc1ab1aee224cd096db932';
+    let originalDevicesConfig;
+
+    beforeEach(() => {
+        originalDevicesConfig = config.homeAssistant.devices;
+        config.homeAssistant.devices = new Map();
+    });
+
+    afterEach(() => {
+        config.homeAssistant.devices = originalDevicesConfig;
+    });
+
+    function deviceWithServiceData(dataHex) {
+        return { mac_address: MAC, service_data: [{ uuid: 'FCD2', data_hex: dataHex }] };
+    }
+
+    /**
+     * Encrypt BTHome objects the same way a device does
+     */
+    function encryptObjects(objectsHex, counter) {
+        const deviceInfo = Buffer.from([0x41]);
+        const counterBuffer = Buffer.alloc(4);
+        counterBuffer.writeUInt32LE(counter);
+        const nonce = Buffer.concat([Buffer.from('5448E68F80A5', 'hex'), Buffer.from([0xD2, 0xFC]), deviceInfo, counterBuffer]);
+        const cipher = crypto.createCipheriv('aes-128-ccm', Buffer.from(BINDKEY, 'hex'), nonce, { authTagLength: 4 });
+        const ciphertext = cipher.update(Buffer.from(objectsHex, 'hex'));
+        cipher.final();
+        return Buffer.concat([deviceInfo, ciphertext, counterBuffer, cipher.getAuthTag()]).toString('hex').toUpperCase();
+    }
+
+    describe('decode()', () => {
+        it('should decode unencrypted objects into named fields', () => {
+            const result = bthomeDecoder.decode(deviceWithServiceData('40' + '02CA09' + '03BF13' + '015D' + '2101' + '3A02' + '451101'));
+
+            expect(result.bthome).to.deep.equal({
+                version: 2,
+                encrypted: false,
+                trigger_based: false,
+                temperature: 25.06,
+                humidity: 50.55,
+                battery: 93,
+                motion: true,
+                button: 'double_press',
+                temperature_2: 27.3
+            });
+        });
+
+        it('should decode signed and multi-byte values', () => {
+            const result = bthomeDecoder.decode(deviceWithServiceData('44' + '0220FC' + '05138A14' + '0C020C'));
+
+            expect(result.bthome.trigger_based).to.be.true;
+            expect(result.bthome.temperature).to.equal(-9.92);
+            expect(result.bthome.illuminance).to.equal(13460.67);
+            expect(result.bthome.voltage).to.equal(3.074);
+        });
+
+        it('should decrypt encrypted frames when a bindkey is configured', () => {
+            config.homeAssistant.devices.set('5448e68f80a5', { name: 'Thermometer', bindkey: BINDKEY });
+
+            const result = bthomeDecoder.decode(deviceWithServiceData(encryptObjects('02CA0903BF13', 7)));
+
+            expect(result.bthome).to.deep.equal({
+                version: 2,
+                encrypted: true,
+                trigger_based: false,
+                counter: 7,
+                temperature: 25.06,
+                humidity: 50.55
+            });
+        });
+
+        it('should only report encryption details without a bindkey', () => {
+            const result = bthomeDecoder.decode(deviceWithServiceData(encryptObjects('02CA0903BF13', 7)));
+
+            expect(result.bthome).to.deep.equal({ version: 2, encrypted: true, trigger_based: false });
+        });
+
+        it('should throw when decryption fails', () => {
+            config.homeAssistant.devices.set('5448e68f80a5', { name: 'Thermometer', bindkey: '00'.repeat(16) });
+
+            expect(() => bthomeDecoder.decode(deviceWithServiceData(encryptObjects('02CA0903BF13', 7))))
+                .to.throw('BTHome decryption failed');
+        });
+
+        it('should throw for unknown object IDs and unsupported versions', () => {
+            expect(() => bthomeDecoder.decode(deviceWithServiceData('40FF01'))).to.throw('Unknown BTHome object ID 0xff');
+            expect(() => bthomeDecoder.decode(deviceWithServiceData('2002CA09'))).to.throw('Unsupported BTHome version 1');
+            expect(() => bthomeDecoder.decode(deviceWithServiceData('4002CA'))).to.throw('Truncated BTHome object temperature');
+        });
+
+        it('should ignore devices without BTHome service data', () => {
+            expect(bthomeDecoder.decode({ mac_address: MAC, service_data: [{ uuid: '181A', data_hex: '00' }] })).to.be.null;
+            expect(bthomeDecoder.decode({ mac_address: MAC })).to.be.null;
+        });
+    });
+
+    describe('decodeObjects()', () => {
+        it('should decode variable length text objects', () => {
+            const text = Buffer.from('hi').toString('hex');
+            expect(bthomeDecoder.decodeObjects(Buffer.from('5302' + text + '015D', 'hex'))).to.deep.equal({ text: 'hi', battery: 93 });
+        });
+    });
+});
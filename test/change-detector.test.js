@@ -0,0 +1,159 @@
+/**
+ * Tests for the Change Detector Module
+ */
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noCallThru();
+
+describe('Change Detector', () => {
+    let changeDetector;
+    let configStub;
+
+    const MAC = '12:3B:6A:1B:85:EF';
+
+    function payload(fields = {}) {
+        return { mac_address: MAC, rssi: -60, advertisement_data_hex: '0201060303AAFE', ...fields };
+    }
+
+    beforeEach(() => {
+        configStub = {
+            config: {
+                mqtt: {
+                    deviceCacheRetentionSeconds: 300,
+                    publishPolicy: 'on_change',
+                    changePolicy: {
+                        rssiDeadband: 5,
+                        valueThreshold: 0.5,
+                        heartbeatSeconds: 60,
+                        ignoredFields: ['measurement_sequence']
+                    }
+                }
+            }
+        };
+
+        changeDetector = proxyquire('../src/change-detector', {
+            './config': configStub
+        });
+        changeDetector.reset();
+    });
+
+    describe('isEnabled()', () => {
+        it('should follow MQTT_PUBLISH_POLICY', () => {
+            expect(changeDetector.isEnabled()).to.be.true;
+
+            configStub.config.mqtt.publishPolicy = 'always';
+            expect(changeDetector.isEnabled()).to.be.false;
+        });
+    });
+
+    describe('getDecodedValues()', () => {
+        it('should collect decoder namespaces and skip ignored fields', () => {
+            const values = changeDetector.getDecodedValues(payload({
+                decoder: 'ruuvi',
+                manufacturer_data: [{ company_id: 1177 }],
+                ruuvi: { temperature: 21.5, moving: false, measurement_sequence: 42, acceleration: { x: 1 } }
+            }));
+
+            expect(values).to.deep.equal({ 'ruuvi.temperature': 21.5, 'ruuvi.moving': false });
+        });
+    });
+
+    describe('getChangeReason()', () => {
+        it('should publish devices that were not published before', () => {
+            expect(changeDetector.getChangeReason(payload(), 0)).to.equal('first seen');
+        });
+
+        it('should compare the advertisement data of undecoded devices', () => {
+            changeDetector.recordPublished(payload(), 0);
+
+            expect(changeDetector.getChangeReason(payload(), 1000)).to.be.null;
+            expect(changeDetector.getChangeReason(payload({ advertisement_data_hex: '0201060303AAFF' }), 1000))
+                .to.equal('advertisement changed');
+        });
+
+        it('should only publish RSSI changes beyond the deadband', () => {
+            changeDetector.recordPublished(payload(), 0);
+
+            expect(changeDetector.getChangeReason(payload({ rssi: -65 }), 1000)).to.be.null;
+            expect(changeDetector.getChangeReason(payload({ rssi: -66 }), 1000)).to.equal('rssi changed');
+        });
+
+        it('should prefer the smoothed RSSI', () => {
+            changeDetector.recordPublished(payload({ rssi_smoothed: -60 }), 0);
+
+            expect(changeDetector.getChangeReason(payload({ rssi: -80, rssi_smoothed: -62 }), 1000)).to.be.null;
+        });
+
+        it('should compare decoded values against the threshold instead of the advertisement data', () => {
+            changeDetector.recordPublished(payload({ ruuvi: { temperature: 21.5, measurement_sequence: 1 } }), 0);
+
+            const small = payload({ advertisement_data_hex: 'FF', ruuvi: { temperature: 21.9, measurement_sequence: 2 } });
+            expect(changeDetector.getChangeReason(small, 1000)).to.be.null;
+
+            const large = payload({ ruuvi: { temperature: 22.1, measurement_sequence: 3 } });
+            expect(changeDetector.getChangeReason(large, 1000)).to.equal('ruuvi.temperature changed');
+        });
+
+        it('should not treat fields missing from interleaved frames as changed', () => {
+            changeDetector.recordPublished(payload({ eddystone: { frame_type: 'tlm', battery_voltage: 3000 } }), 0);
+            changeDetector.recordPublished(payload({ eddystone: { frame_type: 'uid' } }), 1000);
+
+            const tlm = payload({ eddystone: { frame_type: 'uid', battery_voltage: 3000 } });
+            expect(changeDetector.getChangeReason(tlm, 2000)).to.be.null;
+        });
+
+        it('should publish room changes', () => {
+            changeDetector.recordPublished(payload({ room: 'kitchen' }), 0);
+
+            expect(changeDetector.getChangeReason(payload({ room: 'office' }), 1000)).to.equal('room changed');
+        });
+
+        it('should publish unchanged devices once the heartbeat interval passed', () => {
+            changeDetector.recordPublished(payload(), 0);
+
+            expect(changeDetector.getChangeReason(payload(), 59000)).to.be.null;
+            expect(changeDetector.getChangeReason(payload(), 60000)).to.equal('heartbeat');
+
+            configStub.config.mqtt.changePolicy.heartbeatSeconds = 0;
+            expect(changeDetector.getChangeReason(payload(), 600000)).to.be.null;
+        });
+    });
+
+    describe('selectChangedPayloads()', () => {
+        it('should return changed payloads', () => {
+            const other = { ...payload(), mac_address: 'AA:BB:CC:DD:EE:FF' };
+            changeDetector.recordPublished(payload(), 0);
+            changeDetector.recordPublished(other, 0);
+
+            const selected = changeDetector.selectChangedPayloads([payload({ rssi: -70 }), other], 1000);
+
+            expect(selected).to.deep.equal([payload({ rssi: -70 })]);
+        });
+
+        it('should select a change again until it was recorded as published', () => {
+            expect(changeDetector.selectChangedPayloads([payload()], 0)).to.have.lengthOf(1);
+            expect(changeDetector.selectChangedPayloads([payload()], 1000)).to.have.lengthOf(1);
+
+            changeDetector.recordPublished(payload(), 1000);
+
+            expect(changeDetector.selectChangedPayloads([payload()], 2000)).to.be.empty;
+        });
+
+        it('should return all payloads with the always policy', () => {
+            configStub.config.mqtt.publishPolicy = 'always';
+            changeDetector.recordPublished(payload(), 0);
+
+            expect(changeDetector.selectChangedPayloads([payload()], 1000)).to.have.lengthOf(1);
+        });
+
+        it('should publish devices again once they were forgotten', () => {
+            changeDetector.recordPublished(payload(), 0);
+            configStub.config.mqtt.changePolicy.heartbeatSeconds = 0;
+
+            expect(changeDetector.selectChangedPayloads([payload()], 1000)).to.be.empty;
+            // Pruned once the device has not been seen for the retention period
+            expect(changeDetector.selectChangedPayloads([], 302000)).to.be.empty;
+            expect(changeDetector.selectChangedPayloads([payload()], 303000)).to.have.lengthOf(1);
+        });
+    });
+});
@@ -4,6 +4,7 @@
  */
 
 const { expect } = require('chai');
+const sinon = require('sinon');
 const { clearRequireCache } = require('./utils');
 
 describe('Configuration Module', () => {
@@ -141,4 +142,382 @@ describe('Configuration Module', () => {
             expect(warnings.some(w => w.includes('MQTT_TOPIC_PREFIX'))).to.be.false;
         });
     });
+
+    describe('Room Presence Configuration', () => {
+        it('should parse gateway to room mappings and tuning values', () => {
+            process.env.ROOM_GATEWAY_2 = 'AA:BB:CC:DD:EE:FF,Kitchen';
+            process.env.ROOM_GATEWAY_1 = '112233445566, Living Room';
+            process.env.ROOM_GATEWAY_3 = 'not-a-mac,Garage';
+            process.env.ROOM_PRESENCE_WINDOW_SECONDS = '60';
+            process.env.ROOM_PRESENCE_HYSTERESIS_DB = '7.5';
+            
+            delete require.cache[require.resolve('../src/config.js')];
+            const { config } = require('../src/config.js');
+            
+            expect(Array.from(config.roomPresence.gateways.entries())).to.deep.equal([
+                ['112233445566', 'Living Room'],
+                ['aabbccddeeff', 'Kitchen']
+            ]);
+            expect(config.roomPresence.windowSeconds).to.equal(60);
+            expect(config.roomPresence.hysteresisDb).to.equal(7.5);
+        });
+
+        it('should default to no room gateways', () => {
+            Object.keys(process.env)
+                .filter(key => key.startsWith('ROOM_'))
+                .forEach(key => delete process.env[key]);
+            
+            delete require.cache[require.resolve('../src/config.js')];
+            const { config } = require('../src/config.js');
+            
+            expect(config.roomPresence.gateways.size).to.equal(0);
+            expect(config.roomPresence.windowSeconds).to.equal(30);
+            expect(config.roomPresence.hysteresisDb).to.equal(5);
+        });
+    });
+
+    describe('MQTT Reconnect Configuration', () => {
+        it('should default to 1 s initial and 30 s maximum delay with 30% jitter', () => {
+            delete process.env.MQTT_RECONNECT_INITIAL_DELAY_MS;
+            delete process.env.MQTT_RECONNECT_MAX_DELAY_MS;
+            delete process.env.MQTT_RECONNECT_JITTER;
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.reconnect).to.deep.equal({ initialDelayMs: 1000, maxDelayMs: 30000, jitter: 0.3 });
+        });
+
+        it('should parse reconnect settings and allow disabling jitter', () => {
+            process.env.MQTT_RECONNECT_INITIAL_DELAY_MS = '500';
+            process.env.MQTT_RECONNECT_MAX_DELAY_MS = '60000';
+            process.env.MQTT_RECONNECT_JITTER = '0';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.reconnect).to.deep.equal({ initialDelayMs: 500, maxDelayMs: 60000, jitter: 0 });
+        });
+    });
+
+    describe('MQTT Protocol Version', () => {
+        it('should default to MQTT 3.1.1', () => {
+            delete process.env.MQTT_PROTOCOL_VERSION;
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.protocolVersion).to.equal(4);
+        });
+
+        it('should use MQTT 5 when configured', () => {
+            process.env.MQTT_PROTOCOL_VERSION = '5';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.protocolVersion).to.equal(5);
+        });
+
+        it('should warn about an invalid version and fall back to MQTT 3.1.1', () => {
+            process.env.MQTT_PROTOCOL_VERSION = '6';
+            
+            const { config, validateConfig } = require('../src/config.js');
+            
+            expect(config.mqtt.protocolVersion).to.equal(4);
+            expect(validateConfig()).to.include('Invalid MQTT_PROTOCOL_VERSION: 6. Expected one of: 3.1.1, 5');
+        });
+    });
+
+    describe('MQTT Topic Templates', () => {
+        beforeEach(() => {
+            delete process.env.MQTT_DEVICE_TOPIC_TEMPLATE;
+            delete process.env.MQTT_GATEWAY_TOPIC_TEMPLATE;
+        });
+
+        it('should default to the state/<mac> and gateway/<mac>/state topics', () => {
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.deviceTopicTemplate).to.equal('{prefix}state/{mac}');
+            expect(config.mqtt.gatewayTopicTemplate).to.equal('{prefix}gateway/{gateway_mac}/state');
+        });
+
+        it('should use valid templates', () => {
+            process.env.MQTT_DEVICE_TOPIC_TEMPLATE = 'site/{gateway_mac}/ble/{name}/state';
+            
+            const { config, validateConfig } = require('../src/config.js');
+            
+            expect(config.mqtt.deviceTopicTemplate).to.equal('site/{gateway_mac}/ble/{name}/state');
+            expect(validateConfig().some(warning => warning.includes('TOPIC_TEMPLATE'))).to.be.false;
+        });
+
+        it('should reject invalid templates when the configuration is loaded', () => {
+            process.env.MQTT_GATEWAY_TOPIC_TEMPLATE = 'site/+/gateway';
+            
+            expect(() => require('../src/config.js')).to.throw(
+                'Invalid MQTT_GATEWAY_TOPIC_TEMPLATE: MQTT wildcards (+, #) are not allowed');
+        });
+
+        it('should reject device templates without a device identity', () => {
+            process.env.MQTT_DEVICE_TOPIC_TEMPLATE = 'site/{gateway_mac}/state';
+            
+            expect(() => require('../src/config.js')).to.throw('Invalid MQTT_DEVICE_TOPIC_TEMPLATE');
+        });
+    });
+
+    describe('MQTT Publish Policy Configuration', () => {
+        beforeEach(() => {
+            ['MQTT_PUBLISH_POLICY', 'MQTT_PUBLISH_RSSI_DEADBAND', 'MQTT_PUBLISH_VALUE_THRESHOLD',
+                'MQTT_PUBLISH_HEARTBEAT_SECONDS', 'MQTT_PUBLISH_IGNORED_FIELDS'].forEach(varName => delete process.env[varName]);
+        });
+
+        it('should publish every device by default', () => {
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.publishPolicy).to.equal('always');
+            expect(config.mqtt.changePolicy).to.include({ rssiDeadband: 5, valueThreshold: 0, heartbeatSeconds: 300 });
+            expect(config.mqtt.changePolicy.ignoredFields).to.include('measurement_sequence');
+        });
+
+        it('should parse the on_change policy settings and allow 0', () => {
+            process.env.MQTT_PUBLISH_POLICY = 'ON_CHANGE';
+            process.env.MQTT_PUBLISH_RSSI_DEADBAND = '0';
+            process.env.MQTT_PUBLISH_VALUE_THRESHOLD = '0.5';
+            process.env.MQTT_PUBLISH_HEARTBEAT_SECONDS = '0';
+            process.env.MQTT_PUBLISH_IGNORED_FIELDS = 'packet_id, counter';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.publishPolicy).to.equal('on_change');
+            expect(config.mqtt.changePolicy).to.deep.equal({
+                rssiDeadband: 0,
+                valueThreshold: 0.5,
+                heartbeatSeconds: 0,
+                ignoredFields: ['packet_id', 'counter']
+            });
+        });
+
+        it('should warn about an invalid publish policy', () => {
+            process.env.MQTT_PUBLISH_POLICY = 'sometimes';
+            
+            const { config, validateConfig } = require('../src/config.js');
+            
+            expect(config.mqtt.publishPolicy).to.equal('always');
+            expect(validateConfig()).to.include('Invalid MQTT_PUBLISH_POLICY: sometimes. Expected one of: always, on_change');
+        });
+    });
+
+    describe('Publish Group Configuration', () => {
+        beforeEach(() => {
+            Object.keys(process.env)
+                .filter(key => key.startsWith('PUBLISH_GROUP_'))
+                .forEach(key => delete process.env[key]);
+        });
+
+        it('should parse MAC prefix and decoder groups in number order', () => {
+            process.env.PUBLISH_GROUP_10 = 'decoder:ruuvi';
+            process.env.PUBLISH_GROUP_10_INTERVAL = '0';
+            process.env.PUBLISH_GROUP_2 = 'mac:C0:FF:EE';
+            process.env.PUBLISH_GROUP_2_INTERVAL = '600';
+            process.env.PUBLISH_GROUP_2_RETENTION = '1800';
+            process.env.PUBLISH_GROUP_2_IMMEDIATE = 'false';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.publishGroups).to.deep.equal([
+                { name: 'group_2', macPrefix: 'c0ffee', intervalSeconds: 600, retentionSeconds: 1800, immediate: false },
+                { name: 'group_10', decoder: 'ruuvi', intervalSeconds: 0 }
+            ]);
+        });
+
+        it('should skip malformed groups', () => {
+            const logger = require('../src/logger');
+            sinon.stub(logger, 'error');
+            process.env.PUBLISH_GROUP_1 = 'name:shelf';
+            process.env.PUBLISH_GROUP_2 = 'mac:xyz';
+            process.env.PUBLISH_GROUP_3 = 'mac:c0ffee';
+            process.env.PUBLISH_GROUP_3_RETENTION = '0';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.publishGroups).to.be.empty;
+            expect(logger.error.calledWithMatch('Invalid PUBLISH_GROUP_3_RETENTION')).to.be.true;
+            sinon.restore();
+        });
+
+        it('should warn when devices expire before their group is published', () => {
+            process.env.PUBLISH_GROUP_1 = 'mac:c0ffee';
+            process.env.PUBLISH_GROUP_1_INTERVAL = '600';
+            
+            const { validateConfig } = require('../src/config.js');
+            
+            expect(validateConfig()).to.include('Publish interval of group_1 (600s) is longer than its cache retention (300s), so devices that report less often than every 300s may be missed');
+        });
+    });
+
+    describe('Device Filter Configuration', () => {
+        beforeEach(() => {
+            Object.keys(process.env)
+                .filter(key => key.startsWith('FILTER_'))
+                .forEach(key => delete process.env[key]);
+        });
+
+        it('should not filter devices by default', () => {
+            const { config } = require('../src/config.js');
+            
+            expect(config.deviceFilter).to.deep.equal({
+                macAllow: [],
+                macDeny: [],
+                configuredOnly: false,
+                minRssi: null,
+                advTypes: [],
+                companyIds: []
+            });
+        });
+
+        it('should parse MAC lists, RSSI and number lists', () => {
+            process.env.FILTER_MAC_ALLOW = 'C0:FF:EE, aa-bb-cc-dd-ee-ff';
+            process.env.FILTER_MAC_DENY = '123b6a1b85ef';
+            process.env.FILTER_CONFIGURED_ONLY = 'true';
+            process.env.FILTER_MIN_RSSI = '-85';
+            process.env.FILTER_ADV_TYPES = '0,2';
+            process.env.FILTER_COMPANY_IDS = '0x004C, 1177';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.deviceFilter).to.deep.equal({
+                macAllow: ['c0ffee', 'aabbccddeeff'],
+                macDeny: ['123b6a1b85ef'],
+                configuredOnly: true,
+                minRssi: -85,
+                advTypes: [0, 2],
+                companyIds: [0x004C, 1177]
+            });
+        });
+
+        it('should warn about invalid entries', () => {
+            process.env.FILTER_MAC_DENY = 'c0ffee,phone';
+            process.env.FILTER_COMPANY_IDS = 'apple';
+            process.env.FILTER_MIN_RSSI = 'weak';
+            
+            const { config, validateConfig } = require('../src/config.js');
+            const warnings = validateConfig();
+            
+            expect(config.deviceFilter.macDeny).to.deep.equal(['c0ffee']);
+            expect(warnings).to.include('Invalid FILTER_MAC_DENY entries ignored: phone. Expected MAC addresses or MAC prefixes');
+            expect(warnings).to.include('Invalid FILTER_COMPANY_IDS entries ignored: apple. Expected decimal or hexadecimal (0x) numbers');
+            expect(warnings).to.include('Invalid FILTER_MIN_RSSI: weak. Expected a number in dBm, e.g. -85');
+        });
+    });
+
+    describe('MQTT Exploded Topics Configuration', () => {
+        beforeEach(() => {
+            delete process.env.MQTT_EXPLODED_TOPICS;
+            delete process.env.MQTT_EXPLODED_QOS;
+            delete process.env.MQTT_EXPLODED_RETAIN;
+        });
+
+        it('should be disabled by default and use MQTT_QOS', () => {
+            process.env.MQTT_QOS = '2';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.exploded).to.deep.equal({ enabled: false, qos: 2, retain: false });
+        });
+
+        it('should allow QoS 0 and retained per-field messages', () => {
+            process.env.MQTT_EXPLODED_TOPICS = 'true';
+            process.env.MQTT_EXPLODED_QOS = '0';
+            process.env.MQTT_EXPLODED_RETAIN = 'true';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.exploded).to.deep.equal({ enabled: true, qos: 0, retain: true });
+        });
+    });
+
+    describe('MQTT TLS Configuration', () => {
+        beforeEach(() => {
+            ['MQTT_TLS_CA_FILE', 'MQTT_TLS_CERT_FILE', 'MQTT_TLS_KEY_FILE', 'MQTT_TLS_KEY_PASSPHRASE',
+                'MQTT_TLS_SERVERNAME', 'MQTT_TLS_ALPN', 'MQTT_TLS_REJECT_UNAUTHORIZED'].forEach(varName => delete process.env[varName]);
+        });
+
+        it('should not verify the broker certificate by default', () => {
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.tls.rejectUnauthorized).to.be.false;
+            expect(config.mqtt.tls.alpnProtocols).to.deep.equal([]);
+        });
+
+        it('should verify the broker certificate when a CA file is configured', () => {
+            process.env.MQTT_TLS_CA_FILE = '/certs/ca.pem';
+            process.env.MQTT_TLS_ALPN = 'mqtt, x-amzn-mqtt-ca';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.tls.rejectUnauthorized).to.be.true;
+            expect(config.mqtt.tls.alpnProtocols).to.deep.equal(['mqtt', 'x-amzn-mqtt-ca']);
+        });
+
+        it('should let MQTT_TLS_REJECT_UNAUTHORIZED override the default', () => {
+            process.env.MQTT_TLS_CA_FILE = '/certs/ca.pem';
+            process.env.MQTT_TLS_REJECT_UNAUTHORIZED = 'false';
+            
+            const { config } = require('../src/config.js');
+            
+            expect(config.mqtt.tls.rejectUnauthorized).to.be.false;
+        });
+
+        it('should warn when only one of client certificate and key is set', () => {
+            process.env.MQTT_TLS_CERT_FILE = '/certs/client.pem';
+            
+            const { validateConfig } = require('../src/config.js');
+            
+            expect(validateConfig()).to.include('MQTT_TLS_CERT_FILE and MQTT_TLS_KEY_FILE must be set together for client certificate authentication');
+        });
+    });
+
+    describe('RSSI Smoothing Configuration', () => {
+        beforeEach(() => {
+            Object.keys(process.env)
+                .filter(key => key.startsWith('RSSI_') || key === 'HA_SMOOTHED_RSSI_SENSOR' || key === 'HA_DISTANCE_SENSOR')
+                .forEach(key => delete process.env[key]);
+        });
+
+        it('should parse the smoothing method and tuning values', () => {
+            process.env.RSSI_SMOOTHING = 'Kalman';
+            process.env.RSSI_SMOOTHING_WINDOW = '8';
+            process.env.RSSI_SMOOTHING_ALPHA = '0.5';
+            process.env.RSSI_KALMAN_PROCESS_NOISE = '0.05';
+            process.env.RSSI_KALMAN_MEASUREMENT_NOISE = '2';
+            process.env.RSSI_REFERENCE_POWER = '-65';
+            process.env.RSSI_PATH_LOSS_EXPONENT = '2.5';
+            process.env.HA_DISTANCE_SENSOR = 'true';
+            
+            delete require.cache[require.resolve('../src/config.js')];
+            const { config } = require('../src/config.js');
+            
+            expect(config.rssiSmoothing).to.deep.equal({
+                method: 'kalman',
+                windowSize: 8,
+                alpha: 0.5,
+                kalmanProcessNoise: 0.05,
+                kalmanMeasurementNoise: 2,
+                referencePower: -65,
+                pathLossExponent: 2.5
+            });
+            expect(config.homeAssistant.distanceSensor).to.be.true;
+            expect(config.homeAssistant.smoothedRssiSensor).to.be.false;
+        });
+
+        it('should disable smoothing by default and warn about invalid methods', () => {
+            delete require.cache[require.resolve('../src/config.js')];
+            let configModule = require('../src/config.js');
+            expect(configModule.config.rssiSmoothing.method).to.equal('none');
+            expect(configModule.config.rssiSmoothing.referencePower).to.equal(-59);
+            expect(configModule.config.rssiSmoothing.pathLossExponent).to.equal(2);
+
+            process.env.RSSI_SMOOTHING = 'median';
+            delete require.cache[require.resolve('../src/config.js')];
+            configModule = require('../src/config.js');
+            expect(configModule.config.rssiSmoothing.method).to.equal('none');
+            expect(configModule.validateConfig().some(w => w.includes('Invalid RSSI_SMOOTHING: median'))).to.be.true;
+        });
+    });
 });
@@ -0,0 +1,217 @@
+/**
+ * Tests for the Decoder Registry Module
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const decoderRegistry = require('../src/decoder-registry');
+const logger = require('../src/logger');
+
+describe('Decoder Registry', () => {
+    const ruuviDevice = {
+        mac_address: 'C7:6B:2E:A0:1F:05',
+        manufacturer_data: [{ company_id: 0x0499, data_hex: '0512FC5394C37C0004FFFC040CAC364200CDCBB8334C884F' }]
+    };
+
+    beforeEach(() => {
+        sinon.stub(logger, 'info');
+        sinon.stub(logger, 'warn');
+        sinon.stub(logger, 'error');
+    });
+
+    afterEach(() => {
+        decoderRegistry.resetDecoders();
+        sinon.restore();
+    });
+
+    describe('registerDecoder()', () => {
+        it('should register the built-in decoders by default', () => {
+            expect(decoderRegistry.getDecoderNames()).to.deep.equal(['ibeacon', 'eddystone', 'ruuvi', 'atc', 'bthome']);
+        });
+
+        it('should append new decoders and replace decoders with the same name', () => {
+            decoderRegistry.registerDecoder({ name: 'custom', decode: () => null });
+            decoderRegistry.registerDecoder({ name: 'ruuvi', decode: () => ({ replaced: true }) });
+
+            expect(decoderRegistry.getDecoderNames()).to.deep.equal(['ibeacon', 'eddystone', 'ruuvi', 'atc', 'bthome', 'custom']);
+            expect(decoderRegistry.decodeDevice(ruuviDevice).fields).to.deep.equal({ replaced: true });
+            expect(logger.warn.calledWith('Replacing registered decoder: ruuvi')).to.be.true;
+        });
+
+        it('should reject invalid decoder definitions', () => {
+            expect(() => decoderRegistry.registerDecoder(null)).to.throw('Decoder must be an object');
+            expect(() => decoderRegistry.registerDecoder({ decode: () => null })).to.throw('Decoder must have a non-empty name');
+            expect(() => decoderRegistry.registerDecoder({ name: 'x' })).to.throw('Decoder x must have a decode function');
+            expect(() => decoderRegistry.registerDecoder({ name: 'x', decode: () => null, match: 'FEAA' }))
+                .to.throw('Decoder x match must be an object');
+            expect(() => decoderRegistry.registerDecoder({ name: 'x', decode: () => null, match: { predicate: true } }))
+                .to.throw('Decoder x match.predicate must be a function');
+        });
+    });
+
+    describe('matchesDevice()', () => {
+        const device = {
+            mac_address: 'A4:C1:38:12:34:56',
+            manufacturer_data: [{ company_id: 0x0059, data_hex: '01' }],
+            service_data: [{ uuid: '181A', data_hex: '02' }]
+        };
+
+        it('should match decoders without criteria against every device', () => {
+            expect(decoderRegistry.matchesDevice({ name: 'any' }, device)).to.be.true;
+        });
+
+        it('should match on company ID, service UUID and MAC prefix', () => {
+            expect(decoderRegistry.matchesDevice({ match: { companyId: 0x0059 } }, device)).to.be.true;
+            expect(decoderRegistry.matchesDevice({ match: { companyId: 0x004C } }, device)).to.be.false;
+            expect(decoderRegistry.matchesDevice({ match: { serviceUuid: '181a' } }, device)).to.be.true;
+            expect(decoderRegistry.matchesDevice({ match: { serviceUuid: 'FEAA' } }, device)).to.be.false;
+            expect(decoderRegistry.matchesDevice({ match: { macPrefix: 'a4:c1:38' } }, device)).to.be.true;
+            expect(decoderRegistry.matchesDevice({ match: { macPrefix: 'A4C139' } }, device)).to.be.false;
+        });
+
+        it('should accept lists of values for a criterion', () => {
+            expect(decoderRegistry.matchesDevice({ match: { companyId: [0x004C, 0x0059] } }, device)).to.be.true;
+            expect(decoderRegistry.matchesDevice({ match: { macPrefix: ['11:22', 'A4:C1'] } }, device)).to.be.true;
+        });
+
+        it('should require every given criterion to match', () => {
+            expect(decoderRegistry.matchesDevice({ match: { companyId: 0x0059, macPrefix: 'A4:C1:38' } }, device)).to.be.true;
+            expect(decoderRegistry.matchesDevice({ match: { companyId: 0x0059, macPrefix: '11:22:33' } }, device)).to.be.false;
+            expect(decoderRegistry.matchesDevice({ match: { serviceUuid: '181A', predicate: () => false } }, device)).to.be.false;
+        });
+
+        it('should not match devices without manufacturer or service data', () => {
+            const bareDevice = { mac_address: '11:22:33:44:55:66' };
+
+            expect(decoderRegistry.matchesDevice({ match: { companyId: 0x0059 } }, bareDevice)).to.be.false;
+            expect(decoderRegistry.matchesDevice({ match: { serviceUuid: '181A' } }, bareDevice)).to.be.false;
+        });
+    });
+
+    describe('decodeDevice()', () => {
+        it('should apply the matching built-in decoder and report its name', () => {
+            const result = decoderRegistry.decodeDevice(ruuviDevice);
+
+            expect(result.decoder).to.equal('ruuvi');
+            expect(result.fields.ruuvi.temperature).to.equal(24.3);
+            expect(result.warnings).to.be.empty;
+        });
+
+        it('should not call decoders whose criteria do not match', () => {
+            const decode = sinon.stub().returns({ custom: {} });
+            decoderRegistry.registerDecoder({ name: 'custom', match: { companyId: 0x1234 }, decode });
+
+            const result = decoderRegistry.decodeDevice(ruuviDevice);
+
+            expect(decode.called).to.be.false;
+            expect(result.fields).to.not.have.property('custom');
+        });
+
+        it('should isolate decoder exceptions as warnings', () => {
+            decoderRegistry.registerDecoder({
+                name: 'broken',
+                decode: () => { throw new Error('unexpected payload'); }
+            });
+
+            const result = decoderRegistry.decodeDevice(ruuviDevice);
+
+            expect(result.decoder).to.equal('ruuvi');
+            expect(result.fields).to.have.property('ruuvi');
+            expect(result.warnings).to.deep.equal(['broken decoder failed: unexpected payload']);
+        });
+
+        it('should isolate exceptions thrown by match predicates', () => {
+            decoderRegistry.registerDecoder({
+                name: 'picky',
+                match: { predicate: () => { throw new Error('bad predicate'); } },
+                decode: () => ({ picky: true })
+            });
+
+            const result = decoderRegistry.decodeDevice(ruuviDevice);
+
+            expect(result.fields).to.not.have.property('picky');
+            expect(result.warnings).to.deep.equal(['picky decoder failed: bad predicate']);
+        });
+
+        it('should ignore reserved fields returned by a decoder with a warning', () => {
+            decoderRegistry.registerDecoder({
+                name: 'spoofer',
+                match: { companyId: 0x0499 },
+                decode: () => ({ mac_address: '00:00:00:00:00:00', rssi: 0, device_id: 'other', spoofer: { ok: true } })
+            });
+
+            const result = decoderRegistry.decodeDevice(ruuviDevice);
+
+            expect(result.fields).to.not.have.any.keys('mac_address', 'rssi', 'device_id');
+            expect(result.fields.spoofer).to.deep.equal({ ok: true });
+            expect(result.warnings).to.deep.equal([
+                'spoofer decoder returned reserved field mac_address, ignored',
+                'spoofer decoder returned reserved field rssi, ignored',
+                'spoofer decoder returned reserved field device_id, ignored'
+            ]);
+        });
+
+        it('should return no decoder when nothing matched', () => {
+            const result = decoderRegistry.decodeDevice({ mac_address: '11:22:33:44:55:66' });
+
+            expect(result).to.deep.equal({ fields: {}, decoder: null, warnings: [] });
+        });
+    });
+
+    describe('loadDecodersFromDirectory()', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ble-decoders-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('should register decoders exported by modules in the directory', () => {
+            fs.writeFileSync(path.join(directory, 'a-single.js'), `
+                module.exports = {
+                    name: 'site-sensor',
+                    match: { macPrefix: 'C7:6B' },
+                    decode: () => ({ site_sensor: { ok: true } })
+                };
+            `);
+            fs.writeFileSync(path.join(directory, 'b-list.js'), `
+                module.exports = [
+                    { name: 'first', decode: () => null },
+                    { name: 'second', decode: () => null }
+                ];
+            `);
+            fs.writeFileSync(path.join(directory, 'README.md'), 'not a decoder');
+
+            const loaded = decoderRegistry.loadDecodersFromDirectory(directory);
+
+            expect(loaded).to.deep.equal(['site-sensor', 'first', 'second']);
+            expect(decoderRegistry.getDecoderNames()).to.include.members(['site-sensor', 'first', 'second']);
+            expect(decoderRegistry.decodeDevice(ruuviDevice).fields.site_sensor).to.deep.equal({ ok: true });
+        });
+
+        it('should skip modules that fail to load or are not valid decoders', () => {
+            fs.writeFileSync(path.join(directory, 'broken.js'), 'throw new Error("syntax trouble");');
+            fs.writeFileSync(path.join(directory, 'invalid.js'), 'module.exports = { name: "no-decode" };');
+            fs.writeFileSync(path.join(directory, 'valid.js'), 'module.exports = { name: "valid", decode: () => null };');
+
+            const loaded = decoderRegistry.loadDecodersFromDirectory(directory);
+
+            expect(loaded).to.deep.equal(['valid']);
+            expect(logger.error.calledTwice).to.be.true;
+        });
+
+        it('should log an error when the directory cannot be read', () => {
+            const loaded = decoderRegistry.loadDecodersFromDirectory(path.join(directory, 'missing'));
+
+            expect(loaded).to.deep.equal([]);
+            expect(logger.error.calledOnce).to.be.true;
+        });
+    });
+});
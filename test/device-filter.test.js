@@ -0,0 +1,143 @@
+/**
+ * Tests for the Device Filter Module
+ */
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noCallThru();
+
+describe('Device Filter', () => {
+    let deviceFilter;
+    let configStub;
+
+    function device(fields = {}) {
+        return {
+            mac_address: '12:3B:6A:1B:85:EF',
+            rssi: -60,
+            advertising_type_code: 0,
+            manufacturer_data: [{ company_id: 0x0499 }],
+            ...fields
+        };
+    }
+
+    beforeEach(() => {
+        configStub = {
+            config: {
+                deviceFilter: {
+                    macAllow: [],
+                    macDeny: [],
+                    configuredOnly: false,
+                    minRssi: null,
+                    advTypes: [],
+                    companyIds: []
+                },
+                homeAssistant: {
+                    devices: new Map([
+                        ['123b6a1b85ef', { name: 'Car Token' }],
+                        ['ibeacon_e2c56db5dffb48d2b060d0f5a71096e0_1_2', { name: 'Car Beacon' }]
+                    ])
+                }
+            }
+        };
+
+        deviceFilter = proxyquire('../src/device-filter', {
+            './config': configStub,
+            './device-identity': proxyquire('../src/device-identity', { './config': configStub })
+        });
+        deviceFilter.reset();
+    });
+
+    describe('isEnabled()', () => {
+        it('should only be enabled when a rule is configured', () => {
+            expect(deviceFilter.isEnabled()).to.be.false;
+
+            configStub.config.deviceFilter.minRssi = -90;
+            expect(deviceFilter.isEnabled()).to.be.true;
+        });
+
+        it('should be disabled without filter configuration', () => {
+            delete configStub.config.deviceFilter;
+
+            expect(deviceFilter.isEnabled()).to.be.false;
+            expect(deviceFilter.filterDevices([device()])).to.have.lengthOf(1);
+        });
+    });
+
+    describe('getDropReason()', () => {
+        it('should drop denied MAC addresses and prefixes', () => {
+            configStub.config.deviceFilter.macDeny = ['123b6a'];
+
+            expect(deviceFilter.getDropReason(device())).to.equal('mac_deny');
+            expect(deviceFilter.getDropReason(device({ mac_address: 'AA:BB:CC:DD:EE:FF' }))).to.be.null;
+        });
+
+        it('should only keep allowed MAC addresses and prefixes', () => {
+            configStub.config.deviceFilter.macAllow = ['aabbccddeeff', 'c0ffee'];
+
+            expect(deviceFilter.getDropReason(device())).to.equal('mac_allow');
+            expect(deviceFilter.getDropReason(device({ mac_address: 'C0:FF:EE:00:00:01' }))).to.be.null;
+            expect(deviceFilter.getDropReason(device({ mac_address: 'aa-bb-cc-dd-ee-ff' }))).to.be.null;
+        });
+
+        it('should check the deny list before the allow list', () => {
+            configStub.config.deviceFilter.macAllow = ['123b6a'];
+            configStub.config.deviceFilter.macDeny = ['123b6a1b85ef'];
+
+            expect(deviceFilter.getDropReason(device())).to.equal('mac_deny');
+        });
+
+        it('should only keep configured devices, matched by MAC or iBeacon identity', () => {
+            configStub.config.deviceFilter.configuredOnly = true;
+            const beacon = device({
+                mac_address: '01:02:03:04:05:06',
+                ibeacon: { uuid: 'E2C56DB5-DFFB-48D2-B060-D0F5A71096E0', major: 1, minor: 2 }
+            });
+
+            expect(deviceFilter.getDropReason(device())).to.be.null;
+            expect(deviceFilter.getDropReason(beacon)).to.be.null;
+            expect(deviceFilter.getDropReason(device({ mac_address: 'AA:BB:CC:DD:EE:FF' }))).to.equal('configured_only');
+        });
+
+        it('should drop devices below the minimum RSSI', () => {
+            configStub.config.deviceFilter.minRssi = -80;
+
+            expect(deviceFilter.getDropReason(device({ rssi: -80 }))).to.be.null;
+            expect(deviceFilter.getDropReason(device({ rssi: -81 }))).to.equal('min_rssi');
+        });
+
+        it('should only keep the configured advertising types', () => {
+            configStub.config.deviceFilter.advTypes = [0, 2];
+
+            expect(deviceFilter.getDropReason(device({ advertising_type_code: 2 }))).to.be.null;
+            expect(deviceFilter.getDropReason(device({ advertising_type_code: 4 }))).to.equal('adv_type');
+        });
+
+        it('should only keep devices with manufacturer data of the configured companies', () => {
+            configStub.config.deviceFilter.companyIds = [0x004C];
+
+            expect(deviceFilter.getDropReason(device({ manufacturer_data: [{ company_id: 0x004C }] }))).to.be.null;
+            expect(deviceFilter.getDropReason(device())).to.equal('company_id');
+            expect(deviceFilter.getDropReason(device({ manufacturer_data: undefined }))).to.equal('company_id');
+        });
+    });
+
+    describe('filterDevices()', () => {
+        it('should return the kept devices and count dropped devices per rule', () => {
+            configStub.config.deviceFilter.minRssi = -80;
+            configStub.config.deviceFilter.macDeny = ['aabbcc'];
+
+            const kept = deviceFilter.filterDevices([
+                device(),
+                device({ rssi: -95 }),
+                device({ mac_address: 'AA:BB:CC:00:00:01' }),
+                device({ mac_address: 'AA:BB:CC:00:00:02', rssi: -95 })
+            ]);
+
+            expect(kept).to.deep.equal([device()]);
+            expect(deviceFilter.getMetrics()).to.deep.equal({
+                enabled: true,
+                passed: 1,
+                dropped: { mac_deny: 2, mac_allow: 0, configured_only: 0, min_rssi: 1, adv_type: 0, company_id: 0 }
+            });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for the Device Identity Module
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire').noCallThru();
+
+describe('Device Identity', () => {
+    let deviceIdentity;
+    let devices;
+
+    const IBEACON_KEY = 'ibeacon_b5b182c7eab14988aa99b5c1517008d9_1_53092';
+
+    beforeEach(() => {
+        devices = new Map();
+        devices.set('123b6a1b85ef', { name: 'Car Token' });
+        devices.set(IBEACON_KEY, {
+            name: 'Bike Beacon',
+            ibeacon: { uuid: 'B5B182C7-EAB1-4988-AA99-B5C1517008D9', major: 1, minor: 53092 }
+        });
+        devices.set('c4a1b2c3d4e5', { name: 'Phone', irk: 'ec0234a357c8ad05341010a60a397d9b' });
+
+        deviceIdentity = proxyquire('../src/device-identity', {
+            './config': { config: { homeAssistant: { devices } } },
+            './logger': { debug: sinon.stub() }
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('findConfiguredDevice()', () => {
+        it('should match configured devices by MAC address', () => {
+            const match = deviceIdentity.findConfiguredDevice({ mac_address: '12:3B:6A:1B:85:EF' });
+
+            expect(match.key).to.equal('123b6a1b85ef');
+            expect(match.device.name).to.equal('Car Token');
+        });
+
+        it('should match configured devices by iBeacon UUID/major/minor', () => {
+            const match = deviceIdentity.findConfiguredDevice({
+                mac_address: '7A:11:22:33:44:55',
+                ibeacon: { uuid: 'B5B182C7-EAB1-4988-AA99-B5C1517008D9', major: 1, minor: 53092, measured_power: -59 }
+            });
+
+            expect(match.key).to.equal(IBEACON_KEY);
+            expect(match.device.name).to.equal('Bike Beacon');
+        });
+
+        it('should not match iBeacons with a different minor', () => {
+            const match = deviceIdentity.findConfiguredDevice({
+                mac_address: '7A:11:22:33:44:55',
+                ibeacon: { uuid: 'B5B182C7-EAB1-4988-AA99-B5C1517008D9', major: 1, minor: 1 }
+            });
+
+            expect(match).to.be.null;
+        });
+
+        it('should match resolvable private addresses generated with a configured IRK', () => {
+            const match = deviceIdentity.findConfiguredDevice({ mac_address: '70:81:94:0D:FB:AA' });
+
+            expect(match.key).to.equal('c4a1b2c3d4e5');
+            expect(match.device.name).to.equal('Phone');
+            expect(match.resolvedAddress).to.be.true;
+        });
+
+        it('should not match resolvable private addresses of unknown devices', () => {
+            expect(deviceIdentity.findConfiguredDevice({ mac_address: '70:81:94:0D:FB:AB' })).to.be.null;
+            // Resolved again from the cache
+            expect(deviceIdentity.findConfiguredDevice({ mac_address: '70:81:94:0D:FB:AB' })).to.be.null;
+        });
+    });
+
+    describe('applyDeviceIdentities()', () => {
+        it('should set device_id only for devices matched by identity', () => {
+            const payloads = [
+                { mac_address: '12:3B:6A:1B:85:EF' },
+                { mac_address: '7A:11:22:33:44:55', ibeacon: { uuid: 'B5B182C7-EAB1-4988-AA99-B5C1517008D9', major: 1, minor: 53092 } },
+                { mac_address: 'AA:BB:CC:DD:EE:FF' },
+                { mac_address: '70:81:94:0D:FB:AA' }
+            ];
+
+            deviceIdentity.applyDeviceIdentities(payloads);
+
+            expect(payloads[0]).to.not.have.property('device_id');
+            expect(payloads[1].device_id).to.equal(IBEACON_KEY);
+            expect(payloads[2]).to.not.have.property('device_id');
+            expect(payloads[3].device_id).to.equal('c4a1b2c3d4e5');
+            expect(payloads[3].address_type).to.equal('resolvable_private');
+            expect(payloads[1]).to.not.have.property('address_type');
+        });
+    });
+});
@@ -41,6 +41,7 @@ describe('BLE Device Parser Module', () => {
             expect(result.advertising_type_code).to.equal(2);
             expect(result.advertising_type_description).to.equal('Scannable undirected advertisement');
             expect(result.mac_address).to.equal('11:22:33:44:55:66');
+            expect(result.address_type).to.equal('private_or_public');
             expect(result.rssi).to.equal(-96);
             expect(result.advertisement_data_hex).to.equal('020106');
         });
@@ -75,6 +76,7 @@ describe('BLE Device Parser Module', () => {
             expect(result.advertising_type_code).to.equal(4);
             expect(result.advertising_type_description).to.equal('Scan Response');
             expect(result.mac_address).to.equal('AA:BB:CC:DD:EE:FF');
+            expect(result.address_type).to.equal('public');
             expect(result.rssi).to.equal(-128);
             expect(result.advertisement_data_hex).to.equal('');
         });
@@ -144,6 +146,120 @@ describe('BLE Device Parser Module', () => {
             expect(result).to.be.an('object');
             expect(result.mac_address).to.equal('11:22:33:44:55:66');
         });
+
+        it('should add decoded AD structures to the parsed device', () => {
+            const deviceData = Buffer.from([
+                0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0xC0,
+                0x02, 0x01, 0x06, // Flags
+                0x05, 0x09, 0x54, 0x65, 0x73, 0x74 // Complete Local Name "Test"
+            ]);
+
+            const result = deviceParser.parseDevice(deviceData);
+
+            expect(result.ad_structures).to.have.lengthOf(2);
+            expect(result.flags).to.equal(6);
+            expect(result.local_name).to.equal('Test');
+            expect(result).to.not.have.property('parse_warnings');
+        });
+
+        it('should keep the device and add warnings for truncated advertisement data', () => {
+            const deviceData = Buffer.from([
+                0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0xC0,
+                0x02, 0x01, 0x06,
+                0x09, 0xFF, 0x4C, 0x00 // Declares 9 bytes, only 3 follow
+            ]);
+
+            const result = deviceParser.parseDevice(deviceData);
+
+            expect(result.mac_address).to.equal('11:22:33:44:55:66');
+            expect(result.flags).to.equal(6);
+            expect(result.parse_warnings).to.have.lengthOf(1);
+            expect(result.parse_warnings[0]).to.include('Truncated AD structure at offset 3');
+            expect(loggerStub.warn.calledWithMatch('Malformed advertisement data')).to.be.true;
+        });
+    });
+
+    describe('parseAdvertisementData()', () => {
+        it('should decode common AD structure types', () => {
+            const adData = Buffer.from([
+                0x02, 0x01, 0x1A, // Flags
+                0x05, 0x03, 0xAA, 0xFE, 0x0F, 0x18, // Complete 16-bit UUIDs FEAA, 180F
+                0x04, 0x08, 0x41, 0x42, 0x43, // Shortened Local Name "ABC"
+                0x02, 0x0A, 0xF4, // Tx Power -12 dBm
+                0x05, 0x16, 0xAA, 0xFE, 0x10, 0x20, // Service Data FEAA
+                0x05, 0xFF, 0x99, 0x04, 0x05, 0x12 // Manufacturer data, company 0x0499
+            ]);
+
+            const result = deviceParser.parseAdvertisementData(adData);
+
+            expect(result.warnings).to.deep.equal([]);
+            expect(result.structures).to.have.lengthOf(6);
+            expect(result.structures[0]).to.deep.equal({
+                type: 0x01,
+                type_name: 'Flags',
+                length: 2,
+                value_hex: '1A'
+            });
+            expect(result.fields.flags).to.equal(0x1A);
+            expect(result.fields.service_uuids).to.deep.equal(['FEAA', '180F']);
+            expect(result.fields.local_name).to.equal('ABC');
+            expect(result.fields.tx_power).to.equal(-12);
+            expect(result.fields.service_data).to.deep.equal([{ uuid: 'FEAA', data_hex: '1020' }]);
+            expect(result.fields.manufacturer_data).to.deep.equal([{ company_id: 0x0499, data_hex: '0512' }]);
+        });
+
+        it('should prefer the complete local name over the shortened one', () => {
+            const adData = Buffer.from([
+                0x05, 0x09, 0x54, 0x65, 0x73, 0x74, // Complete "Test"
+                0x03, 0x08, 0x54, 0x65 // Shortened "Te"
+            ]);
+
+            const result = deviceParser.parseAdvertisementData(adData);
+
+            expect(result.fields.local_name).to.equal('Test');
+        });
+
+        it('should format 128-bit service UUIDs canonically', () => {
+            const uuid = Buffer.from('6E400001B5A3F393E0A9E50E24DCCA9E', 'hex').reverse();
+            const adData = Buffer.concat([Buffer.from([0x11, 0x07]), uuid]);
+
+            const result = deviceParser.parseAdvertisementData(adData);
+
+            expect(result.fields.service_uuids).to.deep.equal(['6E400001-B5A3-F393-E0A9-E50E24DCCA9E']);
+        });
+
+        it('should stop at zero-length padding without warnings', () => {
+            const adData = Buffer.from([0x02, 0x01, 0x06, 0x00, 0x00, 0x00]);
+
+            const result = deviceParser.parseAdvertisementData(adData);
+
+            expect(result.structures).to.have.lengthOf(1);
+            expect(result.warnings).to.deep.equal([]);
+        });
+
+        it('should keep unknown AD types as raw structures', () => {
+            const adData = Buffer.from([0x03, 0x19, 0xC1, 0x03]);
+
+            const result = deviceParser.parseAdvertisementData(adData);
+
+            expect(result.structures[0].type_name).to.equal('Unknown AD type (0x19)');
+            expect(result.structures[0].value_hex).to.equal('C103');
+            expect(result.fields).to.deep.equal({});
+        });
+
+        it('should warn about malformed structures', () => {
+            const adData = Buffer.from([
+                0x01, 0x01, // Flags without a value
+                0x02, 0xFF, 0x4C, // Manufacturer data without a full company ID
+                0x04, 0x03, 0xAA, 0xFE, 0x0F // Odd-length 16-bit UUID list
+            ]);
+
+            const result = deviceParser.parseAdvertisementData(adData);
+
+            expect(result.structures).to.have.lengthOf(3);
+            expect(result.warnings).to.have.lengthOf(3);
+            expect(result.fields.service_uuids).to.deep.equal(['FEAA']);
+        });
     });
 
     describe('parseDevices()', () => {
@@ -189,6 +305,21 @@ describe('BLE Device Parser Module', () => {
             expect(result.errors[0].error).to.include('Failed to parse device 1');
         });
 
+        it('should report which decoder handled each device', () => {
+            const ibeaconDevice = Buffer.concat([
+                Buffer.from([0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0xC5]),
+                Buffer.from('1AFF4C000215B5B182C7EAB14988AA99B5C1517008D90001CF64C5', 'hex')
+            ]);
+            const plainDevice = Buffer.from([0x00, 0xAA, 0xBB, 0xCC, 0xDD, 0xEE, 0xFF, 0x90, 0x02, 0x01, 0x06]);
+
+            const result = deviceParser.parseDevices([ibeaconDevice, plainDevice]);
+
+            expect(result.devices[0].decoder).to.equal('ibeacon');
+            expect(result.devices[0].ibeacon.major).to.equal(1);
+            expect(result.devices[1]).to.not.have.property('decoder');
+            expect(result.decoderCounts).to.deep.equal({ ibeacon: 1 });
+        });
+
         it('should throw error for non-array input', () => {
             expect(() => {
                 deviceParser.parseDevices(null);
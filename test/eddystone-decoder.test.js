@@ -0,0 +1,85 @@
+/**
+ * Tests for the Eddystone Decoder
+ * Tests decoding of Eddystone UID, URL and TLM frames
+ */
+
+const { expect } = require('chai');
+
+const eddystoneDecoder = require('../src/decoders/eddystone');
+
+describe('Eddystone Decoder', () => {
+    function deviceWithFrame(frameHex) {
+        return { service_data: [{ uuid: 'FEAA', data_hex: frameHex }] };
+    }
+
+    describe('decode()', () => {
+        it('should decode UID frames', () => {
+            const result = eddystoneDecoder.decode(deviceWithFrame('00E7' + '00112233445566778899' + 'AABBCCDDEEFF' + '0000'));
+
+            expect(result).to.deep.equal({
+                eddystone: {
+                    frame_type: 'uid',
+                    tx_power: -25,
+                    namespace: '00112233445566778899',
+                    instance: 'AABBCCDDEEFF'
+                }
+            });
+        });
+
+        it('should decode URL frames with scheme and expansion codes', () => {
+            const encoded = Buffer.from('example').toString('hex') + '00' + Buffer.from('tag').toString('hex');
+            const result = eddystoneDecoder.decode(deviceWithFrame('10EB01' + encoded));
+
+            expect(result.eddystone).to.deep.equal({
+                frame_type: 'url',
+                tx_power: -21,
+                url: 'https://www.example.com/tag'
+            });
+        });
+
+        it('should decode unencrypted TLM frames', () => {
+            const result = eddystoneDecoder.decode(deviceWithFrame('20000BB81780000000640000' + '03E8'));
+
+            expect(result.eddystone).to.deep.equal({
+                frame_type: 'tlm',
+                version: 0,
+                battery_voltage: 3,
+                temperature: 23.5,
+                adv_count: 100,
+                uptime_seconds: 100
+            });
+        });
+
+        it('should report unsupported TLM battery and temperature values as null', () => {
+            const result = eddystoneDecoder.decode(deviceWithFrame('2000000080000000000100000001'));
+
+            expect(result.eddystone.battery_voltage).to.be.null;
+            expect(result.eddystone.temperature).to.be.null;
+        });
+
+        it('should decode negative TLM temperatures', () => {
+            const result = eddystoneDecoder.decode(deviceWithFrame('20000BB8FB80000000010000000A'));
+
+            expect(result.eddystone.temperature).to.equal(-4.5);
+        });
+
+        it('should mark encrypted TLM frames without decoding them', () => {
+            const result = eddystoneDecoder.decode(deviceWithFrame('2001AABBCCDDEEFF00112233445566778899'));
+
+            expect(result.eddystone).to.deep.equal({ frame_type: 'tlm', version: 1, encrypted: true });
+        });
+
+        it('should ignore devices without Eddystone service data', () => {
+            expect(eddystoneDecoder.decode({ service_data: [{ uuid: '181A', data_hex: '00' }] })).to.be.null;
+            expect(eddystoneDecoder.decode({})).to.be.null;
+        });
+
+        it('should throw for truncated or unknown frames', () => {
+            expect(() => eddystoneDecoder.decode(deviceWithFrame('00E70011'))).to.throw('Eddystone UID frame too short');
+            expect(() => eddystoneDecoder.decode(deviceWithFrame('20000BB8'))).to.throw('Eddystone TLM frame too short');
+            expect(() => eddystoneDecoder.decode(deviceWithFrame('10EB09'))).to.throw('Unknown Eddystone URL scheme');
+            expect(() => eddystoneDecoder.decode(deviceWithFrame('10EB0020'))).to.throw('Invalid character');
+            expect(() => eddystoneDecoder.decode(deviceWithFrame('50'))).to.throw('Unknown Eddystone frame type');
+        });
+    });
+});
@@ -7,6 +7,19 @@ const { expect } = require('chai');
 const request = require('supertest');
 const express = require('express');
 const msgpack = require('msgpack5')();
+const sinon = require('sinon');
+const proxyquire = require('proxyquire').noCallThru();
+
+// Load the real application with stubbed modules, without starting its HTTP server
+function loadApplication(stubs) {
+    const expressStub = Object.assign(() => {
+        const instance = express();
+        instance.listen = sinon.stub();
+        return instance;
+    }, express);
+
+    return proxyquire('../src/index', { express: expressStub, ...stubs });
+}
 
 // Create a test app instance
 function createTestApp() {
@@ -279,4 +292,141 @@ describe('HTTP Endpoint', () => {
                 .end(done);
         });
     });
+
+    describe('JSON Integration', () => {
+        let mqttClientStub;
+        let appUnderTest;
+
+        const gatewayData = {
+            v: '1.5.0',
+            mid: 123,
+            time: 1234567890,
+            ip: '192.168.1.100',
+            mac: '12:34:56:78:9A:BC',
+            devices: ['00112233445566C0020106']
+        };
+
+        before(() => {
+            mqttClientStub = {
+                publishMultipleDeviceData: sinon.stub(),
+                publishGatewayData: sinon.stub().resolves(true),
+                getQueueMetrics: sinon.stub().returns({ depth: 0 }),
+                isConnected: sinon.stub().returns(true)
+            };
+
+            appUnderTest = loadApplication({ './mqtt-client': mqttClientStub }).app;
+        });
+
+        beforeEach(() => {
+            mqttClientStub.publishMultipleDeviceData.reset();
+            mqttClientStub.publishMultipleDeviceData.callsFake(async payloads => ({
+                totalCount: payloads.length,
+                successCount: payloads.length,
+                errorCount: 0,
+                queuedCount: 0,
+                errors: []
+            }));
+            mqttClientStub.publishGatewayData.resetHistory();
+        });
+
+        function expectDevicePublished() {
+            expect(mqttClientStub.publishMultipleDeviceData.calledOnce).to.be.true;
+            const payloads = mqttClientStub.publishMultipleDeviceData.firstCall.args[0];
+            expect(payloads).to.have.length(1);
+            expect(payloads[0].mac_address).to.equal('11:22:33:44:55:66');
+        }
+
+        it('should publish devices of a JSON upload sent as application/json', (done) => {
+            request(appUnderTest)
+                .post('/tokendata')
+                .set('Content-Type', 'application/json')
+                .send(JSON.stringify(gatewayData))
+                .expect(204)
+                .end((err) => {
+                    if (err) return done(err);
+                    expectDevicePublished();
+                    done();
+                });
+        });
+
+        it('should publish devices of a JSON upload sent without a Content-Type', (done) => {
+            const req = request(appUnderTest).post('/tokendata');
+            req.unset('Content-Type');
+            req.write(JSON.stringify(gatewayData));
+            req.expect(204)
+                .end((err) => {
+                    if (err) return done(err);
+                    expectDevicePublished();
+                    done();
+                });
+        });
+    });
+
+    describe('Application Startup', () => {
+        let mqttClientStub;
+        let connectListeners;
+        let publisherInstances;
+        let application;
+
+        class ScheduledPublisherStub {
+            constructor() {
+                this.initialize = sinon.stub();
+                this.shutdown = sinon.stub();
+                this.handleIncomingData = sinon.stub().resolves();
+                publisherInstances.push(this);
+            }
+        }
+
+        beforeEach(() => {
+            connectListeners = [];
+            publisherInstances = [];
+            mqttClientStub = {
+                initializeMqttClient: sinon.stub().rejects(new Error('connect ECONNREFUSED')),
+                onConnect: sinon.stub().callsFake(listener => connectListeners.push(listener)),
+                subscribe: sinon.stub(),
+                isConnected: sinon.stub().returns(false),
+                publishMultipleDeviceData: sinon.stub(),
+                publishGatewayData: sinon.stub().resolves(true),
+                getQueueMetrics: sinon.stub().returns({ depth: 0 }),
+                disconnect: sinon.stub().resolves()
+            };
+
+            application = loadApplication({
+                './mqtt-client': mqttClientStub,
+                './scheduled-publisher': ScheduledPublisherStub
+            });
+        });
+
+        afterEach(async () => {
+            await application.shutdown();
+        });
+
+        it('should start the scheduled publisher when the broker is down at startup', async () => {
+            await application.initializeApplication();
+
+            // The reconnect supervisor connects later
+            mqttClientStub.isConnected.returns(true);
+            connectListeners.forEach(listener => listener());
+
+            expect(publisherInstances).to.have.length(1);
+            expect(publisherInstances[0].initialize.calledOnce).to.be.true;
+
+            await request(application.app)
+                .post('/tokendata')
+                .set('Content-Type', 'application/json')
+                .send(JSON.stringify({
+                    v: '1.5.0',
+                    mid: 123,
+                    time: 1234567890,
+                    ip: '192.168.1.100',
+                    mac: '12:34:56:78:9A:BC',
+                    devices: ['00112233445566C0020106']
+                }))
+                .expect(204);
+
+            expect(publisherInstances[0].handleIncomingData.calledOnce).to.be.true;
+            expect(publisherInstances[0].handleIncomingData.firstCall.args[0][0].mac_address).to.equal('11:22:33:44:55:66');
+            expect(mqttClientStub.publishMultipleDeviceData.called).to.be.false;
+        });
+    });
 });
@@ -0,0 +1,76 @@
+/**
+ * Tests for the Exploded Topics Module
+ */
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noCallThru();
+
+describe('Exploded Topics', () => {
+    let explodedTopics;
+    let configStub;
+
+    const STATE_TOPIC = 'blegateway/state/123b6a1b85ef';
+
+    beforeEach(() => {
+        configStub = {
+            config: {
+                mqtt: {
+                    deviceCacheRetentionSeconds: 300,
+                    exploded: { enabled: true, qos: 0, retain: true }
+                }
+            }
+        };
+
+        explodedTopics = proxyquire('../src/exploded-topics', {
+            './config': configStub
+        });
+        explodedTopics.reset();
+    });
+
+    describe('isEnabled()', () => {
+        it('should follow MQTT_EXPLODED_TOPICS', () => {
+            expect(explodedTopics.isEnabled()).to.be.true;
+
+            configStub.config.mqtt.exploded.enabled = false;
+            expect(explodedTopics.isEnabled()).to.be.false;
+        });
+    });
+
+    describe('flattenPayload()', () => {
+        it('should flatten nested objects into topic levels and skip arrays and nulls', () => {
+            const fields = explodedTopics.flattenPayload({
+                rssi: -60,
+                connectable: true,
+                ruuvi: { temperature: 21.5, humidity: null },
+                manufacturer_data: [{ company_id: 76 }],
+                'odd/field+#': 'x'
+            });
+
+            expect(fields).to.deep.equal([
+                { field: 'rssi', value: '-60' },
+                { field: 'connectable', value: 'true' },
+                { field: 'ruuvi/temperature', value: '21.5' },
+                { field: 'odd_field__', value: 'x' }
+            ]);
+        });
+    });
+
+    describe('getChangedFields()', () => {
+        it('should only return fields whose value changed since it was published', () => {
+            for (const { topic, value } of explodedTopics.getChangedFields(STATE_TOPIC, { rssi: -60, battery: 90 }, 0)) {
+                explodedTopics.recordPublished(topic, value, 0);
+            }
+
+            const changed = explodedTopics.getChangedFields(STATE_TOPIC, { rssi: -61, battery: 90 }, 1000);
+
+            expect(changed).to.deep.equal([{ topic: `${STATE_TOPIC}/rssi`, value: '-61' }]);
+        });
+
+        it('should publish values again once the device was forgotten', () => {
+            explodedTopics.recordPublished(`${STATE_TOPIC}/battery`, '90', 0);
+
+            expect(explodedTopics.getChangedFields(STATE_TOPIC, { battery: 90 }, 1000)).to.be.empty;
+            expect(explodedTopics.getChangedFields(STATE_TOPIC, { battery: 90 }, 302000)).to.have.lengthOf(1);
+        });
+    });
+});
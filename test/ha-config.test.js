@@ -26,10 +26,11 @@ describe('Home Assistant Configuration Parsing', () => {
         // Clear any environment variables that might affect the tests
         delete process.env.HA_ENABLED;
         delete process.env.HA_DISCOVERY_TOPIC_PREFIX;
+        delete process.env.HA_PRESENCE_ENTITY;
         
         // Delete all HA_BLE_DEVICE_X environment variables
         Object.keys(process.env).forEach(key => {
-            if (key.startsWith('HA_BLE_DEVICE_')) {
+            if (key.startsWith('HA_BLE_DEVICE_') || key.startsWith('HA_GATEWAY_')) {
                 delete process.env[key];
             }
         });
@@ -81,6 +82,43 @@ describe('Home Assistant Configuration Parsing', () => {
             
             expect(configModule.config.homeAssistant.discoveryTopicPrefix).to.equal('custom/ha');
         });
+        
+        it('should parse the presence entity type', () => {
+            process.env.HA_PRESENCE_ENTITY = 'Binary_Sensor';
+            
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            expect(configModule.config.homeAssistant.presenceEntity).to.equal('binary_sensor');
+        });
+        
+        it('should disable presence entities by default', () => {
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            expect(configModule.config.homeAssistant.presenceEntity).to.be.null;
+        });
+        
+        it('should parse HA_GATEWAY_X environment variables', () => {
+            process.env.HA_GATEWAY_1 = 'AA:BB:CC:DD:EE:FF,Kitchen Gateway';
+            process.env.HA_GATEWAY_2 = '112233445566, Garage Gateway ';
+            process.env.HA_GATEWAY_3 = 'invalid';
+            
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            const gateways = configModule.config.homeAssistant.gateways;
+            expect(gateways).to.be.instanceOf(Map);
+            expect(gateways.size).to.equal(2);
+            expect(gateways.get('aabbccddeeff')).to.equal('Kitchen Gateway');
+            expect(gateways.get('112233445566')).to.equal('Garage Gateway');
+        });
     });
     
     describe('BLE Device Parsing', () => {
@@ -117,6 +155,88 @@ describe('Home Assistant Configuration Parsing', () => {
             expect(devices.has('123b6a1b85ef')).to.be.true; // Should be lowercase in the map
         });
         
+        it('should parse iBeacon HA_BLE_DEVICE_X variables', () => {
+            process.env.HA_BLE_DEVICE_1 = 'ibeacon:e2c56db5-dffb-48d2-b060-d0f5a71096e0:1:2,Car Beacon';
+            process.env.HA_BLE_DEVICE_2 = 'ibeacon:not-a-uuid:1:2,Bad Beacon';
+            
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            const devices = configModule.config.homeAssistant.devices;
+            expect(devices.size).to.equal(1);
+            expect(devices.get('ibeacon_e2c56db5dffb48d2b060d0f5a71096e0_1_2')).to.deep.equal({
+                name: 'Car Beacon',
+                ibeacon: { uuid: 'E2C56DB5-DFFB-48D2-B060-D0F5A71096E0', major: 1, minor: 2 }
+            });
+        });
+        
+        it('should attach BTHome bindkeys to devices', () => {
+            process.env.HA_BLE_DEVICE_1 = '5448e68f80a5,Thermometer';
+            process.env.HA_BLE_DEVICE_1_BINDKEY = '231D39C1D7CC1AB1AEE224CD096DB932';
+            process.env.HA_BLE_DEVICE_2 = 'aabbccddeeff,Bad Key';
+            process.env.HA_BLE_DEVICE_2_BINDKEY = '1234';
+            
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            const devices = configModule.config.homeAssistant.devices;
+            expect(devices.size).to.equal(1);
+            expect(devices.get('5448e68f80a5')).to.deep.equal({
+                name: 'Thermometer',
+                bindkey: '231d39c1d7cc1ab1aee224cd096db932'
+            });
+            expect(mockLogger.error.calledWithMatch('Invalid HA_BLE_DEVICE_2_BINDKEY')).to.be.true;
+        });
+        
+        it('should attach Identity Resolving Keys to devices', () => {
+            process.env.HA_BLE_DEVICE_1 = 'c4a1b2c3d4e5,Phone';
+            process.env.HA_BLE_DEVICE_1_IRK = 'EC0234A357C8AD05341010A60A397D9B';
+            process.env.HA_BLE_DEVICE_2 = 'c4a1b2c3d4e6,Watch';
+            process.env.HA_BLE_DEVICE_2_IRK = Buffer.from('ec0234a357c8ad05341010a60a397d9b', 'hex').reverse().toString('base64');
+            process.env.HA_BLE_DEVICE_3 = 'aabbccddeeff,Bad Key';
+            process.env.HA_BLE_DEVICE_3_IRK = '1234';
+            
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            const devices = configModule.config.homeAssistant.devices;
+            expect(devices.size).to.equal(2);
+            expect(devices.get('c4a1b2c3d4e5')).to.deep.equal({
+                name: 'Phone',
+                irk: 'ec0234a357c8ad05341010a60a397d9b'
+            });
+            expect(devices.get('c4a1b2c3d4e6').irk).to.equal('ec0234a357c8ad05341010a60a397d9b');
+            expect(mockLogger.error.calledWithMatch('Invalid HA_BLE_DEVICE_3_IRK')).to.be.true;
+        });
+        
+        it('should attach publish settings to devices', () => {
+            process.env.HA_BLE_DEVICE_1 = '5448e68f80a5,Car Token';
+            process.env.HA_BLE_DEVICE_1_INTERVAL = '0';
+            process.env.HA_BLE_DEVICE_1_RETENTION = '30';
+            process.env.HA_BLE_DEVICE_1_IMMEDIATE = 'TRUE';
+            process.env.HA_BLE_DEVICE_2 = 'aabbccddeeff,Bad Interval';
+            process.env.HA_BLE_DEVICE_2_INTERVAL = 'often';
+            
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            const devices = configModule.config.homeAssistant.devices;
+            expect(devices.size).to.equal(1);
+            expect(devices.get('5448e68f80a5')).to.deep.equal({
+                name: 'Car Token',
+                publish: { intervalSeconds: 0, retentionSeconds: 30, immediate: true }
+            });
+            expect(mockLogger.error.calledWithMatch('Invalid HA_BLE_DEVICE_2_INTERVAL')).to.be.true;
+        });
+        
         it('should skip malformed HA_BLE_DEVICE_X variables', () => {
             process.env.HA_BLE_DEVICE_1 = '123b6a1b85ef,Car Token'; // Valid
             process.env.HA_BLE_DEVICE_2 = 'invalid-mac,Bad Token'; // Invalid MAC
@@ -223,6 +343,20 @@ describe('Home Assistant Configuration Parsing', () => {
             const warnings = configModule.validateConfig();
             expect(warnings.some(w => w.includes('HA_ENABLED is true but no HA_BLE_DEVICE_X'))).to.be.false;
         });
+        
+        it('should warn about an invalid presence entity type', () => {
+            process.env.HA_ENABLED = 'true';
+            process.env.HA_PRESENCE_ENTITY = 'person';
+            
+            configModule = proxyquire('../src/config', {
+                './logger': mockLogger,
+                'dotenv': { config: () => {} }
+            });
+            
+            const warnings = configModule.validateConfig();
+            expect(configModule.config.homeAssistant.presenceEntity).to.be.null;
+            expect(warnings.some(w => w.includes('Invalid HA_PRESENCE_ENTITY: person'))).to.be.true;
+        });
     });
     
     describe('Configuration Logging', () => {
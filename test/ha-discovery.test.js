@@ -5,6 +5,7 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const proxyquire = require('proxyquire').noCallThru();
+const { normalizeMac } = require('../src/utils');
 
 describe('Home Assistant Discovery Publisher', () => {
     let haDiscovery;
@@ -61,7 +62,9 @@ describe('Home Assistant Discovery Publisher', () => {
         haDiscovery = proxyquire('../src/ha-discovery', {
             './logger': loggerStub,
             './config': configStub,
-            './utils': { formatMac: formatMacStub, slugify: slugifyStub }
+            './utils': { formatMac: formatMacStub, slugify: slugifyStub, normalizeMac },
+            './publish-policy': proxyquire('../src/publish-policy', { './config': configStub }),
+            './change-detector': proxyquire('../src/change-detector', { './config': configStub })
         });
         
         // Reset published devices between tests
@@ -102,7 +105,7 @@ describe('Home Assistant Discovery Publisher', () => {
             expect(result.value_template).to.equal('{{ value_json.rssi | default(0) }}');
             expect(result.unit_of_measurement).to.equal('dBm');
             expect(result.device_class).to.equal('signal_strength');
-            expect(result.expire_after).to.equal(300);
+            expect(result.expire_after).to.equal(360);
             expect(result.device).to.deep.equal(deviceObject);
         });
     });
@@ -123,11 +126,97 @@ describe('Home Assistant Discovery Publisher', () => {
             expect(result.state_topic).to.equal('blegateway/state/123b6a1b85ef');
             expect(result.value_template).to.equal('{{ value_json.last_seen_timestamp }}');
             expect(result.device_class).to.equal('timestamp');
-            expect(result.expire_after).to.equal(300);
+            expect(result.expire_after).to.equal(360);
             expect(result.device).to.deep.equal(deviceObject);
         });
     });
     
+    describe('getExpireAfter()', () => {
+        it('should keep states for the cache retention period plus a margin by default', () => {
+            expect(haDiscovery.getExpireAfter('123b6a1b85ef')).to.equal(360);
+        });
+        
+        it('should follow the publish interval of the device or its publish group', () => {
+            configStub.config.homeAssistant.devices = new Map([
+                ['123b6a1b85ef', { name: 'Car Token', publish: { intervalSeconds: 600 } }],
+                ['aabbccddeeff', { name: 'Bike Token' }]
+            ]);
+            configStub.config.mqtt.publishGroups = [{ name: 'shelf', macPrefix: 'aabbcc', intervalSeconds: 900, retentionSeconds: 1200 }];
+            
+            expect(haDiscovery.getExpireAfter('123b6a1b85ef')).to.equal(660);
+            expect(haDiscovery.getExpireAfter('aabbccddeeff')).to.equal(1260);
+        });
+        
+        it('should outlast the heartbeat of the on_change publish policy', () => {
+            configStub.config.mqtt.publishPolicy = 'on_change';
+            configStub.config.mqtt.changePolicy = { heartbeatSeconds: 900 };
+            
+            expect(haDiscovery.getExpireAfter('123b6a1b85ef')).to.equal(960);
+        });
+        
+        it('should not expire states when unchanged devices are never published again', async () => {
+            configStub.config.mqtt.publishPolicy = 'on_change';
+            configStub.config.mqtt.changePolicy = { heartbeatSeconds: 0 };
+            
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            
+            expect(JSON.parse(mqttClientStub.publish.firstCall.args[1])).to.not.have.property('expire_after');
+        });
+        
+        it('should re-announce a device once its payload matches a publish group', async () => {
+            configStub.config.mqtt.publishGroups = [{ name: 'tlm', decoder: 'eddystone', intervalSeconds: 600 }];
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            expect(JSON.parse(mqttClientStub.publish.firstCall.args[1]).expire_after).to.equal(360);
+            mqttClientStub.publish.resetHistory();
+            
+            const payload = { mac_address: '12:3B:6A:1B:85:EF', decoder: 'eddystone' };
+            await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [payload]);
+            
+            expect(mqttClientStub.publish.callCount).to.equal(2);
+            expect(mqttClientStub.publish.args.map(args => JSON.parse(args[1]).expire_after)).to.deep.equal([660, 660]);
+            
+            mqttClientStub.publish.resetHistory();
+            await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [payload]);
+            expect(mqttClientStub.publish.called).to.be.false;
+        });
+    });
+    
+    describe('createPresenceConfig()', () => {
+        it('should create a device_tracker config driven by the presence topic', () => {
+            const deviceObject = haDiscovery.createDeviceObject('123b6a1b85ef', 'Car Token');
+            const result = haDiscovery.createPresenceConfig('123b6a1b85ef', 'Car Token', 'device_tracker', deviceObject);
+            
+            expect(result).to.deep.equal({
+                name: 'Car Token',
+                unique_id: 'ble_token_123b6a1b85ef_presence',
+                state_topic: 'blegateway/presence/123b6a1b85ef',
+                availability_topic: 'blegateway/status',
+                device: deviceObject,
+                payload_home: 'home',
+                payload_not_home: 'not_home',
+                source_type: 'bluetooth_le'
+            });
+        });
+        
+        it('should create a presence binary_sensor config', () => {
+            const result = haDiscovery.createPresenceConfig('123b6a1b85ef', 'Car Token', 'binary_sensor', {});
+            
+            expect(result.name).to.equal('Car Token Presence');
+            expect(result.device_class).to.equal('presence');
+            expect(result.payload_on).to.equal('home');
+            expect(result.payload_off).to.equal('not_home');
+            expect(result.state_topic).to.equal('blegateway/presence/123b6a1b85ef');
+        });
+        
+        it('should use the presence topic the state is published to without trailing slash in the prefix', () => {
+            configStub.config.mqtt.topicPrefix = 'blegateway';
+            
+            const result = haDiscovery.createPresenceConfig('123b6a1b85ef', 'Car Token', 'binary_sensor', {});
+            
+            expect(result.state_topic).to.equal('blegateway/presence/123b6a1b85ef');
+        });
+    });
+    
     describe('publishDeviceDiscovery()', () => {
         it('should publish discovery messages for a single device', async () => {
             const result = await haDiscovery.publishDeviceDiscovery(
@@ -141,13 +230,13 @@ describe('Home Assistant Discovery Publisher', () => {
             
             // Verify RSSI sensor config publish
             const rssiCall = mqttClientStub.publish.getCall(0);
-            expect(rssiCall.args[0]).to.equal('homeassistant/sensor/car_token_rssi/config');
+            expect(rssiCall.args[0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_rssi/config');
             expect(JSON.parse(rssiCall.args[1])).to.have.property('name', 'Car Token RSSI');
             expect(rssiCall.args[2]).to.deep.equal({ retain: true });
             
             // Verify Last Seen sensor config publish
             const lastSeenCall = mqttClientStub.publish.getCall(1);
-            expect(lastSeenCall.args[0]).to.equal('homeassistant/sensor/car_token_last_seen/config');
+            expect(lastSeenCall.args[0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_last_seen/config');
             expect(JSON.parse(lastSeenCall.args[1])).to.have.property('name', 'Car Token Last Seen');
             expect(lastSeenCall.args[2]).to.deep.equal({ retain: true });
             
@@ -156,6 +245,91 @@ describe('Home Assistant Discovery Publisher', () => {
             expect(loggerStub.error.called).to.be.false;
         });
         
+        it('should publish a Room sensor when room presence is configured', async () => {
+            configStub.config.roomPresence = { gateways: new Map([['aaaaaaaaaaaa', 'Living Room']]) };
+            
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            
+            expect(mqttClientStub.publish.calledThrice).to.be.true;
+            const roomCall = mqttClientStub.publish.getCall(2);
+            expect(roomCall.args[0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_room/config');
+            const roomConfig = JSON.parse(roomCall.args[1]);
+            expect(roomConfig.unique_id).to.equal('ble_token_123b6a1b85ef_room');
+            expect(roomConfig.value_template).to.include('value_json.room');
+        });
+        
+        it('should reference the proxy availability topic from every entity', async () => {
+            configStub.config.roomPresence = { gateways: new Map([['aaaaaaaaaaaa', 'Living Room']]) };
+            configStub.config.rssiSmoothing = { method: 'kalman' };
+            configStub.config.homeAssistant.smoothedRssiSensor = true;
+            configStub.config.homeAssistant.distanceSensor = true;
+            configStub.config.homeAssistant.presenceEntity = 'binary_sensor';
+            
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            await haDiscovery.publishDecodedFieldsDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' }, { atc: { temperature: 21.5 } });
+            await haDiscovery.publishGatewayDiscovery(mqttClientStub, '112233445566');
+            
+            expect(mqttClientStub.publish.callCount).to.equal(13);
+            for (const call of mqttClientStub.publish.getCalls()) {
+                expect(JSON.parse(call.args[1]).availability_topic, call.args[0]).to.equal('blegateway/status');
+            }
+        });
+        
+        it('should add the separator to a topic prefix without trailing slash', async () => {
+            configStub.config.mqtt.topicPrefix = 'blegateway';
+            
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            
+            expect(haDiscovery.getAvailabilityTopic()).to.equal('blegateway/status');
+            for (const call of mqttClientStub.publish.getCalls()) {
+                expect(JSON.parse(call.args[1]).availability_topic, call.args[0]).to.equal('blegateway/status');
+            }
+        });
+        
+        it('should publish Smoothed RSSI and Distance sensors when enabled with RSSI smoothing', async () => {
+            configStub.config.rssiSmoothing = { method: 'kalman' };
+            configStub.config.homeAssistant.smoothedRssiSensor = true;
+            configStub.config.homeAssistant.distanceSensor = true;
+            
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            
+            expect(mqttClientStub.publish.callCount).to.equal(4);
+            expect(mqttClientStub.publish.getCall(2).args[0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_rssi_smoothed/config');
+            const smoothedConfig = JSON.parse(mqttClientStub.publish.getCall(2).args[1]);
+            expect(smoothedConfig.unique_id).to.equal('ble_token_123b6a1b85ef_rssi_smoothed');
+            expect(smoothedConfig.value_template).to.include('value_json.rssi_smoothed');
+            expect(smoothedConfig.device_class).to.equal('signal_strength');
+            
+            expect(mqttClientStub.publish.getCall(3).args[0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_distance/config');
+            const distanceConfig = JSON.parse(mqttClientStub.publish.getCall(3).args[1]);
+            expect(distanceConfig.unique_id).to.equal('ble_token_123b6a1b85ef_distance');
+            expect(distanceConfig.value_template).to.include('value_json.distance_m');
+            expect(distanceConfig.device_class).to.equal('distance');
+            expect(distanceConfig.unit_of_measurement).to.equal('m');
+        });
+        
+        it('should not publish Smoothed RSSI or Distance sensors without RSSI smoothing', async () => {
+            configStub.config.rssiSmoothing = { method: 'none' };
+            configStub.config.homeAssistant.smoothedRssiSensor = true;
+            configStub.config.homeAssistant.distanceSensor = true;
+            
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            
+            expect(mqttClientStub.publish.calledTwice).to.be.true;
+        });
+        
+        it('should publish a presence entity when enabled', async () => {
+            configStub.config.homeAssistant.presenceEntity = 'device_tracker';
+            
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            
+            expect(mqttClientStub.publish.calledThrice).to.be.true;
+            const presenceCall = mqttClientStub.publish.getCall(2);
+            expect(presenceCall.args[0]).to.equal('homeassistant/device_tracker/ble_token_123b6a1b85ef_presence/config');
+            expect(JSON.parse(presenceCall.args[1])).to.have.property('state_topic', 'blegateway/presence/123b6a1b85ef');
+            expect(presenceCall.args[2]).to.deep.equal({ retain: true });
+        });
+        
         it('should not publish discovery messages for already published devices', async () => {
             // First call should publish
             await haDiscovery.publishDeviceDiscovery(
@@ -197,6 +371,7 @@ describe('Home Assistant Discovery Publisher', () => {
         beforeEach(() => {
             // Make sure the gatewayName is set for all tests in this describe block
             configStub.config.homeAssistant.gatewayName = 'Test Gateway';
+            configStub.config.homeAssistant.gateways = new Map([['aabbccddeeff', 'Test Gateway']]);
             
             // Mock the publishGatewayDiscovery method to prevent errors
             const originalPublishGatewayDiscovery = haDiscovery.publishGatewayDiscovery;
@@ -281,6 +456,132 @@ describe('Home Assistant Discovery Publisher', () => {
         });
     });
     
+    describe('handleHomeAssistantStatus()', () => {
+        it('should use the status topic under the discovery prefix', () => {
+            configStub.config.homeAssistant.discoveryTopicPrefix = 'custom/ha';
+            
+            expect(haDiscovery.getHomeAssistantStatusTopic()).to.equal('custom/ha/status');
+        });
+        
+        it('should re-publish discovery for all configured devices when Home Assistant comes online', async () => {
+            await haDiscovery.publishDiscoveryMessages(mqttClientStub);
+            mqttClientStub.publish.resetHistory();
+            
+            const result = await haDiscovery.handleHomeAssistantStatus(mqttClientStub, 'online');
+            
+            expect(result).to.equal(2);
+            expect(mqttClientStub.publish.callCount).to.equal(4);
+            expect(mqttClientStub.publish.firstCall.args[0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_rssi/config');
+        });
+        
+        it('should ignore other statuses', async () => {
+            await haDiscovery.publishDiscoveryMessages(mqttClientStub);
+            mqttClientStub.publish.resetHistory();
+            
+            const result = await haDiscovery.handleHomeAssistantStatus(mqttClientStub, 'offline');
+            
+            expect(result).to.equal(0);
+            expect(mqttClientStub.publish.called).to.be.false;
+        });
+    });
+    
+    describe('republishDiscoveryMessages()', () => {
+        it('should re-publish gateway discovery and announce decoded sensors again', async () => {
+            configStub.config.homeAssistant.gateways = new Map([['112233445566', 'Kitchen Gateway']]);
+            const payload = { mac_address: '12:3B:6A:1B:85:EF', atc: { temperature: 21.5 } };
+            await haDiscovery.publishDiscoveryMessages(mqttClientStub);
+            await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [payload]);
+            mqttClientStub.publish.resetHistory();
+            
+            await haDiscovery.republishDiscoveryMessages(mqttClientStub);
+            
+            // 2 devices x 2 sensors + 6 gateway sensors
+            expect(mqttClientStub.publish.callCount).to.equal(10);
+            expect(await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [payload])).to.equal(1);
+        });
+    });
+    
+    describe('isStaleDiscoveryConfig()', () => {
+        function retained(uniqueId, availabilityTopic = 'blegateway/status') {
+            return JSON.stringify({ unique_id: uniqueId, state_topic: 'blegateway/state/123b6a1b85ef', availability_topic: availabilityTopic });
+        }
+        
+        it('should keep configs of configured devices and gateways', () => {
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/ble_token_123b6a1b85ef_rssi/config', retained('ble_token_123b6a1b85ef_rssi'))).to.be.false;
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/ble_gateway_112233445566_version/config', retained('ble_gateway_112233445566_version'))).to.be.false;
+        });
+        
+        it('should flag configs of devices that are no longer configured', () => {
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/ble_token_001122334455_rssi/config', retained('ble_token_001122334455_rssi'))).to.be.true;
+        });
+        
+        it('should flag configs published under the friendly name', () => {
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/car_token_rssi/config', retained('ble_token_123b6a1b85ef_rssi'))).to.be.true;
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/test_gateway_version/config', retained('ble_gateway_version'))).to.be.true;
+        });
+        
+        it('should ignore removed, invalid and foreign configs', () => {
+            expect(haDiscovery.isStaleDiscoveryConfig('homeassistant/sensor/car_token_rssi/config', '')).to.be.false;
+            expect(haDiscovery.isStaleDiscoveryConfig('homeassistant/sensor/car_token_rssi/config', 'not json')).to.be.false;
+            expect(haDiscovery.isStaleDiscoveryConfig('homeassistant/sensor/kitchen/config', retained('kitchen_temperature'))).to.be.false;
+        });
+        
+        it('should keep configs of another proxy instance on the same broker', () => {
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/ble_token_001122334455_rssi/config',
+                retained('ble_token_001122334455_rssi', 'garage/status'))).to.be.false;
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/garage_token_rssi/config',
+                JSON.stringify({ unique_id: 'ble_token_001122334455_rssi', state_topic: 'garage/state/001122334455' }))).to.be.false;
+        });
+        
+        it('should flag configs of older versions without availability by their state topic', () => {
+            expect(haDiscovery.isStaleDiscoveryConfig(
+                'homeassistant/sensor/car_token_rssi/config',
+                JSON.stringify({ unique_id: 'ble_token_123b6a1b85ef_rssi', state_topic: 'blegateway/state/123b6a1b85ef' }))).to.be.true;
+        });
+    });
+    
+    describe('cleanupStaleDiscovery()', () => {
+        let handler;
+        
+        beforeEach(() => {
+            mqttClientStub.subscribe = sinon.stub().callsFake((topic, messageHandler) => {
+                handler = messageHandler;
+            });
+            mqttClientStub.unsubscribe = sinon.stub();
+        });
+        
+        it('should clear stale configs once and re-publish discovery', async () => {
+            const cleanup = haDiscovery.cleanupStaleDiscovery(mqttClientStub, 10);
+            
+            expect(mqttClientStub.subscribe.firstCall.args[0]).to.equal('homeassistant/+/+/config');
+            const staleTopic = 'homeassistant/sensor/car_token_rssi/config';
+            handler(JSON.stringify({ unique_id: 'ble_token_123b6a1b85ef_rssi', availability_topic: 'blegateway/status' }), staleTopic);
+            handler(JSON.stringify({ unique_id: 'ble_token_123b6a1b85ef_rssi', availability_topic: 'blegateway/status' }), staleTopic);
+            handler(JSON.stringify({ unique_id: 'ble_token_123b6a1b85ef_rssi', availability_topic: 'blegateway/status' }), 'homeassistant/sensor/ble_token_123b6a1b85ef_rssi/config');
+            
+            expect(await cleanup).to.equal(1);
+            expect(mqttClientStub.publish.firstCall.args).to.deep.equal([staleTopic, '', { retain: true }]);
+            expect(mqttClientStub.unsubscribe.calledOnceWith('homeassistant/+/+/config')).to.be.true;
+            // Removal of the old topic also removed the entity, so discovery is published again
+            expect(mqttClientStub.publish.callCount).to.be.above(1);
+        });
+        
+        it('should not re-publish discovery when nothing was stale', async () => {
+            const cleanup = haDiscovery.cleanupStaleDiscovery(mqttClientStub, 10);
+            handler(JSON.stringify({ unique_id: 'ble_token_123b6a1b85ef_rssi', availability_topic: 'blegateway/status' }), 'homeassistant/sensor/ble_token_123b6a1b85ef_rssi/config');
+            
+            expect(await cleanup).to.equal(0);
+            expect(mqttClientStub.publish.called).to.be.false;
+        });
+    });
+    
     describe('createGatewayDeviceObject()', () => {
         it('should create a valid device object for the gateway', () => {
             configStub.config.homeAssistant.gatewayName = 'Test Gateway';
@@ -294,6 +595,16 @@ describe('Home Assistant Discovery Publisher', () => {
             expect(result.model).to.equal('April Brother BLE Gateway v4');
             expect(result.manufacturer).to.equal('April Brother');
         });
+        
+        it('should key the device by gateway MAC and use the configured gateway name', () => {
+            configStub.config.homeAssistant.gateways = new Map([['112233445566', 'Kitchen Gateway']]);
+            
+            const result = haDiscovery.createGatewayDeviceObject('112233445566');
+            
+            expect(result.identifiers).to.deep.equal(['ble_gateway_112233445566']);
+            expect(result.connections).to.deep.equal([['mac', '11:22:33:44:55:66']]);
+            expect(result.name).to.equal('Kitchen Gateway');
+        });
     });
     
     describe('createGatewaySensorConfig()', () => {
@@ -330,6 +641,44 @@ describe('Home Assistant Discovery Publisher', () => {
         });
     });
     
+    describe('topic templates', () => {
+        const payload = { mac_address: '12:3B:6A:1B:85:EF', gateway_mac: 'AA:AA:AA:AA:AA:AA', atc: { temperature: 21.5 } };
+        
+        it('should announce the state topic rendered from the device topic template', () => {
+            configStub.config.mqtt.deviceTopicTemplate = 'site/ble/{name}/state';
+            
+            const rssiConfig = haDiscovery.createRssiSensorConfig('123b6a1b85ef', '12:3B:6A:1B:85:EF', 'Car Token', {});
+            
+            expect(rssiConfig.state_topic).to.equal('site/ble/car_token/state');
+        });
+        
+        it('should announce the gateway state topic rendered from the gateway topic template', () => {
+            configStub.config.mqtt.gatewayTopicTemplate = 'site/{gateway_mac}/gateway';
+            
+            const sensorConfig = haDiscovery.createGatewaySensorConfig('version', 'Version', '{{ value_json.version }}', null, {}, '112233445566');
+            
+            expect(sensorConfig.state_topic).to.equal('site/112233445566/gateway');
+        });
+        
+        it('should re-announce a device when its state topic depends on the message and changes', async () => {
+            configStub.config.mqtt.deviceTopicTemplate = 'site/{gateway_mac}/ble/{mac}';
+            await haDiscovery.publishDeviceDiscovery(mqttClientStub, '123b6a1b85ef', { name: 'Car Token' });
+            expect(JSON.parse(mqttClientStub.publish.firstCall.args[1]).state_topic).to.equal('site/unknown/ble/123b6a1b85ef');
+            mqttClientStub.publish.resetHistory();
+            
+            await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [payload]);
+            
+            // RSSI and Last Seen again, plus the decoded temperature
+            expect(mqttClientStub.publish.callCount).to.equal(3);
+            const published = mqttClientStub.publish.args.map(args => JSON.parse(args[1]));
+            expect(published.every(entity => entity.state_topic === 'site/aaaaaaaaaaaa/ble/123b6a1b85ef')).to.be.true;
+            
+            mqttClientStub.publish.resetHistory();
+            await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [payload]);
+            expect(mqttClientStub.publish.called).to.be.false;
+        });
+    });
+    
     describe('publishGatewayDiscovery()', () => {
         beforeEach(() => {
             configStub.config.homeAssistant.gatewayName = 'Test Gateway';
@@ -341,7 +690,7 @@ describe('Home Assistant Discovery Publisher', () => {
             expect(result).to.be.true;
             // Should publish 6 sensors: version, ip, mac, message_id, time, last_ping
             expect(mqttClientStub.publish.callCount).to.equal(6);
-            expect(mqttClientStub.publish.args[0][0]).to.include('homeassistant/sensor/test_gateway_version/config');
+            expect(mqttClientStub.publish.args[0][0]).to.include('homeassistant/sensor/ble_gateway_version/config');
             expect(mqttClientStub.publish.args[0][2]).to.deep.include({ retain: true });
         });
         
@@ -370,5 +719,162 @@ describe('Home Assistant Discovery Publisher', () => {
                 expect(loggerStub.error.called).to.be.true;
             }
         });
+        
+        it('should publish separate discovery messages for each gateway MAC', async () => {
+            configStub.config.homeAssistant.gateways = new Map([['112233445566', 'Kitchen Gateway']]);
+            
+            expect(await haDiscovery.publishGatewayDiscovery(mqttClientStub, '11:22:33:44:55:66')).to.be.true;
+            expect(await haDiscovery.publishGatewayDiscovery(mqttClientStub, '66:55:44:33:22:11')).to.be.true;
+            expect(await haDiscovery.publishGatewayDiscovery(mqttClientStub, '112233445566')).to.be.false;
+            
+            expect(mqttClientStub.publish.callCount).to.equal(12);
+            const [topic, payload] = mqttClientStub.publish.firstCall.args;
+            const config = JSON.parse(payload);
+            expect(topic).to.equal('homeassistant/sensor/ble_gateway_112233445566_version/config');
+            expect(config.name).to.equal('Kitchen Gateway Version');
+            expect(config.unique_id).to.equal('ble_gateway_112233445566_version');
+            expect(config.state_topic).to.equal('blegateway/gateway/112233445566/state');
+            expect(mqttClientStub.publish.args[6][0]).to.equal('homeassistant/sensor/ble_gateway_665544332211_version/config');
+            expect(JSON.parse(mqttClientStub.publish.args[6][1]).name).to.equal('Test Gateway Version');
+        });
+    });
+    
+    describe('findDecodedSensor()', () => {
+        it('should find numeric sensors and boolean binary sensors by field name', () => {
+            expect(haDiscovery.findDecodedSensor('temperature', 21.5)).to.deep.include({ component: 'sensor', name: 'Temperature' });
+            expect(haDiscovery.findDecodedSensor('motion', true)).to.deep.include({ component: 'binary_sensor', name: 'Motion' });
+        });
+        
+        it('should number repeated fields', () => {
+            expect(haDiscovery.findDecodedSensor('temperature_2', 19)).to.deep.include({ component: 'sensor', name: 'Temperature 2' });
+            expect(haDiscovery.findDecodedSensor('pm2_5', 12)).to.deep.include({ name: 'PM2.5' });
+        });
+        
+        it('should ignore unknown fields and values of the wrong type', () => {
+            expect(haDiscovery.findDecodedSensor('measurement_sequence', 5)).to.be.null;
+            expect(haDiscovery.findDecodedSensor('temperature', 'warm')).to.be.null;
+            expect(haDiscovery.findDecodedSensor('motion', 1)).to.be.null;
+        });
+    });
+    
+    describe('createDecodedSensorConfig()', () => {
+        it('should create a sensor config with unit, device class and state class', () => {
+            const deviceObject = haDiscovery.createDeviceObject('123b6a1b85ef', 'Car Token');
+            const result = haDiscovery.createDecodedSensorConfig('123b6a1b85ef', 'Car Token', 'eddystone', 'battery_voltage', 3, deviceObject);
+            
+            expect(result.component).to.equal('sensor');
+            expect(result.config.name).to.equal('Car Token Battery Voltage');
+            expect(result.config.unique_id).to.equal('ble_token_123b6a1b85ef_eddystone_battery_voltage');
+            expect(result.config.state_topic).to.equal('blegateway/state/123b6a1b85ef');
+            expect(result.config.value_template).to.equal(
+                '{{ value_json.eddystone.battery_voltage if value_json.eddystone is defined and ' +
+                'value_json.eddystone.battery_voltage is defined and value_json.eddystone.battery_voltage is not none else this.state }}'
+            );
+            expect(result.config.device_class).to.equal('voltage');
+            expect(result.config.unit_of_measurement).to.equal('V');
+            expect(result.config.state_class).to.equal('measurement');
+            expect(result.config.device).to.equal(deviceObject);
+        });
+        
+        it('should omit device class and unit when not applicable', () => {
+            const result = haDiscovery.createDecodedSensorConfig('123b6a1b85ef', 'Car Token', 'eddystone', 'adv_count', 1, {});
+            
+            expect(result.config).to.not.have.property('device_class');
+            expect(result.config).to.not.have.property('unit_of_measurement');
+            expect(result.config.state_class).to.equal('total_increasing');
+        });
+        
+        it('should create binary sensor configs for boolean fields', () => {
+            const result = haDiscovery.createDecodedSensorConfig('123b6a1b85ef', 'Hall', 'bthome', 'motion', false, {});
+            
+            expect(result.component).to.equal('binary_sensor');
+            expect(result.config.device_class).to.equal('motion');
+            expect(result.config.payload_on).to.equal('on');
+            expect(result.config.payload_off).to.equal('off');
+            expect(result.config.value_template).to.include("('on' if value_json.bthome.motion else 'off')");
+            expect(result.config).to.not.have.property('state_class');
+        });
+        
+        it('should return null for fields that are not exposed', () => {
+            expect(haDiscovery.createDecodedSensorConfig('123b6a1b85ef', 'Car Token', 'ibeacon', 'major', 1, {})).to.be.null;
+        });
+    });
+    
+    describe('publishDecodedSensorDiscovery()', () => {
+        const tlmPayload = {
+            mac_address: '12:3B:6A:1B:85:EF',
+            eddystone: { frame_type: 'tlm', version: 0, battery_voltage: 3, temperature: 21, adv_count: 1, uptime_seconds: 10 }
+        };
+        
+        it('should publish sensors the first time a configured device sends the values', async () => {
+            const result = await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [tlmPayload]);
+            
+            expect(result).to.equal(4);
+            expect(mqttClientStub.publish.callCount).to.equal(4);
+            expect(mqttClientStub.publish.args[0][0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_eddystone_battery_voltage/config');
+            expect(mqttClientStub.publish.args[0][2]).to.deep.include({ retain: true });
+            
+            mqttClientStub.publish.resetHistory();
+            const secondResult = await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [tlmPayload]);
+            
+            expect(secondResult).to.equal(0);
+            expect(mqttClientStub.publish.called).to.be.false;
+        });
+        
+        it('should create entities lazily as new fields appear', async () => {
+            await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [
+                { mac_address: 'AA:BB:CC:DD:EE:FF', bthome: { version: 2, encrypted: false, temperature: 21.5, humidity: null } }
+            ]);
+            
+            expect(mqttClientStub.publish.callCount).to.equal(1);
+            expect(mqttClientStub.publish.args[0][0]).to.equal('homeassistant/sensor/ble_token_aabbccddeeff_bthome_temperature/config');
+            
+            mqttClientStub.publish.resetHistory();
+            const result = await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [
+                { mac_address: 'AA:BB:CC:DD:EE:FF', bthome: { version: 2, encrypted: false, temperature: 21.6, humidity: 40, door: true } }
+            ]);
+            
+            expect(result).to.equal(2);
+            expect(mqttClientStub.publish.args.map(args => args[0])).to.deep.equal([
+                'homeassistant/sensor/ble_token_aabbccddeeff_bthome_humidity/config',
+                'homeassistant/binary_sensor/ble_token_aabbccddeeff_bthome_door/config'
+            ]);
+        });
+        
+        it('should ignore unconfigured devices and payloads without exposed values', async () => {
+            const result = await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [
+                { ...tlmPayload, mac_address: '11:22:33:44:55:66' },
+                { mac_address: '12:3B:6A:1B:85:EF', eddystone: { frame_type: 'uid', tx_power: -20 } },
+                { mac_address: '12:3B:6A:1B:85:EF', eddystone: { frame_type: 'tlm', version: 1, encrypted: true } },
+                { mac_address: '12:3B:6A:1B:85:EF', manufacturer_data: [{ company_id: 0x004C, data_hex: '0215' }] }
+            ]);
+            
+            expect(result).to.equal(0);
+            expect(mqttClientStub.publish.called).to.be.false;
+        });
+        
+        it('should retry fields whose discovery message failed to publish', async () => {
+            mqttClientStub.publish.onFirstCall().rejects(new Error('Publish failed'));
+            
+            const result = await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [tlmPayload]);
+            
+            expect(result).to.equal(3);
+            expect(loggerStub.error.calledOnce).to.be.true;
+            
+            mqttClientStub.publish = sinon.stub().resolves();
+            const retryResult = await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [tlmPayload]);
+            
+            expect(retryResult).to.equal(1);
+            expect(mqttClientStub.publish.args[0][0]).to.equal('homeassistant/sensor/ble_token_123b6a1b85ef_eddystone_battery_voltage/config');
+        });
+        
+        it('should do nothing when Home Assistant integration is disabled', async () => {
+            configStub.config.homeAssistant.enabled = false;
+            
+            const result = await haDiscovery.publishDecodedSensorDiscovery(mqttClientStub, [tlmPayload]);
+            
+            expect(result).to.equal(0);
+            expect(mqttClientStub.publish.called).to.be.false;
+        });
     });
 });
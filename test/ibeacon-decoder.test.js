@@ -0,0 +1,94 @@
+/**
+ * Tests for the iBeacon Decoder
+ * Tests decoding of Apple iBeacon manufacturer data
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const ibeaconDecoder = require('../src/decoders/ibeacon');
+const deviceParser = require('../src/device-parser');
+const logger = require('../src/logger');
+
+describe('iBeacon Decoder', () => {
+    const IBEACON_DATA_HEX = '0215B5B182C7EAB14988AA99B5C1517008D90001CF64C5';
+
+    describe('decode()', () => {
+        it('should decode UUID, major, minor and measured power', () => {
+            const result = ibeaconDecoder.decode({
+                manufacturer_data: [{ company_id: 0x004C, data_hex: IBEACON_DATA_HEX }]
+            });
+
+            expect(result).to.deep.equal({
+                ibeacon: {
+                    uuid: 'B5B182C7-EAB1-4988-AA99-B5C1517008D9',
+                    major: 1,
+                    minor: 53092,
+                    measured_power: -59
+                }
+            });
+        });
+
+        it('should ignore non-Apple manufacturer data', () => {
+            const result = ibeaconDecoder.decode({
+                manufacturer_data: [{ company_id: 0x0499, data_hex: IBEACON_DATA_HEX }]
+            });
+
+            expect(result).to.be.null;
+        });
+
+        it('should ignore Apple data without the iBeacon prefix', () => {
+            const result = ibeaconDecoder.decode({
+                manufacturer_data: [{ company_id: 0x004C, data_hex: '1005031C0F2A41' }]
+            });
+
+            expect(result).to.be.null;
+        });
+
+        it('should ignore devices without manufacturer data', () => {
+            expect(ibeaconDecoder.decode({})).to.be.null;
+        });
+
+        it('should throw for truncated iBeacon frames', () => {
+            expect(() => ibeaconDecoder.decode({
+                manufacturer_data: [{ company_id: 0x004C, data_hex: '0215B5B182C7' }]
+            })).to.throw('iBeacon frame too short');
+        });
+    });
+
+    describe('device-parser integration', () => {
+        let loggerStubs;
+
+        beforeEach(() => {
+            loggerStubs = ['debug', 'info', 'warn', 'error'].map(level => sinon.stub(logger, level));
+        });
+
+        afterEach(() => {
+            loggerStubs.forEach(stub => stub.restore());
+        });
+
+        it('should add the ibeacon field to parsed devices', () => {
+            const deviceData = Buffer.concat([
+                Buffer.from([0x00, 0x12, 0x3B, 0x6A, 0x1A, 0x64, 0xCF, 0xAA]),
+                Buffer.from('0201061AFF4C00' + IBEACON_DATA_HEX, 'hex')
+            ]);
+
+            const result = deviceParser.parseDevice(deviceData);
+
+            expect(result.ibeacon.uuid).to.equal('B5B182C7-EAB1-4988-AA99-B5C1517008D9');
+            expect(result.ibeacon.major).to.equal(1);
+        });
+
+        it('should keep the device and add a warning when the iBeacon frame is truncated', () => {
+            const deviceData = Buffer.concat([
+                Buffer.from([0x00, 0x12, 0x3B, 0x6A, 0x1A, 0x64, 0xCF, 0xAA]),
+                Buffer.from('09FF4C000215B5B182C7', 'hex')
+            ]);
+
+            const result = deviceParser.parseDevice(deviceData);
+
+            expect(result).to.not.have.property('ibeacon');
+            expect(result.parse_warnings[0]).to.include('ibeacon decoder failed');
+        });
+    });
+});
@@ -177,6 +177,40 @@ describe('JSON Transformer', () => {
 
             expect(result).to.have.property('advertisement_data_hex', '');
         });
+
+        it('should carry through decoded advertisement fields', () => {
+            const deviceWithAdFields = {
+                ...mockParsedDevice,
+                ad_structures: [{ type: 1, type_name: 'Flags', length: 2, value_hex: '06' }],
+                flags: 6,
+                manufacturer_data: [{ company_id: 0x004C, data_hex: '0215' }],
+                parse_warnings: ['Truncated AD structure at offset 3']
+            };
+            const result = jsonTransformer.transformDeviceToJson(deviceWithAdFields);
+
+            expect(result.ad_structures).to.deep.equal(deviceWithAdFields.ad_structures);
+            expect(result.flags).to.equal(6);
+            expect(result.manufacturer_data).to.deep.equal(deviceWithAdFields.manufacturer_data);
+            expect(result.parse_warnings).to.deep.equal(deviceWithAdFields.parse_warnings);
+            expect(result).to.not.have.property('local_name');
+            expect(result).to.not.have.property('tx_power');
+        });
+
+        it('should carry through decoder fields without replacing standard fields', () => {
+            const decodedDevice = {
+                ...mockParsedDevice,
+                decoder: 'site-sensor',
+                site_sensor: { level: 42 },
+                last_seen_timestamp: 'from decoder'
+            };
+            const result = jsonTransformer.transformDeviceToJson(decodedDevice, {
+                timestamp: '2024-01-01T00:00:00.000Z'
+            });
+
+            expect(result.decoder).to.equal('site-sensor');
+            expect(result.site_sensor).to.deep.equal({ level: 42 });
+            expect(result.last_seen_timestamp).to.equal('2024-01-01T00:00:00.000Z');
+        });
     });
 
     describe('transformDevicesToJson', () => {
@@ -6,8 +6,12 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const proxyquire = require('proxyquire').noCallThru();
 const { config } = require('../src/config');
+const changeDetector = require('../src/change-detector');
 
 describe('MQTT Client Module', function() {
   let mockClient;
@@ -82,6 +86,18 @@ describe('MQTT Client Module', function() {
       }
     });
     
+    it('should use the device topic template', function() {
+      const origTemplate = config.mqtt.deviceTopicTemplate;
+      
+      try {
+        config.mqtt.deviceTopicTemplate = 'site/{gateway_mac}/ble/{mac}/state';
+        const topic = mqttClient.constructTopic('00:11:22:33:44:55', { gateway_mac: 'AA:BB:CC:DD:EE:FF' });
+        expect(topic).to.equal('site/aabbccddeeff/ble/001122334455/state');
+      } finally {
+        config.mqtt.deviceTopicTemplate = origTemplate;
+      }
+    });
+    
     it('should validate MAC address parameter', function() {
       expect(() => mqttClient.constructTopic(null)).to.throw('Invalid MAC address');
       expect(() => mqttClient.constructTopic('')).to.throw('Invalid MAC address');
@@ -117,6 +133,39 @@ describe('MQTT Client Module', function() {
     });
   });
   
+  describe('constructGatewayTopic() with a gateway MAC', function() {
+    it('should construct a per-gateway state topic', function() {
+      const origPrefix = config.mqtt.topicPrefix;
+
+      expect(mqttClient.constructGatewayTopic('AA:BB:CC:DD:EE:FF')).to.equal(origPrefix + 'gateway/aabbccddeeff/state');
+    });
+
+    it('should use the gateway topic template', function() {
+      const origTemplate = config.mqtt.gatewayTopicTemplate;
+
+      try {
+        config.mqtt.gatewayTopicTemplate = 'site/{gateway_mac}/gateway';
+        expect(mqttClient.constructGatewayTopic('AA:BB:CC:DD:EE:FF')).to.equal('site/aabbccddeeff/gateway');
+      } finally {
+        config.mqtt.gatewayTopicTemplate = origTemplate;
+      }
+    });
+  });
+  
+  describe('constructPresenceTopic()', function() {
+    it('should construct a presence topic from a MAC address or device key', function() {
+      const origPrefix = config.mqtt.topicPrefix;
+
+      expect(mqttClient.constructPresenceTopic('AA:BB:CC:DD:EE:FF')).to.equal(origPrefix + 'presence/aabbccddeeff');
+      expect(mqttClient.constructPresenceTopic('ibeacon_b5b182c7eab14988aa99b5c1517008d9_1_2'))
+        .to.equal(origPrefix + 'presence/ibeacon_b5b182c7eab14988aa99b5c1517008d9_1_2');
+    });
+
+    it('should validate the device key parameter', function() {
+      expect(() => mqttClient.constructPresenceTopic(null)).to.throw('Invalid device key');
+    });
+  });
+  
   describe('initializeMqttClient()', function() {
     it('should connect to the MQTT broker', function(done) {
       const connectPromise = mqttClient.initializeMqttClient();
@@ -151,6 +200,333 @@ describe('MQTT Client Module', function() {
     });
   });
   
+  describe('TLS', function() {
+    let originalTls;
+    let tempDir;
+
+    beforeEach(function() {
+      originalTls = config.mqtt.tls;
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-tls-'));
+      fs.writeFileSync(path.join(tempDir, 'ca.pem'), 'CA 1');
+      config.mqtt.tls = { ...originalTls, caFile: path.join(tempDir, 'ca.pem'), servername: 'broker.local', rejectUnauthorized: true };
+    });
+
+    afterEach(function() {
+      mqttClient._resetState();
+      config.mqtt.tls = originalTls;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should pass the CA bundle and verification settings to the connection', function() {
+      mqttClient.initializeMqttClient();
+
+      const options = mqttMock.connect.firstCall.args[1];
+      expect(options.ca.toString()).to.equal('CA 1');
+      expect(options).to.include({ servername: 'broker.local', rejectUnauthorized: true });
+    });
+
+    it('should use reloaded certificates for the next connection', function() {
+      mqttClient.initializeMqttClient();
+      fs.writeFileSync(path.join(tempDir, 'ca.pem'), 'CA 2');
+
+      mqttClient.reloadTlsOptions();
+
+      expect(mockClient.options.ca.toString()).to.equal('CA 2');
+    });
+
+    it('should keep the previous certificates when reloading fails', function() {
+      mqttClient.initializeMqttClient();
+      mockClient.options.ca = Buffer.from('CA 1');
+      fs.rmSync(path.join(tempDir, 'ca.pem'));
+
+      mqttClient.reloadTlsOptions();
+
+      expect(mockClient.options.ca.toString()).to.equal('CA 1');
+      expect(loggerMock.error.calledWith('Failed to reload MQTT TLS certificates')).to.be.true;
+    });
+
+    it('should fail to connect when a certificate file is missing', async function() {
+      fs.rmSync(path.join(tempDir, 'ca.pem'));
+
+      try {
+        await mqttClient.initializeMqttClient();
+        throw new Error('Expected promise to be rejected');
+      } catch (error) {
+        expect(error.message).to.include('Failed to read MQTT TLS CA file');
+      }
+      expect(mqttMock.connect.called).to.be.false;
+    });
+  });
+
+  describe('availability', function() {
+    it('should set an offline Last Will on the availability topic', function() {
+      mqttClient.initializeMqttClient();
+
+      const options = mqttMock.connect.firstCall.args[1];
+      expect(options.will).to.deep.equal({
+        topic: config.mqtt.topicPrefix + 'status',
+        payload: 'offline',
+        qos: config.mqtt.qos,
+        retain: true
+      });
+    });
+
+    it('should publish a retained online birth message on connect', async function() {
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      await connectPromise;
+
+      expect(mockClient.publish.calledOnce).to.be.true;
+      expect(mockClient.publish.firstCall.args[0]).to.equal(mqttClient.constructAvailabilityTopic());
+      expect(mockClient.publish.firstCall.args[1]).to.equal('online');
+      expect(mockClient.publish.firstCall.args[2]).to.include({ retain: true });
+    });
+
+    it('should publish offline before a graceful disconnect', async function() {
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      await connectPromise;
+      mockClient.publish.resetHistory();
+      mockClient.end.callsFake((force, options, callback) => callback());
+
+      await mqttClient.disconnect();
+
+      expect(mockClient.publish.calledOnce).to.be.true;
+      expect(mockClient.publish.firstCall.args[0]).to.equal(config.mqtt.topicPrefix + 'status');
+      expect(mockClient.publish.firstCall.args[1]).to.equal('offline');
+      expect(mockClient.publish.firstCall.args[2]).to.include({ retain: true });
+      expect(mockClient.publish.calledBefore(mockClient.end)).to.be.true;
+    });
+  });
+  
+  describe('subscribe() and onConnect()', function() {
+    beforeEach(function() {
+      mockClient.subscribe = sinon.stub();
+      mockClient.reconnect = sinon.stub();
+    });
+
+    afterEach(function() {
+      // Cancels the reconnect scheduled when the connection closes
+      mqttClient._resetState();
+    });
+
+    function connect() {
+      mockClient.connected = true;
+      mockClient.emit('connect');
+    }
+
+    it('should subscribe on every connect and dispatch messages to the handler', function() {
+      const handler = sinon.stub();
+      mqttClient.subscribe('homeassistant/status', handler);
+      mqttClient.initializeMqttClient();
+
+      connect();
+      mockClient.connected = false;
+      mockClient.emit('close');
+      connect();
+
+      expect(mockClient.subscribe.callCount).to.equal(2);
+      expect(mockClient.subscribe.firstCall.args[0]).to.equal('homeassistant/status');
+
+      mockClient.emit('message', 'homeassistant/status', Buffer.from('online'));
+      mockClient.emit('message', 'other/topic', Buffer.from('ignored'));
+      expect(handler.calledOnceWith('online', 'homeassistant/status')).to.be.true;
+    });
+
+    it('should subscribe immediately when already connected', function() {
+      mqttClient.initializeMqttClient();
+      connect();
+
+      mqttClient.subscribe('homeassistant/status', () => {});
+
+      expect(mockClient.subscribe.calledOnce).to.be.true;
+    });
+
+    it('should log handler failures', function() {
+      mqttClient.subscribe('homeassistant/status', () => { throw new Error('Handler failed'); });
+      mqttClient.initializeMqttClient();
+      connect();
+
+      mockClient.emit('message', 'homeassistant/status', Buffer.from('online'));
+
+      expect(loggerMock.error.calledWith('MQTT message handler failed')).to.be.true;
+    });
+
+    it('should notify connect listeners after every connect', async function() {
+      const listener = sinon.stub().resolves();
+      const failingListener = sinon.stub().rejects(new Error('Listener failed'));
+      mqttClient.onConnect(listener);
+      mqttClient.onConnect(failingListener);
+      mqttClient.initializeMqttClient();
+
+      connect();
+      connect();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(listener.calledTwice).to.be.true;
+      expect(failingListener.calledTwice).to.be.true;
+      expect(loggerMock.error.calledWith('MQTT connect listener failed')).to.be.true;
+    });
+
+    it('should dispatch messages to wildcard subscriptions', function() {
+      const handler = sinon.stub();
+      mqttClient.subscribe('homeassistant/+/+/config', handler);
+      mqttClient.initializeMqttClient();
+      connect();
+
+      mockClient.emit('message', 'homeassistant/sensor/ble_token_1_rssi/config', Buffer.from('{}'));
+      mockClient.emit('message', 'homeassistant/sensor/ble_token_1_rssi/state', Buffer.from('{}'));
+
+      expect(handler.calledOnceWith('{}', 'homeassistant/sensor/ble_token_1_rssi/config')).to.be.true;
+    });
+
+    it('should stop dispatching messages after unsubscribe()', function() {
+      const handler = sinon.stub();
+      mockClient.unsubscribe = sinon.stub();
+      mqttClient.subscribe('homeassistant/status', handler);
+      mqttClient.initializeMqttClient();
+      connect();
+
+      mqttClient.unsubscribe('homeassistant/status');
+      mockClient.emit('message', 'homeassistant/status', Buffer.from('online'));
+
+      expect(mockClient.unsubscribe.calledOnceWith('homeassistant/status')).to.be.true;
+      expect(handler.called).to.be.false;
+    });
+
+    it('should validate arguments', function() {
+      expect(() => mqttClient.subscribe('', () => {})).to.throw('Invalid topic');
+      expect(() => mqttClient.subscribe('topic', null)).to.throw('Invalid handler');
+      expect(() => mqttClient.onConnect(null)).to.throw('Invalid listener');
+    });
+  });
+  
+  describe('topicMatchesFilter()', function() {
+    it('should match single-level and multi-level wildcards', function() {
+      expect(mqttClient.topicMatchesFilter('a/b/c', 'a/b/c')).to.be.true;
+      expect(mqttClient.topicMatchesFilter('a/+/c', 'a/b/c')).to.be.true;
+      expect(mqttClient.topicMatchesFilter('a/#', 'a/b/c')).to.be.true;
+      expect(mqttClient.topicMatchesFilter('a/+', 'a/b/c')).to.be.false;
+      expect(mqttClient.topicMatchesFilter('a/+/c', 'a/b')).to.be.false;
+      expect(mqttClient.topicMatchesFilter('a/b/c', 'a/b/d')).to.be.false;
+    });
+  });
+
+  describe('reconnect supervisor', function() {
+    let clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers({ now: 0, toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+      mockClient.reconnect = sinon.stub();
+    });
+
+    afterEach(function() {
+      mqttClient._resetState();
+      clock.restore();
+    });
+
+    it('should back off exponentially up to the maximum delay', function() {
+      const { initialDelayMs, maxDelayMs } = config.mqtt.reconnect;
+
+      expect(mqttClient.getReconnectDelay(1, 0)).to.equal(initialDelayMs);
+      expect(mqttClient.getReconnectDelay(2, 0)).to.equal(initialDelayMs * 2);
+      expect(mqttClient.getReconnectDelay(3, 0)).to.equal(initialDelayMs * 4);
+      expect(mqttClient.getReconnectDelay(50, 0)).to.equal(maxDelayMs);
+    });
+
+    it('should shorten delays by up to the jitter fraction', function() {
+      const { maxDelayMs, jitter } = config.mqtt.reconnect;
+
+      expect(mqttClient.getReconnectDelay(50, 1)).to.equal(Math.round(maxDelayMs * (1 - jitter)));
+      expect(mqttClient.getReconnectDelay(50, 0.5)).to.be.within(maxDelayMs * (1 - jitter), maxDelayMs);
+    });
+
+    it('should keep retrying without limit after the connection closes', function() {
+      mqttClient.initializeMqttClient().catch(() => {});
+      mockClient.emit('error', new Error('Connection refused'));
+
+      for (let attempt = 1; attempt <= 20; attempt++) {
+        mockClient.emit('close');
+        const status = mqttClient.getConnectionStatus();
+        expect(status.reconnect.scheduled).to.be.true;
+        expect(status.reconnect.lastError).to.equal('Connection refused');
+
+        clock.tick(status.reconnect.nextDelayMs);
+        expect(mockClient.reconnect.callCount).to.equal(attempt);
+        mockClient.emit('reconnect');
+      }
+
+      expect(mockClient.end.called).to.be.false;
+      expect(mqttClient.getConnectionStatus().reconnect.nextDelayMs).to.be.null;
+    });
+
+    it('should reset the backoff after a successful connection', function() {
+      mqttClient.initializeMqttClient().catch(() => {});
+      mockClient.emit('error', new Error('Connection refused'));
+      mockClient.emit('close');
+      clock.tick(config.mqtt.reconnect.maxDelayMs);
+      mockClient.emit('reconnect');
+
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      const status = mqttClient.getConnectionStatus();
+      expect(status.connectionAttempts).to.equal(0);
+      expect(status.reconnect.lastConnectedAt).to.equal(new Date(clock.now).toISOString());
+
+      mockClient.connected = false;
+      mockClient.emit('close');
+      expect(mqttClient.getConnectionStatus().reconnect.nextDelayMs).to.be.at.most(config.mqtt.reconnect.initialDelayMs);
+    });
+
+    it('should not reconnect after a deliberate disconnect', async function() {
+      mqttClient.initializeMqttClient().catch(() => {});
+      mockClient.emit('error', new Error('Connection refused'));
+      mockClient.emit('close');
+
+      await mqttClient.disconnect();
+      mockClient.emit('close');
+      clock.tick(config.mqtt.reconnect.maxDelayMs);
+
+      expect(mockClient.reconnect.called).to.be.false;
+      expect(mqttClient.getConnectionStatus().reconnect).to.include({ active: false, scheduled: false });
+    });
+
+    it('should ignore events of the client replaced by a forced reconnect', async function() {
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      await connectPromise;
+
+      const oldClient = mockClient;
+      const newClient = new EventEmitter();
+      newClient.connected = false;
+      newClient.options = { clientId: 'new-client-id' };
+      newClient.publish = sinon.stub();
+      newClient.end = sinon.stub();
+      newClient.reconnect = sinon.stub();
+      mqttMock.connect.returns(newClient);
+
+      const reconnectPromise = mqttClient.reconnect();
+      newClient.connected = true;
+      newClient.emit('connect');
+      await reconnectPromise;
+
+      oldClient.connected = false;
+      oldClient.emit('error', new Error('Connection reset'));
+      oldClient.emit('close');
+      clock.tick(config.mqtt.reconnect.maxDelayMs);
+
+      const status = mqttClient.getConnectionStatus();
+      expect(status.connected).to.be.true;
+      expect(status.clientId).to.equal('new-client-id');
+      expect(status.reconnect).to.include({ active: true, scheduled: false, lastError: null, lastDisconnectedAt: null });
+      expect(oldClient.reconnect.called).to.be.false;
+      expect(newClient.reconnect.called).to.be.false;
+    });
+  });
+  
   describe('isConnected()', function() {
     it('should return false when not connected', function() {
       // The isConnected function returns mqttClient && mqttClient.connected
@@ -179,6 +555,8 @@ describe('MQTT Client Module', function() {
       const connectPromise = mqttClient.initializeMqttClient();
       mockClient.connected = true;
       mockClient.emit('connect');
+      // Ignore the birth message published on connect
+      mockClient.publish.resetHistory();
       connectPromise.then(() => done()).catch(done);
     });
     
@@ -255,6 +633,8 @@ describe('MQTT Client Module', function() {
       const connectPromise = mqttClient.initializeMqttClient();
       mockClient.connected = true;
       mockClient.emit('connect');
+      // Ignore the birth message published on connect
+      mockClient.publish.resetHistory();
       connectPromise.then(() => done()).catch(done);
     });
     
@@ -316,6 +696,8 @@ describe('MQTT Client Module', function() {
       // Simulate successful connection
       mockClient.connected = true;
       mockClient.emit('connect');
+      // Ignore the birth message published on connect
+      mockClient.publish.resetHistory();
       
       connectPromise.then(() => {
         done();
@@ -375,12 +757,27 @@ describe('MQTT Client Module', function() {
       });
     });
 
-    it('should reject when MQTT client not connected', function(done) {
+    it('should queue the message when MQTT client not connected', function(done) {
       // Reset and ensure no connection
       mqttClient._resetState();
       
       const testGatewayData = { v: '1.5.0', mid: 12345 };
       
+      mqttClient.publishGatewayData(testGatewayData).then(result => {
+        expect(result).to.be.false;
+        expect(mqttClient.getQueueMetrics().depth).to.equal(1);
+        done();
+      }).catch(done);
+    });
+
+    it('should reject when MQTT client not connected and the queue is disabled', function(done) {
+      const origQueue = config.mqtt.queue;
+      config.mqtt.queue = { maxSize: 0 };
+      mqttClient._resetState();
+      config.mqtt.queue = origQueue;
+      
+      const testGatewayData = { v: '1.5.0', mid: 12345 };
+      
       mqttClient.publishGatewayData(testGatewayData).then(() => {
         done(new Error('Expected promise to be rejected'));
       }).catch(error => {
@@ -390,6 +787,366 @@ describe('MQTT Client Module', function() {
     });
   });
   
+  describe('publishPresenceState()', function() {
+    beforeEach(function(done) {
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      // Ignore the birth message published on connect
+      mockClient.publish.resetHistory();
+      connectPromise.then(() => done()).catch(done);
+    });
+
+    it('should publish retained home and not_home states', async function() {
+      mockClient.publish.callsFake((topic, message, options, callback) => callback(null));
+
+      await mqttClient.publishPresenceState('aabbccddeeff', true);
+      await mqttClient.publishPresenceState('aabbccddeeff', false);
+
+      expect(mockClient.publish.firstCall.args[0]).to.equal(config.mqtt.topicPrefix + 'presence/aabbccddeeff');
+      expect(mockClient.publish.firstCall.args[1]).to.equal('home');
+      expect(mockClient.publish.firstCall.args[2]).to.include({ retain: true });
+      expect(mockClient.publish.secondCall.args[1]).to.equal('not_home');
+    });
+
+    it('should queue the state when MQTT client not connected', async function() {
+      mqttClient._resetState();
+
+      expect(await mqttClient.publishPresenceState('aabbccddeeff', true)).to.be.false;
+      expect(mqttClient.getQueueMetrics().depth).to.equal(1);
+    });
+  });
+  
+  describe('MQTT 5', function() {
+    beforeEach(function(done) {
+      config.mqtt.protocolVersion = 5;
+      mockClient.publish.callsFake((topic, message, options, callback) => callback(null));
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      mockClient.publish.resetHistory();
+      connectPromise.then(() => done()).catch(done);
+    });
+
+    afterEach(function() {
+      config.mqtt.protocolVersion = 4;
+    });
+
+    it('should connect with MQTT 5 and topic aliases', function() {
+      expect(mqttMock.connect.firstCall.args[1]).to.include({ protocolVersion: 5, autoAssignTopicAlias: true });
+    });
+
+    it('should publish device state with expiry, content type and user properties', async function() {
+      await mqttClient.publishGatewayData({ mac: 'AA:BB:CC:DD:EE:FF', version: '1.5.0' });
+      await mqttClient.publishDeviceData({
+        mac_address: '12:3B:6A:1B:85:EF',
+        rssi: -60,
+        decoder: 'ruuvi',
+        gateway_mac: 'AA:BB:CC:DD:EE:FF'
+      });
+
+      expect(mockClient.publish.firstCall.args[2].properties).to.deep.equal({
+        contentType: 'application/json',
+        userProperties: { gateway_mac: 'aabbccddeeff', firmware_version: '1.5.0' }
+      });
+      expect(mockClient.publish.secondCall.args[2].properties).to.deep.equal({
+        messageExpiryInterval: config.mqtt.deviceCacheRetentionSeconds,
+        contentType: 'application/json',
+        userProperties: { gateway_mac: 'aabbccddeeff', decoder: 'ruuvi', firmware_version: '1.5.0' }
+      });
+    });
+
+    it('should expire device state after the retention of its publish policy', async function() {
+      const originalPublishGroups = config.mqtt.publishGroups;
+      config.mqtt.publishGroups = [{ name: 'group_1', macPrefix: '123b6a', retentionSeconds: 1800 }];
+
+      try {
+        await mqttClient.publishDeviceData({ mac_address: '12:3B:6A:1B:85:EF', rssi: -60 });
+      } finally {
+        config.mqtt.publishGroups = originalPublishGroups;
+      }
+
+      expect(mockClient.publish.firstCall.args[2].properties.messageExpiryInterval).to.equal(1800);
+    });
+
+    it('should not add properties with MQTT 3.1.1', async function() {
+      config.mqtt.protocolVersion = 4;
+
+      await mqttClient.publishDeviceData({ mac_address: '12:3B:6A:1B:85:EF', rssi: -60 });
+
+      expect(mockClient.publish.firstCall.args[2]).to.not.have.property('properties');
+    });
+  });
+
+  describe('on_change publish policy', function() {
+    let originalPublishPolicy;
+    let originalChangePolicy;
+
+    beforeEach(function() {
+      originalPublishPolicy = config.mqtt.publishPolicy;
+      originalChangePolicy = config.mqtt.changePolicy;
+      config.mqtt.publishPolicy = 'on_change';
+      config.mqtt.changePolicy = { rssiDeadband: 5, valueThreshold: 0, heartbeatSeconds: 300, ignoredFields: [] };
+      changeDetector.reset();
+    });
+
+    afterEach(function() {
+      config.mqtt.publishPolicy = originalPublishPolicy;
+      config.mqtt.changePolicy = originalChangePolicy;
+      changeDetector.reset();
+    });
+
+    it('should only record payloads as published once the broker acknowledged them', async function() {
+      const payload = { mac_address: '12:3B:6A:1B:85:EF', rssi: -60, advertisement_data_hex: '0201' };
+
+      // Queued while disconnected
+      expect(await mqttClient.publishDeviceData(payload)).to.be.false;
+      expect(changeDetector.getChangeReason(payload)).to.equal('first seen');
+
+      mockClient.publish.callsFake((topic, message, options, callback) => callback(null));
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      await connectPromise;
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(await mqttClient.publishDeviceData(payload)).to.be.true;
+      expect(changeDetector.getChangeReason(payload)).to.be.null;
+    });
+  });
+
+  describe('exploded topics', function() {
+    let originalExploded;
+
+    beforeEach(function(done) {
+      originalExploded = config.mqtt.exploded;
+      config.mqtt.exploded = { enabled: true, qos: 0, retain: true };
+      mockClient.publish.callsFake((topic, message, options, callback) => callback(null));
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      mockClient.publish.resetHistory();
+      connectPromise.then(() => done()).catch(done);
+    });
+
+    afterEach(function() {
+      config.mqtt.exploded = originalExploded;
+    });
+
+    const stateTopic = () => config.mqtt.topicPrefix + 'state/123b6a1b85ef';
+
+    function fieldPublishes() {
+      return mockClient.publish.args.filter(args => args[0] !== stateTopic());
+    }
+
+    it('should publish each scalar field to its own topic with the exploded QoS and retain', async function() {
+      await mqttClient.publishDeviceData({ mac_address: '12:3B:6A:1B:85:EF', rssi: -60, ruuvi: { temperature: 21.5 } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const published = fieldPublishes();
+      expect(published.map(args => [args[0], args[1]])).to.deep.equal([
+        [stateTopic() + '/mac_address', '12:3B:6A:1B:85:EF'],
+        [stateTopic() + '/rssi', '-60'],
+        [stateTopic() + '/ruuvi/temperature', '21.5']
+      ]);
+      expect(published[0][2]).to.include({ qos: 0, retain: true });
+      expect(mockClient.publish.calledWith(stateTopic())).to.be.true;
+    });
+
+    it('should only publish fields that changed', async function() {
+      await mqttClient.publishDeviceData({ mac_address: '12:3B:6A:1B:85:EF', rssi: -60, ruuvi: { temperature: 21.5 } });
+      await new Promise(resolve => setImmediate(resolve));
+      mockClient.publish.resetHistory();
+
+      await mqttClient.publishDeviceData({ mac_address: '12:3B:6A:1B:85:EF', rssi: -65, ruuvi: { temperature: 21.5 } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(fieldPublishes().map(args => args[0])).to.deep.equal([stateTopic() + '/rssi']);
+    });
+
+    it('should not queue fields while disconnected and publish them once reconnected', async function() {
+      const payload = { mac_address: '12:3B:6A:1B:85:EF', rssi: -60, ruuvi: { temperature: 21.5 } };
+      mockClient.connected = false;
+
+      await mqttClient.publishDeviceData(payload);
+      await new Promise(resolve => setImmediate(resolve));
+
+      // Only the JSON state message is queued
+      expect(mqttClient.getQueueMetrics().depth).to.equal(1);
+
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      await new Promise(resolve => setImmediate(resolve));
+      mockClient.publish.resetHistory();
+      await mqttClient.publishDeviceData(payload);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(fieldPublishes().map(args => args[0])).to.deep.equal([
+        stateTopic() + '/mac_address',
+        stateTopic() + '/rssi',
+        stateTopic() + '/ruuvi/temperature'
+      ]);
+    });
+  });
+
+  describe('getReplayOptions()', function() {
+    const queuedAt = '2024-01-01T00:00:00.000Z';
+    const options = { qos: 1, properties: { messageExpiryInterval: 300, contentType: 'application/json' } };
+
+    it('should reduce the expiry interval by the time spent in the queue', function() {
+      const replayOptions = mqttClient.getReplayOptions({ options, queuedAt }, Date.parse(queuedAt) + 100500);
+
+      expect(replayOptions.properties).to.deep.equal({ messageExpiryInterval: 200, contentType: 'application/json' });
+      expect(options.properties.messageExpiryInterval).to.equal(300);
+    });
+
+    it('should return null for expired messages', function() {
+      expect(mqttClient.getReplayOptions({ options, queuedAt }, Date.parse(queuedAt) + 300000)).to.be.null;
+    });
+
+    it('should return the options of messages without an expiry unchanged', function() {
+      const plainOptions = { qos: 1, retain: true };
+
+      expect(mqttClient.getReplayOptions({ options: plainOptions, queuedAt })).to.equal(plainOptions);
+    });
+  });
+
+  describe('publish queue', function() {
+    const payload = mac => ({ mac_address: mac, rssi: -60 });
+
+    function connect() {
+      const connectPromise = mqttClient.initializeMqttClient();
+      mockClient.connected = true;
+      mockClient.emit('connect');
+      return connectPromise;
+    }
+
+    it('should queue payloads while disconnected and count them as queued', async function() {
+      const results = await mqttClient.publishMultipleDeviceData([
+        payload('AA:BB:CC:DD:EE:01'),
+        payload('AA:BB:CC:DD:EE:02')
+      ]);
+
+      expect(results.queuedCount).to.equal(2);
+      expect(results.errorCount).to.equal(0);
+      expect(results.successCount).to.equal(0);
+      expect(mqttClient.getConnectionStatus().publishQueue).to.include({ depth: 2, enqueued: 2 });
+    });
+
+    it('should keep only the latest message per topic', async function() {
+      await mqttClient.publishDeviceData({ ...payload('AA:BB:CC:DD:EE:01'), rssi: -80 });
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:02'));
+      await mqttClient.publishDeviceData({ ...payload('AA:BB:CC:DD:EE:01'), rssi: -50 });
+
+      expect(mqttClient.getQueueMetrics()).to.include({ depth: 2, coalesced: 1 });
+    });
+
+    it('should replay queued messages in order on connect', async function() {
+      mockClient.publish.callsFake((topic, message, options, callback) => callback(null));
+
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:01'));
+      await mqttClient.publish('test/topic', 'retained', { retain: true });
+      await mqttClient.publishDeviceData({ ...payload('AA:BB:CC:DD:EE:02'), rssi: -70 });
+
+      // Replay starts on connect
+      await connect();
+      await new Promise(resolve => setImmediate(resolve));
+
+      // The birth message goes first
+      expect(mockClient.publish.callCount).to.equal(4);
+      expect(mockClient.publish.getCall(0).args[0]).to.equal(config.mqtt.topicPrefix + 'status');
+      expect(mockClient.publish.getCall(1).args[0]).to.equal(config.mqtt.topicPrefix + 'state/aabbccddee01');
+      expect(mockClient.publish.getCall(2).args[0]).to.equal('test/topic');
+      expect(mockClient.publish.getCall(2).args[2]).to.include({ retain: true });
+      expect(JSON.parse(mockClient.publish.getCall(3).args[1]).rssi).to.equal(-70);
+      expect(mqttClient.getQueueMetrics()).to.include({ depth: 0, replayed: 3 });
+    });
+
+    it('should keep unsent messages when the replay is interrupted', async function() {
+      mockClient.publish.callsFake((topic, message, options, callback) => callback(null));
+      mockClient.publish.onThirdCall().callsFake((topic, message, options, callback) => callback(new Error('Connection lost')));
+
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:01'));
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:02'));
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:03'));
+
+      // Replay starts on connect
+      await connect();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mqttClient.getQueueMetrics()).to.include({ depth: 2, replayed: 1 });
+      expect(loggerMock.warn.calledWith('Replay of queued MQTT messages interrupted')).to.be.true;
+    });
+
+    it('should discard a message that keeps failing so the messages behind it are replayed', async function() {
+      mockClient.publish.callsFake((topic, message, options, callback) => {
+        callback(topic.endsWith('aabbccddee01') ? new Error('Rejected by broker') : null);
+      });
+
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:01'));
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:02'));
+
+      // The first attempt is on connect, each later publish retries the replay
+      await connect();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(mqttClient.getQueueMetrics()).to.include({ depth: 2, replayed: 0 });
+
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:03'));
+      await new Promise(resolve => setImmediate(resolve));
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:03'));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mqttClient.getQueueMetrics()).to.include({ depth: 0, failed: 1, replayed: 2 });
+      expect(loggerMock.error.calledWith('Discarded queued MQTT message after 3 failed replays')).to.be.true;
+    });
+
+    it('should keep a message whose replays keep being interrupted by a lost connection', async function() {
+      let drops = 0;
+      mockClient.publish.callsFake((topic, message, options, callback) => {
+        if (topic.endsWith('aabbccddee01') && drops < 4) {
+          drops++;
+          mockClient.connected = false;
+          return callback(new Error('Connection closed'));
+        }
+        callback(null);
+      });
+
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:01'));
+      await connect();
+      await new Promise(resolve => setImmediate(resolve));
+
+      // Reconnect after each drop; the last attempt succeeds
+      for (let reconnects = 0; reconnects < 4; reconnects++) {
+        mockClient.connected = true;
+        mockClient.emit('connect');
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      expect(drops).to.equal(4);
+      expect(mqttClient.getQueueMetrics()).to.include({ depth: 0, failed: 0, replayed: 1 });
+      expect(loggerMock.error.calledWith('Discarded queued MQTT message after 3 failed replays')).to.be.false;
+    });
+
+    it('should queue new messages behind older queued ones while connected', async function() {
+      await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:01'));
+
+      // Replay stalls on the first message
+      let releaseFirst;
+      mockClient.publish.callsFake((topic, message, options, callback) => callback(null));
+      mockClient.publish.onSecondCall().callsFake((topic, message, options, callback) => { releaseFirst = callback; });
+      await connect();
+
+      expect(await mqttClient.publishDeviceData(payload('AA:BB:CC:DD:EE:02'))).to.be.false;
+
+      releaseFirst(null);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockClient.publish.callCount).to.equal(3);
+      expect(mockClient.publish.getCall(2).args[0]).to.equal(config.mqtt.topicPrefix + 'state/aabbccddee02');
+      expect(mqttClient.getQueueMetrics().depth).to.equal(0);
+    });
+  });
+  
   describe('disconnect()', function() {
     it('should gracefully disconnect the client', function(done) {
       // Setup connected client
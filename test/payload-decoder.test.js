@@ -0,0 +1,71 @@
+/**
+ * Tests for the Payload Decoder Module
+ */
+
+const { expect } = require('chai');
+const msgpack = require('msgpack5')();
+const payloadDecoder = require('../src/payload-decoder');
+const { createMockGatewayData } = require('./utils');
+
+describe('Payload Decoder', () => {
+    /**
+     * Creates the JSON upload of gateway data, with devices as hex strings
+     */
+    function toJsonUpload(gatewayData) {
+        return Buffer.from(JSON.stringify({
+            ...gatewayData,
+            devices: gatewayData.devices.map(device => device.toString('hex').toUpperCase())
+        }));
+    }
+
+    describe('detectFormat()', () => {
+        it('should use the Content-Type when it names a format', () => {
+            const jsonBody = Buffer.from('{"v":"1.5.0"}');
+            const msgpackBody = msgpack.encode({ v: '1.5.0' });
+
+            expect(payloadDecoder.detectFormat('application/json; charset=utf-8', msgpackBody)).to.equal('JSON');
+            expect(payloadDecoder.detectFormat('application/msgpack', jsonBody)).to.equal('MessagePack');
+            expect(payloadDecoder.detectFormat('application/x-msgpack', jsonBody)).to.equal('MessagePack');
+        });
+
+        it('should use the first byte without a usable Content-Type', () => {
+            expect(payloadDecoder.detectFormat(undefined, Buffer.from(' \n{"v":"1.5.0"}'))).to.equal('JSON');
+            expect(payloadDecoder.detectFormat('application/octet-stream', Buffer.from('{}'))).to.equal('JSON');
+            expect(payloadDecoder.detectFormat(undefined, msgpack.encode({ v: '1.5.0' }))).to.equal('MessagePack');
+            expect(payloadDecoder.detectFormat('text/plain', msgpack.encode({ v: '1.5.0' }))).to.equal('MessagePack');
+        });
+    });
+
+    describe('decodePayload()', () => {
+        it('should decode MessagePack uploads', () => {
+            const gatewayData = createMockGatewayData();
+
+            const result = payloadDecoder.decodePayload(msgpack.encode(gatewayData), 'MessagePack');
+
+            expect(result.mid).to.equal(gatewayData.mid);
+            expect(result.devices).to.deep.equal(gatewayData.devices);
+        });
+
+        it('should decode JSON uploads to the same devices as MessagePack uploads', () => {
+            const gatewayData = createMockGatewayData();
+
+            const result = payloadDecoder.decodePayload(toJsonUpload(gatewayData), 'JSON');
+
+            expect(result).to.deep.equal(payloadDecoder.decodePayload(msgpack.encode(gatewayData), 'MessagePack'));
+            expect(Buffer.isBuffer(result.devices[0])).to.be.true;
+        });
+
+        it('should keep JSON devices that are not hex strings', () => {
+            const body = Buffer.from(JSON.stringify({ v: '1.5.0', mid: 1, devices: ['not hex', 'ABC', 12] }));
+
+            const result = payloadDecoder.decodePayload(body, 'JSON');
+
+            expect(result.devices).to.deep.equal(['not hex', 'ABC', 12]);
+        });
+
+        it('should throw for invalid data in the given format', () => {
+            expect(() => payloadDecoder.decodePayload(Buffer.from('{"v":'), 'JSON')).to.throw(SyntaxError);
+            expect(() => payloadDecoder.decodePayload(Buffer.from([0xc1]), 'MessagePack')).to.throw();
+        });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for the Private Address Module
+ */
+
+const { expect } = require('chai');
+const privateAddress = require('../src/private-address');
+
+describe('Private Address', () => {
+    // Sample data from the Bluetooth Core Specification (Vol 3, Part H, D.7)
+    const IRK_HEX = 'ec0234a357c8ad05341010a60a397d9b';
+    const RESOLVABLE_ADDRESS = '70:81:94:0D:FB:AA';
+
+    describe('classifyAddress()', () => {
+        it('should classify addresses by their two most significant bits without claiming more than they prove', () => {
+            expect(privateAddress.classifyAddress('a4c138000001')).to.equal('public');
+            expect(privateAddress.classifyAddress('C4:7C:8D:6A:12:34')).to.equal('random_static_or_public');
+            expect(privateAddress.classifyAddress(RESOLVABLE_ADDRESS)).to.equal('private_or_public');
+            expect(privateAddress.classifyAddress('12:3B:6A:1B:85:EF')).to.equal('private_or_public');
+        });
+    });
+
+    describe('mayBeResolvable()', () => {
+        it('should only accept addresses with the top bits of a resolvable private address', () => {
+            expect(privateAddress.mayBeResolvable(RESOLVABLE_ADDRESS)).to.be.true;
+            expect(privateAddress.mayBeResolvable('12:3B:6A:1B:85:EF')).to.be.false;
+            expect(privateAddress.mayBeResolvable('C4:7C:8D:6A:12:34')).to.be.false;
+        });
+    });
+
+    describe('parseIrk()', () => {
+        it('should parse hex keys most significant byte first', () => {
+            expect(privateAddress.parseIrk(IRK_HEX.toUpperCase()).toString('hex')).to.equal(IRK_HEX);
+            expect(privateAddress.parseIrk(`irk:${IRK_HEX}`).toString('hex')).to.equal(IRK_HEX);
+        });
+
+        it('should parse base64 keys least significant byte first', () => {
+            const base64 = Buffer.from(IRK_HEX, 'hex').reverse().toString('base64');
+
+            expect(privateAddress.parseIrk(base64).toString('hex')).to.equal(IRK_HEX);
+        });
+
+        it('should reject invalid keys', () => {
+            expect(() => privateAddress.parseIrk('ec0234a357c8ad05')).to.throw('expected 32 hex characters or a base64 key');
+            expect(() => privateAddress.parseIrk('')).to.throw('expected 32 hex characters or a base64 key');
+        });
+    });
+
+    describe('resolvesToIrk()', () => {
+        const irk = Buffer.from(IRK_HEX, 'hex');
+
+        it('should resolve an address generated with the key', () => {
+            expect(privateAddress.resolvesToIrk(RESOLVABLE_ADDRESS, irk)).to.be.true;
+            expect(privateAddress.resolvesToIrk('7081940dfbaa', irk)).to.be.true;
+        });
+
+        it('should not resolve other addresses', () => {
+            expect(privateAddress.resolvesToIrk('70:81:94:0D:FB:AB', irk)).to.be.false;
+            expect(privateAddress.resolvesToIrk(RESOLVABLE_ADDRESS, Buffer.alloc(16))).to.be.false;
+            // Same bits, but not a resolvable private address
+            expect(privateAddress.resolvesToIrk('F0:81:94:0D:FB:AA', irk)).to.be.false;
+        });
+    });
+});
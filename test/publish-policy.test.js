@@ -0,0 +1,92 @@
+/**
+ * Tests for the Publish Policy Module
+ */
+
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noCallThru();
+
+describe('Publish Policy', () => {
+    let publishPolicy;
+    let configStub;
+
+    beforeEach(() => {
+        configStub = {
+            config: {
+                mqtt: {
+                    publishIntervalSeconds: 60,
+                    deviceCacheRetentionSeconds: 300,
+                    publishGroups: [
+                        { name: 'group_1', macPrefix: 'c0ffee', intervalSeconds: 600, retentionSeconds: 1800, immediate: false },
+                        { name: 'group_2', decoder: 'ruuvi', intervalSeconds: 0 }
+                    ]
+                },
+                homeAssistant: {
+                    devices: new Map([
+                        ['aabbccddeeff', { name: 'Car Token', publish: { intervalSeconds: 1, retentionSeconds: 30 } }],
+                        ['112233445566', { name: 'Keys' }]
+                    ])
+                }
+            }
+        };
+
+        publishPolicy = proxyquire('../src/publish-policy', {
+            './config': configStub
+        });
+    });
+
+    describe('getPolicy()', () => {
+        it('should use the settings of a configured device first', () => {
+            const policy = publishPolicy.getPolicy({ mac_address: 'AA:BB:CC:DD:EE:FF', decoder: 'ruuvi' });
+
+            expect(policy).to.deep.equal({
+                name: 'device_aabbccddeeff',
+                intervalSeconds: 1,
+                retentionSeconds: 30,
+                immediate: null
+            });
+        });
+
+        it('should use the first matching group by MAC prefix or decoder', () => {
+            expect(publishPolicy.getPolicy({ mac_address: 'C0:FF:EE:00:00:01', decoder: 'ruuvi' })).to.deep.equal({
+                name: 'group_1',
+                intervalSeconds: 600,
+                retentionSeconds: 1800,
+                immediate: false
+            });
+            // Settings that the group doesn't set fall back to the default policy
+            expect(publishPolicy.getPolicy({ mac_address: '01:02:03:04:05:06', decoder: 'ruuvi' })).to.deep.equal({
+                name: 'group_2',
+                intervalSeconds: 0,
+                retentionSeconds: 300,
+                immediate: null
+            });
+        });
+
+        it('should use the default policy for other devices', () => {
+            const policy = publishPolicy.getPolicy({ mac_address: '11:22:33:44:55:66' });
+
+            expect(policy).to.deep.equal({ name: 'default', intervalSeconds: 60, retentionSeconds: 300, immediate: null });
+        });
+    });
+
+    describe('getPolicies()', () => {
+        it('should list the default policy, the groups and the devices with own settings', () => {
+            const names = publishPolicy.getPolicies().map(policy => policy.name);
+
+            expect(names).to.deep.equal(['default', 'group_1', 'group_2', 'device_aabbccddeeff']);
+            expect(publishPolicy.getPolicyByName('group_1').intervalSeconds).to.equal(600);
+            expect(publishPolicy.getPolicyByName('group_3')).to.be.null;
+        });
+    });
+
+    describe('shouldPublishOnArrival()', () => {
+        it('should publish arriving configured devices unless the policy says otherwise', () => {
+            const defaultPolicy = publishPolicy.getDefaultPolicy();
+
+            expect(publishPolicy.shouldPublishOnArrival(defaultPolicy, '112233445566')).to.be.true;
+            expect(publishPolicy.shouldPublishOnArrival(defaultPolicy, '010203040506')).to.be.false;
+            expect(publishPolicy.shouldPublishOnArrival(publishPolicy.getPolicyByName('group_1'), '112233445566')).to.be.false;
+            expect(publishPolicy.shouldPublishOnArrival({ ...defaultPolicy, immediate: true }, '010203040506')).to.be.true;
+        });
+    });
+});
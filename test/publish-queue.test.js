@@ -0,0 +1,228 @@
+/**
+ * Tests for the Publish Queue Module
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PublishQueue = require('../src/publish-queue');
+const logger = require('../src/logger');
+
+describe('Publish Queue', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        sinon.stub(logger, 'info');
+        sinon.stub(logger, 'warn');
+        sinon.stub(logger, 'error');
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-queue-'));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function drain(queue) {
+        const entries = [];
+        let entry;
+        while ((entry = queue.shift()) !== null) {
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    describe('enqueue()', () => {
+        it('should return messages in the order they were queued', () => {
+            const queue = new PublishQueue();
+
+            queue.enqueue('state/a', '1', { qos: 1 });
+            queue.enqueue('state/b', '2', { qos: 1 });
+
+            const entries = drain(queue);
+            expect(entries.map(entry => entry.topic)).to.deep.equal(['state/a', 'state/b']);
+            expect(entries[0]).to.include({ message: '1' });
+            expect(entries[0].options).to.deep.equal({ qos: 1 });
+            expect(queue.size()).to.equal(0);
+        });
+
+        it('should coalesce messages per topic and keep the latest at the end', () => {
+            const queue = new PublishQueue();
+
+            queue.enqueue('state/a', 'old');
+            queue.enqueue('state/b', 'b');
+            queue.enqueue('state/a', 'new');
+
+            expect(drain(queue).map(entry => entry.message)).to.deep.equal(['b', 'new']);
+            expect(queue.getMetrics()).to.include({ enqueued: 3, coalesced: 1 });
+        });
+
+        it('should drop the oldest message when full by default', () => {
+            const queue = new PublishQueue({ maxSize: 2 });
+
+            queue.enqueue('state/a', 'a');
+            queue.enqueue('state/b', 'b');
+            expect(queue.enqueue('state/c', 'c')).to.be.true;
+
+            expect(drain(queue).map(entry => entry.topic)).to.deep.equal(['state/b', 'state/c']);
+            expect(queue.getMetrics().dropped).to.equal(1);
+        });
+
+        it('should reject new messages when full with drop_newest', () => {
+            const queue = new PublishQueue({ maxSize: 2, dropPolicy: 'drop_newest' });
+
+            queue.enqueue('state/a', 'a');
+            queue.enqueue('state/b', 'b');
+            expect(queue.enqueue('state/c', 'c')).to.be.false;
+            // Updates to queued topics are still accepted
+            expect(queue.enqueue('state/a', 'a2')).to.be.true;
+
+            expect(drain(queue).map(entry => entry.message)).to.deep.equal(['b', 'a2']);
+            expect(queue.getMetrics().dropped).to.equal(1);
+        });
+
+        it('should not queue anything when disabled', () => {
+            const queue = new PublishQueue({ maxSize: 0 });
+
+            expect(queue.isEnabled()).to.be.false;
+            expect(queue.enqueue('state/a', 'a')).to.be.false;
+            expect(queue.size()).to.equal(0);
+        });
+    });
+
+    describe('requeue()', () => {
+        it('should put a message back at the front of the queue', () => {
+            const queue = new PublishQueue();
+            queue.enqueue('state/a', 'a');
+            queue.enqueue('state/b', 'b');
+
+            queue.requeue(queue.shift());
+
+            expect(drain(queue).map(entry => entry.topic)).to.deep.equal(['state/a', 'state/b']);
+        });
+
+        it('should not restore a message superseded by a newer one', () => {
+            const queue = new PublishQueue();
+            queue.enqueue('state/a', 'old');
+            const entry = queue.shift();
+            queue.enqueue('state/a', 'new');
+
+            queue.requeue(entry);
+
+            expect(drain(queue).map(queued => queued.message)).to.deep.equal(['new']);
+        });
+
+        it('should discard a message after it failed to replay too often', () => {
+            const queue = new PublishQueue();
+            queue.enqueue('state/a', 'a');
+            queue.enqueue('state/b', 'b');
+
+            for (let attempt = 1; attempt < PublishQueue.MAX_REPLAY_ATTEMPTS; attempt++) {
+                expect(queue.requeue(queue.shift())).to.be.true;
+            }
+            expect(queue.requeue(queue.shift())).to.be.false;
+
+            expect(drain(queue).map(entry => entry.topic)).to.deep.equal(['state/b']);
+            expect(queue.getMetrics().failed).to.equal(1);
+        });
+
+        it('should not count replays interrupted by a lost connection', () => {
+            const queue = new PublishQueue();
+            queue.enqueue('state/a', 'a');
+
+            for (let attempt = 1; attempt <= PublishQueue.MAX_REPLAY_ATTEMPTS; attempt++) {
+                expect(queue.requeue(queue.shift(), false)).to.be.true;
+            }
+
+            expect(drain(queue).map(entry => entry.attempts)).to.deep.equal([undefined]);
+            expect(queue.getMetrics().failed).to.equal(0);
+        });
+    });
+
+    describe('getMetrics()', () => {
+        it('should report depth, limits and counters', () => {
+            const queue = new PublishQueue({ maxSize: 10 });
+            queue.enqueue('state/a', 'a');
+            queue.shift();
+            queue.recordReplayed();
+            queue.enqueue('state/b', 'b');
+
+            expect(queue.getMetrics()).to.deep.equal({
+                enabled: true,
+                depth: 1,
+                maxSize: 10,
+                dropPolicy: 'drop_oldest',
+                persistent: false,
+                enqueued: 2,
+                coalesced: 0,
+                dropped: 0,
+                expired: 0,
+                failed: 0,
+                replayed: 1
+            });
+        });
+    });
+
+    describe('persistence', () => {
+        it('should restore queued messages saved by a previous instance', () => {
+            const persistPath = path.join(tempDir, 'queue', 'mqtt-queue.json');
+            const queue = new PublishQueue({ persistPath });
+            queue.enqueue('state/a', 'a', { qos: 1 });
+            queue.enqueue('state/b', 'b', { qos: 0, retain: true });
+            queue.shift();
+            queue.flush();
+
+            const restored = new PublishQueue({ persistPath });
+
+            expect(restored.size()).to.equal(1);
+            expect(restored.getMetrics().persistent).to.be.true;
+            const [entry] = drain(restored);
+            expect(entry).to.include({ topic: 'state/b', message: 'b' });
+            expect(entry.options).to.deep.equal({ qos: 0, retain: true });
+        });
+
+        it('should write a burst of changes to disk once after the save delay', () => {
+            const clock = sinon.useFakeTimers();
+            const writeSpy = sinon.spy(fs, 'writeFileSync');
+            const persistPath = path.join(tempDir, 'mqtt-queue.json');
+            const queue = new PublishQueue({ persistPath });
+
+            for (let i = 0; i < 50; i++) {
+                queue.enqueue(`state/${i}`, `${i}`);
+            }
+            queue.shift();
+            expect(writeSpy.called).to.be.false;
+
+            clock.tick(PublishQueue.SAVE_DELAY_MS);
+
+            expect(writeSpy.calledOnce).to.be.true;
+            expect(JSON.parse(fs.readFileSync(persistPath, 'utf8'))).to.have.lengthOf(49);
+        });
+
+        it('should write pending changes immediately on flush()', () => {
+            const clock = sinon.useFakeTimers();
+            const persistPath = path.join(tempDir, 'mqtt-queue.json');
+            const queue = new PublishQueue({ persistPath });
+            queue.enqueue('state/a', 'a');
+
+            queue.flush();
+
+            expect(new PublishQueue({ persistPath }).size()).to.equal(1);
+            clock.tick(PublishQueue.SAVE_DELAY_MS);
+            expect(queue.saveTimer).to.be.null;
+        });
+
+        it('should log and ignore an unreadable queue file', () => {
+            const persistPath = path.join(tempDir, 'mqtt-queue.json');
+            fs.writeFileSync(persistPath, 'not json');
+
+            const queue = new PublishQueue({ persistPath });
+
+            expect(queue.size()).to.equal(0);
+            expect(logger.error.calledOnce).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for the Room Presence Module
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire').noCallThru();
+
+describe('Room Presence', () => {
+    let roomPresence;
+    let configStub;
+    let loggerStub;
+
+    const LIVING_ROOM_GATEWAY = 'AA:AA:AA:AA:AA:AA';
+    const KITCHEN_GATEWAY = 'BB:BB:BB:BB:BB:BB';
+    const UNMAPPED_GATEWAY = 'CC:CC:CC:CC:CC:CC';
+
+    function payload(gatewayMac, rssi, extra = {}) {
+        return { mac_address: '12:3B:6A:1B:85:EF', rssi, gateway_mac: gatewayMac, ...extra };
+    }
+
+    beforeEach(() => {
+        configStub = {
+            config: {
+                roomPresence: {
+                    gateways: new Map([
+                        ['aaaaaaaaaaaa', 'Living Room'],
+                        ['bbbbbbbbbbbb', 'Kitchen']
+                    ]),
+                    windowSeconds: 30,
+                    hysteresisDb: 5
+                }
+            }
+        };
+        loggerStub = { debug: sinon.stub(), warn: sinon.stub() };
+
+        roomPresence = proxyquire('../src/room-presence', {
+            './config': configStub,
+            './logger': loggerStub
+        });
+        roomPresence.reset();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('isEnabled()', () => {
+        it('should be enabled only when room gateways are configured', () => {
+            expect(roomPresence.isEnabled()).to.be.true;
+
+            configStub.config.roomPresence.gateways.clear();
+            expect(roomPresence.isEnabled()).to.be.false;
+        });
+    });
+
+    describe('getSmoothedRssi()', () => {
+        it('should average the samples', () => {
+            expect(roomPresence.getSmoothedRssi([{ rssi: -60 }, { rssi: -70 }, { rssi: -80 }])).to.equal(-70);
+        });
+    });
+
+    describe('applyRoomPresence()', () => {
+        it('should assign the room of the only gateway that heard the device', () => {
+            const payloads = [payload(LIVING_ROOM_GATEWAY, -70)];
+
+            roomPresence.applyRoomPresence(payloads, 1000);
+
+            expect(payloads[0].room).to.equal('Living Room');
+            expect(payloads[0].nearest_gateway_mac).to.equal('aaaaaaaaaaaa');
+            expect(roomPresence.getCurrentRoom('123b6a1b85ef')).to.equal('Living Room');
+        });
+
+        it('should pick the gateway with the strongest smoothed RSSI', () => {
+            roomPresence.applyRoomPresence([payload(LIVING_ROOM_GATEWAY, -80)], 1000);
+            roomPresence.applyRoomPresence([payload(KITCHEN_GATEWAY, -60)], 2000);
+
+            expect(roomPresence.getCurrentRoom('123b6a1b85ef')).to.equal('Kitchen');
+        });
+
+        it('should not switch rooms for improvements smaller than the hysteresis', () => {
+            roomPresence.applyRoomPresence([payload(LIVING_ROOM_GATEWAY, -70)], 1000);
+            const payloads = [payload(KITCHEN_GATEWAY, -67)];
+
+            roomPresence.applyRoomPresence(payloads, 2000);
+
+            expect(payloads[0].room).to.equal('Living Room');
+
+            roomPresence.applyRoomPresence([payload(KITCHEN_GATEWAY, -55)], 3000);
+
+            // Kitchen average (-61) is now 9 dB stronger than the living room
+            expect(roomPresence.getCurrentRoom('123b6a1b85ef')).to.equal('Kitchen');
+        });
+
+        it('should smooth out single strong readings', () => {
+            roomPresence.applyRoomPresence([payload(LIVING_ROOM_GATEWAY, -60)], 1000);
+            roomPresence.applyRoomPresence([payload(KITCHEN_GATEWAY, -75)], 1000);
+            roomPresence.applyRoomPresence([payload(KITCHEN_GATEWAY, -75)], 2000);
+            roomPresence.applyRoomPresence([payload(KITCHEN_GATEWAY, -50)], 3000);
+
+            // Kitchen average is -66.7 dBm against -60 dBm in the living room
+            expect(roomPresence.getCurrentRoom('123b6a1b85ef')).to.equal('Living Room');
+        });
+
+        it('should forget samples outside the window', () => {
+            roomPresence.applyRoomPresence([payload(LIVING_ROOM_GATEWAY, -50)], 1000);
+            const payloads = [payload(KITCHEN_GATEWAY, -80)];
+
+            roomPresence.applyRoomPresence(payloads, 32000);
+
+            expect(payloads[0].room).to.equal('Kitchen');
+        });
+
+        it('should use the gateway MAC as room name for unmapped gateways', () => {
+            const payloads = [payload(UNMAPPED_GATEWAY, -60)];
+
+            roomPresence.applyRoomPresence(payloads, 1000);
+
+            expect(payloads[0].room).to.equal('cccccccccccc');
+        });
+
+        it('should track configured devices by their device key', () => {
+            roomPresence.applyRoomPresence([payload(LIVING_ROOM_GATEWAY, -60, { device_id: 'ibeacon_abc_1_2' })], 1000);
+
+            expect(roomPresence.getCurrentRoom('ibeacon_abc_1_2')).to.equal('Living Room');
+            expect(roomPresence.getCurrentRoom('123b6a1b85ef')).to.be.null;
+        });
+
+        it('should skip payloads without a gateway MAC or RSSI', () => {
+            const payloads = [
+                { mac_address: '12:3B:6A:1B:85:EF', rssi: -60 },
+                { mac_address: '12:3B:6A:1B:85:EF', gateway_mac: LIVING_ROOM_GATEWAY }
+            ];
+
+            roomPresence.applyRoomPresence(payloads, 1000);
+
+            expect(payloads[0]).to.not.have.property('room');
+            expect(payloads[1]).to.not.have.property('room');
+        });
+
+        it('should log and skip payloads with an invalid gateway MAC', () => {
+            const payloads = [payload('not-a-mac', -60)];
+
+            roomPresence.applyRoomPresence(payloads, 1000);
+
+            expect(payloads[0]).to.not.have.property('room');
+            expect(loggerStub.warn.calledOnce).to.be.true;
+        });
+
+        it('should do nothing when room presence is disabled', () => {
+            configStub.config.roomPresence.gateways.clear();
+            const payloads = [payload(LIVING_ROOM_GATEWAY, -60)];
+
+            roomPresence.applyRoomPresence(payloads, 1000);
+
+            expect(payloads[0]).to.not.have.property('room');
+        });
+    });
+});
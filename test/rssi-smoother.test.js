@@ -0,0 +1,160 @@
+/**
+ * Tests for the RSSI Smoother Module
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire').noCallThru();
+
+describe('RSSI Smoother', () => {
+    let rssiSmoother;
+    let configStub;
+    let loggerStub;
+
+    const GATEWAY_A = 'AA:AA:AA:AA:AA:AA';
+    const GATEWAY_B = 'BB:BB:BB:BB:BB:BB';
+
+    function payload(rssi, extra = {}) {
+        return { mac_address: '12:3B:6A:1B:85:EF', rssi, gateway_mac: GATEWAY_A, ...extra };
+    }
+
+    function smoothSequence(samples) {
+        return samples.map((rssi, index) => rssiSmoother.smoothRssi('device', rssi, index * 1000));
+    }
+
+    beforeEach(() => {
+        configStub = {
+            config: {
+                mqtt: { deviceCacheRetentionSeconds: 300 },
+                rssiSmoothing: {
+                    method: 'moving_average',
+                    windowSize: 3,
+                    alpha: 0.5,
+                    kalmanProcessNoise: 0.01,
+                    kalmanMeasurementNoise: 4,
+                    referencePower: -59,
+                    pathLossExponent: 2
+                }
+            }
+        };
+        loggerStub = { debug: sinon.stub(), warn: sinon.stub() };
+
+        rssiSmoother = proxyquire('../src/rssi-smoother', {
+            './config': configStub,
+            './logger': loggerStub
+        });
+        rssiSmoother.reset();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('isEnabled()', () => {
+        it('should be enabled unless the method is none', () => {
+            expect(rssiSmoother.isEnabled()).to.be.true;
+
+            configStub.config.rssiSmoothing.method = 'none';
+            expect(rssiSmoother.isEnabled()).to.be.false;
+        });
+    });
+
+    describe('smoothRssi()', () => {
+        it('should average the last window of samples with the moving average', () => {
+            expect(smoothSequence([-60, -70, -80, -90])).to.deep.equal([-60, -65, -70, -80]);
+        });
+
+        it('should weight new samples by alpha with the exponential filter', () => {
+            configStub.config.rssiSmoothing.method = 'exponential';
+
+            expect(smoothSequence([-60, -70, -70])).to.deep.equal([-60, -65, -67.5]);
+        });
+
+        it('should converge on a noisy signal with the Kalman filter', () => {
+            configStub.config.rssiSmoothing.method = 'kalman';
+
+            const smoothed = smoothSequence([-60, -72, -58, -70, -62, -68, -60, -70]);
+
+            expect(smoothed[0]).to.equal(-60);
+            // Each step moves less than the raw jump of 10+ dB
+            for (let i = 1; i < smoothed.length; i++) {
+                expect(Math.abs(smoothed[i] - smoothed[i - 1])).to.be.below(7);
+            }
+            expect(smoothed[smoothed.length - 1]).to.be.within(-67, -62);
+        });
+
+        it('should restart the filter after the device cache retention period', () => {
+            rssiSmoother.smoothRssi('device', -60, 0);
+            rssiSmoother.smoothRssi('device', -70, 1000);
+
+            expect(rssiSmoother.smoothRssi('device', -90, 302000)).to.equal(-90);
+        });
+    });
+
+    describe('getReferencePower()', () => {
+        it('should prefer the iBeacon measured power', () => {
+            expect(rssiSmoother.getReferencePower({ ibeacon: { measured_power: -65 }, tx_power: 0 })).to.equal(-65);
+        });
+
+        it('should derive the 1 m power from the AD TX power level', () => {
+            expect(rssiSmoother.getReferencePower({ tx_power: -12 })).to.equal(-12 - rssiSmoother.TX_POWER_1M_OFFSET_DB);
+        });
+
+        it('should fall back to the configured reference power', () => {
+            expect(rssiSmoother.getReferencePower({})).to.equal(-59);
+        });
+    });
+
+    describe('estimateDistance()', () => {
+        it('should apply the log-distance path loss model', () => {
+            expect(rssiSmoother.estimateDistance(-59, -59, 2)).to.equal(1);
+            expect(rssiSmoother.estimateDistance(-79, -59, 2)).to.be.closeTo(10, 1e-9);
+            expect(rssiSmoother.estimateDistance(-89, -59, 3)).to.be.closeTo(10, 1e-9);
+        });
+    });
+
+    describe('applyRssiSmoothing()', () => {
+        it('should add the smoothed RSSI and the estimated distance to each payload', () => {
+            rssiSmoother.applyRssiSmoothing([payload(-70)], 0);
+            const [result] = rssiSmoother.applyRssiSmoothing([payload(-88)], 1000);
+
+            expect(result.rssi).to.equal(-88);
+            expect(result.rssi_smoothed).to.equal(-79);
+            expect(result.distance_m).to.equal(10);
+        });
+
+        it('should use the iBeacon measured power for the distance', () => {
+            const [result] = rssiSmoother.applyRssiSmoothing([payload(-85, { ibeacon: { measured_power: -65 } })], 0);
+
+            expect(result.distance_m).to.equal(10);
+        });
+
+        it('should smooth each gateway separately', () => {
+            rssiSmoother.applyRssiSmoothing([payload(-50), payload(-90, { gateway_mac: GATEWAY_B })], 0);
+            const results = rssiSmoother.applyRssiSmoothing([payload(-60), payload(-80, { gateway_mac: GATEWAY_B })], 1000);
+
+            expect(results[0].rssi_smoothed).to.equal(-55);
+            expect(results[1].rssi_smoothed).to.equal(-85);
+        });
+
+        it('should leave payloads unchanged when disabled', () => {
+            configStub.config.rssiSmoothing.method = 'none';
+
+            const [result] = rssiSmoother.applyRssiSmoothing([payload(-70)], 0);
+
+            expect(result).to.not.have.property('rssi_smoothed');
+            expect(result).to.not.have.property('distance_m');
+        });
+
+        it('should skip payloads without a numeric RSSI and log failures', () => {
+            const results = rssiSmoother.applyRssiSmoothing([
+                { mac_address: '12:3B:6A:1B:85:EF' },
+                payload(-70, { mac_address: 'invalid' })
+            ], 0);
+
+            expect(results[0]).to.not.have.property('rssi_smoothed');
+            expect(results[1]).to.not.have.property('rssi_smoothed');
+            expect(loggerStub.warn.calledOnce).to.be.true;
+        });
+    });
+});
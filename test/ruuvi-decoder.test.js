@@ -0,0 +1,88 @@
+/**
+ * Tests for the RuuviTag Decoder
+ * Uses the official RAWv2 test vectors from the Ruuvi sensor protocol documentation
+ */
+
+const { expect } = require('chai');
+
+const ruuviDecoder = require('../src/decoders/ruuvi');
+
+describe('RuuviTag Decoder', () => {
+    function deviceWithData(dataHex) {
+        return { manufacturer_data: [{ company_id: 0x0499, data_hex: dataHex }] };
+    }
+
+    describe('decode()', () => {
+        it('should decode a valid RAWv2 payload', () => {
+            const result = ruuviDecoder.decode(deviceWithData('0512FC5394C37C0004FFFC040CAC364200CDCBB8334C884F'));
+
+            expect(result.ruuvi).to.deep.equal({
+                data_format: 5,
+                temperature: 24.3,
+                humidity: 53.49,
+                pressure: 1000.44,
+                acceleration_x: 0.004,
+                acceleration_y: -0.004,
+                acceleration_z: 1.036,
+                battery_voltage: 2.977,
+                tx_power: 4,
+                movement_counter: 66,
+                measurement_sequence: 205,
+                mac: 'CB:B8:33:4C:88:4F'
+            });
+        });
+
+        it('should decode maximum values', () => {
+            const result = ruuviDecoder.decode(deviceWithData('057FFFFFFEFFFE7FFF7FFF7FFFFFDEFEFFFECBB8334C884F'));
+
+            expect(result.ruuvi.temperature).to.equal(163.835);
+            expect(result.ruuvi.humidity).to.equal(163.835);
+            expect(result.ruuvi.pressure).to.equal(1155.34);
+            expect(result.ruuvi.acceleration_x).to.equal(32.767);
+            expect(result.ruuvi.battery_voltage).to.equal(3.646);
+            expect(result.ruuvi.tx_power).to.equal(20);
+            expect(result.ruuvi.movement_counter).to.equal(254);
+            expect(result.ruuvi.measurement_sequence).to.equal(65534);
+        });
+
+        it('should decode minimum values', () => {
+            const result = ruuviDecoder.decode(deviceWithData('058001000000008001800180010000000000CBB8334C884F'));
+
+            expect(result.ruuvi.temperature).to.equal(-163.835);
+            expect(result.ruuvi.humidity).to.equal(0);
+            expect(result.ruuvi.pressure).to.equal(500);
+            expect(result.ruuvi.acceleration_x).to.equal(-32.767);
+            expect(result.ruuvi.battery_voltage).to.equal(1.6);
+            expect(result.ruuvi.tx_power).to.equal(-40);
+        });
+
+        it('should turn sentinel values into null', () => {
+            const result = ruuviDecoder.decode(deviceWithData('058000FFFFFFFF800080008000FFFFFFFFFFFFFFFFFFFFFF'));
+
+            expect(result.ruuvi).to.deep.equal({
+                data_format: 5,
+                temperature: null,
+                humidity: null,
+                pressure: null,
+                acceleration_x: null,
+                acceleration_y: null,
+                acceleration_z: null,
+                battery_voltage: null,
+                tx_power: null,
+                movement_counter: null,
+                measurement_sequence: null,
+                mac: null
+            });
+        });
+
+        it('should ignore other Ruuvi data formats and other manufacturers', () => {
+            expect(ruuviDecoder.decode(deviceWithData('03291A1ECE1EFC18F94202CA0B53'))).to.be.null;
+            expect(ruuviDecoder.decode({ manufacturer_data: [{ company_id: 0x004C, data_hex: '0512FC' }] })).to.be.null;
+            expect(ruuviDecoder.decode({})).to.be.null;
+        });
+
+        it('should throw for truncated RAWv2 payloads', () => {
+            expect(() => ruuviDecoder.decode(deviceWithData('0512FC5394C37C'))).to.throw('Ruuvi RAWv2 payload too short');
+        });
+    });
+});
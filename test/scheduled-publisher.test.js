@@ -5,6 +5,7 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const ScheduledPublisher = require('../src/scheduled-publisher');
 const { config } = require('../src/config');
+const changeDetector = require('../src/change-detector');
 
 describe('ScheduledPublisher', () => {
     let scheduledPublisher;
@@ -250,7 +251,7 @@ describe('ScheduledPublisher', () => {
 
         it('should publish gateway status only when no device data is cached', async () => {
             // Set gateway info without device data
-            scheduledPublisher.lastGatewayInfo = { version: '1.0' };
+            scheduledPublisher.updateGatewayInfo({}, { version: '1.0' });
             scheduledPublisher.initialize();
 
             // Fast-forward time to trigger scheduled publish
@@ -264,6 +265,21 @@ describe('ScheduledPublisher', () => {
             expect(mockPublishGatewayStatus.firstCall.args[0]).to.deep.equal({ version: '1.0' });
         });
 
+        it('should publish the status of every gateway that sent data', async () => {
+            await scheduledPublisher.handleIncomingData([], {}, { mac: '11:22:33:44:55:66', version: '1.0' });
+            await scheduledPublisher.handleIncomingData([], {}, { mac: '66:55:44:33:22:11', version: '2.0' });
+            await scheduledPublisher.handleIncomingData([], {}, { mac: '11:22:33:44:55:66', version: '1.1' });
+            scheduledPublisher.initialize();
+
+            clock.tick(5000);
+            await clock.tickAsync(0);
+
+            expect(scheduledPublisher.getState().gatewayMacs).to.deep.equal(['112233445566', '665544332211']);
+            expect(mockPublishGatewayStatus.callCount).to.equal(2);
+            expect(mockPublishGatewayStatus.firstCall.args[0].version).to.equal('1.1');
+            expect(mockPublishGatewayStatus.secondCall.args[0].version).to.equal('2.0');
+        });
+
         it('should reschedule after each publish', async () => {
             scheduledPublisher.initialize();
 
@@ -784,5 +800,285 @@ describe('ScheduledPublisher', () => {
         });
     });
 
+    describe('on_change publish policy', () => {
+        let originalPublishPolicy;
+        let originalChangePolicy;
+
+        beforeEach(() => {
+            originalPublishPolicy = config.mqtt.publishPolicy;
+            originalChangePolicy = config.mqtt.changePolicy;
+            config.mqtt.publishPolicy = 'on_change';
+            config.mqtt.changePolicy = { rssiDeadband: 5, valueThreshold: 0, heartbeatSeconds: 60, ignoredFields: [] };
+
+            // Published payloads are recorded by the MQTT client once the broker acknowledged them
+            mockPublishDeviceData.callsFake(async payloads => {
+                payloads.forEach(payload => changeDetector.recordPublished(payload));
+            });
+        });
+
+        afterEach(() => {
+            config.mqtt.publishPolicy = originalPublishPolicy;
+            config.mqtt.changePolicy = originalChangePolicy;
+        });
+
+        it('should only publish changed devices on scheduled publishes', async () => {
+            config.mqtt.publishIntervalSeconds = 5;
+            await scheduledPublisher.handleIncomingData(
+                [
+                    { mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50, advertisement_data_hex: '0201' },
+                    { mac_address: 'FF:EE:DD:CC:BB:AA', rssi: -60, advertisement_data_hex: '0201' }
+                ],
+                { mac: 'gateway123' },
+                { version: '1.0' }
+            );
+            scheduledPublisher.initialize();
+
+            await clock.tickAsync(5000);
+            expect(mockPublishDeviceData.firstCall.args[0]).to.have.length(2);
+
+            await scheduledPublisher.handleIncomingData(
+                [{ mac_address: 'FF:EE:DD:CC:BB:AA', rssi: -70, advertisement_data_hex: '0201' }],
+                { mac: 'gateway123' },
+                { version: '1.0' }
+            );
+            await clock.tickAsync(5000);
+
+            expect(mockPublishDeviceData.callCount).to.equal(2);
+            expect(mockPublishDeviceData.secondCall.args[0].map(device => device.mac_address)).to.deep.equal(['FF:EE:DD:CC:BB:AA']);
+
+            // Nothing changed, but gateway status is still published
+            await clock.tickAsync(5000);
+            expect(mockPublishDeviceData.callCount).to.equal(2);
+            expect(mockPublishGatewayStatus.callCount).to.equal(3);
+        });
+
+        it('should skip unchanged devices when publishing immediately', async () => {
+            config.mqtt.publishIntervalSeconds = 0;
+            const devicePayloads = [{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50, advertisement_data_hex: '0201' }];
+            const gatewayInfo = { version: '1.0' };
+
+            await scheduledPublisher.handleIncomingData(devicePayloads, {}, gatewayInfo);
+            await scheduledPublisher.handleIncomingData(devicePayloads, {}, gatewayInfo);
+
+            expect(mockPublishDeviceData.firstCall.args[0]).to.have.length(1);
+            // Gateway status is still published alongside the (empty) device data
+            expect(mockPublishDeviceData.secondCall.args).to.deep.equal([[], {}, gatewayInfo]);
+        });
+
+        it('should publish unchanged devices again after the heartbeat interval', async () => {
+            config.mqtt.publishIntervalSeconds = 0;
+            const devicePayloads = [{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50, advertisement_data_hex: '0201' }];
+
+            await scheduledPublisher.handleIncomingData(devicePayloads, {}, null);
+            clock.tick(60000);
+            await scheduledPublisher.handleIncomingData(devicePayloads, {}, null);
+
+            expect(mockPublishDeviceData.secondCall.args[0]).to.have.length(1);
+        });
+
+        it('should publish a change again when its publish failed', async () => {
+            config.mqtt.publishIntervalSeconds = 0;
+            const devicePayloads = [{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50, advertisement_data_hex: '0201' }];
+            mockPublishDeviceData.resetBehavior();
+            mockPublishDeviceData.resolves();
+
+            await scheduledPublisher.handleIncomingData(devicePayloads, {}, null);
+            await scheduledPublisher.handleIncomingData(devicePayloads, {}, null);
+
+            expect(mockPublishDeviceData.secondCall.args[0]).to.have.length(1);
+        });
+    });
+
+    describe('publish policies', () => {
+        let originalPublishGroups;
+
+        beforeEach(() => {
+            originalPublishGroups = config.mqtt.publishGroups;
+            config.mqtt.publishIntervalSeconds = 60;
+            config.mqtt.publishGroups = [
+                { name: 'group_1', macPrefix: 'c0ffee', intervalSeconds: 600, retentionSeconds: 1800 }
+            ];
+            config.homeAssistant.devices = new Map([
+                ['aabbccddeeff', { name: 'Car Token', publish: { intervalSeconds: 0 } }]
+            ]);
+        });
+
+        afterEach(() => {
+            config.mqtt.publishGroups = originalPublishGroups;
+        });
+
+        it('should schedule a publish per policy with an interval', () => {
+            scheduledPublisher.initialize();
+
+            expect(scheduledPublisher.getState().scheduledPolicies).to.deep.equal(['default', 'group_1']);
+        });
+
+        it('should cache devices with the retention of their policy', async () => {
+            await scheduledPublisher.handleIncomingData(
+                [{ mac_address: 'C0:FF:EE:00:00:01', rssi: -70 }, { mac_address: '11:22:33:44:55:66', rssi: -60 }],
+                {},
+                null
+            );
+
+            clock.tick(301000);
+            scheduledPublisher.cleanupExpiredDevices(clock.now);
+
+            expect(scheduledPublisher.getState().deviceMacs).to.deep.equal(['c0ffee000001']);
+        });
+
+        it('should publish the devices of each policy at its own interval', async () => {
+            await scheduledPublisher.handleIncomingData(
+                [{ mac_address: 'C0:FF:EE:00:00:01', rssi: -70 }, { mac_address: '11:22:33:44:55:66', rssi: -60 }],
+                {},
+                { version: '1.0' }
+            );
+            scheduledPublisher.initialize();
+
+            await clock.tickAsync(60000);
+            expect(mockPublishDeviceData.callCount).to.equal(1);
+            expect(mockPublishDeviceData.firstCall.args[0].map(device => device.mac_address)).to.deep.equal(['11:22:33:44:55:66']);
+            expect(mockPublishGatewayStatus.callCount).to.equal(1);
+
+            await clock.tickAsync(540000);
+            const groupPublish = mockPublishDeviceData.getCalls().find(call => call.args[0][0].mac_address === 'C0:FF:EE:00:00:01');
+            expect(groupPublish.args[0]).to.have.length(1);
+            // Gateway status follows the default policy
+            expect(mockPublishGatewayStatus.callCount).to.equal(10);
+        });
+
+        it('should publish devices without interval immediately and cache the others', async () => {
+            const result = await scheduledPublisher.handleIncomingData(
+                [{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50 }, { mac_address: '11:22:33:44:55:66', rssi: -60 }],
+                {},
+                { version: '1.0' }
+            );
+
+            expect(result).to.equal(true);
+            expect(mockPublishDeviceData.calledOnce).to.be.true;
+            // Gateway status is cached for the scheduled publish of the default policy
+            expect(mockPublishDeviceData.firstCall.args[0].map(device => device.mac_address)).to.deep.equal(['AA:BB:CC:DD:EE:FF']);
+            expect(mockPublishDeviceData.firstCall.args[2]).to.be.null;
+            expect(scheduledPublisher.getState().deviceMacs).to.deep.equal(['112233445566']);
+        });
+
+        it('should only publish the policy of an arriving device immediately', async () => {
+            config.mqtt.publishGroups[0].immediate = true;
+            await scheduledPublisher.handleIncomingData([{ mac_address: '11:22:33:44:55:66', rssi: -60 }], {}, null);
+            expect(mockPublishDeviceData.called).to.be.false;
+
+            await scheduledPublisher.handleIncomingData([{ mac_address: 'C0:FF:EE:00:00:01', rssi: -70 }], {}, null);
+
+            expect(mockPublishDeviceData.calledOnce).to.be.true;
+            expect(mockPublishDeviceData.firstCall.args[0].map(device => device.mac_address)).to.deep.equal(['C0:FF:EE:00:00:01']);
+            expect(scheduledPublisher.getState().scheduledPolicies).to.deep.equal(['group_1']);
+        });
+    });
+
+    describe('presence tracking', () => {
+        let mockPresenceChange;
+        let originalHaEnabled;
+        let originalPresenceEntity;
+
+        beforeEach(() => {
+            originalHaEnabled = config.homeAssistant.enabled;
+            originalPresenceEntity = config.homeAssistant.presenceEntity;
+            config.homeAssistant.enabled = true;
+            config.homeAssistant.presenceEntity = 'device_tracker';
+            config.mqtt.publishIntervalSeconds = 0;
+            config.mqtt.deviceCacheRetentionSeconds = 30;
+            config.homeAssistant.devices.set('aabbccddeeff', { name: 'Car Token' });
+
+            mockPresenceChange = sinon.stub().resolves();
+            scheduledPublisher.shutdown();
+            scheduledPublisher = new ScheduledPublisher(
+                mockMqttClient,
+                mockPublishDeviceData,
+                mockPublishGatewayStatus,
+                mockPresenceChange
+            );
+        });
+
+        afterEach(() => {
+            config.homeAssistant.enabled = originalHaEnabled;
+            config.homeAssistant.presenceEntity = originalPresenceEntity;
+        });
+
+        it('should mark tracked devices away on initialization until they are seen', async () => {
+            scheduledPublisher.initialize();
+            await Promise.resolve();
+
+            expect(mockPresenceChange.calledOnceWithExactly('aabbccddeeff', false)).to.be.true;
+            expect(scheduledPublisher.getState().hasPresenceSweep).to.be.true;
+        });
+
+        it('should mark tracked devices home when they enter the cache in immediate mode', async () => {
+            const payloads = [
+                { mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50 },
+                { mac_address: '11:22:33:44:55:66', rssi: -70 }
+            ];
+
+            await scheduledPublisher.handleIncomingData(payloads, {}, null);
+            await scheduledPublisher.handleIncomingData(payloads, {}, null);
+
+            expect(mockPresenceChange.calledOnceWithExactly('aabbccddeeff', true)).to.be.true;
+            expect(mockPublishDeviceData.callCount).to.equal(2);
+            expect(mockPublishDeviceData.firstCall.args[0]).to.equal(payloads);
+            expect(scheduledPublisher.getState().deviceCacheSize).to.equal(2);
+        });
+
+        it('should mark tracked devices away when the sweep expires their cache entry', async () => {
+            scheduledPublisher.initialize();
+            await scheduledPublisher.handleIncomingData([{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50 }], {}, null);
+            mockPresenceChange.resetHistory();
+
+            await clock.tickAsync(30000);
+            expect(mockPresenceChange.called).to.be.false;
+
+            await clock.tickAsync(10000);
+            expect(mockPresenceChange.calledOnceWithExactly('aabbccddeeff', false)).to.be.true;
+            expect(scheduledPublisher.getState().deviceCacheSize).to.equal(0);
+        });
+
+        it('should mark tracked devices home again when they return after expiry', async () => {
+            await scheduledPublisher.handleIncomingData([{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50 }], {}, null);
+            clock.tick(31000);
+            scheduledPublisher.cleanupExpiredDevices(clock.now);
+            await scheduledPublisher.handleIncomingData([{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50 }], {}, null);
+
+            expect(mockPresenceChange.args).to.deep.equal([
+                ['aabbccddeeff', true],
+                ['aabbccddeeff', false],
+                ['aabbccddeeff', true]
+            ]);
+        });
+
+        it('should not track presence when no presence entity is configured', async () => {
+            config.homeAssistant.presenceEntity = null;
+
+            scheduledPublisher.initialize();
+            await scheduledPublisher.handleIncomingData([{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50 }], {}, null);
+
+            expect(mockPresenceChange.called).to.be.false;
+            expect(scheduledPublisher.getState().deviceCacheSize).to.equal(0);
+            expect(scheduledPublisher.getState().hasPresenceSweep).to.be.false;
+        });
+
+        it('should keep publishing when the presence callback fails', async () => {
+            mockPresenceChange.rejects(new Error('MQTT client not connected'));
+
+            const result = await scheduledPublisher.handleIncomingData([{ mac_address: 'AA:BB:CC:DD:EE:FF', rssi: -50 }], {}, null);
+
+            expect(result).to.equal(true);
+            expect(mockPublishDeviceData.calledOnce).to.be.true;
+        });
+
+        it('should clear the presence sweep on shutdown', () => {
+            scheduledPublisher.initialize();
+            scheduledPublisher.shutdown();
+
+            expect(scheduledPublisher.getState().hasPresenceSweep).to.be.false;
+        });
+    });
+
     // ...existing code...
 });
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Tests for the TLS Options Module
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tlsOptions = require('../src/tls-options');
+const logger = require('../src/logger');
+
+describe('TLS Options', () => {
+    let tempDir;
+
+    function tlsConfig(overrides = {}) {
+        return {
+            caFile: '',
+            certFile: '',
+            keyFile: '',
+            keyPassphrase: '',
+            servername: '',
+            alpnProtocols: [],
+            rejectUnauthorized: false,
+            ...overrides
+        };
+    }
+
+    function writeFile(name, contents) {
+        const filePath = path.join(tempDir, name);
+        fs.writeFileSync(filePath, contents);
+        return filePath;
+    }
+
+    beforeEach(() => {
+        sinon.stub(logger, 'info');
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tls-options-'));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('loadTlsOptions()', () => {
+        it('should only set the verification switch when nothing else is configured', () => {
+            expect(tlsOptions.loadTlsOptions(tlsConfig())).to.deep.equal({ rejectUnauthorized: false });
+        });
+
+        it('should read the CA bundle, client certificate and key', () => {
+            const options = tlsOptions.loadTlsOptions(tlsConfig({
+                caFile: writeFile('ca.pem', 'CA'),
+                certFile: writeFile('client.pem', 'CERT'),
+                keyFile: writeFile('client.key', 'KEY'),
+                keyPassphrase: 'secret',
+                servername: 'broker.example.com',
+                alpnProtocols: ['mqtt'],
+                rejectUnauthorized: true
+            }));
+
+            expect(options.ca.toString()).to.equal('CA');
+            expect(options.cert.toString()).to.equal('CERT');
+            expect(options.key.toString()).to.equal('KEY');
+            expect(options).to.include({ passphrase: 'secret', servername: 'broker.example.com', rejectUnauthorized: true });
+            expect(options.ALPNProtocols).to.deep.equal(['mqtt']);
+        });
+
+        it('should name the file that could not be read', () => {
+            const caFile = path.join(tempDir, 'missing.pem');
+
+            expect(() => tlsOptions.loadTlsOptions(tlsConfig({ caFile }))).to.throw(`Failed to read MQTT TLS CA file ${caFile}`);
+        });
+    });
+
+    describe('watchCertificateFiles()', () => {
+        it('should report changed files until stopped', () => {
+            sinon.stub(fs, 'watchFile');
+            sinon.stub(fs, 'unwatchFile');
+            const onChange = sinon.stub();
+            const config = tlsConfig({ certFile: '/certs/client.pem', keyFile: '/certs/client.key' });
+
+            const stop = tlsOptions.watchCertificateFiles(config, onChange);
+
+            expect(fs.watchFile.callCount).to.equal(2);
+            const listener = fs.watchFile.firstCall.args[2];
+            listener({ mtimeMs: 1, size: 10 }, { mtimeMs: 1, size: 10 });
+            expect(onChange.called).to.be.false;
+            listener({ mtimeMs: 2, size: 10 }, { mtimeMs: 1, size: 10 });
+            expect(onChange.calledOnceWith('/certs/client.pem')).to.be.true;
+
+            stop();
+            expect(fs.unwatchFile.calledWith('/certs/client.pem', listener)).to.be.true;
+            expect(fs.unwatchFile.callCount).to.equal(2);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for the Topic Template Module
+ */
+
+const { expect } = require('chai');
+
+const topicTemplate = require('../src/topic-template');
+
+describe('Topic Template', () => {
+    const validateDeviceTemplate = template => topicTemplate.validateTopicTemplate(
+        template,
+        topicTemplate.DEVICE_TOPIC_PLACEHOLDERS,
+        topicTemplate.DEVICE_IDENTITY_PLACEHOLDERS
+    );
+
+    describe('validateTopicTemplate()', () => {
+        it('should accept the default templates and custom hierarchies', () => {
+            expect(validateDeviceTemplate(topicTemplate.DEFAULT_DEVICE_TOPIC_TEMPLATE)).to.be.empty;
+            expect(validateDeviceTemplate('site/{gateway_mac}/ble/{name}/state')).to.be.empty;
+            expect(topicTemplate.validateTopicTemplate(
+                topicTemplate.DEFAULT_GATEWAY_TOPIC_TEMPLATE, topicTemplate.GATEWAY_TOPIC_PLACEHOLDERS)).to.be.empty;
+        });
+
+        it('should reject wildcards and empty topic levels', () => {
+            expect(validateDeviceTemplate('site/+/{mac}')).to.include('MQTT wildcards (+, #) are not allowed');
+            expect(validateDeviceTemplate('site/{mac}/#')).to.include('MQTT wildcards (+, #) are not allowed');
+            expect(validateDeviceTemplate('site//{mac}')).to.include('empty topic levels are not allowed');
+            expect(validateDeviceTemplate('/site/{mac}')).to.include('empty topic levels are not allowed');
+            expect(validateDeviceTemplate('{prefix}/{mac}')).to.include('empty topic levels are not allowed');
+        });
+
+        it('should reject unknown placeholders and unbalanced braces', () => {
+            const errors = validateDeviceTemplate('site/{mac}/{room}');
+
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0]).to.include('unknown placeholder {room}');
+            expect(validateDeviceTemplate('site/{mac')).to.include('unbalanced braces');
+        });
+
+        it('should require {prefix} at the start and a device placeholder', () => {
+            expect(validateDeviceTemplate('site/{prefix}{mac}')).to.include('{prefix} must be at the start of the template');
+            expect(validateDeviceTemplate('site/{gateway_mac}/state')).to.include('template must contain one of: {mac}, {mac_colon}, {name}');
+        });
+    });
+
+    describe('usesMessagePlaceholders()', () => {
+        it('should detect placeholders that depend on the message', () => {
+            expect(topicTemplate.usesMessagePlaceholders('{prefix}state/{mac}')).to.be.false;
+            expect(topicTemplate.usesMessagePlaceholders('site/{gateway_mac}/{mac}')).to.be.true;
+            expect(topicTemplate.usesMessagePlaceholders('ble/{decoder}/{mac}')).to.be.true;
+        });
+    });
+
+    describe('constructDeviceTopic()', () => {
+        const payload = {
+            mac_address: '12:3B:6A:1B:85:EF',
+            advertising_type_code: 0,
+            decoder: 'ruuvi',
+            gateway_mac: 'AA:BB:CC:DD:EE:FF'
+        };
+
+        it('should render the default template', () => {
+            expect(topicTemplate.constructDeviceTopic(topicTemplate.DEFAULT_DEVICE_TOPIC_TEMPLATE, '12:3B:6A:1B:85:EF', {}, 'blegateway'))
+                .to.equal('blegateway/state/123b6a1b85ef');
+        });
+
+        it('should render all device placeholders', () => {
+            const topic = topicTemplate.constructDeviceTopic(
+                'site/{gateway_mac}/ble/{name}/{mac_colon}/{adv_type}/{decoder}',
+                '123b6a1b85ef',
+                payload,
+                'blegateway/',
+                'Car Token'
+            );
+
+            expect(topic).to.equal('site/aabbccddeeff/ble/car_token/12:3B:6A:1B:85:EF/0/ruuvi');
+        });
+
+        it('should use the device key for unnamed devices and unknown for missing values', () => {
+            const topic = topicTemplate.constructDeviceTopic('ble/{name}/{decoder}/{gateway_mac}', '123b6a1b85ef', {}, '');
+
+            expect(topic).to.equal('ble/123b6a1b85ef/unknown/unknown');
+        });
+
+        it('should not let values add topic levels or wildcards', () => {
+            const topic = topicTemplate.constructDeviceTopic('ble/{decoder}/{mac}', '123b6a1b85ef', { decoder: 'vendor/sensor+#' }, '');
+
+            expect(topic).to.equal('ble/vendor_sensor__/123b6a1b85ef');
+        });
+    });
+
+    describe('constructGatewayTopic()', () => {
+        it('should render the gateway MAC', () => {
+            expect(topicTemplate.constructGatewayTopic('site/{gateway_mac}/gateway', 'aabbccddeeff', 'blegateway/'))
+                .to.equal('site/aabbccddeeff/gateway');
+        });
+
+        it('should keep the original topic of a gateway without MAC', () => {
+            expect(topicTemplate.constructGatewayTopic(topicTemplate.DEFAULT_GATEWAY_TOPIC_TEMPLATE, null, 'blegateway/'))
+                .to.equal('blegateway/gateway/state');
+        });
+    });
+
+    describe('constructPresenceTopic()', () => {
+        it('should add the separator to the topic prefix and normalize the device key', () => {
+            expect(topicTemplate.constructPresenceTopic('AA:BB:CC:DD:EE:FF', 'blegateway'))
+                .to.equal('blegateway/presence/aabbccddeeff');
+            expect(topicTemplate.constructPresenceTopic('aabbccddeeff', 'blegateway/'))
+                .to.equal('blegateway/presence/aabbccddeeff');
+        });
+    });
+});
@@ -3,7 +3,16 @@
  */
 
 const { expect } = require('chai');
-const { formatMac, normalizeMac, addNormalizedMac, slugify } = require('../src/utils');
+const {
+    formatMac,
+    normalizeMac,
+    addNormalizedMac,
+    slugify,
+    getDeviceKey,
+    normalizeDeviceKey,
+    parseIBeaconIdentity,
+    createIBeaconDeviceKey
+} = require('../src/utils');
 
 describe('Utility Functions', () => {
     describe('formatMac()', () => {
@@ -163,4 +172,56 @@ describe('Utility Functions', () => {
             expect(slugify('____')).to.equal('');
         });
     });
+
+    describe('getDeviceKey()', () => {
+        it('should return the normalized MAC address by default', () => {
+            expect(getDeviceKey({ mac_address: '12:3B:6A:1B:85:EF' })).to.equal('123b6a1b85ef');
+        });
+
+        it('should prefer a resolved device_id', () => {
+            expect(getDeviceKey({ mac_address: '12:3B:6A:1B:85:EF', device_id: 'ibeacon_abc_1_2' })).to.equal('ibeacon_abc_1_2');
+        });
+
+        it('should throw an error for missing mac_address field', () => {
+            expect(() => getDeviceKey({})).to.throw('Device payload must contain mac_address field');
+            expect(() => getDeviceKey(null)).to.throw('Device payload must contain mac_address field');
+        });
+    });
+
+    describe('normalizeDeviceKey()', () => {
+        it('should normalize MAC addresses', () => {
+            expect(normalizeDeviceKey('12:3B:6A:1B:85:EF')).to.equal('123b6a1b85ef');
+        });
+
+        it('should keep configured device keys unchanged', () => {
+            expect(normalizeDeviceKey('ibeacon_e2c56db5dffb48d2b060d0f5a71096e0_1_2')).to.equal('ibeacon_e2c56db5dffb48d2b060d0f5a71096e0_1_2');
+        });
+
+        it('should throw an error for invalid keys', () => {
+            expect(() => normalizeDeviceKey('')).to.throw('Device key must be a non-empty string');
+            expect(() => normalizeDeviceKey('state/#')).to.throw('Invalid device key');
+        });
+    });
+
+    describe('parseIBeaconIdentity()', () => {
+        it('should parse an iBeacon identity with or without dashes', () => {
+            const expected = { uuid: 'E2C56DB5-DFFB-48D2-B060-D0F5A71096E0', major: 1, minor: 65535 };
+            expect(parseIBeaconIdentity('ibeacon:e2c56db5-dffb-48d2-b060-d0f5a71096e0:1:65535')).to.deep.equal(expected);
+            expect(parseIBeaconIdentity('iBeacon:E2C56DB5DFFB48D2B060D0F5A71096E0:1:65535')).to.deep.equal(expected);
+        });
+
+        it('should throw an error for invalid identities', () => {
+            expect(() => parseIBeaconIdentity('ibeacon:1234:1:2')).to.throw('Invalid iBeacon UUID');
+            expect(() => parseIBeaconIdentity('ibeacon:E2C56DB5DFFB48D2B060D0F5A71096E0:1')).to.throw('Invalid iBeacon identity');
+            expect(() => parseIBeaconIdentity('ibeacon:E2C56DB5DFFB48D2B060D0F5A71096E0:1:70000')).to.throw('Invalid iBeacon major/minor');
+            expect(() => parseIBeaconIdentity('ibeacon:E2C56DB5DFFB48D2B060D0F5A71096E0:-1:2')).to.throw('Invalid iBeacon major/minor');
+        });
+    });
+
+    describe('createIBeaconDeviceKey()', () => {
+        it('should create a lowercase key from the identity', () => {
+            const key = createIBeaconDeviceKey({ uuid: 'E2C56DB5-DFFB-48D2-B060-D0F5A71096E0', major: 1, minor: 2 });
+            expect(key).to.equal('ibeacon_e2c56db5dffb48d2b060d0f5a71096e0_1_2');
+        });
+    });
 });